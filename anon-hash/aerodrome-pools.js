@@ -0,0 +1,137 @@
+// aerodrome-pools.js
+// Aerodrome pool discovery through the factory. For each pair the factory is asked
+// for both the stable and the volatile pool; the one with the larger reserves wins and
+// becomes the route hop for solidly-fork swaps. Results (including "no pool") are
+// cached on disk with a TTL so restarts do not re-query every pair.
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { DEX_CONFIGS } = require('./dex-config');
+
+const DEFAULT_CACHE_FILE = path.join(__dirname, 'logs', 'cache', 'aerodrome-pools.json');
+const DEFAULT_TTL_MS = 60 * 60 * 1000; // 1 hour
+const CACHE_VERSION = 1;
+
+const factoryAbi = [
+  "function getPool(address tokenA, address tokenB, bool stable) view returns (address)"
+];
+
+const poolAbi = [
+  "function getReserves() view returns (uint256 reserve0, uint256 reserve1, uint256 blockTimestampLast)"
+];
+
+function pairKey(factory, tokenA, tokenB) {
+  const [a, b] = [tokenA.toLowerCase(), tokenB.toLowerCase()].sort();
+  return `${factory.toLowerCase()}:${a}-${b}`;
+}
+
+function readCache(file) {
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return data.version === CACHE_VERSION && data.entries ? data.entries : {};
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.warn(`[POOLS] Ignoring unreadable pool cache ${file}: ${error.message}`);
+    return {};
+  }
+}
+
+function writeCache(file, entries) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({ version: CACHE_VERSION, entries }, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * Creates a pool resolver for a solidly-fork DEX (Aerodrome by default).
+ * @param {object} options
+ * @param {ethers.ContractRunner} options.runner - Provider used for factory and pool reads.
+ * @param {object} [options.dex=DEX_CONFIGS.AERODROME] - DEX config with a `factory` address.
+ * @param {string} [options.cacheFile] - Defaults to AERODROME_POOL_CACHE or logs/cache/aerodrome-pools.json.
+ * @param {number} [options.ttlMs] - Defaults to AERODROME_POOL_TTL_MS or one hour.
+ * @param {() => number} [options.now=Date.now] - Clock used for cache expiry.
+ */
+function createPoolResolver({
+  runner,
+  dex = DEX_CONFIGS.AERODROME,
+  cacheFile = process.env.AERODROME_POOL_CACHE || DEFAULT_CACHE_FILE,
+  ttlMs = parseInt(process.env.AERODROME_POOL_TTL_MS) || DEFAULT_TTL_MS,
+  now = Date.now
+} = {}) {
+  if (!dex.factory) throw new Error(`${dex.NAME} has no factory configured`);
+  let entries = null;
+
+  function cache() {
+    if (!entries) entries = readCache(cacheFile);
+    return entries;
+  }
+
+  async function poolDepth(poolAddress) {
+    const pool = new ethers.Contract(poolAddress, poolAbi, runner);
+    const [reserve0, reserve1] = await pool.getReserves();
+    return { reserve0, reserve1, depth: reserve0 * reserve1 };
+  }
+
+  async function queryFactory(tokenA, tokenB) {
+    const factory = new ethers.Contract(dex.factory, factoryAbi, runner);
+    const candidates = [];
+    for (const stable of [true, false]) {
+      const pool = await factory.getPool(tokenA, tokenB, stable);
+      if (pool === ethers.ZeroAddress) continue;
+      candidates.push({ pool, stable, ...(await poolDepth(pool)) });
+    }
+    // Deeper pool by reserve product; ties go to the volatile pool
+    return candidates.reduce((best, candidate) => (!best || candidate.depth >= best.depth ? candidate : best), null);
+  }
+
+  /**
+   * Deepest pool for a pair, or null when the factory has none.
+   * @returns {Promise<{pool: string, stable: boolean, reserve0: string, reserve1: string, resolvedAt: number}|null>}
+   */
+  async function resolvePool(tokenA, tokenB) {
+    const key = pairKey(dex.factory, tokenA, tokenB);
+    const cached = cache()[key];
+    if (cached && now() - cached.resolvedAt < ttlMs) return cached.pool ? cached : null;
+
+    const best = await queryFactory(tokenA, tokenB);
+    const entry = best
+      ? { pool: best.pool, stable: best.stable, reserve0: best.reserve0.toString(), reserve1: best.reserve1.toString(), resolvedAt: now() }
+      : { pool: null, resolvedAt: now() };
+    cache()[key] = entry;
+    writeCache(cacheFile, entries);
+
+    if (best) {
+      console.log(`[POOLS] ${dex.NAME} ${tokenA.slice(0, 8)}/${tokenB.slice(0, 8)}: ${best.stable ? 'stable' : 'volatile'} pool ${best.pool}`);
+    }
+    return best ? entry : null;
+  }
+
+  /**
+   * Solidly route structs for a token path, one resolved pool per hop.
+   * Throws when a hop has no pool, so the swap is not attempted on this DEX.
+   */
+  async function resolveRoutes(tokenPath) {
+    const routes = [];
+    for (let i = 1; i < tokenPath.length; i++) {
+      const from = tokenPath[i - 1];
+      const to = tokenPath[i];
+      const resolved = await resolvePool(from, to);
+      if (!resolved) throw new Error(`No ${dex.NAME} pool for ${from}-${to}`);
+      routes.push({ from, to, stable: resolved.stable, factory: dex.factory });
+    }
+    return routes;
+  }
+
+  function clear() {
+    entries = {};
+    fs.rmSync(cacheFile, { force: true });
+  }
+
+  return { resolvePool, resolveRoutes, clear, cacheFile };
+}
+
+module.exports = {
+  DEFAULT_CACHE_FILE,
+  createPoolResolver
+};
@@ -3,6 +3,7 @@
 
 const bsv = require('bsv');
 require('dotenv').config();
+const { canonicalize } = require('./jam-hash');
 
 // BSV configuration
 const BSV_NETWORK = 'mainnet';
@@ -123,10 +124,10 @@ class BSVEcho {
             // Compress the JAM
             const compressed = this.compressJAM(jam, baseResult);
             
-            // Build OP_RETURN data
+            // Build OP_RETURN data (canonical JSON, so the echo's bytes are reproducible)
             const dataScript = bsv.Script.buildDataOut([
                 ECHO_PREFIX,
-                JSON.stringify(compressed),
+                canonicalize(compressed),
                 `v:${PHI}` // Version with phi marker
             ]);
 
@@ -31,3 +31,4 @@ contract DMAP {
         return signals[hash];
     }
 
+}
@@ -20,7 +20,7 @@ contract Honeypot {
 
     constructor(address _dmap, address _vault, address _beneficiary) {
         dmap = IDMAP(_dmap);
-        vault = SignalVault(_vault);
+        vault = SignalVault(payable(_vault));
         beneficiary = _beneficiary;
     }
 
@@ -2,7 +2,7 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/access/Ownable.sol";
-import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
 
 // --- Interfaces ---
@@ -65,7 +65,7 @@ contract SignalVault is ReentrancyGuard, Ownable {
     mapping(uint16 => bytes) public remoteAddress;
 
     // --- Constructor ---
-    constructor(address _dmap, address _weth) {
+    constructor(address _dmap, address _weth) Ownable(msg.sender) {
         dmap = IDMAP(_dmap);
         weth = IWETH(_weth);
     }
@@ -89,7 +89,7 @@ contract SignalVault is ReentrancyGuard, Ownable {
 
     function harvestYield(bytes32[] calldata hashes) external nonReentrant {
         uint256 totalHarvest = 0;
-        for (uint i = 0; i < hashes.length; unchecked { i++ }) {
+        for (uint i = 0; i < hashes.length; i++) {
             bytes32 hash = hashes[i];
             (address signalOwner, ,) = dmap.getSignal(hash);
             require(signalOwner == msg.sender, "Not your signal");
@@ -0,0 +1,37 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title MockAerodromePool
+ * @notice Pool with settable reserves, for testing pool selection by depth.
+ */
+contract MockAerodromePool {
+    uint256 private reserve0;
+    uint256 private reserve1;
+
+    function setReserves(uint256 _reserve0, uint256 _reserve1) external {
+        reserve0 = _reserve0;
+        reserve1 = _reserve1;
+    }
+
+    function getReserves() external view returns (uint256, uint256, uint256) {
+        return (reserve0, reserve1, block.timestamp);
+    }
+}
+
+/**
+ * @title MockAerodromeFactory
+ * @notice Aerodrome PoolFactory `getPool` lookup backed by a registry the test fills in.
+ */
+contract MockAerodromeFactory {
+    mapping(address => mapping(address => mapping(bool => address))) private pools;
+
+    function setPool(address tokenA, address tokenB, bool stable, address pool) external {
+        pools[tokenA][tokenB][stable] = pool;
+        pools[tokenB][tokenA][stable] = pool;
+    }
+
+    function getPool(address tokenA, address tokenB, bool stable) external view returns (address) {
+        return pools[tokenA][tokenB][stable];
+    }
+}
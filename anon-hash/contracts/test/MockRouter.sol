@@ -0,0 +1,183 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./MockERC20.sol";
+
+/**
+ * @title MockRouter
+ * @notice Fixed-rate router used by the local test harness. It answers both the
+ * Uniswap V2 style calls and the SwapRouter02 (IV3SwapRouter) `exactInputSingle` /
+ * `exactInput` calls, whose structs have no deadline; `multicall(deadline, data)`
+ * enforces it instead. The same runtime code can be installed at every router address
+ * listed in dex-config.js.
+ * Rates are per whole token, scaled by each token's decimals (18 when it has none).
+ * Output tokens are minted; ETH payouts come from the router's own balance, which the
+ * harness funds with hardhat_setBalance.
+ */
+contract MockRouter {
+    // Base WETH; swaps touching it are treated as ETH legs
+    address public constant WETH = 0x4200000000000000000000000000000000000006;
+    uint256 public constant RATE = 2000;
+
+    struct ExactInputSingleParams {
+        address tokenIn;
+        address tokenOut;
+        uint24 fee;
+        address recipient;
+        uint256 amountIn;
+        uint256 amountOutMinimum;
+        uint160 sqrtPriceLimitX96;
+    }
+
+    struct ExactInputParams {
+        bytes path;
+        address recipient;
+        uint256 amountIn;
+        uint256 amountOutMinimum;
+    }
+
+    struct QuoteExactInputSingleParams {
+        address tokenIn;
+        address tokenOut;
+        uint256 amountIn;
+        uint24 fee;
+        uint160 sqrtPriceLimitX96;
+    }
+
+    event Swap(address indexed sender, address indexed tokenIn, address indexed tokenOut, uint256 amountIn, uint256 amountOut);
+
+    function quote(address tokenIn, address tokenOut, uint256 amountIn) public view returns (uint256) {
+        uint256 scaleIn = 10 ** decimalsOf(tokenIn);
+        uint256 scaleOut = 10 ** decimalsOf(tokenOut);
+        if (tokenIn == WETH && tokenOut != WETH) return amountIn * RATE * scaleOut / scaleIn;
+        if (tokenOut == WETH && tokenIn != WETH) return amountIn * scaleOut / (scaleIn * RATE);
+        return amountIn * scaleOut / scaleIn;
+    }
+
+    function decimalsOf(address token) internal view returns (uint8) {
+        if (token.code.length == 0) return 18;
+        try MockERC20(token).decimals() returns (uint8 value) {
+            return value;
+        } catch {
+            return 18;
+        }
+    }
+
+    function getAmountsOut(uint256 amountIn, address[] calldata path) public view returns (uint256[] memory amounts) {
+        amounts = new uint256[](path.length);
+        amounts[0] = amountIn;
+        for (uint256 i = 1; i < path.length; i++) {
+            amounts[i] = quote(path[i - 1], path[i], amounts[i - 1]);
+        }
+    }
+
+    // Uniswap QuoterV2 interface, so the harness can install this code at the quoter address too
+    function quoteExactInputSingle(QuoteExactInputSingleParams calldata params)
+        external
+        view
+        returns (uint256 amountOut, uint160 sqrtPriceX96After, uint32 initializedTicksCrossed, uint256 gasEstimate)
+    {
+        return (quote(params.tokenIn, params.tokenOut, params.amountIn), 0, 0, 0);
+    }
+
+    function quoteExactInput(bytes calldata path, uint256 amountIn)
+        public
+        view
+        returns (uint256 amountOut, uint160[] memory sqrtPriceX96AfterList, uint32[] memory initializedTicksCrossedList, uint256 gasEstimate)
+    {
+        // Packed path: token (20 bytes) then fee (3 bytes) + token (20 bytes) per hop
+        amountOut = amountIn;
+        uint256 hops = (path.length - 20) / 23;
+        for (uint256 i = 0; i < hops; i++) {
+            address tokenIn = address(bytes20(path[i * 23:i * 23 + 20]));
+            address tokenOut = address(bytes20(path[i * 23 + 23:i * 23 + 43]));
+            amountOut = quote(tokenIn, tokenOut, amountOut);
+        }
+        return (amountOut, new uint160[](hops), new uint32[](hops), 0);
+    }
+
+    function swapExactETHForTokens(uint256 amountOutMin, address[] calldata path, address to, uint256 deadline)
+        external
+        payable
+        returns (uint256[] memory amounts)
+    {
+        require(deadline >= block.timestamp, "Expired");
+        amounts = getAmountsOut(msg.value, path);
+        uint256 amountOut = amounts[amounts.length - 1];
+        require(amountOut >= amountOutMin, "Insufficient output amount");
+        MockERC20(path[path.length - 1]).mint(to, amountOut);
+        emit Swap(msg.sender, path[0], path[path.length - 1], msg.value, amountOut);
+    }
+
+    function swapExactTokensForETH(uint256 amountIn, uint256 amountOutMin, address[] calldata path, address to, uint256 deadline)
+        external
+        returns (uint256[] memory amounts)
+    {
+        require(deadline >= block.timestamp, "Expired");
+        amounts = getAmountsOut(amountIn, path);
+        uint256 amountOut = amounts[amounts.length - 1];
+        require(amountOut >= amountOutMin, "Insufficient output amount");
+        MockERC20(path[0]).transferFrom(msg.sender, address(this), amountIn);
+        (bool success, ) = to.call{value: amountOut}("");
+        require(success, "ETH transfer failed");
+        emit Swap(msg.sender, path[0], path[path.length - 1], amountIn, amountOut);
+    }
+
+    function swapExactTokensForTokens(uint256 amountIn, uint256 amountOutMin, address[] calldata path, address to, uint256 deadline)
+        external
+        returns (uint256[] memory amounts)
+    {
+        require(deadline >= block.timestamp, "Expired");
+        amounts = getAmountsOut(amountIn, path);
+        uint256 amountOut = amounts[amounts.length - 1];
+        require(amountOut >= amountOutMin, "Insufficient output amount");
+        MockERC20(path[0]).transferFrom(msg.sender, address(this), amountIn);
+        MockERC20(path[path.length - 1]).mint(to, amountOut);
+        emit Swap(msg.sender, path[0], path[path.length - 1], amountIn, amountOut);
+    }
+
+    // PeripheryValidationExtended.multicall: the deadline applies to every call in `data`
+    function multicall(uint256 deadline, bytes[] calldata data) external payable returns (bytes[] memory results) {
+        require(block.timestamp <= deadline, "Transaction too old");
+        results = new bytes[](data.length);
+        for (uint256 i = 0; i < data.length; i++) {
+            (bool success, bytes memory result) = address(this).delegatecall(data[i]);
+            if (!success) {
+                assembly {
+                    revert(add(result, 32), mload(result))
+                }
+            }
+            results[i] = result;
+        }
+    }
+
+    function exactInputSingle(ExactInputSingleParams calldata params) external payable returns (uint256 amountOut) {
+        amountOut = quote(params.tokenIn, params.tokenOut, params.amountIn);
+        require(amountOut >= params.amountOutMinimum, "Too little received");
+        // Like SwapRouter02's pay(): ETH sent with the call covers WETH, otherwise the token is pulled
+        if (params.tokenIn == WETH && msg.value > 0) {
+            require(msg.value == params.amountIn, "ETH amount mismatch");
+        } else {
+            MockERC20(params.tokenIn).transferFrom(msg.sender, address(this), params.amountIn);
+        }
+        MockERC20(params.tokenOut).mint(params.recipient, amountOut);
+        emit Swap(msg.sender, params.tokenIn, params.tokenOut, params.amountIn, amountOut);
+    }
+
+    function exactInput(ExactInputParams calldata params) external payable returns (uint256 amountOut) {
+        uint256 hops = (params.path.length - 20) / 23;
+        address tokenIn = address(bytes20(params.path[0:20]));
+        address tokenOut = address(bytes20(params.path[hops * 23:hops * 23 + 20]));
+        (amountOut, , , ) = quoteExactInput(params.path, params.amountIn);
+        require(amountOut >= params.amountOutMinimum, "Too little received");
+        if (tokenIn == WETH && msg.value > 0) {
+            require(msg.value == params.amountIn, "ETH amount mismatch");
+        } else {
+            MockERC20(tokenIn).transferFrom(msg.sender, address(this), params.amountIn);
+        }
+        MockERC20(tokenOut).mint(params.recipient, amountOut);
+        emit Swap(msg.sender, tokenIn, tokenOut, params.amountIn, amountOut);
+    }
+
+    receive() external payable {}
+}
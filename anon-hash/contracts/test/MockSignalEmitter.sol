@@ -0,0 +1,21 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title MockSignalEmitter
+ * @notice Stands in for both SignalVault and DMAP in the local test harness. The
+ * engine calls `emitSignal` / `emitRecursiveSignal` on VAULT_ADDRESS, and the
+ * amplifier and mirror watch DMAP_ADDRESS for SignalRegistered. The harness points
+ * both at this contract, which emits DMAP's event for every signal.
+ */
+contract MockSignalEmitter {
+    event SignalRegistered(bytes32 indexed hash, address indexed owner, uint256 categoryId, string description);
+
+    function emitSignal(bytes32 hash) external {
+        emit SignalRegistered(hash, msg.sender, 0, "");
+    }
+
+    function emitRecursiveSignal(bytes32 hash, bytes32) external {
+        emit SignalRegistered(hash, msg.sender, 0, "");
+    }
+}
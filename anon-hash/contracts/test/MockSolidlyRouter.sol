@@ -0,0 +1,68 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./MockERC20.sol";
+
+/**
+ * @title MockSolidlyRouter
+ * @notice Aerodrome-style router for tests: the same fixed rate as MockRouter, but every
+ * path is a list of solidly route structs. Kept separate from MockRouter so the V2 method
+ * names stay unambiguous there.
+ */
+contract MockSolidlyRouter {
+    address public constant WETH = 0x4200000000000000000000000000000000000006;
+    uint256 public constant RATE = 2000;
+
+    struct Route {
+        address from;
+        address to;
+        bool stable;
+        address factory;
+    }
+
+    event Swap(address indexed sender, address indexed tokenIn, address indexed tokenOut, uint256 amountIn, uint256 amountOut);
+
+    function quote(address tokenIn, address tokenOut, uint256 amountIn) public pure returns (uint256) {
+        if (tokenIn == WETH && tokenOut != WETH) return amountIn * RATE;
+        if (tokenOut == WETH && tokenIn != WETH) return amountIn / RATE;
+        return amountIn;
+    }
+
+    function getAmountsOut(uint256 amountIn, Route[] calldata routes) public pure returns (uint256[] memory amounts) {
+        amounts = new uint256[](routes.length + 1);
+        amounts[0] = amountIn;
+        for (uint256 i = 0; i < routes.length; i++) {
+            amounts[i + 1] = quote(routes[i].from, routes[i].to, amounts[i]);
+        }
+    }
+
+    function swapExactETHForTokens(uint256 amountOutMin, Route[] calldata routes, address to, uint256 deadline)
+        external
+        payable
+        returns (uint256[] memory amounts)
+    {
+        require(deadline >= block.timestamp, "Expired");
+        amounts = getAmountsOut(msg.value, routes);
+        uint256 amountOut = amounts[amounts.length - 1];
+        require(amountOut >= amountOutMin, "Insufficient output amount");
+        address tokenOut = routes[routes.length - 1].to;
+        MockERC20(tokenOut).mint(to, amountOut);
+        emit Swap(msg.sender, routes[0].from, tokenOut, msg.value, amountOut);
+    }
+
+    function swapExactTokensForETH(uint256 amountIn, uint256 amountOutMin, Route[] calldata routes, address to, uint256 deadline)
+        external
+        returns (uint256[] memory amounts)
+    {
+        require(deadline >= block.timestamp, "Expired");
+        amounts = getAmountsOut(amountIn, routes);
+        uint256 amountOut = amounts[amounts.length - 1];
+        require(amountOut >= amountOutMin, "Insufficient output amount");
+        MockERC20(routes[0].from).transferFrom(msg.sender, address(this), amountIn);
+        (bool success, ) = to.call{value: amountOut}("");
+        require(success, "ETH transfer failed");
+        emit Swap(msg.sender, routes[0].from, routes[routes.length - 1].to, amountIn, amountOut);
+    }
+
+    receive() external payable {}
+}
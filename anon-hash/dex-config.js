@@ -6,7 +6,6 @@ const routerAbiV3 = [
       {"internalType":"address","name":"tokenOut","type":"address"},
       {"internalType":"uint24","name":"fee","type":"uint24"},
       {"internalType":"address","name":"recipient","type":"address"},
-      {"internalType":"uint256","name":"deadline","type":"uint256"},
       {"internalType":"uint256","name":"amountIn","type":"uint256"},
       {"internalType":"uint256","name":"amountOutMinimum","type":"uint256"},
       {"internalType":"uint160","name":"sqrtPriceLimitX96","type":"uint160"}
@@ -28,13 +27,9 @@ const DEX_CONFIGS = {
   // Priority: 0.382 (lowest) - Used only when primary DEXes fail
   AERODROME: {
     ROUTER: '0xcf77a3ba9a5ca399b7c97c74d54e5b1beb874e43',
-    factory: '0x420dd381b31aef6683db6b902084cb0ffece40da',
+    factory: '0x420dd381b31aef6683db6b902084cb0ffece40da', // Pools are resolved through it (aerodrome-pools.js)
     NAME: 'Aerodrome',
-    TYPE: 'solidly-fork',
-    POOLS: {
-      'WETH-AERO': '0x7bb3fff252fdcd11e416787988c2b9558e8b3e67',
-      'AERO-USDC': '0x2223280773357e6bf5f3780a0f2d4e933d1c0887'
-    }
+    TYPE: 'solidly-fork'
   },
 
 
@@ -100,6 +95,22 @@ const TOKENS = {
   AAVE: '0x18470019bf0e94611f15852f7e93cf5d65bc34ca', // Aave governance token
 };
 
+// Decimals of the tokens the services move, for limits written in whole tokens
+const TOKEN_DECIMALS = {
+  WETH: 18,
+  USDC: 6,
+  USDbC: 6,
+  DAI: 18,
+  AERO: 18,
+  cbETH: 18,
+  aUSDC: 6,
+  wstETH: 18,
+  rETH: 18,
+  sDAI: 18,
+  COMP: 18,
+  AAVE: 18
+};
+
 // Liquidity pools by DEX (for reference)
 const LIQUIDITY_POOLS = {
   AERODROME: {
@@ -175,22 +186,6 @@ function selectOptimalDEX(gasPrice, tradeSize) {
   };
 }
 
-// Aerodrome-specific pool helper
-function getAerodromePool(tokenA, tokenB, stable = false) {
-  // Aerodrome uses deterministic pool addresses based on token pair and stability
-  const key = `${tokenA}-${tokenB}`;
-  const reverseKey = `${tokenB}-${tokenA}`;
-  
-  if (DEX_CONFIGS.AERODROME.POOLS[key]) {
-    return DEX_CONFIGS.AERODROME.POOLS[key];
-  } else if (DEX_CONFIGS.AERODROME.POOLS[reverseKey]) {
-    return DEX_CONFIGS.AERODROME.POOLS[reverseKey];
-  }
-  
-  // Return null if pool not found - caller should query factory
-  return null;
-}
-
 // Route hints for complex paths through specific DEXes
 const ROUTE_HINTS = {
   // Aerodrome optimal paths
@@ -251,9 +246,9 @@ function getRecursiveDEXCascade(gasPrice, tradeSize, depth = 1) {
 module.exports = {
   DEX_CONFIGS,
   TOKENS,
+  TOKEN_DECIMALS,
   LIQUIDITY_POOLS,
   selectOptimalDEX,
-  getAerodromePool,
   ROUTE_HINTS,
   getRecursiveDEXCascade
 };
@@ -0,0 +1,143 @@
+// dry-run.js
+// DRY_RUN=true turns every transaction-sending path (engine emit, amplifier bait,
+// mirror step, recursive signals) into a simulation: the transaction is built,
+// estimated with estimateGas and executed with eth_call against current chain
+// state, its calldata and outcome are logged, and nothing is broadcast.
+//
+// Simulations run independently against current state, so a step that depends on
+// an earlier one (a swap after its approval, a capture after the bait) reports that
+// missing dependency as its revert reason.
+
+const { ethers } = require('ethers');
+
+function isDryRun() {
+  return process.env.DRY_RUN === 'true';
+}
+
+// Human-readable call, e.g. "swapExactETHForTokens(0, [0x4200…, 0x8335…], 0xabc…, 1700000000)"
+function describeCall(data, iface) {
+  if (!data || data === '0x') return '(plain transfer)';
+  if (iface) {
+    try {
+      const parsed = iface.parseTransaction({ data });
+      if (parsed) {
+        const args = parsed.args.map(arg => formatValue(arg));
+        return `${parsed.name}(${args.join(', ')})`;
+      }
+    } catch (e) {
+      // Fall through to the raw selector
+    }
+  }
+  return `selector ${data.slice(0, 10)} (${(data.length - 2) / 2} bytes)`;
+}
+
+function formatValue(value) {
+  if (Array.isArray(value)) return `[${Array.from(value).map(formatValue).join(', ')}]`;
+  if (typeof value === 'bigint') return value.toString();
+  return String(value);
+}
+
+function decodeResult(iface, data, returnData) {
+  if (!iface || !returnData || returnData === '0x') return null;
+  try {
+    const parsed = iface.parseTransaction({ data });
+    if (!parsed) return null;
+    const values = Array.from(iface.decodeFunctionResult(parsed.fragment, returnData));
+    return formatValue(values.length === 1 ? values[0] : values);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Simulates `tx` as `signer` would send it and logs what would happen.
+ * Never throws for a revert; the result carries `success` and `revertReason` instead.
+ * @param {ethers.Signer} signer - Wallet the transaction would be sent from.
+ * @param {object} tx - Transaction request (to, data, value, gas fields).
+ * @param {object} [options]
+ * @param {string} [options.label='TX'] - Log prefix for this transaction.
+ * @param {ethers.Interface} [options.iface] - Interface used to decode calldata and return data.
+ * @returns {Promise<{dryRun: true, hash: null, success: boolean, gasEstimate: bigint|null,
+ *   costEth: string|null, returnData: string|null, decodedResult: string|null, revertReason: string|null, request: object}>}
+ */
+async function simulateTransaction(signer, tx, { label = 'TX', iface } = {}) {
+  const provider = signer.provider;
+  // The nonce is irrelevant to a simulation and some nodes reject future nonces in eth_call
+  const { nonce, ...request } = { ...tx, from: tx.from || await signer.getAddress() };
+
+  console.log(`[DRY-RUN] ${label}: ${request.from} -> ${request.to} | value ${ethers.formatEther(request.value || 0n)} ETH`);
+  console.log(`[DRY-RUN] ${label}: calldata ${describeCall(request.data, iface)}`);
+
+  const result = {
+    dryRun: true,
+    hash: null,
+    success: false,
+    gasEstimate: null,
+    costEth: null,
+    returnData: null,
+    decodedResult: null,
+    revertReason: null,
+    request
+  };
+
+  try {
+    result.returnData = await provider.call(request);
+    result.gasEstimate = await provider.estimateGas(request);
+    result.success = true;
+  } catch (error) {
+    result.revertReason = error.reason || error.shortMessage || error.message;
+    console.log(`[DRY-RUN] ${label}: would REVERT - ${result.revertReason}`);
+    return result;
+  }
+
+  let gasPrice = request.gasPrice || request.maxFeePerGas;
+  if (!gasPrice) {
+    const feeData = await provider.getFeeData();
+    gasPrice = feeData.gasPrice || feeData.maxFeePerGas || 0n;
+  }
+  result.costEth = ethers.formatEther(result.gasEstimate * BigInt(gasPrice));
+  result.decodedResult = decodeResult(iface, request.data, result.returnData);
+
+  console.log(`[DRY-RUN] ${label}: would succeed | gas ~${result.gasEstimate} | cost ~${result.costEth} ETH` +
+    (result.decodedResult ? ` | returns ${result.decodedResult}` : ''));
+  return result;
+}
+
+/**
+ * Sends `tx` from `signer`, or simulates it when DRY_RUN is set.
+ * Callers check `result.dryRun` before waiting on a receipt.
+ * With `options.nonces` (a nonce manager for `signer`) the nonce is reserved there.
+ */
+async function sendOrSimulate(signer, tx, options = {}) {
+  if (isDryRun()) return simulateTransaction(signer, tx, options);
+  if (options.nonces) return options.nonces.send(tx, options.label);
+  return signer.sendTransaction(tx);
+}
+
+/**
+ * Calls a state-changing contract method, or simulates it when DRY_RUN is set.
+ * @param {ethers.Contract} contract - Contract connected to the sending signer.
+ * @param {string} method - Method name.
+ * @param {Array} args - Method arguments.
+ * @param {object} [overrides] - Transaction overrides (gas, value, nonce).
+ * @param {object} [options] - Passed to simulateTransaction; label defaults to the method name.
+ *   `options.nonces` routes the live call through that signer's nonce manager.
+ */
+async function invokeOrSimulate(contract, method, args, overrides = {}, options = {}) {
+  if (!isDryRun()) {
+    if (options.nonces) {
+      return options.nonces.withNonce(options.label || method, nonce => contract[method](...args, { ...overrides, nonce }));
+    }
+    return contract[method](...args, overrides);
+  }
+  const tx = await contract[method].populateTransaction(...args, overrides);
+  return simulateTransaction(contract.runner, tx, { label: method, iface: contract.interface, ...options });
+}
+
+module.exports = {
+  isDryRun,
+  describeCall,
+  simulateTransaction,
+  sendOrSimulate,
+  invokeOrSimulate
+};
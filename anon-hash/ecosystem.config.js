@@ -14,8 +14,37 @@ logDirs.forEach(dir => {
   }
 });
 
+// Secrets (keys, API tokens) are never forwarded through PM2, where `pm2 env` would
+// print them: signing keys come from the signer (signers.js), and every process reads
+// the remaining secrets from .env itself.
+const signerEnv = {
+  SIGNER_MODE: process.env.SIGNER_MODE, // keystore (default in production), remote or env
+  KEYSTORE_DIR: process.env.KEYSTORE_DIR,
+  KEYSTORE_PASSWORD_FILE: process.env.KEYSTORE_PASSWORD_FILE,
+  SIGNER_SOCKET: process.env.SIGNER_SOCKET,
+  MIRROR_WALLET_ADDRESS: process.env.MIRROR_WALLET_ADDRESS, // Remote mode only
+};
+
+// Holds the keys for SIGNER_MODE=remote; the other services sign through its socket
+const signerDaemon = {
+  name: 'signer',
+  script: './signer-daemon.js',
+  cwd: __dirname,
+  autorestart: true,
+  max_restarts: 10,
+  min_uptime: '60s',
+  error_file: './logs/cache/signer-err.log',
+  out_file: './logs/cache/signer-out.log',
+  merge_logs: true,
+  env: {
+    NODE_ENV: 'production',
+    ...signerEnv,
+  }
+};
+
 module.exports = {
   apps: [
+    ...(process.env.SIGNER_MODE === 'remote' ? [signerDaemon] : []),
     {
       name: 'semantic-engine', // The Causal Engine
       script: './index.js',
@@ -32,22 +61,24 @@ module.exports = {
       env: {
         NODE_ENV: 'production',
         RPC_URL: process.env.RPC_URL,
-        PRIVATE_KEY: process.env.PRIVATE_KEY,
+        ...signerEnv,
         VAULT_ADDRESS: process.env.VAULT_ADDRESS,
         ERROR_LOGGING: process.env.ERROR_LOGGING || 'minimal',
         SUPPRESS_DISABLED_FEATURES: 'true',
 // --- Oracle Config ---
-        // Required for substrate analysis
+        // First substrate analysis target; add more with `node manage.js targets add`
         TARGET_CONTRACT_ADDRESS: process.env.TARGET_CONTRACT_ADDRESS || '',
         // Optional decompiler settings - will use local analysis if not provided
         DECOMPILER_API_URL: process.env.DECOMPILER_API_URL || 'https://api.evmdecompiler.com/decompile',
-        DECOMPILER_API_KEY: process.env.DECOMPILER_API_KEY || '',
+        // Optional local decompiler, run with the bytecode on stdin (see substrate.js)
+        DECOMPILER_CMD: process.env.DECOMPILER_CMD || '',
         // --- System Config ---
         DETECT_INTERVAL: process.env.DETECT_INTERVAL || 60000,
         MAX_GAS_GWEI: process.env.MAX_GAS_GWEI || 0.02,
         // --- Cross-Chain Config ---
         ENABLE_BSV_ECHO: process.env.ENABLE_BSV_ECHO || 'true',
-        BSV_PRIVATE_KEY: process.env.BSV_PRIVATE_KEY,
+        // Simulate every transaction instead of broadcasting it
+        DRY_RUN: process.env.DRY_RUN || 'false',
       }
     },
     {
@@ -63,12 +94,16 @@ module.exports = {
       env: {
         NODE_ENV: 'production',
         RPC_URL: process.env.RPC_URL,
-        PRIVATE_KEY: process.env.PRIVATE_KEY,
-        MIRROR_PRIVATE_KEY: process.env.MIRROR_PRIVATE_KEY,
+        ...signerEnv,
         ERROR_LOGGING: process.env.ERROR_LOGGING || 'minimal',
         SUPPRESS_DISABLED_FEATURES: 'true',
         WALLET_ADDRESS: process.env.WALLET_ADDRESS, // Required for listener
         VAULT_ADDRESS: process.env.VAULT_ADDRESS,
+        DRY_RUN: process.env.DRY_RUN || 'false',
+        // Max slippage from the on-chain quote, in basis points (50 = 0.5%)
+        MAX_SLIPPAGE_BPS: process.env.MAX_SLIPPAGE_BPS || 50,
+        // Aerodrome pools resolved through the factory are cached in logs/cache for this long
+        AERODROME_POOL_TTL_MS: process.env.AERODROME_POOL_TTL_MS || 3600000,
       }
     },
     {
@@ -84,10 +119,10 @@ module.exports = {
       env: {
         NODE_ENV: 'production',
         RPC_URL: process.env.RPC_URL,
-        PRIVATE_KEY: process.env.PRIVATE_KEY, // For reading wallet address
-        MIRROR_PRIVATE_KEY: process.env.MIRROR_PRIVATE_KEY,
+        ...signerEnv,
         WALLET_ADDRESS: process.env.WALLET_ADDRESS, // Required for listener
         VAULT_ADDRESS: process.env.VAULT_ADDRESS,
+        DRY_RUN: process.env.DRY_RUN || 'false',
       }
     },
     {
@@ -118,7 +153,6 @@ module.exports = {
       env: {
         NODE_ENV: 'production',
         GIST_ID: process.env.GIST_ID,
-        GITHUB_TOKEN: process.env.GITHUB_TOKEN
       }
     }
   ]
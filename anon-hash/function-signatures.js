@@ -0,0 +1,75 @@
+// function-signatures.js
+// Offline function signature database for the substrate oracle: 4-byte selectors
+// resolved to text signatures without asking a remote service. The bundled list in
+// signatures.json covers tokens, DEX routers and pools, lending markets and proxies;
+// every ABI compiled into artifacts/contracts/ (`npx hardhat compile`) is added on top,
+// so the database grows with the contracts in this repo.
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+const DEFAULT_SIGNATURES_FILE = path.join(__dirname, 'signatures.json');
+const DEFAULT_ARTIFACTS_DIR = path.join(__dirname, 'artifacts', 'contracts');
+
+const selectorOf = signature => ethers.id(signature).slice(0, 10);
+
+// ABI function signatures from every Hardhat artifact under `dir`
+function artifactSignatures(dir) {
+  const signatures = [];
+  let entries;
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch (error) {
+    return signatures; // Not compiled yet
+  }
+  for (const entry of entries) {
+    const file = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      signatures.push(...artifactSignatures(file));
+    } else if (entry.name.endsWith('.json') && !entry.name.endsWith('.dbg.json')) {
+      try {
+        const { abi } = JSON.parse(fs.readFileSync(file, 'utf8'));
+        (abi || []).filter(item => item.type === 'function').forEach(item => signatures.push(ethers.FunctionFragment.from(item).format('sighash')));
+      } catch (error) {
+        console.warn(`[Signatures] Skipping ${file}: ${error.message}`);
+      }
+    }
+  }
+  return signatures;
+}
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.file] - Bundled list; defaults to signatures.json.
+ * @param {string|null} [options.artifactsDir] - Defaults to artifacts/contracts; null skips artifacts.
+ * @returns {{size: number, lookup: (selector: string) => string|null}} lookup returns the
+ *   first signature known for a selector (bundled before compiled), or null.
+ */
+function loadSignatureDb({ file = DEFAULT_SIGNATURES_FILE, artifactsDir = DEFAULT_ARTIFACTS_DIR } = {}) {
+  const { signatures } = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const bySelector = new Map();
+  [...signatures, ...(artifactsDir ? artifactSignatures(artifactsDir) : [])].forEach(signature => {
+    const selector = selectorOf(signature);
+    if (!bySelector.has(selector)) bySelector.set(selector, signature);
+  });
+  return {
+    size: bySelector.size,
+    lookup: selector => bySelector.get(selector.toLowerCase()) || null
+  };
+}
+
+let signatureDb = null;
+
+// Shared database, loaded on first use
+function getSignatureDb() {
+  if (!signatureDb) signatureDb = loadSignatureDb();
+  return signatureDb;
+}
+
+module.exports = {
+  DEFAULT_SIGNATURES_FILE,
+  selectorOf,
+  loadSignatureDb,
+  getSignatureDb
+};
@@ -1,10 +1,10 @@
 // hardhat.config.js
 require("dotenv").config();
-require("@nomiclabs/hardhat-ethers");
+require("@nomicfoundation/hardhat-ethers");
 
 module.exports = {
   solidity: {
-    version: "0.8.19",
+    version: "0.8.20",
     settings: {
       optimizer: {
         enabled: true,
@@ -22,7 +22,7 @@ module.exports = {
   },
   networks: {
     base: {
-      url: process.env.BASE_RPC_URL || process.env.RPC_URL,
+      url: process.env.BASE_RPC_URL || process.env.RPC_URL || 'https://mainnet.base.org',
       accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
       chainId: 8453,
       verify: {
@@ -39,6 +39,9 @@ module.exports = {
   etherscan: {
     apiKey: process.env.BASESCAN_API_KEY
   },
+  mocha: {
+    timeout: 600000 // test/cycle.test.js drives live processes against a local node
+  },
   paths: {
     sources: './contracts',
     tests: './test',
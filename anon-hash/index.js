@@ -1,6 +1,6 @@
 // index.js - The Strategist: A Causal Engine
 // Usage: node index.js
-// MERGED: jam-store.js and sync-latest-jam.js
+// MERGED: sync-latest-jam.js (the JAM store itself lives in jam-store.js)
 
 const { ethers } = require("ethers");
 require("dotenv").config();
@@ -8,75 +8,33 @@ const fs = require("fs");
 const path = require("path");
 const { bridgeToBSV } = require('./bsv-echo');
 const { analyzeContract } = require('./substrate'); // <-- Import the Verification Oracle
-
-// --- Start of jam-store.js content ---
-class JAMStore {
-    constructor() {
-        this.storePath = path.join(__dirname, 'jams');
-        this.ensureDirectory();
-    }
-
-    ensureDirectory() {
-        if (!fs.existsSync(this.storePath)) {
-            fs.mkdirSync(this.storePath, { recursive: true });
-        }
-    }
-
-    // Store JAM data with its hash as the key
-    store(hash, jamData) {
-        const filePath = path.join(this.storePath, `${hash}.json`);
-        fs.writeFileSync(filePath, JSON.stringify(jamData, null, 2));
-        console.log(`[JAM-STORE] Stored JAM ${hash.slice(0, 10)}... (synced to disk)`);
-    }
-
-    // Retrieve JAM data by hash
-    retrieve(hash) {
-        const filePath = path.join(this.storePath, `${hash}.json`);
-        if (fs.existsSync(filePath)) {
-            const data = fs.readFileSync(filePath, 'utf8');
-            return JSON.parse(data);
-        }
-        return null;
-    }
-
-    // Update JAM data (merge with existing)
-    update(hash, updates) {
-        const existing = this.retrieve(hash);
-        if (existing) {
-            const updated = { ...existing, ...updates };
-            this.store(hash, updated);
-            return updated;
-        }
-        return null;
-    }
-    
-    // Get latest JAM (for debugging)
-    getLatest() {
-        const files = fs.readdirSync(this.storePath)
-            .filter(f => f.endsWith('.json'))
-            .map(f => ({
-                file: f,
-                time: fs.statSync(path.join(this.storePath, f)).mtime
-            }))
-            .sort((a, b) => b.time - a.time);
-        
-        if (files.length > 0) {
-            const latestFile = files[0].file;
-            const data = fs.readFileSync(path.join(this.storePath, latestFile), 'utf8');
-            return {
-                hash: latestFile.replace('.json', ''),
-                data: JSON.parse(data)
-            };
-        }
-        return null;
-    }
-}
-// --- End of jam-store.js content ---
-
-// Instantiate the store directly
-const jamStore = new JAMStore();
+const { isDryRun, invokeOrSimulate } = require('./dry-run');
+const { getNonceManager } = require('./nonce-manager');
+const { getSpendGuard } = require('./spend-guard');
+const { loadSigner } = require('./signers');
+const { getJamStore } = require('./jam-store');
+const { collectGarbage } = require('./jam-retention');
+const { createSnapshot } = require('./state-snapshot');
+const { createPatternSelector } = require('./pattern-selector');
+const { createPatternLibrary } = require('./patterns');
+const { createTargetRegistry } = require('./target-registry');
+const { JAM_KINDS, assertValidJam, migrateJam } = require('./jam-schema');
+const { hashJam } = require('./jam-hash');
+const { jamDomain, signJam } = require('./jam-signing');
+const timing = require('./timing');
+const {
+  getMinDistanceToConsensusWindow,
+  getConsensusMultiplier,
+  isConsensusTime
+} = timing;
+
+// Shared JAM store (JSON files or SQLite, see jam-store.js)
+const jamStore = getJamStore();
 
 // --- Start of sync-latest-jam.js content ---
+// The dashboard and the gist updater read latest-jam.json; LATEST_JAM_FILE points a test run elsewhere
+const LATEST_JAM_FILE = process.env.LATEST_JAM_FILE || path.join(__dirname, 'latest-jam.json');
+
 // Function to sync the latest JAM to latest-jam.json
 function syncLatestJam() {
     try {
@@ -110,23 +68,24 @@ function syncLatestJam() {
             // Log reading failed, continue with what we have
         }
         
-        // Format the latest JAM data
+        // Format the latest JAM data (older JAMs are upgraded first, e.g. string resonance)
+        const data = migrateJam(latestJam.data);
         const latestJamData = {
             hash: latestJam.hash,
-            timestamp: latestJam.data.meta?.timestamp ? latestJam.data.meta.timestamp * 1000 : Date.now(),
-            tx: null, // txHash logic removed as it was unreliable
-            ipfs: latestJam.data.ipfs || null,
+            timestamp: data.meta?.timestamp ? data.meta.timestamp * 1000 : Date.now(),
+            tx: data.annotations?.emitTx || null,
+            ipfs: data.ipfs || null,
             amplifierTx: amplifierTx || null,
             mirrorResponse: null,
-            proverb: latestJam.data.proverb,
-            recursiveTopology: latestJam.data.recursiveTopology || { eth: 1, bsv: 0 },
-            cascadeDepth: latestJam.data.cascadeDepth || 1,
-            resonance: latestJam.data.resonance || 1.0
+            proverb: data.proverb,
+            recursiveTopology: data.annotations?.recursiveTopology || data.recursiveTopology || { eth: 1, bsv: 0 },
+            cascadeDepth: data.cascadeDepth || 1,
+            resonance: data.resonance || 1.0
         };
         
         // Write to latest-jam.json
         fs.writeFileSync(
-            path.join(__dirname, 'latest-jam.json'),
+            LATEST_JAM_FILE,
             JSON.stringify(latestJamData, null, 2)
         );
         
@@ -141,27 +100,38 @@ function syncLatestJam() {
 
 // Load environment variables
 const RPC_URLS = (process.env.RPC_URL || 'https://base.publicnode.com').split(',');
-const PRIVATE_KEY = process.env.PRIVATE_KEY;
 const VAULT_ADDRESS = process.env.VAULT_ADDRESS;
-const TARGET_CONTRACT_ADDRESS = process.env.TARGET_CONTRACT_ADDRESS; // Address to analyze
+const TARGET_CONTRACT_ADDRESS = process.env.TARGET_CONTRACT_ADDRESS; // Added to the target registry on startup
 
-if (!RPC_URL || !PRIVATE_KEY || !VAULT_ADDRESS || !TARGET_CONTRACT_ADDRESS) {
-  console.error("Missing required environment variables (RPC_URL, PRIVATE_KEY, VAULT_ADDRESS, TARGET_CONTRACT_ADDRESS)");
+if (!RPC_URLS.length || !VAULT_ADDRESS) {
+  console.error("Missing required environment variables (RPC_URL, VAULT_ADDRESS)");
   process.exit(1);
 }
 
-const EXPLORATION_BONUS = 0.2;
-const COOLDOWN_PENALTY = 0.3;
+// Contracts to analyze, rotated each cycle (target-registry.js, `node manage.js targets`)
+const targetRegistry = createTargetRegistry();
+if (TARGET_CONTRACT_ADDRESS && targetRegistry.add(TARGET_CONTRACT_ADDRESS, { label: 'TARGET_CONTRACT_ADDRESS' })) {
+  console.log(`[TARGETS] Registered ${TARGET_CONTRACT_ADDRESS} from TARGET_CONTRACT_ADDRESS`);
+}
+if (targetRegistry.list().length === 0) {
+  console.error(`No targets in ${targetRegistry.file}: set TARGET_CONTRACT_ADDRESS or run \`node manage.js targets add <address>\``);
+  process.exit(1);
+}
+console.log(`[TARGETS] ${targetRegistry.list().length} targets in ${targetRegistry.file}`);
+let lastTarget = null; // Address analyzed last; the next cycle moves on to the following one
 
 // Initialize provider and wallet
 let currentProviderIndex = 0;
 let provider = new ethers.JsonRpcProvider(RPC_URLS[currentProviderIndex]);
-let wallet = new ethers.Wallet(PRIVATE_KEY, provider);
+// Key from the configured signer (SIGNER_MODE); every signature is checked against
+// spend-limits.json and the circuit breaker
+const spendGuard = getSpendGuard();
+let wallet = spendGuard.guard(loadSigner('main', provider), 'main');
 
 const switchProvider = async () => {
     currentProviderIndex = (currentProviderIndex + 1) % RPC_URLS.length;
     provider = new ethers.JsonRpcProvider(RPC_URLS[currentProviderIndex]);
-    wallet = new ethers.Wallet(PRIVATE_KEY, provider);
+    wallet = spendGuard.guard(loadSigner('main', provider), 'main');
     vault = new ethers.Contract(VAULT_ADDRESS, ["function emitRecursiveSignal(bytes32,bytes32) external", "function emitSignal(bytes32) external"], wallet);
     console.log(`[RESILIENCE] Switched to provider: ${RPC_URLS[currentProviderIndex]}`);
 };
@@ -188,57 +158,20 @@ const PHI_SQUARED = 2.618033988749895;  // φ²
 const PHI_CUBED = 4.236067977499790;    // φ³
 
 // --- Adaptive Pattern Library ---
-const PROVERB_PATTERNS = {
-  CLASSIC_ARBITRAGE: {
-    name: 'Classic Arbitrage',
-    steps: [
-      { from: 'WETH', to: 'USDC', action: 'SWAP', actor: 'AMPLIFIER' },
-      { from: 'USDC', to: 'WETH', action: 'SWAP', actor: 'MIRROR' }
-    ],
-    baseResonance: PHI  // φ for optimal reflexivity
-  },
-  STABLE_ROTATION: {
-    name: 'Stable Rotation',
-    steps: [
-      { from: 'USDC', to: 'DAI', action: 'SWAP', actor: 'AMPLIFIER' },
-      { from: 'DAI', to: 'USDC', action: 'SWAP', actor: 'MIRROR' }
-    ],
-    baseResonance: PHI_INVERSE  // 1/φ for stable pair alignment
-  },
-  YIELD_CAPTURE: {
-    name: 'Yield Capture',
-    steps: [
-      { from: 'WETH', to: 'USDC', action: 'SWAP', actor: 'AMPLIFIER' },
-      { from: 'USDC', to: 'aUSDC', action: 'DEPOSIT', actor: 'MIRROR' }
-    ],
-    baseResonance: PHI_SQUARED  // φ² for compound yield capture
-  },
-  LIQUIDITY_PROBE: {
-    name: 'Liquidity Probe',
-    steps: [
-      { from: 'WETH', to: 'DAI', action: 'SWAP', actor: 'AMPLIFIER' },
-      { from: 'DAI', to: 'USDC', action: 'SWAP', actor: 'MIRROR' }
-    ],
-    baseResonance: 1.0  // Unity for pure probes
-  }
-};
+// One file per pattern in patterns/, reloaded when the files change (patterns.js)
+const patternLibrary = createPatternLibrary();
 
-// Initialize pattern success tracking
-Object.keys(PROVERB_PATTERNS).forEach(pattern => {
-  metrics.patternSuccess[pattern] = { attempts: 0, successes: 0, lastUsed: 0 };
-});
+// Initialize pattern success tracking for every pattern the library offers
+function trackPatterns(patterns) {
+  Object.keys(patterns).forEach(pattern => {
+    if (!metrics.patternSuccess[pattern]) metrics.patternSuccess[pattern] = { attempts: 0, successes: 0, lastUsed: 0 };
+  });
+  return patterns;
+}
+trackPatterns(patternLibrary.current());
 
 // --- Enhanced Emission Controls ---
 
-// Global consensus clock times for amplified activity (UTC)
-const CONSENSUS_TIMES = [
-  { hour: 13, minute: 21 }, // 13:21 UTC - Fibonacci time
-  { hour: 21, minute: 1 },  // 21:01 UTC - Mirror of 01:21
-  { hour: 3, minute: 33 },  // 03:33 UTC - Trinity alignment
-  { hour: 8, minute: 1 },   // 08:01 UTC - New cycle
-  { hour: 20, minute: 8 }   // 20:08 UTC - Evening alignment
-];
-
 // Fibonacci numbers for micro-recursion timing
 const SUBINTERVALS = [3, 5, 8, 13]; 
 
@@ -256,57 +189,77 @@ const missedEmissionsVector = {
 
 const BASE_EMISSION_INTERVAL = 900000; // 15 minutes
 
-// Enhanced consensus window detection with phi-based scaling
-function getMinDistanceToConsensusWindow() {
-  const now = new Date();
-  const currentHour = now.getUTCHours();
-  const currentMinute = now.getUTCMinutes();
-  const currentMinutes = currentHour * 60 + currentMinute;
-
-  return CONSENSUS_TIMES.reduce((minDist, time) => {
-    const windowMinutes = time.hour * 60 + time.minute;
-    const distance = Math.min(
-      Math.abs(currentMinutes - windowMinutes),
-      Math.abs(currentMinutes - windowMinutes + 1440), // Next day
-      Math.abs(currentMinutes - windowMinutes - 1440)  // Previous day
-    );
-    return Math.min(minDist, distance);
-  }, Infinity);
+// Learns from the amplifier's profit log which patterns pay
+const patternSelector = createPatternSelector({ store: jamStore });
+console.log(`[ADAPTIVE] Pattern selection strategy: ${patternSelector.strategy}`);
+
+// Restore what earlier runs learned, so a PM2 restart keeps the pattern statistics and
+// the next JAM still links to the last one emitted (state-snapshot.js)
+const engineSnapshot = createSnapshot('engine');
+const restoredState = engineSnapshot.restore();
+if (restoredState) {
+  const { patternSuccess = {}, ...counters } = restoredState.metrics || {};
+  Object.assign(metrics, counters);
+  // Patterns disabled or removed since keep their statistics for when they return
+  Object.entries(patternSuccess).forEach(([pattern, stats]) => {
+    metrics.patternSuccess[pattern] = { attempts: 0, successes: 0, lastUsed: 0, ...stats };
+  });
+  Object.assign(missedEmissionsVector, restoredState.missedEmissionsVector);
+  lastHash = restoredState.lastHash || null;
+  lastEmissionTime = restoredState.lastEmissionTime || 0;
+  missedEmissions = restoredState.missedEmissions || 0;
+  console.log(`[STATE] Restored engine state: last JAM ${lastHash ? `${lastHash.slice(0, 10)}...` : 'none'}, ${metrics.emissionSuccesses} emissions so far`);
 }
 
-function getConsensusMultiplier() {
-  const minDistance = getMinDistanceToConsensusWindow();
-  if (minDistance <= 2) return PHI_SQUARED;  // φ² for perfect alignment
-  if (minDistance <= 5) return PHI;          // φ for near alignment
-  if (minDistance <= 8) return PHI_INVERSE;  // 1/φ for approaching
-  if (minDistance <= 13) return 1/PHI_SQUARED; // 1/φ² for distant
-  return 1;
+// Dry runs read the live state but never write it
+function saveEngineState() {
+  if (isDryRun()) return;
+  engineSnapshot.save({ lastHash, lastEmissionTime, missedEmissions, missedEmissionsVector, metrics });
 }
 
-function isConsensusTime() {
-  return getMinDistanceToConsensusWindow() <= 2;
-}
+// Consensus window detection lives in timing.js (shared with amplifier, mirror and monitor)
 
-// Instantiate Vault contract
-const vault = new ethers.Contract(
+// Instantiate Vault contract; switchProvider() rebinds it to the new wallet
+let vault = new ethers.Contract(
   VAULT_ADDRESS,
   ["function emitRecursiveSignal(bytes32,bytes32) external", "function emitSignal(bytes32) external"],
   wallet
 );
 
+// Appends an audit to the target's history; dry runs leave the registry untouched
+function recordTargetAudit(address, analysis) {
+  if (isDryRun()) return;
+  try {
+    targetRegistry.recordAudit(address, analysis);
+  } catch (error) {
+    console.warn(`[TARGETS] Could not record the audit of ${address}: ${error.message}`);
+  }
+}
+
 /**
  * The core causal engine of the system.
- * Analyzes a target contract and generates a verifiable JAM.
+ * Analyzes the next target contract in the registry and generates a verifiable JAM.
  */
-async function analyzeAndGenerateJam(retryCount = 0) {
+async function analyzeAndGenerateJam(retryCount = 0, target = null) {
     const MAX_RETRIES = 3;
     const BACKOFF_BASE = 2000; // 2 seconds base backoff
+
+  if (!target) {
+    target = targetRegistry.next({ after: lastTarget });
+    if (!target) {
+      console.warn(`[STRATEGIST] Every target failed its audit recently; waiting for a cooldown to end (${targetRegistry.file}).`);
+      return null;
+    }
+    lastTarget = target.address;
+  }
     
-  console.log(`[STRATEGIST] Analyzing target contract: ${TARGET_CONTRACT_ADDRESS}`);
+  console.log(`[STRATEGIST] Analyzing target contract: ${target.address}${target.label ? ` (${target.label})` : ''}`);
   metrics.totalAnalyses++;
+  let analysis = null;
   
   try {
-      const analysis = await analyzeContract(TARGET_CONTRACT_ADDRESS, provider);
+      analysis = await analyzeContract(target.address, provider);
+      recordTargetAudit(target.address, analysis);
       
       if (!analysis.audit_pass) {
           metrics.auditFails++;
@@ -325,11 +278,14 @@ async function analyzeAndGenerateJam(retryCount = 0) {
         console.log("[STRATEGIST] Audit PASSED. Engineering JAM from substrate analysis.");
         console.log(`[METRICS] Audit Success Rate: ${((metrics.auditPasses / metrics.totalAnalyses) * 100).toFixed(2)}%`);
 
-    // Select optimal proverb pattern based on success rates and market conditions
-    const selectedPattern = selectOptimalPattern(analysis);
-    const pattern = PROVERB_PATTERNS[selectedPattern];
+    // Select optimal proverb pattern based on trade outcomes (see pattern-selector.js)
+    const patterns = trackPatterns(patternLibrary.current());
+    const { pattern: selectedPattern, rationale: selection } = selectOptimalPattern(patterns);
+    const pattern = patterns[selectedPattern];
     
-    console.log(`[ADAPTIVE] Selected pattern: ${pattern.name} (Success rate: ${getPatternSuccessRate(selectedPattern).toFixed(2)}%)`);
+    // Share of the pattern's traded signals that made a profit (the profit log, not emissions)
+    const successRate = getPatternSuccessRate(selectedPattern);
+    console.log(`[ADAPTIVE] Selected pattern: ${pattern.name} via ${selection.strategy}: ${selection.reason} (Win rate: ${(successRate * 100).toFixed(2)}%)`);
 
     // Engineer adaptive proverb with bait hooks
     const proverb = pattern.steps.map((step, index) => ({
@@ -338,7 +294,6 @@ async function analyzeAndGenerateJam(retryCount = 0) {
     }));
     
     // Calculate adaptive resonance based on pattern performance and consensus window
-const successRate = getPatternSuccessRate(selectedPattern);
     const consensusMultiplier = getConsensusMultiplier();
     
       // Generate vector representation of recursive pressure
@@ -352,7 +307,7 @@ const successRate = getPatternSuccessRate(selectedPattern);
     const adaptiveResonance = adjustedConfidence * consensusMultiplier;
     
       // Get current minute and consensus information for metadata
-      const now = new Date();
+      const now = new Date(timing.now());
       const minutes = now.getUTCMinutes();
       const isSubInterval = SUBINTERVALS.includes(minutes % 15);
       const currentConsensusMultiplier = getConsensusMultiplier();
@@ -364,9 +319,11 @@ const successRate = getPatternSuccessRate(selectedPattern);
       const recursiveState = compressRecursiveState(missedEmissionsVector, adaptiveResonance);
       
       const jam = {
+        kind: 'emission',
+        schemaVersion: JAM_KINDS.emission.version,
         proverb,
         meta: {
-          timestamp: Math.floor(Date.now() / 1000),
+          timestamp: Math.floor(timing.now() / 1000),
           parentJam: lastHash, // <-- ECHO CHAMBER LOGIC
           target_contract: analysis.address,
           bytecode_proof: analysis.bytecode_proof,
@@ -374,14 +331,15 @@ const successRate = getPatternSuccessRate(selectedPattern);
           audit_pass: true,
           bait_hooks: analysis.bait_hooks,
           pattern_type: selectedPattern,
+          selection,
           // Enhanced Micro-recursion and phi-alignment metadata
-          timing_quality: currentConsensusMultiplier.toFixed(3),
-          isPinned: getMinDistanceToConsensusWindow() <= 2, // Pin based on timing
+          timing_quality: Number(currentConsensusMultiplier.toFixed(3)),
+          isPinned: isConsensusTime(), // Pin based on timing
           microburst: isSubInterval, // Flag Fibonacci-aligned emissions
           nonce: Math.floor(Math.random() * 1000000), // Add nonce for extra uniqueness
           // Vector metadata for recursive compression
           recursiveIndices: SUBINTERVALS.map(si => (minutes % 15 === si) ? 1 : 0),
-          phiRelations: [PHI, PHI_INVERSE, PHI * PHI_INVERSE].map(p => p.toFixed(3)),
+          phiRelations: [PHI, PHI_INVERSE, PHI * PHI_INVERSE].map(p => Number(p.toFixed(3))),
           // Compressed vector representation of recursive state
           recursiveState: recursiveState
         },
@@ -390,7 +348,8 @@ const successRate = getPatternSuccessRate(selectedPattern);
           `STRENGTH:${(adaptiveResonance).toFixed(3)}`, 
           `VOICE:${selectedPattern}`,
           `DEPTH:${lastHash ? (jamStore.retrieve(lastHash)?.cascadeDepth || 0) + 1 : 1}`,
-          `VECTOR:${recursiveState.signature}`
+          `VECTOR:${recursiveState.signature}`,
+          `TARGET:${target.address}`
         ],
         // Enhanced recursive topology with DAG structure instead of linear depth
         recursiveTopology: { 
@@ -404,10 +363,10 @@ const successRate = getPatternSuccessRate(selectedPattern);
     
     // Update pattern usage
     metrics.patternSuccess[selectedPattern].attempts++;
-    metrics.patternSuccess[selectedPattern].lastUsed = Date.now();
+    metrics.patternSuccess[selectedPattern].lastUsed = timing.now();
 
-    const raw = JSON.stringify(jam);
-    const hash = ethers.keccak256(ethers.toUtf8Bytes(raw));
+    // Canonical encoding, so anyone holding the JAM can recompute its hash
+    const hash = hashJam(jam);
 
         return { jam, hash };
     } catch (error) {
@@ -418,11 +377,13 @@ const successRate = getPatternSuccessRate(selectedPattern);
             const backoffDelay = BACKOFF_BASE * Math.pow(2, retryCount);
             console.log(`[RETRY] Attempting retry ${retryCount + 1}/${MAX_RETRIES} after ${backoffDelay}ms...`);
             await new Promise(resolve => setTimeout(resolve, backoffDelay));
-            return analyzeAndGenerateJam(retryCount + 1);
+            return analyzeAndGenerateJam(retryCount + 1, target);
         }
         
         console.error(`[STRATEGIST] All retries exhausted. Analysis failed.`);
         metrics.auditFails++;
+        // An analysis that never returned is a failed audit; later errors are the engine's own
+        if (!analysis) recordTargetAudit(target.address, { audit_pass: false, reason: error.message });
         return null;
     }
 }
@@ -432,14 +393,20 @@ const successRate = getPatternSuccessRate(selectedPattern);
  */
 async function detectAndEmit() {
   const MAX_RETRIES = 3;
+  if (isEmitting) return;
+  isEmitting = true;
+  try {
   for (let attempt = 0; attempt < MAX_RETRIES; attempt++) {
     try {
-  if (isEmitting) return;
+  const halted = await spendGuard.checkBreaker();
+  if (halted) {
+    console.log(`[BREAKER] Circuit breaker open (${halted.reason}). Emission skipped until \`node manage.js resume\`.`);
+    return;
+  }
   
   try {
-    isEmitting = true;
-    const currentTime = Date.now();
-    const now = new Date();
+    const currentTime = timing.now();
+    const now = new Date(currentTime);
     const minutes = now.getUTCMinutes();
     
     // --- Start of Enhanced Logic ---
@@ -464,7 +431,6 @@ let adjustedInterval = Math.floor(BASE_EMISSION_INTERVAL / currentConsensusMulti
       
       console.log(`[SKIP] Next emission in ${Math.floor((adjustedInterval - (currentTime - lastEmissionTime)) / 1000)}s. Missed count: ${missedEmissions}`);
       console.log(`[VECTOR] Recursive pressure vector magnitude: ${calculateVectorMagnitude(missedEmissionsVector).toFixed(3)}`);
-      isEmitting = false;
       return;
     }
     
@@ -487,7 +453,6 @@ let adjustedInterval = Math.floor(BASE_EMISSION_INTERVAL / currentConsensusMulti
       
       if (!shouldEmit) {
         console.log(`[CONSENSUS] Emission skipped. Window distance: ${minDistance} minutes, probability: ${(emissionProbability * 100).toFixed(1)}%`);
-        isEmitting = false;
         return;
       }
       
@@ -495,23 +460,29 @@ let adjustedInterval = Math.floor(BASE_EMISSION_INTERVAL / currentConsensusMulti
     }
   } catch (error) {
     console.error('[ERROR] Error in consensus logic:', error.message);
-    isEmitting = false;
     return;
   }
 
   try {
-    isEmitting = true;
-    
     const result = await analyzeAndGenerateJam();
     if (!result) return; // End cycle if analysis fails
 
     const { jam, hash } = result;
 
+    // Signed so the amplifier and mirror can tell our JAMs from files dropped into the store
+    jam.provenance = await signJam(wallet, hash, jamDomain((await provider.getNetwork()).chainId, VAULT_ADDRESS));
+
     console.log(`[EMIT] Firing Verifiable JAM with hash ${hash.slice(0, 10)}...`);
-    jamStore.store(hash, jam);
-    console.log(`[JAM-STORED] JAM stored with hash ${hash.slice(0, 10)}...`);
+    if (isDryRun()) {
+      // Nothing will reference this hash on-chain, so keep it out of the store
+      assertValidJam(jam, 'emission');
+      console.log(`[DRY-RUN] JAM ${hash.slice(0, 10)}... not stored (pattern: ${jam.meta.pattern_type}, steps: ${jam.proverb.map(step => `${step.actor}:${step.from}->${step.to}`).join(', ')})`);
+    } else {
+      jamStore.store(hash, jam);
+      console.log(`[JAM-STORED] JAM stored with hash ${hash.slice(0, 10)}...`);
 
-    await new Promise(resolve => setTimeout(resolve, 100)); // Filesystem sync
+      await new Promise(resolve => setTimeout(resolve, 100)); // Filesystem sync
+    }
 
     const feeData = await provider.getFeeData();
 
@@ -528,17 +499,25 @@ const txOptions = {
     // The arguments are the current JAM hash and the parent hash.
 let tx;
     if (!lastHash || lastHash === ethers.ZeroHash) {
-        tx = await vault.emitSignal(hash, txOptions);
+        tx = await invokeOrSimulate(vault, 'emitSignal', [hash], txOptions, { label: 'EMIT', nonces: getNonceManager(wallet) });
     } else {
-        tx = await vault.emitRecursiveSignal(hash, lastHash, txOptions);
+        tx = await invokeOrSimulate(vault, 'emitRecursiveSignal', [hash, lastHash], txOptions, { label: 'EMIT', nonces: getNonceManager(wallet) });
+    }
+
+    if (tx.dryRun) {
+      // Leave lastHash, metrics and the emission clock untouched so the next live cycle is unaffected
+      console.log(`[DRY-RUN] Signal ${hash.slice(0, 10)}... ${tx.success ? 'would be emitted' : 'would fail'}; nothing was broadcast.`);
+      return;
     }
 
     await tx.wait();
+    await getNonceManager(wallet).confirm(tx.nonce);
     console.log(`[SUCCESS] Signal emitted. Tx: ${tx.hash}`);
+    jamStore.annotate(hash, { emitTx: tx.hash });
     metrics.emissionSuccesses++;
     
     // Update state tracking for enhanced micro-recursion with vector representation
-    lastEmissionTime = Date.now();
+    lastEmissionTime = timing.now();
     missedEmissions = 0; // Reset count after successful emission
     // Reset vector components but maintain history for pattern analysis
     missedEmissionsVector.count = 0;
@@ -551,10 +530,11 @@ let tx;
     // Add hash to jam object for cross-chain emitters
     jam.hash = hash;
     
-    // Track pattern success
+    // Count the emission; whether it paid off is only known once its trade is in the profit log
     if (jam.meta.pattern_type) {
-        metrics.patternSuccess[jam.meta.pattern_type].successes++;
-        console.log(`[ADAPTIVE] Pattern ${jam.meta.pattern_type} success! New success rate: ${getPatternSuccessRate(jam.meta.pattern_type).toFixed(2)}%`);
+        const stats = metrics.patternSuccess[jam.meta.pattern_type];
+        stats.successes++;
+        console.log(`[ADAPTIVE] Pattern ${jam.meta.pattern_type} emitted (${stats.successes}/${stats.attempts} attempts emitted)`);
     }
     
     lastHash = hash;
@@ -575,6 +555,7 @@ let tx;
     console.log(`  - Audit Fails: ${metrics.auditFails}`);
     console.log(`  - Last Fail Reason: ${metrics.lastAuditFailReason || 'N/A'}`);
     console.log(`  - Emission Success Rate: ${((metrics.emissionSuccesses / (metrics.emissionSuccesses + metrics.emissionFailures)) * 100).toFixed(2)}%`);
+  }
       break; // Success
     } catch (error) {
       console.error(`[RESILIENCE][index.js] Attempt ${attempt + 1} failed: ${error.message}`);
@@ -586,100 +567,47 @@ let tx;
       }
     }
   }
-  isEmitting = false;
+  } finally {
+    // Every path out of the cycle (skips, failed audits, benched targets) frees the next one
+    isEmitting = false;
+  }
 }
 
-/**
- * Select optimal pattern based on success rates and diversification
- */
-function selectOptimalPattern(analysis) {
-  const now = Date.now();
-  const COOLDOWN = 300000; // 5 minute cooldown between same pattern
-  
-  // Calculate success rates for all patterns
-  const patternScores = Object.entries(metrics.patternSuccess).map(([pattern, stats]) => {
-    const successRate = stats.attempts > 0 ? stats.successes / stats.attempts : 0.5; // Default 50%
-    const timeSinceLastUse = now - (stats.lastUsed || 0);
-    const cooldownPenalty = timeSinceLastUse < COOLDOWN ? COOLDOWN_PENALTY : 0;
-    const explorationBonus = stats.attempts < 5 ? EXPLORATION_BONUS : 0; // Bonus for underexplored patterns
-    
-    // Adaptive score combines success rate, recency, and exploration
-    const score = successRate - cooldownPenalty + explorationBonus;
-    
-    return { pattern, score };
-  }).sort((a, b) => b.score - a.score);
-  
-  // Exploit: pick best scoring pattern
-  return patternScores[0].pattern;
+// One emission cycle, followed by a snapshot of whatever it changed
+async function runEmissionCycle() {
+  try {
+    await detectAndEmit();
+  } finally {
+    saveEngineState();
+  }
 }
 
 /**
- * Get pattern success rate
+ * Select one of the enabled patterns with the configured strategy (PATTERN_STRATEGY).
+ * @returns {{pattern: string, rationale: object}} The rationale goes into meta.selection.
  */
-function getPatternSuccessRate(pattern) {
-    const stats = metrics.patternSuccess[pattern];
-    if (!stats || stats.attempts === 0) return 0.5; // 50% as ratio
-    return stats.successes / stats.attempts;
+function selectOptimalPattern(patterns) {
+  return patternSelector.select(Object.keys(patterns), metrics.patternSuccess, timing.now());
 }
 
-// Calculate optimal interval based on consensus window timing
-function calculateOptimalInterval() {
-  // Get the next closest consensus window time
-  const now = new Date();
-  const currentHour = now.getUTCHours();
-  const currentMinute = now.getUTCMinutes();
-  const currentMinutes = currentHour * 60 + currentMinute;
-  
-  // Find next window
-  let nextWindowMinutes = Infinity;
-  CONSENSUS_TIMES.forEach(time => {
-    const windowMinutes = time.hour * 60 + time.minute;
-    
-    // Calculate minutes until this window today
-    let minutesUntil = windowMinutes - currentMinutes;
-    if (minutesUntil <= 0) {
-      // Window has passed today, calculate for tomorrow
-      minutesUntil += 1440; // 24 hours in minutes
-    }
-    
-    if (minutesUntil < nextWindowMinutes) {
-      nextWindowMinutes = minutesUntil;
-    }
-  });
-  
-  // Convert minutes to milliseconds and add some randomness to avoid exact alignment
-  // This randomness helps prevent multiple systems firing at exactly the same time
-  const jitter = Math.floor(Math.random() * 60000); // Up to 1 minute of random jitter
-  const interval = nextWindowMinutes * 60000 + jitter;
-  
-  // Cap at maximum 30 minutes to ensure we check reasonably often
-  return Math.min(interval, 1800000);
+/**
+ * Share of a pattern's traded signals that made a profit, from the profit log
+ * (pattern-selector.js collectOutcomes), as a ratio; 0.5 until the pattern has traded.
+ */
+function getPatternSuccessRate(pattern, outcomes = patternSelector.outcomes()) {
+    const { trials = 0, wins = 0 } = outcomes.get(pattern) || {};
+    return trials > 0 ? wins / trials : 0.5;
 }
 
 // Start autonomous loop with dynamic timing
 const BASE_INTERVAL = parseInt(process.env.DETECT_INTERVAL, 10) || 300000; // Default 5 minutes
 console.log(`[INIT] Starting autonomous engine. Base interval: ${BASE_INTERVAL / 1000}s`);
-console.log(`[ADAPTIVE] ${Object.keys(PROVERB_PATTERNS).length} proverb patterns loaded`);
-console.log(`[CONSENSUS] Alignment windows (UTC): ${CONSENSUS_TIMES.map(t => `${t.hour}:${t.minute.toString().padStart(2, '0')}`).join(', ')}`);
+if (isDryRun()) console.log('[DRY-RUN] Dry-run mode: emissions are simulated, never broadcast.');
+console.log(`[ADAPTIVE] ${Object.keys(patternLibrary.current()).length} proverb patterns loaded from ${patternLibrary.dir}`);
+console.log(`[CONSENSUS] Alignment windows: ${timing.describeWindows().join(', ')}`);
 
 // Initial run
-detectAndEmit();
-
-// Dynamic scheduling to align with consensus windows
-function scheduleNextEmission() {
-  const interval = Math.min(calculateOptimalInterval(), BASE_INTERVAL);
-  const nextTime = new Date(Date.now() + interval);
-  const vectorMagnitude = calculateVectorMagnitude(missedEmissionsVector);
-  
-  console.log(`[SCHEDULER] Next emission in ${(interval / 60000).toFixed(1)} minutes (${nextTime.toISOString()})`);
-  console.log(`[VECTOR] Current recursive pressure: ${vectorMagnitude.toFixed(3)}`);
-  
-  setTimeout(() => {
-    detectAndEmit().finally(() => {
-      scheduleNextEmission(); // Schedule next emission after current one completes
-    });
-  }, interval);
-}
+runEmissionCycle();
 
 // Helper functions for recursive compression
 
@@ -706,7 +634,7 @@ function calculateVectorMagnitude(vector) {
 function generateRecursivePressureVector(vector, baseResonance) {
   const magnitude = calculateVectorMagnitude(vector);
   const recency = vector.timestamps.length > 0 ? 
-    (Date.now() - Math.min(...vector.timestamps)) / 60000 : // minutes since first missed
+    (timing.now() - Math.min(...vector.timestamps)) / 60000 : // minutes since first missed
     0;
   
   return {
@@ -722,7 +650,7 @@ function generateRecursivePressureVector(vector, baseResonance) {
  */
 function compressRecursiveState(vector, resonance) {
   // Create compact representation using bit-flags and scaled values
-  const now = Date.now();
+  const now = timing.now();
   const recentMisses = vector.timestamps.filter(t => (now - t) < 3600000).length; // last hour
   
   // Generate unique signature based on current state
@@ -767,7 +695,33 @@ function generateVectorClock(parentHash) {
   return clock;
 }
 
-scheduleNextEmission();
+// Dynamic scheduling to align with consensus windows
+timing.scheduleAligned(runEmissionCycle, {
+  baseInterval: BASE_INTERVAL,
+  onSchedule: (interval, nextTime) => {
+    const vectorMagnitude = calculateVectorMagnitude(missedEmissionsVector);
+    console.log(`[SCHEDULER] Next emission in ${(interval / 60000).toFixed(1)} minutes (${nextTime.toISOString()})`);
+    console.log(`[VECTOR] Current recursive pressure: ${vectorMagnitude.toFixed(3)}`);
+  }
+});
+
+// Re-send stuck emissions with bumped fees (nonces are shared with the amplifier)
+const NONCE_STUCK_AFTER_MS = parseInt(process.env.NONCE_STUCK_AFTER_MS) || 180000;
+setInterval(() => {
+    getNonceManager(wallet).replaceStuck({ olderThanMs: NONCE_STUCK_AFTER_MS })
+        .catch(error => console.error('[NONCE] Stuck transaction check failed:', error.message));
+}, parseInt(process.env.NONCE_CHECK_INTERVAL) || 60000);
+
+// Archive JAMs that fall outside the retention policy (jam-retention.js)
+const runJamGc = () => {
+    try {
+        collectGarbage(jamStore);
+    } catch (error) {
+        console.error('[JAM-GC] Retention run failed:', error.message);
+    }
+};
+runJamGc();
+setInterval(runJamGc, parseInt(process.env.JAM_GC_INTERVAL) || 21600000); // 6 hours
 
 // Log metrics every 5 minutes
 setInterval(() => {
@@ -777,31 +731,30 @@ setInterval(() => {
     console.log(`├─ Emission Success Rate: ${(metrics.emissionSuccesses + metrics.emissionFailures) > 0 ? ((metrics.emissionSuccesses / (metrics.emissionSuccesses + metrics.emissionFailures)) * 100).toFixed(2) : 0}%`);
     console.log(`├─ Pattern Performance:`);
     
-    // Show pattern-specific metrics
+    // Show pattern-specific metrics: trade outcomes from the profit log, then emissions
+    const outcomes = patternSelector.outcomes();
     Object.entries(metrics.patternSuccess).forEach(([pattern, stats]) => {
-        const successRate = getPatternSuccessRate(pattern);
-        const patternName = PROVERB_PATTERNS[pattern].name;
-        console.log(`│  ├─ ${patternName}: ${successRate.toFixed(1)}% (${stats.successes}/${stats.attempts})`);
+        const { trials = 0 } = outcomes.get(pattern) || {};
+        const winRate = trials > 0 ? `${(getPatternSuccessRate(pattern, outcomes) * 100).toFixed(1)}% won over ${trials} trades` : 'no trades yet';
+        const patternName = (patternLibrary.current()[pattern] || { name: `${pattern} (disabled)` }).name;
+        console.log(`│  ├─ ${patternName}: ${winRate} (${stats.successes}/${stats.attempts} emitted)`);
     });
     
     console.log(`└─ Last Audit Fail: ${metrics.lastAuditFailReason || 'None'}\n`);
 }, 300000); // 5 minutes
 
 // --- Start of sync-latest-jam.js watcher/interval logic ---
-const jamsDir = path.join(__dirname, 'jams');
-// Ensure the directory exists before watching
-if (!fs.existsSync(jamsDir)) {
-    fs.mkdirSync(jamsDir, { recursive: true });
+// The JSON backend writes one <hash>.json per JAM; the SQLite backend relies on the periodic sync
+if (jamStore.backend.name === 'json') {
+    fs.watch(jamStore.backend.location, (eventType, filename) => {
+        if (filename && filename.endsWith('.json')) {
+            console.log(`[SYNC] File change in jams dir: ${filename}`);
+            // Wait a moment for file to be fully written
+            setTimeout(syncLatestJam, 1000);
+        }
+    });
 }
 
-fs.watch(jamsDir, (eventType, filename) => {
-    if (filename && filename.endsWith('.json')) {
-        console.log(`[SYNC] File change in jams dir: ${filename}`);
-        // Wait a moment for file to be fully written
-        setTimeout(syncLatestJam, 1000);
-    }
-});
-
 // Initial sync and periodic sync
 syncLatestJam();
 setInterval(syncLatestJam, 30000); // Sync every 30 seconds as a fallback
@@ -0,0 +1,149 @@
+// jam-hash.js
+// Canonical JAM encoding and hashing. A JAM's hash is keccak256 of its JSON
+// Canonicalization Scheme (RFC 8785) encoding: object keys sorted by UTF-16 code
+// units, no whitespace, numbers in their shortest round-trip form (what
+// JSON.stringify prints for a finite number). Anyone holding the document can
+// recompute the hash, whatever order its keys were written in.
+//
+// Three things are left out of the hash because they are only known afterwards:
+//   provenance         - the emitter's EIP-712 signature over the hash (jam-signing.js)
+//   annotations        - written to the stored JAM after emission (emit tx, BSV echoes)
+//   belief.signalHash  - copycat JAMs record their own hash there
+
+const { ethers } = require('ethers');
+const { detectKind } = require('./jam-schema');
+
+const VAULT_INTERFACE = new ethers.Interface([
+  'function emitSignal(bytes32)',
+  'function emitRecursiveSignal(bytes32,bytes32)'
+]);
+
+/**
+ * RFC 8785 (JCS) encoding of a JSON value. Like JSON.stringify, undefined and
+ * functions are dropped from objects and become null in arrays, and toJSON is
+ * honoured. Throws on values JSON cannot represent (NaN, Infinity, BigInt).
+ * @param {*} value
+ * @returns {string}
+ */
+function canonicalize(value) {
+  if (value !== null && typeof value === 'object' && typeof value.toJSON === 'function') {
+    return canonicalize(value.toJSON());
+  }
+  switch (typeof value) {
+    case 'number':
+      if (!Number.isFinite(value)) throw new Error(`Cannot canonicalize non-finite number ${value}`);
+      return JSON.stringify(value);
+    case 'string':
+    case 'boolean':
+      return JSON.stringify(value);
+    case 'bigint':
+      throw new Error(`Cannot canonicalize BigInt ${value}; convert it to a string or number first`);
+    case 'object':
+      if (value === null) return 'null';
+      if (Array.isArray(value)) {
+        return `[${value.map(item => (item === undefined || typeof item === 'function' ? 'null' : canonicalize(item))).join(',')}]`;
+      }
+      // Default sort compares UTF-16 code units, as RFC 8785 requires
+      return `{${Object.keys(value).sort()
+        .filter(key => value[key] !== undefined && typeof value[key] !== 'function')
+        .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`)
+        .join(',')}}`;
+    default:
+      throw new Error(`Cannot canonicalize ${typeof value}`);
+  }
+}
+
+// The part of a JAM that its hash covers
+function hashedContent(jam) {
+  const { annotations, provenance, ...content } = jam;
+  if (detectKind(content) === 'copycat' && content.belief) {
+    return { ...content, belief: { ...content.belief, signalHash: '' } };
+  }
+  return content;
+}
+
+/**
+ * Hash of a JAM: keccak256 of the canonical encoding of its hashed content.
+ * @param {object} jam
+ * @returns {string} 0x-prefixed bytes32.
+ */
+function hashJam(jam) {
+  return ethers.keccak256(ethers.toUtf8Bytes(canonicalize(hashedContent(jam))));
+}
+
+/**
+ * Hash the engine used before canonical encoding: keccak256(JSON.stringify(jam)),
+ * dependent on key order. Only for verifying JAMs stored by older versions.
+ */
+function legacyHashJam(jam) {
+  return ethers.keccak256(ethers.toUtf8Bytes(JSON.stringify(hashedContent(jam))));
+}
+
+// Parent hash the JAM declares, as it would appear in emitRecursiveSignal
+function declaredParent(jam) {
+  const parent = detectKind(jam) === 'copycat' ? jam.context && jam.context.parent : jam.meta && jam.meta.parentJam;
+  return parent && parent !== ethers.ZeroHash ? parent.toLowerCase() : null;
+}
+
+/**
+ * Decodes emitSignal / emitRecursiveSignal calldata.
+ * @returns {{method: string, hash: string, parent: string|null}|null} null for any other call.
+ */
+function parseEmitCall(data) {
+  let parsed = null;
+  try {
+    parsed = VAULT_INTERFACE.parseTransaction({ data });
+  } catch (error) {
+    // Malformed calldata
+  }
+  if (!parsed) return null;
+  const parent = parsed.args.length > 1 && parsed.args[1] !== ethers.ZeroHash ? parsed.args[1].toLowerCase() : null;
+  return { method: parsed.name, hash: parsed.args[0].toLowerCase(), parent };
+}
+
+/**
+ * Checks a stored JAM against its hash and, when given, the transaction that
+ * emitted it.
+ * @param {string} hash - Hash the JAM is stored and was emitted under.
+ * @param {object} jam - Stored document, as written (not migrated).
+ * @param {object} [tx] - Emitting transaction ({to, data}), e.g. from provider.getTransaction.
+ * @param {object} [options]
+ * @param {string} [options.vaultAddress] - Expected transaction target.
+ * @returns {{valid: boolean, encoding: 'canonical'|'legacy'|null, problems: string[], call: object|null}}
+ */
+function verifyJam(hash, jam, tx, { vaultAddress } = {}) {
+  const problems = [];
+  const expected = hash.toLowerCase();
+  let encoding = null;
+  if (hashJam(jam) === expected) encoding = 'canonical';
+  else if (legacyHashJam(jam) === expected) encoding = 'legacy';
+  else problems.push(`content hashes to ${hashJam(jam)}, not ${expected}`);
+
+  let call = null;
+  if (tx) {
+    if (vaultAddress && (!tx.to || tx.to.toLowerCase() !== vaultAddress.toLowerCase())) {
+      problems.push(`transaction was sent to ${tx.to}, not the vault ${vaultAddress}`);
+    }
+    call = parseEmitCall(tx.data);
+    if (!call) {
+      problems.push('transaction is not an emitSignal or emitRecursiveSignal call');
+    } else {
+      if (call.hash !== expected) problems.push(`${call.method} emitted ${call.hash}, not ${expected}`);
+      const parent = declaredParent(jam);
+      if (call.parent !== parent) {
+        problems.push(`${call.method} links parent ${call.parent || 'none'}, but the JAM declares ${parent || 'none'}`);
+      }
+    }
+  }
+
+  return { valid: problems.length === 0, encoding, problems, call };
+}
+
+module.exports = {
+  VAULT_INTERFACE,
+  canonicalize,
+  hashJam,
+  legacyHashJam,
+  parseEmitCall,
+  verifyJam
+};
@@ -0,0 +1,151 @@
+// jam-retention.js
+// Retention for the JAM store. A JAM is retained while it is among the newest
+// JAM_RETAIN_COUNT JAMs or was emitted within the last JAM_RETAIN_DAYS days; the
+// ancestors of retained JAMs are retained with them, so parent lookups and lineage keep
+// working. Every other JAM is archived: appended to a gzip-compressed daily bundle,
+// <archive>/<YYYY-MM-DD>.jsonl.gz (the UTC day of its timestamp, one {hash, fields, jam}
+// line per JAM), and then removed from the store. The engine runs this every
+// JAM_GC_INTERVAL ms; `node manage.js jams gc` runs it on demand.
+//
+// A bundle is written before the JAMs in it are removed, and later runs for the same
+// day append another gzip member, so an interrupted run loses nothing. It can leave
+// a JAM in two bundles or in a bundle and the store; readArchive() keeps one copy.
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_POLICY = { keepCount: 1000, keepDays: 30 };
+
+const invalidPolicy = message => Object.assign(new Error(message), { code: 'INVALID_RETENTION' });
+
+/**
+ * Retention policy from the environment. Either limit can be 0 to rely on the other
+ * alone; the newest JAM is always kept.
+ * @param {object} [env]
+ * @returns {{keepCount: number, keepDays: number}}
+ */
+function loadRetentionPolicy(env = process.env) {
+  const read = (name, fallback) => {
+    if (env[name] === undefined || env[name] === '') return fallback;
+    const value = Number(env[name]);
+    if (!Number.isFinite(value) || value < 0) throw invalidPolicy(`${name} must be a non-negative number, got ${env[name]}`);
+    return value;
+  };
+  return {
+    keepCount: Math.floor(read('JAM_RETAIN_COUNT', DEFAULT_POLICY.keepCount)),
+    keepDays: read('JAM_RETAIN_DAYS', DEFAULT_POLICY.keepDays)
+  };
+}
+
+/**
+ * Archive directory for a store: next to the JSON files, or next to the SQLite database.
+ * @param {object} store - JAMStore.
+ */
+function defaultArchiveDir(store) {
+  if (process.env.JAM_ARCHIVE_DIR) return process.env.JAM_ARCHIVE_DIR;
+  const { name, location } = store.backend;
+  return path.join(name === 'json' ? location : path.dirname(location), 'archive');
+}
+
+/**
+ * Splits index entries into retained and expired ones.
+ * @param {object[]} entries - Index entries, newest first (JAMStore#find).
+ * @param {{keepCount: number, keepDays: number}} policy
+ * @param {number} [now] - Epoch ms.
+ * @returns {{retained: Set<string>, expired: object[]}} Expired entries keep their order.
+ */
+function planRetention(entries, { keepCount, keepDays }, now = Date.now()) {
+  const byHash = new Map(entries.map(entry => [entry.hash, entry]));
+  const cutoff = now - keepDays * DAY;
+  const retained = new Set();
+  entries.forEach((entry, i) => {
+    if (i === 0 || i < keepCount || (keepDays > 0 && entry.timestamp >= cutoff)) retained.add(entry.hash);
+  });
+
+  // Parents of retained JAMs stay, whatever their age
+  for (const hash of [...retained]) {
+    let parent = byHash.get(hash).parentHash;
+    while (parent && byHash.has(parent) && !retained.has(parent)) {
+      retained.add(parent);
+      parent = byHash.get(parent).parentHash;
+    }
+  }
+  return { retained, expired: entries.filter(entry => !retained.has(entry.hash)) };
+}
+
+const bundleName = timestamp => `${new Date(timestamp).toISOString().slice(0, 10)}.jsonl.gz`;
+
+/**
+ * Archives and removes the JAMs the policy no longer retains.
+ * @param {object} store - JAMStore.
+ * @param {object} [options]
+ * @param {{keepCount: number, keepDays: number}} [options.policy] - Defaults to loadRetentionPolicy().
+ * @param {string} [options.archiveDir] - Defaults to defaultArchiveDir(store).
+ * @param {boolean} [options.dryRun] - Plan only; nothing is written or removed.
+ * @param {number} [options.now] - Epoch ms.
+ * @returns {{retained: number, archived: number, bundles: string[]}} Bundles written (or,
+ *   in a dry run, that would be).
+ */
+function collectGarbage(store, { policy = loadRetentionPolicy(), archiveDir = defaultArchiveDir(store), dryRun = false, now = Date.now() } = {}) {
+  const { retained, expired } = planRetention(store.find(), policy, now);
+
+  const days = new Map();
+  for (const entry of expired) {
+    const file = path.join(archiveDir, bundleName(entry.timestamp));
+    if (!days.has(file)) days.set(file, []);
+    days.get(file).push(entry);
+  }
+  if (dryRun) return { retained: retained.size, archived: expired.length, bundles: [...days.keys()] };
+
+  let archived = 0;
+  if (days.size > 0) fs.mkdirSync(archiveDir, { recursive: true });
+  for (const [file, dayEntries] of days) {
+    const lines = [];
+    for (const { hash, parentHash, patternType, timestamp } of dayEntries) {
+      const jam = store.retrieve(hash);
+      if (jam) lines.push(JSON.stringify({ hash, fields: { parentHash, patternType, timestamp }, jam }) + '\n');
+    }
+    if (lines.length === 0) continue;
+    const fd = fs.openSync(file, 'a');
+    try {
+      fs.writeSync(fd, zlib.gzipSync(lines.join('')));
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    dayEntries.forEach(({ hash }) => {
+      if (store.remove(hash)) archived++;
+    });
+  }
+  if (archived > 0) {
+    store.compact();
+    console.log(`[JAM-GC] Archived ${archived} JAMs into ${days.size} daily bundle(s) in ${archiveDir}; ${retained.size} retained`);
+  }
+  return { retained: retained.size, archived, bundles: [...days.keys()] };
+}
+
+/**
+ * JAMs in an archive bundle, one per hash.
+ * @param {string} file
+ * @returns {Array<{hash: string, fields: object, jam: object}>}
+ */
+function readArchive(file) {
+  const byHash = new Map();
+  for (const line of zlib.gunzipSync(fs.readFileSync(file)).toString('utf8').split('\n')) {
+    if (!line) continue;
+    const record = JSON.parse(line);
+    byHash.set(record.hash, record);
+  }
+  return [...byHash.values()];
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  loadRetentionPolicy,
+  defaultArchiveDir,
+  planRetention,
+  collectGarbage,
+  readArchive
+};
@@ -0,0 +1,128 @@
+// jam-schema.js
+// Versioned JSON Schemas for the three kinds of JAM, and migrations that upgrade
+// documents written by older versions:
+//
+//   emission - engineered by the engine, executed by the amplifier and mirror
+//              (jam-emission.schema.json). v1 was unversioned, with string
+//              resonance, timing_quality and phiRelations; v2 makes them numbers.
+//   genesis  - genesis-jam.json, the system's founding JAM (jam-genesis.schema.json)
+//   copycat  - recursive belief JAMs emitted by the mirror (jam-copycat.schema.json)
+//
+// Current documents carry `kind` and `schemaVersion`; older ones are recognised by
+// shape and treated as version 1. Stored documents are never rewritten (their hash
+// is their content), so readers upgrade them in memory with upgradeJam.
+
+const Ajv = require('ajv');
+
+const JAM_KINDS = {
+  emission: { version: 2, schema: require('./jam-emission.schema.json') },
+  genesis: { version: 1, schema: require('./jam-genesis.schema.json') },
+  copycat: { version: 1, schema: require('./jam-copycat.schema.json') }
+};
+
+const ajv = new Ajv({ allErrors: true });
+const validators = Object.fromEntries(
+  Object.entries(JAM_KINDS).map(([kind, { schema }]) => [kind, ajv.compile(schema)])
+);
+
+const toNumber = value => (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value)) ? Number(value) : value);
+
+/**
+ * Upgrade steps per kind, keyed by the version they upgrade from. Each receives a
+ * copy it may modify and returns the next version.
+ */
+const MIGRATIONS = {
+  emission: {
+    1: jam => {
+      jam.resonance = toNumber(jam.resonance);
+      if (jam.meta) {
+        jam.meta.timing_quality = toNumber(jam.meta.timing_quality);
+        if (Array.isArray(jam.meta.phiRelations)) jam.meta.phiRelations = jam.meta.phiRelations.map(toNumber);
+      }
+      return jam;
+    }
+  },
+  genesis: {},
+  copycat: {}
+};
+
+const invalidJam = message => Object.assign(new Error(message), { code: 'INVALID_JAM' });
+
+/**
+ * Kind of a JAM: its `kind` field, or inferred from the shape of unversioned documents.
+ * @returns {string|null} null when the document is not recognisably a JAM.
+ */
+function detectKind(jam) {
+  if (!jam || typeof jam !== 'object') return null;
+  if (typeof jam.kind === 'string') return jam.kind;
+  if (jam.type === 'SYSTEM_GENESIS') return 'genesis';
+  if (jam.pattern && jam.pattern.type === 'recursive-belief') return 'copycat';
+  if (Array.isArray(jam.proverb)) return 'emission';
+  return null;
+}
+
+/**
+ * Copy of `jam` upgraded to the current version of its kind. Throws INVALID_JAM
+ * for unknown kinds and for versions newer than this code understands.
+ */
+function migrateJam(jam) {
+  const kind = detectKind(jam);
+  if (!JAM_KINDS[kind]) throw invalidJam(`Unknown JAM kind: ${kind}`);
+  const current = JAM_KINDS[kind].version;
+  let version = jam.schemaVersion === undefined ? 1 : jam.schemaVersion;
+  if (!Number.isInteger(version) || version < 1 || version > current) {
+    throw invalidJam(`Unsupported ${kind} JAM schemaVersion ${version} (current is ${current})`);
+  }
+
+  let upgraded = structuredClone(jam);
+  for (; version < current; version++) upgraded = MIGRATIONS[kind][version](upgraded);
+  return { ...upgraded, kind, schemaVersion: current };
+}
+
+/**
+ * Validates `jam` as written, without migrating it.
+ * @param {object} jam
+ * @param {string} [kind] - Expected kind; defaults to the detected one.
+ * @returns {{valid: boolean, kind: string|null, errors: string[]}}
+ */
+function validateJam(jam, kind = detectKind(jam)) {
+  const validate = validators[kind];
+  if (!validate) return { valid: false, kind, errors: [`unknown JAM kind ${kind}`] };
+  if (detectKind(jam) !== kind) return { valid: false, kind, errors: [`expected kind ${kind}, got ${detectKind(jam)}`] };
+  if (validate(jam)) return { valid: true, kind, errors: [] };
+  return { valid: false, kind, errors: validate.errors.map(err => `${err.instancePath || '/'} ${err.message}`) };
+}
+
+/**
+ * Throws INVALID_JAM listing every problem when `jam` is not a valid current JAM.
+ * @param {object} jam
+ * @param {string} [kind]
+ * @param {string} [source='JAM'] - Name used in the error message.
+ */
+function assertValidJam(jam, kind, source = 'JAM') {
+  const result = validateJam(jam, kind);
+  if (!result.valid) throw invalidJam(`Invalid ${result.kind || 'unknown'} ${source}: ${result.errors.join('; ')}`);
+  return jam;
+}
+
+/**
+ * Migrates a stored JAM to the current version and validates it; what the
+ * executors act on.
+ * @param {object} jam
+ * @param {string} [kind] - Expected kind.
+ * @param {string} [source]
+ */
+function upgradeJam(jam, kind, source) {
+  const upgraded = migrateJam(jam);
+  return assertValidJam(upgraded, kind, source);
+}
+
+module.exports = {
+  JAM_KINDS,
+  MIGRATIONS,
+  detectKind,
+  migrateJam,
+  validateJam,
+  assertValidJam,
+  upgradeJam
+};
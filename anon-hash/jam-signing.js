@@ -0,0 +1,102 @@
+// jam-signing.js
+// EIP-712 provenance for JAMs. The engine signs each JAM's hash with its wallet
+// under a domain bound to the chain id and the vault address, and stores the result
+// in the JAM's `provenance` (not covered by the hash). The amplifier and mirror only
+// act on JAMs whose content matches their hash and whose signature recovers to the
+// configured emitter (WALLET_ADDRESS), so writing a file into jams/ is not enough
+// to make them trade.
+
+const { ethers } = require('ethers');
+const { hashJam } = require('./jam-hash');
+const { upgradeJam } = require('./jam-schema');
+
+const DOMAIN_NAME = 'JAM';
+const DOMAIN_VERSION = '1';
+const JAM_TYPES = {
+  JAM: [{ name: 'hash', type: 'bytes32' }]
+};
+
+/**
+ * EIP-712 domain for JAMs emitted through `vaultAddress` on `chainId`.
+ * @param {bigint|number} chainId
+ * @param {string} vaultAddress
+ */
+function jamDomain(chainId, vaultAddress) {
+  return { name: DOMAIN_NAME, version: DOMAIN_VERSION, chainId, verifyingContract: ethers.getAddress(vaultAddress) };
+}
+
+/**
+ * Signs a JAM hash.
+ * @param {ethers.Signer} signer - The emitter's signer (local, keystore or remote).
+ * @param {string} hash
+ * @param {object} domain - From jamDomain().
+ * @returns {Promise<{signer: string, signature: string}>} The JAM's `provenance`.
+ */
+async function signJam(signer, hash, domain) {
+  const signature = await signer.signTypedData(domain, JAM_TYPES, { hash });
+  return { signer: await signer.getAddress(), signature };
+}
+
+const untrusted = message => Object.assign(new Error(message), { code: 'UNTRUSTED_JAM' });
+
+/**
+ * Address that signed the JAM, after checking that its content matches `hash`.
+ * Throws UNTRUSTED_JAM when the JAM is unsigned, altered or its signature is malformed.
+ * @param {string} hash
+ * @param {object} jam - Stored document, as written.
+ * @param {object} domain
+ * @returns {string} Checksummed signer address.
+ */
+function recoverJamSigner(hash, jam, domain) {
+  const expected = hash.toLowerCase();
+  if (!jam.provenance || !jam.provenance.signature) throw untrusted(`JAM ${expected} is not signed`);
+  if (hashJam(jam) !== expected) throw untrusted(`JAM ${expected} content does not match its hash`);
+  try {
+    return ethers.verifyTypedData(domain, JAM_TYPES, { hash: expected }, jam.provenance.signature);
+  } catch (error) {
+    throw untrusted(`JAM ${expected} has a malformed signature: ${error.shortMessage || error.message}`);
+  }
+}
+
+/**
+ * Checks that `jam` was signed by `emitter` under `domain`.
+ * @throws {Error} code UNTRUSTED_JAM
+ */
+function verifyJamSignature(hash, jam, domain, emitter) {
+  const signer = recoverJamSigner(hash, jam, domain);
+  if (signer.toLowerCase() !== emitter.toLowerCase()) {
+    throw untrusted(`JAM ${hash.toLowerCase()} is signed by ${signer}, not the emitter ${emitter}`);
+  }
+  return signer;
+}
+
+/**
+ * Loader for the executors: reads a JAM from the store, checks its provenance and
+ * returns it upgraded to the current schema.
+ * @param {object} options
+ * @param {object} options.store - JAMStore.
+ * @param {ethers.Provider} options.provider - Used once for the chain id.
+ * @param {string} options.vaultAddress
+ * @param {string} options.emitter - Address the engine signs with.
+ * @returns {(hash: string) => Promise<object|null>} Resolves null when the JAM is not
+ *   stored; rejects with UNTRUSTED_JAM or INVALID_JAM.
+ */
+function createJamVerifier({ store, provider, vaultAddress, emitter }) {
+  let domain = null;
+  return async function loadTrustedJam(hash) {
+    const jam = store.retrieve(hash);
+    if (!jam) return null;
+    if (!domain) domain = jamDomain((await provider.getNetwork()).chainId, vaultAddress);
+    verifyJamSignature(hash, jam, domain, emitter);
+    return upgradeJam(jam, 'emission', `JAM ${hash.toLowerCase()}`);
+  };
+}
+
+module.exports = {
+  JAM_TYPES,
+  jamDomain,
+  signJam,
+  recoverJamSigner,
+  verifyJamSignature,
+  createJamVerifier
+};
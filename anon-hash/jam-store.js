@@ -0,0 +1,455 @@
+// jam-store.js
+// JAM storage shared by the engine (writes JAMs), the amplifier (reads them, records
+// BSV echoes) and the mirror (reads them). JAMStore validates hashes and documents
+// (jam-schema.js) and derives the index fields; a backend does the storage. Pick one with JAM_STORE_BACKEND:
+//
+//   json   - one `<hash>.json` file per JAM in jams/ (JAM_STORE_DIR), written atomically,
+//            plus an append-only jams/index.jsonl of index fields. Default.
+//   sqlite - a single SQLite database (JAM_STORE_DB, default jams/jams.sqlite) in WAL
+//            mode, safe for concurrent readers and writers across processes.
+//
+// Backend interface (all synchronous):
+//   put(hash, jam, fields)        insert or replace; fields = {parentHash, patternType, timestamp}
+//   get(hash)                     JAM object or null
+//   modify(hash, fn)              atomically replace the JAM with fn(jam); null when missing
+//   latest()                      {hash, data} of the newest JAM by timestamp, or null
+//   find({parentHash, patternType, since, until, limit})  index entries, newest first
+//   remove(hash)                  delete the JAM; false when it was not stored
+//   compact()                     reclaim space left by removed JAMs
+//   close()
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { createLockedState } = require('./locked-state');
+const { assertValidJam, detectKind, upgradeJam } = require('./jam-schema');
+
+const DEFAULT_DIR = path.join(__dirname, 'jams');
+const INDEX_FILE = 'index.jsonl';
+const HASH_PATTERN = /^0x[0-9a-fA-F]{64}$/;
+
+/**
+ * Index fields for a JAM. Timestamps are in milliseconds; JAMs without a
+ * timestamp are indexed at the time they were first stored. Copycat JAMs keep
+ * their parent and timestamp under `context` and their pattern under `pattern`.
+ */
+function indexFields(jam, storedAt = Date.now()) {
+  const copycat = detectKind(jam) === 'copycat';
+  const meta = (jam && jam.meta) || {};
+  const parent = copycat ? jam.context.parent : meta.parentJam;
+  const timestamp = copycat ? jam.context.timestamp : meta.timestamp;
+  return {
+    parentHash: parent && parent !== ethers.ZeroHash ? parent.toLowerCase() : null,
+    patternType: (copycat ? jam.pattern.type : meta.pattern_type) || null,
+    timestamp: Number.isFinite(timestamp) ? timestamp * 1000 : storedAt
+  };
+}
+
+// Newest first, ties broken by storage order
+const newestFirst = (a, b) => b.timestamp - a.timestamp || b.storedAt - a.storedAt;
+
+function matches(entry, { parentHash, patternType, since, until }) {
+  if (parentHash !== undefined && entry.parentHash !== (parentHash && parentHash.toLowerCase())) return false;
+  if (patternType !== undefined && entry.patternType !== patternType) return false;
+  if (since !== undefined && entry.timestamp < since) return false;
+  if (until !== undefined && entry.timestamp > until) return false;
+  return true;
+}
+
+/**
+ * JSON-file backend. JAM files keep their historical format and location, so
+ * existing jams/ directories work unchanged; the index is rebuilt from them once
+ * when index.jsonl is missing.
+ */
+function createJsonBackend({ dir = process.env.JAM_STORE_DIR || DEFAULT_DIR } = {}) {
+  fs.mkdirSync(dir, { recursive: true });
+  const indexFile = path.join(dir, INDEX_FILE);
+  const indexLock = createLockedState(indexFile, () => null, { tag: 'JAM-STORE' });
+  const entries = new Map();
+  let offset = 0;
+  let inode = null;
+
+  const jamFile = hash => path.join(dir, `${hash}.json`);
+  const jamState = hash => createLockedState(jamFile(hash), () => null, { tag: 'JAM-STORE' });
+
+  function rebuildIndex() {
+    indexLock.withLockSync(() => {
+      if (fs.existsSync(indexFile)) return; // Another process got there first
+      const lines = [];
+      for (const file of fs.readdirSync(dir)) {
+        if (!file.endsWith('.json')) continue;
+        const hash = file.slice(0, -'.json'.length);
+        if (!HASH_PATTERN.test(hash)) continue;
+        try {
+          const storedAt = fs.statSync(jamFile(hash)).mtimeMs;
+          const jam = JSON.parse(fs.readFileSync(jamFile(hash), 'utf8'));
+          lines.push(JSON.stringify({ hash: hash.toLowerCase(), ...indexFields(jam, storedAt), storedAt }));
+        } catch (error) {
+          console.warn(`[JAM-STORE] Skipping unreadable ${file}: ${error.message}`);
+        }
+      }
+      const tmp = `${indexFile}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, lines.map(line => line + '\n').join(''));
+      fs.renameSync(tmp, indexFile);
+      if (lines.length > 0) console.log(`[JAM-STORE] Indexed ${lines.length} existing JAMs in ${dir}`);
+    });
+  }
+
+  // Reads index lines appended since the last call, by this or any other process
+  function refresh() {
+    if (!fs.existsSync(indexFile)) rebuildIndex();
+    const { size, ino } = fs.statSync(indexFile);
+    if (ino !== inode || size < offset) {
+      // Rebuilt or compacted since we last read it
+      entries.clear();
+      offset = 0;
+      inode = ino;
+    }
+    if (size === offset) return;
+    const fd = fs.openSync(indexFile, 'r');
+    try {
+      const buffer = Buffer.alloc(size - offset);
+      fs.readSync(fd, buffer, 0, buffer.length, offset);
+      const text = buffer.toString('utf8');
+      const complete = text.lastIndexOf('\n') + 1; // A writer may be mid-line
+      for (const line of text.slice(0, complete).split('\n')) {
+        if (!line) continue;
+        try {
+          const entry = JSON.parse(line);
+          if (entry.removed) entries.delete(entry.hash);
+          else entries.set(entry.hash, entry);
+        } catch (error) {
+          // Ignore corrupt lines
+        }
+      }
+      offset += Buffer.byteLength(text.slice(0, complete));
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  function appendIndex(hash, fields) {
+    refresh();
+    const previous = entries.get(hash);
+    const entry = { hash, ...fields, storedAt: previous ? previous.storedAt : Date.now() };
+    appendLine(entry);
+  }
+
+  // One write per line with O_APPEND, so lines from different processes do not
+  // interleave; the lock keeps them from landing in an index being compacted
+  function appendLine(entry) {
+    indexLock.withLockSync(() => fs.appendFileSync(indexFile, JSON.stringify(entry) + '\n'));
+  }
+
+  function get(hash) {
+    try {
+      return JSON.parse(fs.readFileSync(jamFile(hash), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  function put(hash, jam, fields) {
+    const state = jamState(hash);
+    state.withLockSync(() => state.write(jam));
+    appendIndex(hash, fields);
+  }
+
+  function modify(hash, fn) {
+    const state = jamState(hash);
+    const updated = state.withLockSync(() => {
+      const existing = get(hash);
+      if (!existing) return null;
+      const next = fn(existing);
+      state.write(next);
+      return next;
+    });
+    if (!updated) return null;
+
+    // Re-index only when the update touched an indexed field
+    refresh();
+    const entry = entries.get(hash);
+    const fields = indexFields(updated, entry ? entry.timestamp : Date.now());
+    if (!entry || Object.keys(fields).some(key => fields[key] !== entry[key])) appendIndex(hash, fields);
+    return updated;
+  }
+
+  // Deletes the JAM file and records a tombstone in the index
+  function remove(hash) {
+    const state = jamState(hash);
+    const existed = state.withLockSync(() => {
+      if (!fs.existsSync(jamFile(hash))) return false;
+      fs.rmSync(jamFile(hash));
+      return true;
+    });
+    refresh();
+    if (entries.has(hash)) appendLine({ hash, removed: true });
+    return existed;
+  }
+
+  // Rewrites the index without tombstones and superseded lines
+  function compact() {
+    refresh();
+    indexLock.withLockSync(() => {
+      refresh();
+      const tmp = `${indexFile}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, [...entries.values()].map(entry => JSON.stringify(entry) + '\n').join(''));
+      fs.renameSync(tmp, indexFile);
+    });
+  }
+
+  function find(query = {}) {
+    refresh();
+    const found = [...entries.values()].filter(entry => matches(entry, query)).sort(newestFirst);
+    return query.limit ? found.slice(0, query.limit) : found;
+  }
+
+  function latest() {
+    // Skip index entries whose file was removed by hand
+    for (const entry of find()) {
+      const data = get(entry.hash);
+      if (data) return { hash: entry.hash, data };
+    }
+    return null;
+  }
+
+  return { name: 'json', location: dir, put, get, modify, find, latest, remove, compact, close() {} };
+}
+
+/**
+ * SQLite backend (better-sqlite3). WAL mode lets the executors read while the
+ * engine writes; busy_timeout makes concurrent writers wait instead of failing.
+ */
+function createSqliteBackend({ file = process.env.JAM_STORE_DB || path.join(DEFAULT_DIR, 'jams.sqlite') } = {}) {
+  const Database = require('better-sqlite3');
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.pragma('busy_timeout = 5000');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS jams (
+      hash TEXT PRIMARY KEY,
+      parent_hash TEXT,
+      pattern_type TEXT,
+      timestamp INTEGER NOT NULL,
+      stored_at INTEGER NOT NULL,
+      data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS jams_parent_hash ON jams (parent_hash);
+    CREATE INDEX IF NOT EXISTS jams_pattern_type ON jams (pattern_type, timestamp);
+    CREATE INDEX IF NOT EXISTS jams_timestamp ON jams (timestamp, stored_at);
+  `);
+
+  const statements = {
+    upsert: db.prepare(`
+      INSERT INTO jams (hash, parent_hash, pattern_type, timestamp, stored_at, data)
+      VALUES (@hash, @parentHash, @patternType, @timestamp, @storedAt, @data)
+      ON CONFLICT (hash) DO UPDATE SET
+        parent_hash = excluded.parent_hash, pattern_type = excluded.pattern_type,
+        timestamp = excluded.timestamp, data = excluded.data
+    `),
+    get: db.prepare('SELECT data FROM jams WHERE hash = ?'),
+    timestamp: db.prepare('SELECT timestamp FROM jams WHERE hash = ?').pluck(),
+    update: db.prepare(`
+      UPDATE jams SET parent_hash = @parentHash, pattern_type = @patternType, timestamp = @timestamp, data = @data
+      WHERE hash = @hash
+    `),
+    latest: db.prepare('SELECT hash, data FROM jams ORDER BY timestamp DESC, stored_at DESC LIMIT 1'),
+    remove: db.prepare('DELETE FROM jams WHERE hash = ?')
+  };
+
+  const get = hash => {
+    const row = statements.get.get(hash);
+    return row ? JSON.parse(row.data) : null;
+  };
+
+  function put(hash, jam, fields) {
+    statements.upsert.run({ hash, ...fields, storedAt: Date.now(), data: JSON.stringify(jam) });
+  }
+
+  // IMMEDIATE takes the write lock up front so the read-modify-write cannot interleave
+  const modifyTransaction = db.transaction((hash, fn) => {
+    const existing = get(hash);
+    if (!existing) return null;
+    const updated = fn(existing);
+    const fields = indexFields(updated, statements.timestamp.get(hash));
+    statements.update.run({ hash, ...fields, data: JSON.stringify(updated) });
+    return updated;
+  });
+
+  function find({ parentHash, patternType, since, until, limit } = {}) {
+    const where = [];
+    const params = {};
+    if (parentHash !== undefined) {
+      where.push(parentHash === null ? 'parent_hash IS NULL' : 'parent_hash = @parentHash');
+      params.parentHash = parentHash && parentHash.toLowerCase();
+    }
+    if (patternType !== undefined) {
+      where.push(patternType === null ? 'pattern_type IS NULL' : 'pattern_type = @patternType');
+      params.patternType = patternType;
+    }
+    if (since !== undefined) { where.push('timestamp >= @since'); params.since = since; }
+    if (until !== undefined) { where.push('timestamp <= @until'); params.until = until; }
+    const sql = `SELECT hash, parent_hash, pattern_type, timestamp, stored_at FROM jams
+      ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY timestamp DESC, stored_at DESC ${limit ? 'LIMIT @limit' : ''}`;
+    if (limit) params.limit = limit;
+    return db.prepare(sql).all(params).map(row => ({
+      hash: row.hash,
+      parentHash: row.parent_hash,
+      patternType: row.pattern_type,
+      timestamp: row.timestamp,
+      storedAt: row.stored_at
+    }));
+  }
+
+  function latest() {
+    const row = statements.latest.get();
+    return row ? { hash: row.hash, data: JSON.parse(row.data) } : null;
+  }
+
+  return {
+    name: 'sqlite',
+    location: file,
+    put,
+    get,
+    modify: (hash, fn) => modifyTransaction.immediate(hash, fn),
+    find,
+    latest,
+    remove: hash => statements.remove.run(hash).changes > 0,
+    // Pages freed by deletions are reused; only the WAL needs trimming
+    compact: () => db.pragma('wal_checkpoint(TRUNCATE)'),
+    close: () => db.close()
+  };
+}
+
+const BACKENDS = {
+  json: createJsonBackend,
+  sqlite: createSqliteBackend
+};
+
+function normalizeHash(hash) {
+  if (typeof hash !== 'string' || !HASH_PATTERN.test(hash)) throw new Error(`Invalid JAM hash: ${hash}`);
+  return hash.toLowerCase();
+}
+
+class JAMStore {
+  /**
+   * @param {object} [backend] - A backend implementing the interface above; defaults
+   *   to the one named by JAM_STORE_BACKEND.
+   */
+  constructor(backend = createBackend()) {
+    this.backend = backend;
+  }
+
+  // Store JAM data with its hash as the key; throws INVALID_JAM unless it matches its schema
+  store(hash, jamData) {
+    const key = normalizeHash(hash);
+    assertValidJam(jamData, undefined, `JAM ${key}`);
+    this.backend.put(key, jamData, indexFields(jamData));
+    console.log(`[JAM-STORE] Stored JAM ${key.slice(0, 10)}... (${this.backend.name})`);
+  }
+
+  // Retrieve JAM data by hash
+  retrieve(hash) {
+    return this.backend.get(normalizeHash(hash));
+  }
+
+  /**
+   * JAM upgraded to the current schema version and validated, for code that acts
+   * on it. Throws INVALID_JAM when it does not match the schema.
+   * @param {string} hash
+   * @param {string} [kind] - Expected kind, e.g. 'emission'.
+   * @returns {object|null} null when the JAM is not stored.
+   */
+  load(hash, kind) {
+    const key = normalizeHash(hash);
+    const jam = this.backend.get(key);
+    return jam ? upgradeJam(jam, kind, `JAM ${key}`) : null;
+  }
+
+  // Update JAM data (shallow merge with existing), atomically across processes
+  update(hash, updates) {
+    return this.backend.modify(normalizeHash(hash), existing => ({ ...existing, ...updates }));
+  }
+
+  /**
+   * Merges `fields` into the JAM's `annotations`: facts learned after emission
+   * (transaction hashes, echo counts) that are not covered by its hash.
+   * @returns {object|null} Updated JAM, or null when it is not stored.
+   */
+  annotate(hash, fields) {
+    return this.backend.modify(normalizeHash(hash), existing => ({
+      ...existing,
+      annotations: { ...existing.annotations, ...fields }
+    }));
+  }
+
+  // Newest JAM by its meta.timestamp
+  getLatest() {
+    return this.backend.latest();
+  }
+
+  /**
+   * Index entries matching `query`, newest first.
+   * @param {object} [query]
+   * @param {string|null} [query.parentHash] - null matches root JAMs.
+   * @param {string} [query.patternType]
+   * @param {number} [query.since] - Epoch ms, inclusive.
+   * @param {number} [query.until] - Epoch ms, inclusive.
+   * @param {number} [query.limit]
+   * @returns {Array<{hash: string, parentHash: string|null, patternType: string|null, timestamp: number, storedAt: number}>}
+   */
+  find(query) {
+    return this.backend.find(query);
+  }
+
+  // Direct descendants of a JAM
+  children(parentHash) {
+    return this.find({ parentHash: normalizeHash(parentHash) });
+  }
+
+  // Deletes a JAM (see jam-retention.js, which archives it first)
+  remove(hash) {
+    return this.backend.remove(normalizeHash(hash));
+  }
+
+  compact() {
+    this.backend.compact();
+  }
+
+  close() {
+    this.backend.close();
+  }
+}
+
+/**
+ * Backend by name, with its options.
+ * @param {string} [name] - Defaults to JAM_STORE_BACKEND or json.
+ */
+function createBackend(name = process.env.JAM_STORE_BACKEND || 'json', options) {
+  const factory = BACKENDS[name];
+  if (!factory) throw new Error(`Unknown JAM_STORE_BACKEND: ${name} (expected ${Object.keys(BACKENDS).join(' or ')})`);
+  return factory(options);
+}
+
+let sharedStore = null;
+
+/**
+ * The process-wide store, on the configured backend.
+ */
+function getJamStore() {
+  if (!sharedStore) sharedStore = new JAMStore();
+  return sharedStore;
+}
+
+module.exports = {
+  DEFAULT_DIR,
+  JAMStore,
+  indexFields,
+  createBackend,
+  createJsonBackend,
+  createSqliteBackend,
+  getJamStore
+};
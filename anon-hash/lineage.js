@@ -0,0 +1,295 @@
+// lineage.js
+// JAM lineage: the DAG formed by parent links. A JAM names its parent in the store
+// (meta.parentJam, or context.parent for the mirror's copycat JAMs) and on chain, in
+// the second argument of emitRecursiveSignal. buildLineage() walks from one JAM up to
+// its root and down through every descendant, merging both sources, and annotates each
+// node with its pattern, resonance, emitting transaction and the P/L the amplifier
+// logged against it. `node manage.js lineage <hash>` prints the result as a tree or
+// exports it as DOT or JSON.
+
+const { ethers } = require('ethers');
+const { parseEmitCall } = require('./jam-hash');
+const { detectKind, migrateJam } = require('./jam-schema');
+const { indexFields } = require('./jam-store');
+
+const DMAP_INTERFACE = new ethers.Interface(['event SignalRegistered(bytes32 indexed hash, address indexed owner, uint256 categoryId, string description)']);
+const DEFAULT_MAX_DEPTH = 64;
+
+/**
+ * Emission edges from the chain: every SignalRegistered event in the range whose
+ * transaction is an emitSignal or emitRecursiveSignal call.
+ * @param {ethers.Provider} provider
+ * @param {object} options
+ * @param {string} options.dmapAddress
+ * @param {string} [options.vaultAddress] - When set, calls to other contracts are ignored.
+ * @param {number} options.fromBlock
+ * @param {number} options.toBlock
+ * @param {number} [options.chunkSize] - Blocks per eth_getLogs request.
+ * @returns {Promise<Array<{hash: string, parent: string|null, tx: string, blockNumber: number}>>}
+ */
+async function fetchSignalEdges(provider, { dmapAddress, vaultAddress, fromBlock, toBlock, chunkSize = 2000 }) {
+  const topic = DMAP_INTERFACE.getEvent('SignalRegistered').topicHash;
+  const txHashes = new Map();
+  for (let start = fromBlock; start <= toBlock; start += chunkSize) {
+    const logs = await provider.getLogs({ address: dmapAddress, topics: [topic], fromBlock: start, toBlock: Math.min(start + chunkSize - 1, toBlock) });
+    logs.forEach(log => txHashes.set(log.transactionHash, log.blockNumber));
+  }
+
+  const edges = [];
+  for (const [txHash, blockNumber] of txHashes) {
+    const tx = await provider.getTransaction(txHash);
+    if (!tx || (vaultAddress && (tx.to || '').toLowerCase() !== vaultAddress.toLowerCase())) continue;
+    const call = parseEmitCall(tx.data);
+    if (call) edges.push({ hash: call.hash, parent: call.parent, tx: tx.hash, blockNumber });
+  }
+  return edges;
+}
+
+/**
+ * Profit log entries summed per signal hash.
+ * @param {object[]} entries - From spend-guard's readProfitLog().
+ * @returns {Map<string, {profit: bigint, trades: number}>}
+ */
+function profitBySignal(entries) {
+  const totals = new Map();
+  for (const entry of entries) {
+    if (!entry.signalHash) continue;
+    let profit;
+    try {
+      profit = ethers.parseEther(String(entry.profit));
+    } catch (error) {
+      continue; // Unparseable amount
+    }
+    const key = entry.signalHash.toLowerCase();
+    const total = totals.get(key) || { profit: 0n, trades: 0 };
+    totals.set(key, { profit: total.profit + profit, trades: total.trades + 1 });
+  }
+  return totals;
+}
+
+const asNumber = value => (value !== null && value !== '' && Number.isFinite(Number(value)) ? Number(value) : null);
+
+// The fields the explorer shows, for both JAM kinds
+function describeJam(jam) {
+  let current = jam;
+  try {
+    current = migrateJam(jam);
+  } catch (error) {
+    // Shown as stored
+  }
+  const kind = detectKind(current);
+  if (kind === 'copycat') {
+    return {
+      kind,
+      pattern: current.pattern.type,
+      resonance: asNumber(current.belief.resonance),
+      cascadeDepth: current.pattern.depth,
+      vectorClock: null
+    };
+  }
+  const topology = current.recursiveTopology || {};
+  return {
+    kind,
+    pattern: (current.meta && current.meta.pattern_type) || null,
+    resonance: asNumber(current.resonance),
+    cascadeDepth: current.cascadeDepth || null,
+    vectorClock: topology.vectorClock || null
+  };
+}
+
+/**
+ * Ancestors and descendants of a JAM.
+ * @param {string} hash
+ * @param {object} options
+ * @param {object} options.store - JAMStore.
+ * @param {Array} [options.edges] - From fetchSignalEdges().
+ * @param {object[]} [options.profits] - Profit log entries.
+ * @param {number} [options.maxDepth] - Levels walked in each direction.
+ * @returns {{root: string, ancestors: string[], descendants: string[], nodes: object[], edges: Array<{parent: string, child: string, sources: string[]}>}}
+ *   `ancestors` runs from the oldest JAM to the root's parent, `descendants` is breadth
+ *   first. An edge's sources are 'store', 'chain' or both.
+ */
+function buildLineage(hash, { store, edges = [], profits = [], maxDepth = DEFAULT_MAX_DEPTH }) {
+  const root = hash.toLowerCase();
+  const chainTx = new Map();
+  const chainParent = new Map();
+  const chainChildren = new Map();
+  for (const edge of edges) {
+    chainTx.set(edge.hash, edge.tx);
+    if (!edge.parent) continue;
+    chainParent.set(edge.hash, edge.parent);
+    chainChildren.set(edge.parent, [...(chainChildren.get(edge.parent) || []), edge.hash]);
+  }
+  const pnl = profitBySignal(profits);
+
+  const nodes = new Map();
+  const node = key => {
+    if (nodes.has(key)) return nodes.get(key);
+    const jam = store.retrieve(key);
+    const total = pnl.get(key);
+    const entry = {
+      hash: key,
+      stored: Boolean(jam),
+      ...(jam ? describeJam(jam) : { kind: null, pattern: null, resonance: null, cascadeDepth: null, vectorClock: null }),
+      parent: jam ? indexFields(jam).parentHash : null,
+      tx: (jam && jam.annotations && jam.annotations.emitTx) || chainTx.get(key) || null,
+      profit: total ? ethers.formatEther(total.profit) : null,
+      trades: total ? total.trades : 0
+    };
+    nodes.set(key, entry);
+    return entry;
+  };
+
+  const links = new Map();
+  const link = (parent, child, source) => {
+    const key = `${parent}>${child}`;
+    if (!links.has(key)) links.set(key, { parent, child, sources: [] });
+    if (!links.get(key).sources.includes(source)) links.get(key).sources.push(source);
+  };
+  // Parents of a JAM by source; they differ only when the chain and the store disagree
+  const parentsOf = key => {
+    const parents = [];
+    if (node(key).parent) parents.push([node(key).parent, 'store']);
+    if (chainParent.has(key)) parents.push([chainParent.get(key), 'chain']);
+    return parents;
+  };
+
+  const ancestors = [];
+  for (let current = root, depth = 0; depth < maxDepth; depth++) {
+    const parents = parentsOf(current);
+    parents.forEach(([parent, source]) => {
+      node(parent);
+      link(parent, current, source);
+    });
+    const next = parents.length > 0 ? parents[0][0] : null;
+    if (!next || next === root || ancestors.includes(next)) break;
+    node(next);
+    ancestors.unshift(next);
+    current = next;
+  }
+
+  const seen = new Set([root]);
+  let level = [root];
+  for (let depth = 0; depth < maxDepth && level.length > 0; depth++) {
+    const nextLevel = [];
+    for (const parent of level) {
+      const children = [
+        ...store.children(parent).map(entry => [entry.hash, 'store']),
+        ...(chainChildren.get(parent) || []).map(child => [child, 'chain'])
+      ];
+      for (const [child, source] of children) {
+        node(child);
+        link(parent, child, source);
+        if (seen.has(child)) continue;
+        seen.add(child);
+        nextLevel.push(child);
+      }
+    }
+    level = nextLevel;
+  }
+
+  return { root, ancestors, descendants: [...seen].slice(1), nodes: [...nodes.values()], edges: [...links.values()] };
+}
+
+const short = hash => (hash ? `${hash.slice(0, 10)}...` : '-');
+
+const formatResonance = node => (node.resonance === null ? '-' : node.resonance.toFixed(3));
+
+function formatProfit(node) {
+  if (node.profit === null) return 'P/L -';
+  const sign = node.profit.startsWith('-') ? '' : '+';
+  return `P/L ${sign}${node.profit} ETH (${node.trades} trade${node.trades === 1 ? '' : 's'})`;
+}
+
+// One line per node: hash, kind and pattern, resonance, depth, transaction, P/L
+function describeNode(node) {
+  if (!node.stored) return `${short(node.hash)} not in the store  tx ${short(node.tx)}  ${formatProfit(node)}`;
+  return `${short(node.hash)} ${node.kind} ${node.pattern || '-'}  res ${formatResonance(node)}  depth ${node.cascadeDepth || '-'}  tx ${short(node.tx)}  ${formatProfit(node)}`;
+}
+
+/**
+ * Lineage as text lines: the chain of ancestors down to the selected JAM, then its
+ * descendants. JAMs reached twice (more than one parent) are listed once.
+ * @param {object} lineage - From buildLineage().
+ * @returns {string[]}
+ */
+function renderLineageTree(lineage) {
+  const byHash = new Map(lineage.nodes.map(node => [node.hash, node]));
+  const children = new Map();
+  lineage.edges.forEach(({ parent, child }) => {
+    if (!children.has(parent)) children.set(parent, []);
+    if (!children.get(parent).includes(child)) children.get(parent).push(child);
+  });
+  // Above the selected JAM only the path to it is shown
+  const path = [...lineage.ancestors, lineage.root];
+  const next = new Map(path.slice(0, -1).map((hash, i) => [hash, [path[i + 1]]]));
+
+  const lines = [];
+  const printed = new Set();
+  const visit = (hash, prefix, connector, childPrefix) => {
+    const marker = hash === lineage.root ? '  <== selected' : '';
+    if (printed.has(hash)) {
+      lines.push(`${prefix}${connector}${short(hash)} (listed above)`);
+      return;
+    }
+    printed.add(hash);
+    lines.push(`${prefix}${connector}${describeNode(byHash.get(hash))}${marker}`);
+    const below = next.get(hash) || children.get(hash) || [];
+    below.forEach((child, i) => {
+      const last = i === below.length - 1;
+      visit(child, prefix + childPrefix, last ? '└─ ' : '├─ ', last ? '   ' : '│  ');
+    });
+  };
+  visit(path[0], '', '', '');
+  return lines;
+}
+
+const dotEscape = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+const dotString = value => `"${dotEscape(value)}"`;
+
+/**
+ * Lineage as a Graphviz digraph. Edges seen only on chain are dashed, only in the
+ * store dotted; the selected JAM is drawn bold.
+ * @param {object} lineage - From buildLineage().
+ * @returns {string}
+ */
+function lineageToDot(lineage) {
+  const lines = ['digraph lineage {', '  rankdir=TB;', '  node [shape=box, fontname="monospace"];'];
+  for (const node of lineage.nodes) {
+    const label = [
+      short(node.hash),
+      node.stored ? `${node.kind} ${node.pattern || '-'}` : 'not in the store',
+      `res ${formatResonance(node)}  depth ${node.cascadeDepth || '-'}`,
+      `tx ${short(node.tx)}`,
+      formatProfit(node)
+    ].map(dotEscape).join('\\n');
+    const attributes = [`label="${label}"`];
+    if (node.hash === lineage.root) attributes.push('style=bold');
+    if (node.profit !== null) attributes.push(`color=${node.profit.startsWith('-') ? 'red' : 'darkgreen'}`);
+    lines.push(`  ${dotString(node.hash)} [${attributes.join(', ')}];`);
+  }
+  for (const edge of lineage.edges) {
+    const style = edge.sources.length > 1 ? '' : ` [style=${edge.sources[0] === 'chain' ? 'dashed' : 'dotted'}]`;
+    lines.push(`  ${dotString(edge.parent)} -> ${dotString(edge.child)}${style};`);
+  }
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Lineage as JSON for dashboards.
+ * @param {object} lineage - From buildLineage().
+ * @returns {string}
+ */
+function lineageToJson(lineage) {
+  return JSON.stringify({ generatedAt: new Date().toISOString(), ...lineage }, null, 2) + '\n';
+}
+
+module.exports = {
+  fetchSignalEdges,
+  profitBySignal,
+  buildLineage,
+  renderLineageTree,
+  lineageToDot,
+  lineageToJson
+};
@@ -0,0 +1,160 @@
+// locked-state.js
+// JSON state files shared between processes (engine, amplifier and mirror run under
+// PM2 side by side). Updates take a lock file created with O_EXCL, re-read the state,
+// apply the change and write it back atomically; locks left by crashed processes are
+// broken after STALE_LOCK_MS.
+//
+// Each lock holds a token unique to its holder (pid and random suffix). Breaking or
+// releasing a lock first moves it aside under a unique name, so no other process can
+// take or remove it meanwhile, and only removes it when the token is the expected one.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const LOCK_TIMEOUT_MS = 10000;
+const STALE_LOCK_MS = 30000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+const sleepSync = ms => Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+const newToken = () => `${process.pid}.${crypto.randomBytes(6).toString('hex')}`;
+
+/**
+ * @param {string} file - JSON file holding the state.
+ * @param {() => object} initial - Fresh state when the file is missing or unreadable.
+ * @param {object} [options]
+ * @param {string} [options.tag='STATE'] - Log prefix for warnings.
+ * @returns {{file: string, read: () => object, write: (state: object) => void, update: (fn: (state: object) => any) => Promise<any>, withLockSync: (fn: () => any) => any}}
+ */
+function createLockedState(file, initial, { tag = 'STATE' } = {}) {
+  const lockFile = `${file}.lock`;
+
+  function read() {
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.warn(`[${tag}] Ignoring unreadable state ${file}: ${error.message}`);
+      return initial();
+    }
+  }
+
+  function write(state) {
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(state, null, 2));
+    fs.renameSync(tmp, file);
+  }
+
+  let heldToken = null;
+
+  // Removes the lock only while it still holds `expected`. A lock that changed hands
+  // between the caller's check and the move is put back; link() will not overwrite
+  // one taken in that instant.
+  function removeLockIf(expected) {
+    const aside = `${lockFile}.${newToken()}`;
+    try {
+      fs.renameSync(lockFile, aside);
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+    let owner = null;
+    try {
+      owner = fs.readFileSync(aside, 'utf8');
+    } catch (error) {
+      // Unreadable; treated as someone else's
+    }
+    if (owner !== expected) {
+      try {
+        fs.linkSync(aside, lockFile);
+      } catch (error) {
+        console.warn(`[${tag}] Could not restore lock ${lockFile} held by ${owner}: ${error.message}`);
+      }
+    }
+    fs.rmSync(aside, { force: true });
+    return owner === expected;
+  }
+
+  // True when the lock was taken; breaks locks left behind by crashed processes
+  function tryLock() {
+    const token = newToken();
+    try {
+      fs.writeFileSync(lockFile, token, { flag: 'wx' });
+      heldToken = token;
+      return true;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+    // Owner before age: a lock replaced between the two reads then looks fresh, never stale
+    let owner, age;
+    try {
+      owner = fs.readFileSync(lockFile, 'utf8');
+      age = Date.now() - fs.statSync(lockFile).mtimeMs;
+    } catch (error) {
+      return false; // Released between the calls
+    }
+    if (age > STALE_LOCK_MS && removeLockIf(owner)) {
+      console.warn(`[${tag}] Broke stale lock ${lockFile} held by ${owner || 'unknown'} for ${Math.round(age / 1000)}s`);
+    }
+    return false;
+  }
+
+  async function acquireLock() {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+    while (!tryLock()) {
+      if (Date.now() > deadline) throw new Error(`Timed out waiting for lock ${lockFile}`);
+      await sleep(25);
+    }
+  }
+
+  // For synchronous callers; blocks the event loop while another process holds the lock
+  function acquireLockSync() {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+    while (!tryLock()) {
+      if (Date.now() > deadline) throw new Error(`Timed out waiting for lock ${lockFile}`);
+      sleepSync(25);
+    }
+  }
+
+  function releaseLock() {
+    if (!removeLockIf(heldToken)) {
+      console.warn(`[${tag}] Lock ${lockFile} was broken while held; ${file} may have been updated meanwhile`);
+    }
+    heldToken = null;
+  }
+
+  /**
+   * Runs `fn(state)` under the lock and persists the state afterwards. When `fn`
+   * throws, nothing is written.
+   */
+  async function update(fn) {
+    await acquireLock();
+    try {
+      const state = read();
+      const result = await fn(state);
+      write(state);
+      return result;
+    } finally {
+      releaseLock();
+    }
+  }
+
+  /**
+   * Runs synchronous `fn()` under the lock; `fn` reads and writes as it needs.
+   */
+  function withLockSync(fn) {
+    acquireLockSync();
+    try {
+      return fn();
+    } finally {
+      releaseLock();
+    }
+  }
+
+  return { file, read, write, update, withLockSync };
+}
+
+module.exports = {
+  createLockedState
+};
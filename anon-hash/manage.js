@@ -44,16 +44,170 @@ const getVaultContract = async () => {
     }
     const vaultAbi = require(vaultAbiPath).abi;
     
-    const { RPC_URL, PRIVATE_KEY, VAULT_ADDRESS } = process.env;
-    if (!RPC_URL || !PRIVATE_KEY || !VAULT_ADDRESS) {
-        throw new Error('Missing required environment variables (RPC_URL, PRIVATE_KEY, VAULT_ADDRESS).');
+    const { RPC_URL, VAULT_ADDRESS } = process.env;
+    if (!RPC_URL || !VAULT_ADDRESS) {
+        throw new Error('Missing required environment variables (RPC_URL, VAULT_ADDRESS).');
     }
 
     const provider = new ethers.providers.JsonRpcProvider(RPC_URL);
-    const wallet = new ethers.Wallet(PRIVATE_KEY, provider);
+    const wallet = require('./signers').loadSigner('main', provider);
     return new ethers.Contract(VAULT_ADDRESS, vaultAbi, wallet);
 };
 
+// Checks every stored JAM against the current schemas (jam-schema.js)
+const validateStoredJams = () => {
+    const { getJamStore } = require('./jam-store');
+    const { JAM_KINDS, detectKind, upgradeJam, validateJam } = require('./jam-schema');
+    const store = getJamStore();
+    const counts = { current: 0, outdated: 0, invalid: 0 };
+    log(`Validating JAMs in ${store.backend.location}`, 'cyan');
+    for (const { hash } of store.find()) {
+        const jam = store.retrieve(hash);
+        if (!jam) continue;
+        if (validateJam(jam).valid) {
+            counts.current++;
+            continue;
+        }
+        try {
+            upgradeJam(jam);
+            counts.outdated++;
+            const kind = detectKind(jam);
+            console.log(`  ${colors.yellow}${hash.slice(0, 10)}...${colors.reset} ${kind} v${jam.schemaVersion || 1}, upgraded to v${JAM_KINDS[kind].version} on read`);
+        } catch (error) {
+            counts.invalid++;
+            console.log(`  ${colors.red}${hash.slice(0, 10)}...${colors.reset} ${error.message}`);
+        }
+    }
+    log(`${counts.current} current, ${counts.outdated} outdated, ${counts.invalid} invalid (the executors refuse invalid JAMs).`, counts.invalid > 0 ? 'red' : 'green');
+    if (counts.invalid > 0) process.exitCode = 1;
+};
+
+// Recomputes a stored JAM's hash and checks it against the transaction that emitted it
+// and the emitter's signature
+const verifyStoredJam = async args => {
+    const [hash] = args;
+    const txIndex = args.indexOf('--tx');
+    const txHash = txIndex !== -1 ? args[txIndex + 1] : undefined;
+    if (!/^0x[0-9a-fA-F]{64}$/.test(hash || '') || (txIndex !== -1 && !txHash)) {
+        return log('Usage: node manage.js jams verify <hash> [--tx <txHash>]', 'red');
+    }
+    const { getJamStore } = require('./jam-store');
+    const { hashJam, verifyJam } = require('./jam-hash');
+    const jam = getJamStore().retrieve(hash);
+    if (!jam) return log(`JAM ${hash} is not in the store.`, 'red');
+
+    const emitTx = txHash || (jam.annotations && jam.annotations.emitTx);
+    const rpcUrl = (process.env.RPC_URL || 'https://base.publicnode.com').split(',')[0];
+    const provider = new ethers.JsonRpcProvider(rpcUrl);
+    let tx = null;
+    if (emitTx) {
+        tx = await provider.getTransaction(emitTx);
+        if (!tx) return log(`Transaction ${emitTx} not found on ${rpcUrl}.`, 'red');
+    }
+
+    const result = verifyJam(hash, jam, tx, { vaultAddress: process.env.VAULT_ADDRESS });
+    log(`JAM ${hash}`, 'cyan');
+    console.log(`  Recomputed hash: ${hashJam(jam)}${result.encoding === 'legacy' ? ' (stored under the pre-canonical JSON.stringify hash)' : ''}`);
+    if (result.call) {
+        console.log(`  On-chain: ${result.call.method}(${result.call.hash}${result.call.parent ? `, ${result.call.parent}` : ''}) in ${emitTx}`);
+    } else if (!emitTx) {
+        log('  No emitting transaction recorded; pass --tx <txHash> to check the calldata.', 'yellow');
+    }
+
+    // Provenance, as the amplifier and mirror check it
+    if (!jam.provenance) {
+        log('  Unsigned; the amplifier and mirror will not act on it.', 'yellow');
+    } else if (process.env.VAULT_ADDRESS) {
+        const { jamDomain, recoverJamSigner } = require('./jam-signing');
+        try {
+            const signer = recoverJamSigner(hash, jam, jamDomain((await provider.getNetwork()).chainId, process.env.VAULT_ADDRESS));
+            console.log(`  Signed by: ${signer}`);
+            const emitter = process.env.WALLET_ADDRESS;
+            if (emitter && signer.toLowerCase() !== emitter.toLowerCase()) result.problems.push(`signed by ${signer}, not the emitter ${emitter}`);
+        } catch (error) {
+            result.problems.push(error.message);
+        }
+    }
+
+    const valid = result.problems.length === 0;
+    result.problems.forEach(problem => log(`  ${problem}`, 'red'));
+    log(valid ? 'Verified.' : 'Verification FAILED.', valid ? 'green' : 'red');
+    if (!valid) process.exitCode = 1;
+};
+
+// Archives JAMs outside the retention policy, as the engine does on its schedule
+const collectStoredJams = args => {
+    const { getJamStore } = require('./jam-store');
+    const { loadRetentionPolicy, defaultArchiveDir, collectGarbage } = require('./jam-retention');
+    const dryRun = args.includes('--dry-run');
+    let policy;
+    try {
+        policy = loadRetentionPolicy();
+    } catch (error) {
+        return log(error.message, 'red');
+    }
+    const store = getJamStore();
+    const archiveDir = defaultArchiveDir(store);
+    log(`Keeping the newest ${policy.keepCount} JAMs and those from the last ${policy.keepDays} days, with their ancestors`, 'cyan');
+    const result = collectGarbage(store, { policy, archiveDir, dryRun });
+    result.bundles.forEach(bundle => console.log(`  ${colors.green}${path.basename(bundle)}${colors.reset}`));
+    if (dryRun) {
+        log(`Would archive ${result.archived} JAMs into ${archiveDir}; ${result.retained} retained.`, 'yellow');
+    } else {
+        log(`Archived ${result.archived} JAMs into ${archiveDir}; ${result.retained} retained.`, 'green');
+    }
+};
+
+// Walks a JAM's ancestors and descendants through the store and the chain's
+// emitRecursiveSignal calls (lineage.js)
+const showLineage = async args => {
+    const [hash] = args;
+    const option = name => {
+        const index = args.indexOf(name);
+        return index === -1 ? undefined : args[index + 1] || '';
+    };
+    const fromBlockArg = option('--from-block');
+    const dotFile = option('--dot');
+    const jsonFile = option('--json');
+    if (!/^0x[0-9a-fA-F]{64}$/.test(hash || '') || [fromBlockArg, dotFile, jsonFile].includes('')) {
+        return log('Usage: node manage.js lineage <hash> [--from-block <n>] [--no-chain] [--dot <file>] [--json <file>]', 'red');
+    }
+    const { getJamStore } = require('./jam-store');
+    const { readProfitLog } = require('./spend-guard');
+    const { fetchSignalEdges, buildLineage, renderLineageTree, lineageToDot, lineageToJson } = require('./lineage');
+
+    let edges = [];
+    const { DMAP_ADDRESS, VAULT_ADDRESS } = process.env;
+    if (args.includes('--no-chain')) {
+        log('Skipping on-chain signals (--no-chain).', 'yellow');
+    } else if (!DMAP_ADDRESS) {
+        log('DMAP_ADDRESS is not set; showing the store only.', 'yellow');
+    } else {
+        const rpcUrl = (process.env.RPC_URL || 'https://base.publicnode.com').split(',')[0];
+        const provider = new ethers.JsonRpcProvider(rpcUrl);
+        try {
+            const toBlock = await provider.getBlockNumber();
+            const fromBlock = fromBlockArg !== undefined ? parseInt(fromBlockArg, 10) : Math.max(0, toBlock - parseInt(process.env.LINEAGE_BLOCK_RANGE || '50000', 10));
+            log(`Scanning SignalRegistered events in blocks ${fromBlock}-${toBlock}...`, 'cyan');
+            edges = await fetchSignalEdges(provider, { dmapAddress: DMAP_ADDRESS, vaultAddress: VAULT_ADDRESS, fromBlock, toBlock });
+        } catch (error) {
+            log(`Could not read signals from ${rpcUrl} (${error.shortMessage || error.message}); showing the store only.`, 'yellow');
+        }
+    }
+
+    const lineage = buildLineage(hash, { store: getJamStore(), edges, profits: readProfitLog() });
+    log(`Lineage of ${lineage.root} (${lineage.ancestors.length} ancestors, ${lineage.descendants.length} descendants)`, 'cyan');
+    renderLineageTree(lineage).forEach(line => console.log(`  ${line}`));
+    if (dotFile) {
+        fs.writeFileSync(dotFile, lineageToDot(lineage));
+        log(`Wrote DOT to ${dotFile}.`, 'green');
+    }
+    if (jsonFile) {
+        fs.writeFileSync(jsonFile, lineageToJson(lineage));
+        log(`Wrote JSON to ${jsonFile}.`, 'green');
+    }
+};
+
 // --- Command Handlers ---
 
 const pm2Command = (action, component, flags = '') => async () => {
@@ -90,6 +244,7 @@ const commands = {
             log('Tests completed.', 'green');
         } catch (error) {
             log('Test run failed.', 'red');
+            process.exitCode = 1; // So `npm test` fails in CI
         }
     },
 
@@ -169,6 +324,194 @@ const commands = {
         }
     },
 
+    async windows(args) {
+        const fileIndex = args.indexOf('--file');
+        const file = fileIndex !== -1 ? args[fileIndex + 1] : undefined;
+        if (fileIndex !== -1 && !file) return log('Usage: node manage.js windows [count] [--file <path>]', 'red');
+        const positional = fileIndex === -1 ? args : args.filter((arg, i) => i !== fileIndex && i !== fileIndex + 1);
+        const count = parseInt(positional[0], 10) || 10;
+
+        const { createTiming, loadWindowsConfig, DEFAULT_WINDOWS_FILE } = require('./timing');
+        let config;
+        try {
+            config = loadWindowsConfig(file || process.env.CONSENSUS_WINDOWS_FILE || DEFAULT_WINDOWS_FILE);
+        } catch (error) {
+            return log(error.message, 'red');
+        }
+        const timing = createTiming(undefined, { config });
+
+        log(`Consensus Windows (${config.source})`, 'cyan');
+        log(`Default curve: ${config.curve} | active within ${config.activeWithin} min`, 'yellow');
+        Object.entries(config.curves).forEach(([name, tiers]) => {
+            const steps = tiers.map(t => `<=${t.within}m x${t.multiplier.toFixed(3)}`).join('  ');
+            console.log(`  ${colors.green}${name.padEnd(16)}${colors.reset} ${steps}  else x1.000`);
+        });
+
+        console.log('');
+        timing.listUpcomingWindows(count).forEach(window => {
+            const hours = Math.floor(window.minutesUntil / 60);
+            const until = `in ${hours}h ${(window.minutesUntil % 60).toString().padStart(2, '0')}m`;
+            const local = window.timezone === 'UTC' ? '' : ` (${window.localTime} ${window.timezone})`;
+            console.log(`  ${colors.green}${window.at.toISOString().slice(0, 16).replace('T', ' ')} UTC${colors.reset}  ${until.padEnd(12)} x${window.multiplier.toFixed(3)}  ${window.name}${local}`);
+        });
+        console.log('');
+        log(`Now: distance ${timing.getMinDistanceToConsensusWindow()} min, multiplier x${timing.getConsensusMultiplier().toFixed(3)}`, 'bright');
+    },
+
+    async resume() {
+        const { createSpendGuard } = require('./spend-guard');
+        let guard;
+        try {
+            guard = createSpendGuard();
+        } catch (error) {
+            return log(error.message, 'red');
+        }
+        const previous = await guard.resume();
+        if (previous.tripped) {
+            log(`Circuit breaker cleared (tripped ${previous.trippedAt}: ${previous.reason}).`, 'green');
+        } else {
+            log('Circuit breaker was not tripped; profit entries logged so far no longer count towards it.', 'yellow');
+        }
+    },
+
+    async jams(args) {
+        if (args[0] === 'validate') return validateStoredJams();
+        if (args[0] === 'verify') return verifyStoredJam(args.slice(1));
+        if (args[0] === 'gc') return collectStoredJams(args.slice(1));
+        if (args[0] !== 'import') return log('Usage: node manage.js jams import | jams validate | jams verify <hash> [--tx <txHash>] | jams gc [--dry-run]', 'red');
+        const { createJsonBackend, createSqliteBackend } = require('./jam-store');
+        const source = createJsonBackend();
+        const target = createSqliteBackend();
+        let copied = 0;
+        // Oldest first, with the original index fields, so ordering is preserved
+        for (const { hash, parentHash, patternType, timestamp } of source.find().reverse()) {
+            const jam = source.get(hash);
+            if (!jam) continue;
+            target.put(hash, jam, { parentHash, patternType, timestamp });
+            copied++;
+        }
+        target.close();
+        log(`Copied ${copied} JAMs from ${source.location} into ${target.location}.`, 'green');
+        log('Set JAM_STORE_BACKEND=sqlite and restart the services to use it.', 'yellow');
+    },
+
+    async lineage(args) {
+        return showLineage(args);
+    },
+
+    async patterns(args) {
+        const [action] = args;
+        if (action !== 'list' && action !== 'validate') return log('Usage: node manage.js patterns list | patterns validate', 'red');
+        const { loadPatterns } = require('./patterns');
+        const { dir, patterns, problems } = loadPatterns();
+        if (action === 'list') {
+            log(`Proverb Patterns (${dir})`, 'cyan');
+            patterns.forEach(pattern => {
+                const steps = pattern.steps.map(step => `${step.actor}:${step.action} ${step.from}->${step.to}`).join('  ');
+                const state = pattern.enabled ? '' : ` ${colors.yellow}(disabled)${colors.reset}`;
+                console.log(`  ${colors.green}${pattern.id.padEnd(20)}${colors.reset} x${pattern.baseResonance.toFixed(3)}  ${steps}${state}`);
+            });
+        } else {
+            patterns.forEach(pattern => console.log(`  ${colors.green}${pattern.file}${colors.reset} ${pattern.id}${pattern.enabled ? '' : ' (disabled)'}`));
+        }
+        problems.forEach(problem => console.log(`  ${colors.red}${problem}${colors.reset}`));
+        if (problems.length > 0) {
+            log(`${problems.length} problem(s); the engine will not load this directory until they are fixed.`, 'red');
+            process.exitCode = 1;
+        } else if (action === 'validate') {
+            log(`${patterns.length} patterns valid, ${patterns.filter(pattern => pattern.enabled).length} enabled.`, 'green');
+        }
+    },
+
+    async targets(args) {
+        const [action, address] = args;
+        const labelIndex = args.indexOf('--label');
+        const label = labelIndex !== -1 ? args[labelIndex + 1] : undefined;
+        const usage = 'Usage: node manage.js targets add <address> [--label <name>] | targets remove <address> | targets list';
+        if (!['add', 'remove', 'list'].includes(action) || (action !== 'list' && !address) || (labelIndex !== -1 && !label)) return log(usage, 'red');
+        const { createTargetRegistry } = require('./target-registry');
+        const registry = createTargetRegistry();
+        try {
+            if (action === 'add') {
+                const added = registry.add(address, { label: label || null });
+                return log(added ? `Added ${address}; the engine picks it up on its next cycle.` : `${address} is already a target.`, added ? 'green' : 'yellow');
+            }
+            if (action === 'remove') {
+                const removed = registry.remove(address);
+                return log(removed ? `Removed ${address} and its audit history.` : `${address} is not a target.`, removed ? 'green' : 'yellow');
+            }
+        } catch (error) {
+            return log(error.message, 'red');
+        }
+
+        const targets = registry.list();
+        log(`Targets (${registry.file})`, 'cyan');
+        if (targets.length === 0) return log('  None; the engine also registers TARGET_CONTRACT_ADDRESS when it starts.', 'yellow');
+        targets.forEach(target => {
+            const last = target.audits[target.audits.length - 1];
+            const passes = target.audits.filter(audit => audit.audit_pass).length;
+            const benchedUntil = registry.cooldownUntil(target);
+            let state = `${colors.yellow}not analyzed yet${colors.reset}`;
+            if (benchedUntil > Date.now()) {
+                state = `${colors.red}failed (${last.reason}), skipped until ${new Date(benchedUntil).toISOString().slice(0, 16).replace('T', ' ')} UTC${colors.reset}`;
+            } else if (last) {
+                state = last.audit_pass ? `${colors.green}passed${colors.reset} ${last.at}` : `failed ${last.at} (${last.reason}), retrying`;
+            }
+            console.log(`  ${colors.green}${target.address}${colors.reset} ${(target.label || '').padEnd(24)} ${passes}/${target.audits.length} audits passed  ${state}`);
+        });
+    },
+
+    async cache(args) {
+        const [action] = args;
+        if (action !== 'clear' && action !== 'stats') return log('Usage: node manage.js cache clear | cache stats', 'red');
+        const { createSubstrateCache } = require('./substrate-cache');
+        const cache = createSubstrateCache();
+        if (action === 'clear') {
+            const dropped = await cache.clear();
+            return log(`Dropped ${dropped} cached analyses from ${cache.file}; the engine re-reads the file on its next lookup.`, 'green');
+        }
+        const stats = cache.stats();
+        const at = ms => (ms === null ? '-' : new Date(ms).toISOString().slice(0, 16).replace('T', ' ') + ' UTC');
+        log(`Substrate Cache (${stats.file})`, 'cyan');
+        console.log(`  Analyses:   ${stats.analyses}/${stats.limits.maxEntries} (${stats.expired} expired)`);
+        console.log(`  Addresses:  ${stats.addresses}`);
+        console.log(`  Size:       ${(stats.bytes / 1024).toFixed(1)} KiB of ${(stats.limits.maxBytes / 1024).toFixed(0)} KiB`);
+        console.log(`  TTL:        ${Math.round(stats.limits.ttlMs / 60000)} min`);
+        console.log(`  Stored:     ${at(stats.oldest)} .. ${at(stats.newest)}`);
+    },
+
+    // Singular alias, e.g. `node manage.js jam verify <hash>`
+    async jam(args) {
+        return commands.jams(args);
+    },
+
+    async keystore(args) {
+        const [action, name] = args;
+        const { WALLETS, keystorePath, readPassword, writeKeystore } = require('./signers');
+        if (action === 'list') {
+            log('Keystores', 'cyan');
+            Object.keys(WALLETS).forEach(wallet => {
+                const file = keystorePath(wallet);
+                // The address is stored unencrypted, so listing needs no password
+                const address = fs.existsSync(file) ? ethers.getAddress(JSON.parse(fs.readFileSync(file, 'utf8')).address) : 'missing';
+                console.log(`  ${colors.green}${wallet.padEnd(8)}${colors.reset} ${address}  ${file}`);
+            });
+            return;
+        }
+        if (action !== 'import' || !WALLETS[name]) {
+            return log(`Usage: node manage.js keystore import <${Object.keys(WALLETS).join('|')}> [--force] | keystore list`, 'red');
+        }
+        const keyEnv = WALLETS[name].keyEnv;
+        if (!process.env[keyEnv]) return log(`${keyEnv} is not set; nothing to import.`, 'red');
+        try {
+            const address = writeKeystore(name, process.env[keyEnv], readPassword(), { overwrite: args.includes('--force') });
+            log(`Encrypted ${keyEnv} (${address}) into ${keystorePath(name)}.`, 'green');
+            log(`Remove ${keyEnv} from .env and run with SIGNER_MODE=keystore or remote.`, 'yellow');
+        } catch (error) {
+            log(error.message, 'red');
+        }
+    },
+
     help() {
         log('System Management Command Center', 'bright');
         const helpText = [
@@ -183,6 +526,22 @@ const commands = {
             ['set-lz-endpoint <addr>', 'Set LayerZero endpoint on SignalVault.'],
             ['add-lz-remote <id> <addr>', 'Add a trusted remote for SignalVault.'],
             ['bridge-yield <id> <addr> <amt>', 'Bridge yield from SignalVault.'],
+            ['windows [n] [--file <path>]', 'Validate the consensus windows and list the next n.'],
+            ['resume', 'Clear a tripped circuit breaker so the wallets can sign again.'],
+            ['jams import', 'Copy the JSON-file JAM store into the SQLite store.'],
+            ['jams validate', 'Check stored JAMs against the current JAM schemas.'],
+            ['jams verify <hash> [--tx <tx>]', 'Recompute a JAM hash and check its emission calldata and signature.'],
+            ['jams gc [--dry-run]', 'Archive JAMs outside the retention policy into daily bundles.'],
+            ['lineage <hash> [--dot <f>]', 'Show a JAM\'s ancestors and descendants; --json <f> for dashboards.'],
+            ['patterns list', 'Show the proverb patterns in patterns/.'],
+            ['patterns validate', 'Check the pattern files against tokens and executor actions.'],
+            ['targets add <addr> [--label <l>]', 'Add a contract for the engine to analyze.'],
+            ['targets remove <addr>', 'Stop analyzing a contract and drop its audit history.'],
+            ['targets list', 'Show the targets, their audit history and which are skipped.'],
+            ['cache stats', 'Show the substrate analysis cache: entries, size and limits.'],
+            ['cache clear', 'Drop every cached substrate analysis.'],
+            ['keystore import <name>', 'Encrypt the .env key for main or mirror into keystore/.'],
+            ['keystore list', 'Show keystore files and their addresses.'],
             ['help', 'Show this help message.']
         ];
         console.log('');
@@ -5,19 +5,39 @@ const { ethers } = require('ethers');
 const fs = require('fs');
 const path = require('path');
 require('dotenv').config();
-const jamStore = require('./jam-store');
+const { getJamStore } = require('./jam-store');
+const { JAM_KINDS, assertValidJam } = require('./jam-schema');
+const { hashJam } = require('./jam-hash');
+const { createJamVerifier } = require('./jam-signing');
+const { isDryRun, sendOrSimulate, invokeOrSimulate } = require('./dry-run');
+const { quoteSwap } = require('./quotes');
+const { buildSwapCall } = require('./swap-builder');
+const { getNonceManager } = require('./nonce-manager');
+const { getSpendGuard } = require('./spend-guard');
+const { loadSigner } = require('./signers');
 
 // Import DEX configurations for recursive alignment with amplifier
 const { DEX_CONFIGS, TOKENS, selectOptimalDEX } = require('./dex-config');
 
-// IMPORTANT: Use a DIFFERENT wallet for mirroring
-const MIRROR_PRIVATE_KEY = process.env.MIRROR_PRIVATE_KEY || process.env.PRIVATE_KEY;
+// Consensus window timing shared with the engine and amplifier
+const {
+  getMinDistanceToConsensusWindow,
+  getConsensusMultiplier,
+  isConsensusTime,
+  calculateOptimalWaitTime,
+  describeWindows
+} = require('./timing');
+
+// IMPORTANT: Use a DIFFERENT wallet for mirroring (the 'mirror' signer; see signers.js)
 const YOUR_SIGNAL_WALLET = process.env.WALLET_ADDRESS || '__YOUR_WALLET_ADDRESS__';
 
 // Contract addresses
 const DMAP_ADDRESS = process.env.DMAP_ADDRESS;
 const VAULT_ADDRESS = process.env.VAULT_ADDRESS;
 
+// Shared JAM store, written by the engine
+const jamStore = getJamStore();
+
 // Setup provider - use single reliable RPC to avoid quorum issues
 const rpcUrl = process.env.RPC_URL || 'https://base.publicnode.com';
 console.log(`Using RPC URL: ${rpcUrl}`);
@@ -31,50 +51,62 @@ try {
     process.exit(1);
 }
 
-const mirrorWallet = new ethers.Wallet(MIRROR_PRIVATE_KEY, provider);
+// Key from the configured signer (SIGNER_MODE); every signature is checked against
+// spend-limits.json and the circuit breaker
+const spendGuard = getSpendGuard();
+const mirrorWallet = spendGuard.guard(loadSigner('mirror', provider), 'mirror');
+
+// Persistent nonces for the mirror wallet, shared with the amplifier's private capture
+const mirrorNonces = getNonceManager(mirrorWallet);
+const NONCE_CHECK_INTERVAL = parseInt(process.env.NONCE_CHECK_INTERVAL) || 60000;
+const NONCE_STUCK_AFTER_MS = parseInt(process.env.NONCE_STUCK_AFTER_MS) || 180000;
+mirrorNonces.sync()
+    .then(({ latest, pending }) => console.log(`[NONCE] ${mirrorWallet.address}: chain nonce ${latest}, pending ${pending}`))
+    .catch(error => console.error('[NONCE] Startup reconciliation failed:', error.message));
+setInterval(() => {
+    mirrorNonces.replaceStuck({ olderThanMs: NONCE_STUCK_AFTER_MS })
+        .catch(error => console.error('[NONCE] Stuck transaction check failed:', error.message));
+}, NONCE_CHECK_INTERVAL);
 
 // Contract interfaces
 const dmap = new ethers.Contract(
   DMAP_ADDRESS,
-  [\"event SignalRegistered(bytes32 indexed hash)\"],
+  ["event SignalRegistered(bytes32 indexed hash, address indexed owner, uint256 categoryId, string description)"],
   provider
 );
 
 const vault = new ethers.Contract(
   VAULT_ADDRESS,
   [
-    \"function feedActivity() external payable\",
-    \"function emitSignal(bytes32) external\",
-    \"function emitRecursiveSignal(bytes32, bytes32) external\",
-    \"function proverbs(bytes32) external view returns (address, uint256, bool, string, string)\"
+    "function feedActivity() external payable",
+    "function emitSignal(bytes32) external",
+    "function emitRecursiveSignal(bytes32, bytes32) external",
+    "function proverbs(bytes32) external view returns (address, uint256, bool, string, string)"
   ],
   mirrorWallet
 );
 
-// Simplified router ABI to avoid conflicts
-const routerABI = [
-  // Standard Uniswap V2 Router functions
-  "function swapExactETHForTokens(uint amountOutMin, address[] calldata path, address to, uint deadline) external payable returns (uint[] memory amounts)",
-  "function swapExactTokensForTokens(uint amountIn, uint amountOutMin, address[] calldata path, address to, uint deadline) external returns (uint[] memory amounts)",
-  "function swapExactETHForTokensSupportingFeeOnTransferTokens(uint amountOutMin, address[] calldata path, address to, uint deadline) external payable",
-  "function swapExactTokensForTokensSupportingFeeOnTransferTokens(uint amountIn, uint amountOutMin, address[] calldata path, address to, uint deadline) external"
-];
-let router;
-try {
-    if (!ACTIVE_ROUTER) {
-        console.error('ACTIVE_ROUTER is not defined. Using default Uniswap V3 router.');
-        ACTIVE_ROUTER = DEFAULT_ROUTER;
+// Mirror swaps go to the amplifier's default pair of DEXes, each quoted through
+// quotes.js and built with its minimum output and deadline by swap-builder.js
+const WETH = TOKENS.WETH;
+const USDC = TOKENS.USDC;
+const MIRROR_DEXES = [DEX_CONFIGS.UNISWAP_V3, DEX_CONFIGS.ROCKETSWAP];
+const PRIMARY_ROUTER = MIRROR_DEXES[0].ROUTER;
+const FALLBACK_ROUTER = MIRROR_DEXES[1].ROUTER;
+const ACTIVE_DEX_NAME = MIRROR_DEXES[0].NAME;
+
+// Only JAMs signed by the engine's wallet for this vault and chain are acted on
+const loadTrustedJam = createJamVerifier({ store: jamStore, provider, vaultAddress: VAULT_ADDRESS, emitter: YOUR_SIGNAL_WALLET });
+
+// Validate jamStore contents before accessing; missing, unsigned or malformed JAMs come back empty
+async function safeRetrieveJam(hash) {
+    let data = null;
+    try {
+        data = await loadTrustedJam(hash);
+    } catch (error) {
+        console.log(`[ABORT] JAM ${hash.slice(0, 10)}... rejected: ${error.message}`);
     }
-    router = new ethers.Contract(ACTIVE_ROUTER, routerABI, mirrorWallet);
-} catch (error) {
-    console.error('Failed to initialize router contract:', error.message);
-    process.exit(1);
-}
-
-// Validate jamStore contents before accessing
-function safeRetrieveJam(hash) {
-    const data = jamStore.retrieve(hash);
-    return data ? { proverb: data.proverb ?? [], meta: data.meta ?? {}, tags: data.tags ?? [] } : { proverb: [], meta: {}, tags: [] };
+    return data ? { proverb: data.proverb, meta: data.meta, tags: data.tags } : { proverb: [], meta: {}, tags: [] };
 }
 
 // Track mirrored signals to avoid duplicates
@@ -87,66 +119,6 @@ const ENABLE_RECURSIVE_SIGNALS = process.env.ENABLE_RECURSIVE_SIGNALS === 'true'
 const signalLineage = new Map(); // child -> parent mapping
 let recursionDepth = 0; // Track recursion depth
 
-// Global consensus clock times for amplified mirroring (UTC)
-const CONSENSUS_TIMES = [
-  { hour: 13, minute: 21 }, // 13:21 UTC
-  { hour: 21, minute: 1 },  // 21:01 UTC
-  { hour: 3, minute: 33 },  // 03:33 UTC
-  { hour: 8, minute: 1 },   // 08:01 UTC
-  { hour: 20, minute: 8 }   // 20:08 UTC (8:08 PM)
-];
-
-// Enhanced phi-aligned consensus window detection
-function getMinDistanceToConsensusWindow() {
-  const now = new Date();
-  const currentHour = now.getUTCHours();
-  const currentMinute = now.getUTCMinutes();
-  const currentMinutes = currentHour * 60 + currentMinute;
-
-  return CONSENSUS_TIMES.reduce((minDist, time) => {
-    const windowMinutes = time.hour * 60 + time.minute;
-    const distance = Math.min(
-      Math.abs(currentMinutes - windowMinutes),
-      Math.abs(currentMinutes - windowMinutes + 1440), // Next day
-      Math.abs(currentMinutes - windowMinutes - 1440)  // Previous day
-    );
-    return Math.min(minDist, distance);
-  }, Infinity);
-}
-
-function getConsensusMultiplier() {
-  const minDistance = getMinDistanceToConsensusWindow();
-  if (minDistance <= 2) return 2.618; // φ + 1 for perfect alignment
-  if (minDistance <= 5) return 1.618; // φ for near alignment
-  if (minDistance <= 10) return 1.382; // φ-1 for approaching
-  return 1;
-}
-
-function calculateOptimalWaitTime(minDistance, signalConfidence) {
-  const PHI = 1.618033988749895;
-  let baseWait = 0;
-  
-  if (minDistance <= 3) {
-    baseWait = 1000; // Almost immediate for perfect alignment
-  } else if (minDistance <= 8) {
-    baseWait = (minDistance * PHI) * 1000; // Phi-scaled short wait
-  } else if (minDistance <= 13) {
-    baseWait = (minDistance * PHI * PHI) * 1000; // Phi-squared medium wait
-  } else {
-    baseWait = Math.min(
-      (minDistance * PHI * PHI * PHI) * 1000, // Phi-cubed long wait
-      2.618 * 60 * 1000 // Max 2.618 minutes
-    );
-  }
-  
-  // Adjust by confidence
-  return Math.floor(baseWait * (1 - (signalConfidence * 0.1)));
-}
-
-function isConsensusTime() {
-  return getMinDistanceToConsensusWindow() <= 2;
-}
-
 const erc20ABI = [
   "function balanceOf(address) view returns (uint256)",
   "function approve(address spender, uint256 amount) returns (bool)",
@@ -160,16 +132,14 @@ const aaveContract = new ethers.Contract(AAVE_POOL_ADDRESS, aaveABI, mirrorWalle
 const usdcContract = new ethers.Contract(TOKENS.USDC, erc20ABI, mirrorWallet);
 
 console.log('Mirror Bot Started - CAUSAL ENGINE MODE');
+if (isDryRun()) console.log('[DRY-RUN] Dry-run mode: proverb steps are simulated, never broadcast.');
 console.log(`Watching for signals from: ${YOUR_SIGNAL_WALLET}`);
 console.log(`Causal mirror wallet: ${mirrorWallet.address}`);
-console.log(`Primary DEX: ${ACTIVE_DEX_NAME} (${ACTIVE_ROUTER})`);
+console.log(`Primary DEX: ${ACTIVE_DEX_NAME} (${PRIMARY_ROUTER})`);
 console.log(`Will execute the SECOND step of on-chain proverbs.`);
-console.log(`\nPHI-TIMED CONSENSUS WINDOWS (UTC):`);
-console.log(`   13:21 - Fibonacci time alignment`);
-console.log(`   21:01 - Mirror of 01:21`);
-console.log(`   03:33 - Trinity alignment`);
-console.log(`   08:01 - New cycle beginning`);
-console.log(`   20:08 - Evening consensus\n`);
+console.log(`\nPHI-TIMED CONSENSUS WINDOWS:`);
+describeWindows().forEach(line => console.log(`   ${line}`));
+console.log('');
 console.log(`TIMING STRATEGY:`);
 console.log(`   [IMMEDIATE] Within +/-3 min of phi window -> Mirror immediately`);
 console.log(`   [WAIT] Within 10 min -> Wait for phi window`);
@@ -279,6 +249,12 @@ async function setupEventListener() {
 // Replace the direct event listener with polling
 setupEventListener();
 
+// Dry-run outcome of the mirror's proverb step; the signal is not marked as mirrored
+function reportDryRunStep(step, tx) {
+  const outcome = tx.success ? 'would succeed' : `would fail (${tx.revertReason})`;
+  console.log(`[DRY-RUN] Step 2 ${step.action} (${step.from} -> ${step.to}) ${outcome}; nothing was broadcast.`);
+}
+
 // Process signal events
 async function processSignalEvent(hash, event) {
   try {
@@ -287,6 +263,12 @@ async function processSignalEvent(hash, event) {
       console.error(`Error: Received undefined event for hash ${hash}`);
       return;
     }
+
+    const halted = await spendGuard.checkBreaker();
+    if (halted) {
+      console.log(`[BREAKER] Circuit breaker open (${halted.reason}). Not mirroring ${hash.slice(0, 10)}... until \`node manage.js resume\`.`);
+      return;
+    }
     
     const tx = await event.getTransaction();
     
@@ -307,7 +289,7 @@ async function processSignalEvent(hash, event) {
     await new Promise(resolve => setTimeout(resolve, 2000));
 
     // ALIGNED: The mirror must now verify the JAM's integrity before acting.
-const { proverb, meta, tags } = safeRetrieveJam(hash);
+const { proverb, meta, tags } = await safeRetrieveJam(hash);
 if (!meta.audit_pass) {
   console.log(`[ABORT] JAM ${hash.slice(0, 10)}... failed audit or is missing verification. Mirror will not act.`);
   return;
@@ -378,20 +360,54 @@ console.log(`[PROVERB] Will execute Step 2: ${myStep.action} (${myStep.from} ->
               return;
             }
 
-console.log(`[ALIGNMENT] Approving router to spend ${ethers.formatUnits(fromBalance, decimals)} ${myStep.from}...`);
-            const approveTx = await tokenFromContract.approve(ACTIVE_ROUTER, fromBalance);
-            await approveTx.wait();
-            console.log(`[ALIGNMENT] Approval complete. Tx: ${approveTx.hash}`);
-
             console.log(`Executing SWAP action: ${myStep.from} -> ${myStep.to}`);
-            
+
             const swapPath = [tokenFrom, tokenTo];
             const deadline = Math.floor(Date.now() / 1000) + 300;
-            
-            const tx = await vault.executeProverb(hash, myStep.from, myStep.to, { gasLimit: 200000 });
+
+            // No quote, no trade: a swap is only sent with the minimum output its quote allows
+            let dex, quote;
+            for (const candidate of MIRROR_DEXES) {
+                try {
+                    quote = await quoteSwap(provider, candidate, { path: swapPath, amountIn: fromBalance });
+                    dex = candidate;
+                    break;
+                } catch (quoteError) {
+                    console.warn(`[QUOTE] ${candidate.NAME}: ${quoteError.message}`);
+                }
+            }
+            if (!quote) {
+                console.error(`[ABORT] No quote for ${myStep.from} -> ${myStep.to} on any DEX; not swapping without a minimum output.`);
+                return;
+            }
+            const swapCall = buildSwapCall(dex, {
+                path: swapPath,
+                amountIn: fromBalance,
+                amountOutMinimum: quote.amountOutMinimum,
+                recipient: mirrorWallet.address,
+                deadline,
+                // The balance and approval above are the wallet's WETH, so the router pulls that, not ETH
+                payWithEth: false
+            });
+            console.log(`[QUOTE] ${dex.NAME}: ${ethers.formatUnits(fromBalance, decimals)} ${myStep.from} -> min ${quote.amountOutMinimum} (${quote.slippageBps} bps) via ${swapCall.method}`);
+
+            console.log(`[ALIGNMENT] Approving ${dex.NAME} to spend ${ethers.formatUnits(fromBalance, decimals)} ${myStep.from}...`);
+            const approveTx = await invokeOrSimulate(tokenFromContract, 'approve', [swapCall.to, fromBalance], {}, { nonces: mirrorNonces });
+            if (!approveTx.dryRun) {
+              await approveTx.wait();
+              console.log(`[ALIGNMENT] Approval complete. Tx: ${approveTx.hash}`);
+            }
+
+            const tx = await sendOrSimulate(mirrorWallet, {
+                to: swapCall.to,
+                data: swapCall.data,
+                value: swapCall.value,
+                gasLimit: 300000
+            }, { label: `SWAP ${dex.NAME}`, iface: swapCall.iface, nonces: mirrorNonces });
+            if (tx.dryRun) return reportDryRunStep(myStep, tx);
             await tx.wait();
-            
-            console.log(`[SUCCESS] Mirror swap executed. Tx: ${tx.hash}`);
+
+            console.log(`[SUCCESS] Mirror swap executed on ${dex.NAME}. Tx: ${tx.hash}`);
             totalMirrored++;
         } else if (myStep.action === 'DEPOSIT_AAVE' || myStep.action === 'DEPOSIT') {
             console.log(`Executing ${myStep.action} action: Depositing ${myStep.from}`);
@@ -421,9 +437,10 @@ console.log(`[ALIGNMENT] Approving router to spend ${ethers.formatUnits(fromBala
             console.log(`[ALIGNMENT] Using full ${myStep.from} balance of ${ethers.formatUnits(balance, decimals)} for deposit.`);
 
             // Approve Aave to spend tokens
-            await tokenContract.approve(AAVE_POOL_ADDRESS, balance);
+            await invokeOrSimulate(tokenContract, 'approve', [AAVE_POOL_ADDRESS, balance], {}, { nonces: mirrorNonces });
 
-            const tx = await aaveContract.deposit(tokenAddress, balance, mirrorWallet.address, 0);
+            const tx = await invokeOrSimulate(aaveContract, 'deposit', [tokenAddress, balance, mirrorWallet.address, 0], {}, { nonces: mirrorNonces });
+            if (tx.dryRun) return reportDryRunStep(myStep, tx);
             await tx.wait();
             console.log(`[SUCCESS] Deposited ${myStep.from} to Aave. Tx: ${tx.hash}`);
             
@@ -451,9 +468,10 @@ console.log(`[ALIGNMENT] Approving router to spend ${ethers.formatUnits(fromBala
             console.log(`[ALIGNMENT] Depositing ${ethers.formatUnits(balance, decimals)} ${myStep.from} to Compound...`);
             
             // Approve cToken to spend underlying token
-            await tokenContract.approve(cTokenAddress, balance);
+            await invokeOrSimulate(tokenContract, 'approve', [cTokenAddress, balance], {}, { nonces: mirrorNonces });
             
-            const tx = await cTokenContract.mint(balance, { gasLimit: 300000 });
+            const tx = await invokeOrSimulate(cTokenContract, 'mint', [balance], { gasLimit: 300000 }, { nonces: mirrorNonces });
+            if (tx.dryRun) return reportDryRunStep(myStep, tx);
             await tx.wait();
             console.log(`[SUCCESS] Deposited ${myStep.from} to Compound (received ${myStep.to}). Tx: ${tx.hash}`);
             
@@ -481,9 +499,10 @@ console.log(`[ALIGNMENT] Approving router to spend ${ethers.formatUnits(fromBala
             console.log(`[ALIGNMENT] Depositing ${ethers.formatUnits(balance, decimals)} DAI to Savings DAI...`);
             
             // Approve sDAI to spend DAI
-            await daiContract.approve(sDaiAddress, balance);
+            await invokeOrSimulate(daiContract, 'approve', [sDaiAddress, balance], {}, { nonces: mirrorNonces });
             
-            const tx = await sDaiContract.deposit(balance, mirrorWallet.address, { gasLimit: 200000 });
+            const tx = await invokeOrSimulate(sDaiContract, 'deposit', [balance, mirrorWallet.address], { gasLimit: 200000 }, { nonces: mirrorNonces });
+            if (tx.dryRun) return reportDryRunStep(myStep, tx);
             await tx.wait();
             console.log(`[SUCCESS] Deposited DAI to sDAI. Tx: ${tx.hash}`);
             
@@ -693,6 +712,8 @@ async function emitRecursiveCopycatSignal(parentHash, copycatData) {
     
     // Enhanced copycat-induced JAM with phi-alignment metrics
     const copycatJAM = {
+      kind: 'copycat',
+      schemaVersion: JAM_KINDS.copycat.version,
       context: {
         source: "phi_aligned_copycat",
         observer: mirrorWallet.address,
@@ -727,16 +748,25 @@ async function emitRecursiveCopycatSignal(parentHash, copycatData) {
       }
     };
     
-const recursiveHash = ethers.keccak256(Buffer.from(JSON.stringify(copycatJAM)));
+    assertValidJam(copycatJAM, 'copycat');
+    const recursiveHash = hashJam(copycatJAM);
     copycatJAM.belief.signalHash = recursiveHash;
     
     // Emit the recursive signal
     const feeData = await provider.getFeeData();
-    const tx = await vault.emitRecursiveSignal(recursiveHash, parentHash, {
+    const tx = await invokeOrSimulate(vault, 'emitRecursiveSignal', [recursiveHash, parentHash], {
       gasPrice: feeData.gasPrice,
       gasLimit: 150000
-    });
+    }, { label: 'RECURSIVE', nonces: mirrorNonces });
+
+    if (tx.dryRun) {
+      console.log(`[DRY-RUN] Recursive copycat signal ${recursiveHash.slice(0, 10)}... (depth ${recursiveDepth}, ${copycatData.count} copycats) not broadcast.`);
+      return;
+    }
     
+    // Stored alongside the engine's JAMs so the hash can be verified against the emission
+    jamStore.store(recursiveHash, { ...copycatJAM, annotations: { emitTx: tx.hash } });
+
     console.log(`RECURSIVE COPYCAT SIGNAL EMITTED!`);
     console.log(`  Hash: ${recursiveHash.slice(0, 10)}...`);
     console.log(`  Tx: ${tx.hash}`);
@@ -13,6 +13,7 @@ const MAX_RETRIES = 3;
 const RETRY_DELAY = 1000; // ms
 
 const { bsvEcho } = require('./bsv-echo');
+const timing = require('./timing');
 
 // Validate config
 console.log('Checking config:', { RPC: RPC_URLS[0], DMAP, VAULT });
@@ -36,43 +37,25 @@ const switchProvider = () => {
     currentProviderIndex = (currentProviderIndex + 1) % providers.length;
     provider = providers[currentProviderIndex];
     // Re-instantiate contracts with the new provider.
-    dmap = dmap.connect(provider);
-    vault = vault.connect(provider);
+    dmapContract = dmapContract.connect(provider);
+    vaultContract = vaultContract.connect(provider);
     console.log(`\n[RPC] Switched to provider: ${RPC_URLS[currentProviderIndex]}`);
 };
 
-// Test connection immediately with a simple call
-setTimeout(async () => {
-    // Suppress initial noisy logs
-    const originalLog = console.log;
-    console.log = () => {};
-    try {
-        const block = await provider.getBlockNumber();
-        originalLog(''); // Empty line before monitoring starts
-    } catch (e) {
-        console.log = originalLog; // Restore on error
-        console.error(`Failed to connect to RPC: ${e.message}`);
-        console.error('Please check your RPC endpoints in .env');
-        process.exit(1);
-    } finally {
-        console.log = originalLog; // Restore after initial connection
-    }
-}, 1000);
-
 // Contract setup
 // Initialize contracts with phi-aligned timing checks
 const PHI = 1.618033988749895;
 const PHI_INVERSE = 0.618033988749895;
 
 // Signal mapper contract with enhanced event filtering
-const dmapContract = new ethers.Contract(DMAP, [
+let dmapContract = new ethers.Contract(DMAP, [
     'event SignalRegistered(bytes32 indexed hash, uint256 indexed timestamp)',
     'function getJamCount() view returns(uint256)',
     'function getLastSignalTime() view returns(uint256)'
 ], provider);
 
 // Vault contract with recursive signal tracking
-const vaultContract = new ethers.Contract(VAULT, [
+let vaultContract = new ethers.Contract(VAULT, [
     "function getSignalInfo(bytes32) view returns(address,uint256,uint256,uint256)",
     "function getVaultBalance() view returns(uint256)",
     "function getCurrentBlockActivity() view returns(uint256)",
@@ -164,37 +147,15 @@ let gasPrice = BigInt(0);
             // Silently fail
         }
         
-        // Consensus timing
-        const now = new Date();
+        // Consensus timing (minutes until the next window; a window starting now counts)
+        const now = new Date(timing.now());
         const utcHour = now.getUTCHours();
         const utcMin = now.getUTCMinutes();
-        const consensusTimes = [{ h: 13, m: 21 }, { h: 21, m: 1 }, { h: 3, m: 33 }, { h: 8, m: 1 }, { h: 20, m: 8 }];
-        
-        let nextConsensus = 'none';
-        let minDist = Infinity;
-        
-        // Calculate current time in minutes
-        const nowMinutes = utcHour * 60 + utcMin;
-        
-        consensusTimes.forEach(ct => {
-            const ctMinutes = ct.h * 60 + ct.m;
-            
-            // Calculate difference (positive means future, negative means past)
-            let diff = ctMinutes - nowMinutes;
-            
-            // If the consensus time has already passed today, add 24 hours
-            if (diff < 0) {
-                diff += 1440; // 24 hours * 60 minutes
-            }
-            
-            // Find the minimum positive difference (next upcoming window)
-            if (diff < minDist) {
-                minDist = diff;
-                nextConsensus = `${ct.h.toString().padStart(2, '0')}:${ct.m.toString().padStart(2, '0')}`;
-            }
-        });
+        const nextWindow = timing.getNextConsensusWindow(true);
+        const nextConsensus = nextWindow.label;
+        const minDist = nextWindow.minutesUntil;
         
-        const consensusStatus = minDist <= 2 ? 'ACTIVE' : minDist <= 10 ? 'NEAR' : 'WAIT';
+        const consensusStatus = timing.isConsensusTime() ? 'ACTIVE' : minDist <= 10 ? 'NEAR' : 'WAIT';
         
         // Get log data
         const logDir = path.join(process.env.HOME, '.pm2', 'logs');
@@ -360,6 +321,7 @@ const engineLog = fs.readFileSync(path.join(logDir, 'engine-out.log'), 'utf8');
 
 
         const line = `blk:${block} | gas:${gasDisplay}gwei | vault:${vaultDisplay}eth | last P/L: ${profitDisplay} | total P/L: ${totalProfitDisplay} (${sandwichCount}) | jam:${lastJam} | amp:${ampStatus} | mir:${mirStatus} | bsv:${bsvEchoCount} | consensus:${consensusStatus}@${nextConsensus}`;
+        if (process.stdout.isTTY) {
           process.stdout.clearLine();
           process.stdout.cursorTo(0);
           process.stdout.write(line);
@@ -403,7 +365,31 @@ const engineLog = fs.readFileSync(path.join(logDir, 'engine-out.log'), 'utf8');
     }
 }
 
-// Start monitor
-setInterval(update, UPDATE_INTERVAL);
-update();
+// Start monitor (pm2 or `node manage.js monitor`); tests only load the module
+if (require.main === module) {
+    // Test connection immediately with a simple call
+    setTimeout(async () => {
+        // Suppress initial noisy logs
+        const originalLog = console.log;
+        console.log = () => {};
+        try {
+            const block = await provider.getBlockNumber();
+            originalLog(''); // Empty line before monitoring starts
+        } catch (e) {
+            console.log = originalLog; // Restore on error
+            console.error(`Failed to connect to RPC: ${e.message}`);
+            console.error('Please check your RPC endpoints in .env');
+            process.exit(1);
+        } finally {
+            console.log = originalLog; // Restore after initial connection
+        }
+    }, 1000);
+
+    setInterval(update, UPDATE_INTERVAL);
+    update();
+}
+
+module.exports = {
+    update
+};
 
@@ -0,0 +1,303 @@
+// nonce-manager.js
+// Per-signer nonce manager. Reservations are persisted in logs/cache/nonces/ so every
+// process sending from the same wallet (engine and amplifier share the main wallet; the
+// amplifier's private capture and the mirror share the mirror wallet) draws from one
+// sequence. A lock file serializes access across processes.
+//
+// Lifecycle of a nonce: reserve -> markSent (broadcast) -> confirm (mined), or
+// reserve -> release when the transaction was never broadcast. Released nonces are
+// handed out again before new ones so the sequence has no gaps. sync() reconciles
+// the file against the chain; replaceStuck() re-sends old pending transactions with
+// bumped fees under the same nonce.
+
+const path = require('path');
+const { createLockedState } = require('./locked-state');
+
+const DEFAULT_STATE_DIR = path.join(__dirname, 'logs', 'cache', 'nonces');
+const DEFAULT_BUMP_PERCENT = 20; // Nodes require at least +10% to accept a replacement
+const DEFAULT_STUCK_AFTER_MS = 3 * 60 * 1000;
+
+function isNonceError(error) {
+  if (['NONCE_EXPIRED', 'REPLACEMENT_UNDERPRICED'].includes(error.code)) return true;
+  return /nonce|already known|replacement transaction/i.test(error.shortMessage || error.message || '');
+}
+
+// Only what is needed to re-send a transaction, with bigints as strings
+function serializeTx(tx) {
+  const fields = ['to', 'data', 'value', 'gasLimit', 'gasPrice', 'maxFeePerGas', 'maxPriorityFeePerGas', 'type', 'chainId'];
+  const out = {};
+  for (const field of fields) {
+    if (tx[field] !== undefined && tx[field] !== null) out[field] = typeof tx[field] === 'bigint' ? tx[field].toString() : tx[field];
+  }
+  return out;
+}
+
+function deserializeTx(tx) {
+  const out = { ...tx };
+  for (const field of ['value', 'gasLimit', 'gasPrice', 'maxFeePerGas', 'maxPriorityFeePerGas', 'chainId']) {
+    if (out[field] !== undefined) out[field] = BigInt(out[field]);
+  }
+  return out;
+}
+
+// Signal 0 only checks that the process exists
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+const bump = (fee, percent) => (BigInt(fee) * BigInt(100 + percent) + 99n) / 100n;
+
+/**
+ * Creates a nonce manager for `signer`. Most callers want getNonceManager(), which
+ * shares one manager per address within a process.
+ * @param {ethers.Signer} signer - Wallet connected to a provider.
+ * @param {object} [options]
+ * @param {string} [options.stateDir] - Defaults to NONCE_STATE_DIR or logs/cache/nonces.
+ * @param {string} [options.service] - Name recorded on reservations; replaceStuck only touches its own.
+ * @param {() => number} [options.now=Date.now]
+ */
+function createNonceManager(signer, {
+  stateDir = process.env.NONCE_STATE_DIR || DEFAULT_STATE_DIR,
+  service = path.basename(process.argv[1] || 'node', '.js'),
+  now = Date.now
+} = {}) {
+  const address = signer.address.toLowerCase();
+  const stateFile = path.join(stateDir, `${address}.json`);
+  let synced = false;
+
+  const store = createLockedState(stateFile, () => ({ address, chainId: null, next: null, free: [], pending: {} }), { tag: 'NONCE' });
+  const withState = store.update;
+
+  // Chain state is read before taking the lock, so a slow RPC never holds up the other
+  // processes sharing this wallet; reconcile() then applies it under the lock
+  async function readChain() {
+    const provider = signer.provider;
+    const [latest, pendingCount, network] = await Promise.all([
+      provider.getTransactionCount(signer.address, 'latest'),
+      provider.getTransactionCount(signer.address, 'pending'),
+      provider.getNetwork()
+    ]);
+    return { latest, pendingCount, chainId: network.chainId.toString() };
+  }
+
+  function reconcile(state, { latest, pendingCount, chainId }) {
+    if (state.chainId !== chainId) {
+      Object.assign(state, { chainId, next: null, free: [], pending: {} });
+    }
+
+    let highest = -1;
+    for (const [key, entry] of Object.entries(state.pending)) {
+      const nonce = Number(key);
+      // Mined, or reserved by a process that died before broadcasting
+      if (nonce < latest || (entry.status === 'reserved' && !isProcessAlive(entry.pid))) {
+        delete state.pending[key];
+      } else {
+        highest = Math.max(highest, nonce);
+      }
+    }
+
+    state.next = Math.max(pendingCount, highest + 1);
+    state.free = state.free.filter(n => n >= pendingCount && n < state.next && !state.pending[n]);
+    // Gaps below the highest pending nonce must be filled before anything above them can mine
+    for (let n = pendingCount; n < state.next; n++) {
+      if (!state.pending[n] && !state.free.includes(n)) state.free.push(n);
+    }
+    state.free.sort((a, b) => a - b);
+    synced = true;
+  }
+
+  /**
+   * Reconciles persisted reservations against the chain. Called automatically before
+   * the first reservation and after nonce errors.
+   */
+  async function sync() {
+    const chain = await readChain();
+    await withState(state => reconcile(state, chain));
+    return { latest: chain.latest, pending: chain.pendingCount };
+  }
+
+  /**
+   * Reserves the next nonce. The caller must follow up with markSent or release.
+   * @param {string} [label] - What the nonce is for, e.g. 'BAIT' or 'BRIBE'.
+   * @returns {Promise<number>}
+   */
+  async function reserve(label = 'TX') {
+    let chain = synced ? null : await readChain();
+    for (;;) {
+      const nonce = await withState(state => {
+        if (!synced || state.next === null) {
+          // The state file was reset under a synced manager; read the chain and retry
+          if (!chain) return null;
+          reconcile(state, chain);
+        }
+        const next = state.free.length > 0 ? state.free.shift() : state.next++;
+        state.pending[next] = { label, service, pid: process.pid, status: 'reserved', reservedAt: now() };
+        return next;
+      });
+      if (nonce !== null) return nonce;
+      chain = await readChain();
+    }
+  }
+
+  /**
+   * Records that the transaction using `nonce` was broadcast.
+   * @param {number} nonce
+   * @param {object} tx - The sent transaction (response or request); kept for fee-bump replacement.
+   */
+  async function markSent(nonce, tx) {
+    return withState(state => {
+      const entry = state.pending[nonce] || { label: 'TX', service, pid: process.pid, reservedAt: now() };
+      state.pending[nonce] = { ...entry, status: 'sent', sentAt: now(), hash: tx.hash || null, tx: serializeTx(tx) };
+    });
+  }
+
+  /**
+   * Gives back a nonce whose transaction was never broadcast.
+   */
+  async function release(nonce) {
+    return withState(state => {
+      delete state.pending[nonce];
+      if (state.next !== null && nonce === state.next - 1) {
+        state.next--;
+        // Trailing free nonces collapse back into the counter
+        while (state.free.length > 0 && state.free[state.free.length - 1] === state.next - 1) {
+          state.free.pop();
+          state.next--;
+        }
+      } else if (!state.free.includes(nonce)) {
+        state.free.push(nonce);
+        state.free.sort((a, b) => a - b);
+      }
+    });
+  }
+
+  /**
+   * Forgets a nonce whose transaction has been mined (or that the chain already used).
+   */
+  async function confirm(nonce) {
+    return withState(state => {
+      delete state.pending[nonce];
+    });
+  }
+
+  /**
+   * Reserves a nonce, runs `send(nonce)` and records the result. On failure the nonce
+   * is released, or the state is re-synced when the node rejected the nonce itself.
+   * @param {string} label
+   * @param {(nonce: number) => Promise<ethers.TransactionResponse>} send
+   */
+  async function withNonce(label, send) {
+    const nonce = await reserve(label);
+    let response;
+    try {
+      response = await send(nonce);
+    } catch (error) {
+      if (isNonceError(error)) {
+        console.warn(`[NONCE] ${label}: nonce ${nonce} rejected (${error.shortMessage || error.message}); resyncing`);
+        await confirm(nonce);
+        await sync();
+      } else {
+        await release(nonce);
+      }
+      throw error;
+    }
+    await markSent(nonce, response);
+    return response;
+  }
+
+  /**
+   * Sends `tx` from the signer with a managed nonce.
+   */
+  function send(tx, label = 'TX') {
+    return withNonce(label, nonce => signer.sendTransaction({ ...tx, nonce }));
+  }
+
+  /**
+   * Re-sends this service's transactions that have been pending longer than
+   * `olderThanMs`, same nonce and calldata, fees raised by `bumpPercent`.
+   * @returns {Promise<Array<{nonce: number, label: string, from: string, to: string}>>} Replaced hashes.
+   */
+  async function replaceStuck({ olderThanMs = DEFAULT_STUCK_AFTER_MS, bumpPercent = DEFAULT_BUMP_PERCENT } = {}) {
+    const latest = await signer.provider.getTransactionCount(signer.address, 'latest');
+    const stuck = await withState(state => {
+      const due = [];
+      for (const [key, entry] of Object.entries(state.pending)) {
+        if (Number(key) < latest) {
+          delete state.pending[key];
+        } else if (entry.status === 'sent' && entry.service === service && now() - entry.sentAt >= olderThanMs) {
+          due.push({ nonce: Number(key), entry });
+        }
+      }
+      return due;
+    });
+
+    // Replacements are broadcast outside the lock and recorded under it afterwards
+    const replaced = [];
+    for (const { nonce, entry } of stuck) {
+      const tx = deserializeTx(entry.tx);
+      try {
+        if (tx.maxFeePerGas !== undefined) {
+          delete tx.gasPrice; // Responses carry the effective gasPrice too; EIP-1559 requests may not
+          tx.maxFeePerGas = bump(tx.maxFeePerGas, bumpPercent);
+          tx.maxPriorityFeePerGas = bump(tx.maxPriorityFeePerGas || 0n, bumpPercent);
+        } else {
+          tx.gasPrice = bump(tx.gasPrice || (await signer.provider.getFeeData()).gasPrice, bumpPercent);
+        }
+        const response = await signer.sendTransaction({ ...tx, nonce });
+        console.log(`[NONCE] Replaced stuck ${entry.label} nonce ${nonce}: ${entry.hash} -> ${response.hash} (+${bumpPercent}% fees)`);
+        replaced.push({ nonce, label: entry.label, from: entry.hash, to: response.hash, response });
+      } catch (error) {
+        // Mined in the meantime, or the replacement is still underpriced; the next pass retries
+        console.warn(`[NONCE] Could not replace ${entry.label} nonce ${nonce}: ${error.shortMessage || error.message}`);
+      }
+    }
+
+    if (replaced.length > 0) {
+      await withState(state => {
+        for (const { nonce, to, response } of replaced) {
+          const entry = state.pending[nonce];
+          if (!entry) continue; // Confirmed while the replacement was in flight
+          state.pending[nonce] = { ...entry, sentAt: now(), hash: to, tx: serializeTx(response), replacements: (entry.replacements || 0) + 1 };
+        }
+      });
+    }
+    return replaced.map(({ response, ...summary }) => summary);
+  }
+
+  /**
+   * Current persisted state, for diagnostics.
+   */
+  function snapshot() {
+    return store.read();
+  }
+
+  return { address: signer.address, stateFile, sync, reserve, markSent, release, confirm, withNonce, send, replaceStuck, snapshot };
+}
+
+const managers = new Map();
+
+/**
+ * Shared manager for a signer's address within this process. A new signer object for
+ * the same address (e.g. after switching RPC provider) gets a fresh manager over the
+ * same persisted state, which re-syncs before its first reservation.
+ */
+function getNonceManager(signer, options) {
+  const key = signer.address.toLowerCase();
+  const entry = managers.get(key);
+  if (entry && entry.signer === signer) return entry.manager;
+  const manager = createNonceManager(signer, options);
+  managers.set(key, { signer, manager });
+  return manager;
+}
+
+module.exports = {
+  DEFAULT_STATE_DIR,
+  isNonceError,
+  createNonceManager,
+  getNonceManager
+};
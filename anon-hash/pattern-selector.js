@@ -0,0 +1,200 @@
+// pattern-selector.js
+// Chooses the engine's proverb pattern. Outcomes come from the amplifier's
+// logs/profit-monitor.log: each entry names the pattern of the JAM it traded on
+// (pattern_type). Older entries without it are joined to the JAM by signalHash, as long
+// as the JAM is still in the store. An entry with positive profit counts as a win. PATTERN_STRATEGY picks how the outcomes are used:
+//
+//   thompson       - sample Beta(1 + wins, 1 + losses) per pattern, pick the highest. Default.
+//   ucb1           - try every pattern once, then mean win rate + sqrt(2 ln N / n).
+//   epsilon-greedy - best mean win rate, or with probability PATTERN_EPSILON (0.1) a
+//                    random pattern.
+//   score          - the original scoring: emission success rate from the engine's own
+//                    metrics, minus a cooldown penalty for a pattern used in the last
+//                    5 minutes, plus a bonus for patterns tried fewer than 5 times.
+//
+// The choice comes with a rationale that the engine stores in the JAM's meta.selection.
+
+const { ethers } = require('ethers');
+const { readProfitLog } = require('./spend-guard');
+
+const EXPLORATION_BONUS = 0.2;
+const COOLDOWN_PENALTY = 0.3;
+const COOLDOWN = 300000; // 5 minute cooldown between same pattern
+const DEFAULT_EPSILON = 0.1;
+
+const invalidStrategy = message => Object.assign(new Error(message), { code: 'INVALID_STRATEGY' });
+
+/**
+ * Outcomes per pattern from profit log entries.
+ * @param {object[]} entries - Profit log entries.
+ * @param {(signalHash: string) => string|null} patternOf - Pattern a signal was emitted with,
+ *   for entries that do not record it.
+ * @returns {Map<string, {trials: number, wins: number, profit: bigint}>}
+ */
+function collectOutcomes(entries, patternOf) {
+  const outcomes = new Map();
+  for (const entry of entries) {
+    const pattern = entry.pattern_type || (entry.signalHash ? patternOf(entry.signalHash) : null);
+    if (!pattern) continue;
+    let profit;
+    try {
+      profit = ethers.parseEther(String(entry.profit));
+    } catch (error) {
+      continue; // Unparseable amount
+    }
+    const outcome = outcomes.get(pattern) || { trials: 0, wins: 0, profit: 0n };
+    outcome.trials++;
+    if (profit > 0n) outcome.wins++;
+    outcome.profit += profit;
+    outcomes.set(pattern, outcome);
+  }
+  return outcomes;
+}
+
+// Standard normal (Box-Muller)
+function sampleNormal(random) {
+  return Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+}
+
+// Gamma(shape, 1) for shape >= 1 (Marsaglia-Tsang)
+function sampleGamma(shape, random) {
+  const d = shape - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+  for (;;) {
+    let x, v;
+    do {
+      x = sampleNormal(random);
+      v = 1 + c * x;
+    } while (v <= 0);
+    v = v * v * v;
+    const u = 1 - random();
+    if (Math.log(u) < 0.5 * x * x + d - d * v + d * Math.log(v)) return d * v;
+  }
+}
+
+function sampleBeta(alpha, beta, random) {
+  const x = sampleGamma(alpha, random);
+  return x / (x + sampleGamma(beta, random));
+}
+
+const round = value => (value === null ? null : Number(value.toFixed(4)));
+const argmax = scores => Object.keys(scores).reduce((best, pattern) => (scores[pattern] > scores[best] ? pattern : best));
+
+// Each strategy returns {pattern, reason, scores}
+const STRATEGIES = {
+  thompson({ patterns, outcomeOf, random }) {
+    const scores = {};
+    patterns.forEach(pattern => {
+      const { trials, wins } = outcomeOf(pattern);
+      scores[pattern] = sampleBeta(1 + wins, 1 + trials - wins, random);
+    });
+    const pattern = argmax(scores);
+    const { trials, wins } = outcomeOf(pattern);
+    return { pattern, reason: `highest sample from Beta(${1 + wins}, ${1 + trials - wins})`, scores };
+  },
+
+  ucb1({ patterns, outcomeOf }) {
+    const untried = patterns.find(pattern => outcomeOf(pattern).trials === 0);
+    const total = patterns.reduce((sum, pattern) => sum + outcomeOf(pattern).trials, 0);
+    const scores = {};
+    patterns.forEach(pattern => {
+      const { trials, wins } = outcomeOf(pattern);
+      scores[pattern] = trials === 0 ? null : wins / trials + Math.sqrt((2 * Math.log(total)) / trials);
+    });
+    if (untried) return { pattern: untried, reason: 'no outcomes yet', scores };
+    return { pattern: argmax(scores), reason: 'highest upper confidence bound', scores };
+  },
+
+  'epsilon-greedy'({ patterns, outcomeOf, random, epsilon }) {
+    const scores = {};
+    patterns.forEach(pattern => {
+      const { trials, wins } = outcomeOf(pattern);
+      scores[pattern] = trials === 0 ? 0.5 : wins / trials; // Untried patterns start at 50%
+    });
+    if (random() < epsilon) {
+      const pattern = patterns[Math.floor(random() * patterns.length)];
+      return { pattern, reason: `exploring (epsilon ${epsilon})`, scores };
+    }
+    return { pattern: argmax(scores), reason: 'best mean win rate', scores };
+  },
+
+  score({ patterns, stats, now }) {
+    const scores = {};
+    patterns.forEach(pattern => {
+      const { attempts = 0, successes = 0, lastUsed = 0 } = stats[pattern] || {};
+      const successRate = attempts > 0 ? successes / attempts : 0.5; // Default 50%
+      const cooldownPenalty = now - lastUsed < COOLDOWN ? COOLDOWN_PENALTY : 0;
+      const explorationBonus = attempts < 5 ? EXPLORATION_BONUS : 0; // Bonus for underexplored patterns
+      // Adaptive score combines success rate, recency, and exploration
+      scores[pattern] = successRate - cooldownPenalty + explorationBonus;
+    });
+    return { pattern: argmax(scores), reason: 'highest emission success score', scores };
+  }
+};
+
+/**
+ * Pattern selector for the engine.
+ * @param {object} [options]
+ * @param {object} [options.store] - JAMStore, to find the pattern of a traded signal.
+ * @param {string} [options.strategy] - Defaults to PATTERN_STRATEGY or thompson.
+ * @param {number} [options.epsilon] - Defaults to PATTERN_EPSILON or 0.1.
+ * @param {() => object[]} [options.readOutcomes] - Profit log entries; defaults to the amplifier's log.
+ * @param {() => number} [options.random]
+ * @returns {{strategy: string, select: (patterns: string[], stats: object, now: number) => {pattern: string, rationale: object}, outcomes: () => Map<string, {trials: number, wins: number, profit: bigint}>}}
+ *   `stats` is the engine's per-pattern {attempts, successes, lastUsed}; `outcomes()` is
+ *   every pattern's traded signals from the profit log, as collectOutcomes returns them.
+ */
+function createPatternSelector({
+  store,
+  strategy = process.env.PATTERN_STRATEGY || 'thompson',
+  epsilon = process.env.PATTERN_EPSILON !== undefined ? Number(process.env.PATTERN_EPSILON) : DEFAULT_EPSILON,
+  readOutcomes = () => readProfitLog(),
+  random = Math.random
+} = {}) {
+  if (!STRATEGIES[strategy]) throw invalidStrategy(`Unknown PATTERN_STRATEGY: ${strategy} (expected ${Object.keys(STRATEGIES).join(', ')})`);
+  if (!(epsilon >= 0 && epsilon <= 1)) throw invalidStrategy(`PATTERN_EPSILON must be between 0 and 1, got ${epsilon}`);
+
+  // A JAM's pattern never changes, so lookups are cached; misses are not, as the JAM
+  // may not have been stored yet
+  const patterns = new Map();
+  const patternOf = hash => {
+    const key = hash.toLowerCase();
+    if (!patterns.has(key)) {
+      let jam = null;
+      try {
+        jam = store ? store.retrieve(key) : null;
+      } catch (error) {
+        // Not a JAM hash
+      }
+      if (!jam || !jam.meta || !jam.meta.pattern_type) return null;
+      patterns.set(key, jam.meta.pattern_type);
+    }
+    return patterns.get(key);
+  };
+
+  const currentOutcomes = () => collectOutcomes(readOutcomes(), patternOf);
+
+  function select(candidates, stats = {}, now = Date.now()) {
+    const outcomes = strategy === 'score' ? new Map() : currentOutcomes();
+    const outcomeOf = pattern => outcomes.get(pattern) || { trials: 0, wins: 0, profit: 0n };
+    const choice = STRATEGIES[strategy]({ patterns: candidates, outcomeOf, stats, now, random, epsilon });
+    const { trials, wins, profit } = outcomeOf(choice.pattern);
+    const rationale = {
+      strategy,
+      reason: choice.reason,
+      scores: Object.fromEntries(Object.entries(choice.scores).map(([pattern, score]) => [pattern, round(score)])),
+      outcomes: strategy === 'score'
+        ? { attempts: (stats[choice.pattern] || {}).attempts || 0, successes: (stats[choice.pattern] || {}).successes || 0 }
+        : { trials, wins, profit: ethers.formatEther(profit) }
+    };
+    return { pattern: choice.pattern, rationale };
+  }
+
+  return { strategy, select, outcomes: currentOutcomes };
+}
+
+module.exports = {
+  STRATEGIES,
+  collectOutcomes,
+  createPatternSelector
+};
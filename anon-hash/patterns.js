@@ -0,0 +1,177 @@
+// patterns.js
+// Proverb patterns for the engine, one YAML or JSON file per pattern in patterns/
+// (PATTERNS_DIR). Each file is checked against pattern.schema.json and then against
+// what the executors can do: token symbols must be in dex-config's TOKENS, each actor
+// may only use the actions it implements, and since the amplifier and the mirror each
+// run only their first step (semantic-amplifier.js, mirror.js), a pattern has exactly
+// one step per actor.
+//
+// The library notices when a file in the directory is added, edited or removed and
+// reloads it before the next selection, so patterns change without restarting the
+// engine. A reload that does not validate is logged and the previous patterns stay in use.
+
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const yaml = require('js-yaml');
+const { TOKENS } = require('./dex-config');
+
+const DEFAULT_PATTERNS_DIR = path.join(__dirname, 'patterns');
+const PATTERN_SCHEMA = require('./pattern.schema.json');
+const PATTERN_FILE = /\.(ya?ml|json)$/;
+
+// Actions each executor implements
+const ACTOR_ACTIONS = {
+  AMPLIFIER: ['SWAP'],
+  MIRROR: ['SWAP', 'DEPOSIT', 'DEPOSIT_AAVE', 'DEPOSIT_COMPOUND', 'DEPOSIT_SAVINGS']
+};
+
+// Tokens an action is limited to, for actions the mirror implements for specific tokens
+const ACTION_TOKENS = {
+  DEPOSIT_COMPOUND: { to: symbol => /^c[A-Z]/.test(symbol), expected: 'a Compound cToken' },
+  DEPOSIT_SAVINGS: { from: symbol => symbol === 'DAI', to: symbol => symbol === 'sDAI', expected: 'DAI -> sDAI' }
+};
+
+const validatePatternSchema = new Ajv({ allErrors: true }).compile(PATTERN_SCHEMA);
+
+const invalidPattern = message => Object.assign(new Error(message), { code: 'INVALID_PATTERN' });
+
+/**
+ * Problems with a parsed pattern; empty when it is usable.
+ * @param {object} pattern
+ * @param {object} [tokens] - Symbol -> address; defaults to dex-config's TOKENS.
+ * @returns {string[]}
+ */
+function checkPattern(pattern, tokens = TOKENS) {
+  if (!validatePatternSchema(pattern)) {
+    return validatePatternSchema.errors.map(err => `${err.instancePath || '/'} ${err.message}`);
+  }
+  const problems = [];
+  pattern.steps.forEach((step, index) => {
+    const where = `/steps/${index}`;
+    ['from', 'to'].forEach(side => {
+      if (!tokens[step[side]]) problems.push(`${where}/${side} unknown token ${step[side]}`);
+    });
+    if (!ACTOR_ACTIONS[step.actor].includes(step.action)) {
+      problems.push(`${where} ${step.actor} cannot ${step.action} (supports ${ACTOR_ACTIONS[step.actor].join(', ')})`);
+    }
+    const limits = ACTION_TOKENS[step.action];
+    if (limits && ['from', 'to'].some(side => limits[side] && !limits[side](step[side]))) {
+      problems.push(`${where} ${step.action} ${step.from} -> ${step.to} is not supported (expected ${limits.expected})`);
+    }
+  });
+  Object.keys(ACTOR_ACTIONS).forEach(actor => {
+    const count = pattern.steps.filter(step => step.actor === actor).length;
+    if (count !== 1) problems.push(`/steps has ${count} ${actor} steps, expected exactly 1`);
+  });
+  return problems;
+}
+
+function parsePatternFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  return file.endsWith('.json') ? JSON.parse(text) : yaml.load(text, { filename: file });
+}
+
+/**
+ * Reads every pattern file in a directory.
+ * @param {string} [dir] - Defaults to PATTERNS_DIR or ./patterns.
+ * @param {object} [options]
+ * @param {object} [options.tokens]
+ * @returns {{dir: string, patterns: object[], problems: string[]}} Patterns carry their
+ *   `file` and `enabled` (default true); problems are prefixed with the file name.
+ */
+function loadPatterns(dir = process.env.PATTERNS_DIR || DEFAULT_PATTERNS_DIR, { tokens = TOKENS } = {}) {
+  const patterns = [];
+  const problems = [];
+  let files;
+  try {
+    files = fs.readdirSync(dir).filter(name => PATTERN_FILE.test(name)).sort();
+  } catch (error) {
+    return { dir, patterns, problems: [`Cannot read patterns from ${dir}: ${error.message}`] };
+  }
+
+  const seen = new Map();
+  for (const name of files) {
+    let pattern;
+    try {
+      pattern = parsePatternFile(path.join(dir, name));
+    } catch (error) {
+      problems.push(`${name}: ${error.message.split('\n')[0]}`);
+      continue;
+    }
+    const fileProblems = checkPattern(pattern, tokens);
+    if (fileProblems.length > 0) {
+      fileProblems.forEach(problem => problems.push(`${name}: ${problem}`));
+      continue;
+    }
+    if (seen.has(pattern.id)) {
+      problems.push(`${name}: id ${pattern.id} is already used by ${seen.get(pattern.id)}`);
+      continue;
+    }
+    seen.set(pattern.id, name);
+    patterns.push({ ...pattern, enabled: pattern.enabled !== false, file: name });
+  }
+  if (problems.length === 0 && !patterns.some(pattern => pattern.enabled)) problems.push(`No enabled patterns in ${dir}`);
+  return { dir, patterns, problems };
+}
+
+// Changes whenever a pattern file is added, removed or rewritten
+function fingerprint(dir) {
+  try {
+    return fs.readdirSync(dir)
+      .filter(name => PATTERN_FILE.test(name))
+      .sort()
+      .map(name => {
+        const stat = fs.statSync(path.join(dir, name));
+        return `${name}:${stat.mtimeMs}:${stat.size}`;
+      })
+      .join('|');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Hot-reloading pattern library for the engine. Throws INVALID_PATTERN when the
+ * directory does not validate at startup.
+ * @param {object} [options]
+ * @param {string} [options.dir] - Defaults to PATTERNS_DIR or ./patterns.
+ * @param {object} [options.tokens]
+ * @returns {{dir: string, current: () => object}} current() returns the enabled patterns
+ *   by id ({name, steps, baseResonance, ...}), reloading first when a file changed.
+ */
+function createPatternLibrary({ dir = process.env.PATTERNS_DIR || DEFAULT_PATTERNS_DIR, tokens = TOKENS } = {}) {
+  const toLibrary = patterns => Object.fromEntries(patterns.filter(pattern => pattern.enabled).map(pattern => [pattern.id, pattern]));
+
+  const initial = loadPatterns(dir, { tokens });
+  if (initial.problems.length > 0) throw invalidPattern(`Invalid patterns in ${dir}: ${initial.problems.join('; ')}`);
+  let library = toLibrary(initial.patterns);
+  let loaded = fingerprint(dir);
+  let rejected = null;
+
+  function current() {
+    const now = fingerprint(dir);
+    if (now === loaded || now === rejected) return library;
+    const result = loadPatterns(dir, { tokens });
+    if (result.problems.length > 0) {
+      rejected = now;
+      console.error(`[PATTERNS] Keeping the previous patterns; ${dir} does not validate: ${result.problems.join('; ')}`);
+      return library;
+    }
+    library = toLibrary(result.patterns);
+    loaded = now;
+    rejected = null;
+    console.log(`[PATTERNS] Reloaded ${Object.keys(library).length} patterns from ${dir}: ${Object.keys(library).join(', ')}`);
+    return library;
+  }
+
+  return { dir, current };
+}
+
+module.exports = {
+  DEFAULT_PATTERNS_DIR,
+  ACTOR_ACTIONS,
+  checkPattern,
+  loadPatterns,
+  createPatternLibrary
+};
@@ -0,0 +1,179 @@
+// quotes.js
+// On-chain quotes and slippage bounds for every swap the amplifier sends.
+// Each DEX type is quoted through its own venue (Uniswap V3 QuoterV2, V2-fork
+// getAmountsOut, Aerodrome router routes) and the minimum output is derived from
+// MAX_SLIPPAGE_BPS. A swap without a quote is refused rather than sent with a
+// zero minimum.
+
+const { ethers } = require('ethers');
+const { TOKENS } = require('./dex-config');
+
+const DEFAULT_MAX_SLIPPAGE_BPS = 50; // 0.5%
+const BPS = 10000n;
+
+const quoterV2Abi = [
+  "function quoteExactInputSingle(tuple(address tokenIn, address tokenOut, uint256 amountIn, uint24 fee, uint160 sqrtPriceLimitX96) params) external returns (uint256 amountOut, uint160 sqrtPriceX96After, uint32 initializedTicksCrossed, uint256 gasEstimate)",
+  "function quoteExactInput(bytes path, uint256 amountIn) external returns (uint256 amountOut, uint160[] sqrtPriceX96AfterList, uint32[] initializedTicksCrossedList, uint256 gasEstimate)"
+];
+
+const v2QuoteAbi = [
+  "function getAmountsOut(uint256 amountIn, address[] path) view returns (uint256[] amounts)"
+];
+
+const solidlyQuoteAbi = [
+  "function getAmountsOut(uint256 amountIn, tuple(address from, address to, bool stable, address factory)[] routes) view returns (uint256[] amounts)"
+];
+
+/**
+ * Maximum accepted slippage in basis points, read from MAX_SLIPPAGE_BPS at call time.
+ * @returns {number}
+ */
+function getMaxSlippageBps() {
+  const raw = process.env.MAX_SLIPPAGE_BPS;
+  if (raw === undefined || raw === '') return DEFAULT_MAX_SLIPPAGE_BPS;
+  const bps = Number(raw);
+  if (!Number.isInteger(bps) || bps < 0 || bps >= 10000) {
+    throw new Error(`Invalid MAX_SLIPPAGE_BPS "${raw}": expected an integer from 0 to 9999`);
+  }
+  return bps;
+}
+
+/**
+ * Lowest acceptable output for a quoted amount, rounded down.
+ * @param {bigint} amountOut - Quoted output amount.
+ * @param {number} [slippageBps] - Defaults to MAX_SLIPPAGE_BPS.
+ * @returns {bigint}
+ */
+function applySlippage(amountOut, slippageBps = getMaxSlippageBps()) {
+  return (BigInt(amountOut) * (BPS - BigInt(slippageBps))) / BPS;
+}
+
+function tokenSymbol(address) {
+  const entry = Object.entries(TOKENS).find(([, tokenAddress]) => tokenAddress.toLowerCase() === address.toLowerCase());
+  return entry ? entry[0] : null;
+}
+
+/**
+ * Fee tier for a V3 hop, looked up in the DEX's FEE_TIERS by symbol pair in either order.
+ */
+function feeTierFor(dex, tokenIn, tokenOut) {
+  const tiers = dex.FEE_TIERS || {};
+  const a = tokenSymbol(tokenIn);
+  const b = tokenSymbol(tokenOut);
+  return tiers[`${a}-${b}`] ?? tiers[`${b}-${a}`] ?? tiers.default ?? 3000;
+}
+
+/**
+ * Packed V3 path: token (20 bytes) followed by fee (3 bytes) and the next token, per hop.
+ */
+function encodeV3Path(dex, path) {
+  const types = [];
+  const values = [];
+  path.forEach((token, i) => {
+    if (i > 0) {
+      types.push('uint24');
+      values.push(feeTierFor(dex, path[i - 1], token));
+    }
+    types.push('address');
+    values.push(token);
+  });
+  return ethers.solidityPacked(types, values);
+}
+
+/**
+ * Default solidly routes for a token path: one volatile hop per pair on the DEX's factory.
+ */
+function solidlyRoutes(dex, path) {
+  return path.slice(1).map((to, i) => ({
+    from: path[i],
+    to,
+    stable: false,
+    factory: dex.factory
+  }));
+}
+
+async function quoteConcentrated(runner, dex, path, amountIn) {
+  if (!dex.quoter) throw new Error(`${dex.NAME} has no quoter configured`);
+  const quoter = new ethers.Contract(dex.quoter, quoterV2Abi, runner);
+  // QuoterV2 reverts internally to report the quote, so it must be called, never sent
+  if (path.length === 2) {
+    const [amountOut] = await quoter.quoteExactInputSingle.staticCall({
+      tokenIn: path[0],
+      tokenOut: path[1],
+      amountIn,
+      fee: feeTierFor(dex, path[0], path[1]),
+      sqrtPriceLimitX96: 0
+    });
+    return amountOut;
+  }
+  const [amountOut] = await quoter.quoteExactInput.staticCall(encodeV3Path(dex, path), amountIn);
+  return amountOut;
+}
+
+async function quoteV2(runner, dex, path, amountIn) {
+  const router = new ethers.Contract(dex.ROUTER, v2QuoteAbi, runner);
+  const amounts = await router.getAmountsOut(amountIn, path);
+  return amounts[amounts.length - 1];
+}
+
+async function quoteSolidly(runner, dex, path, amountIn, routes) {
+  const router = new ethers.Contract(dex.ROUTER, solidlyQuoteAbi, runner);
+  const amounts = await router.getAmountsOut(amountIn, routes || solidlyRoutes(dex, path));
+  return amounts[amounts.length - 1];
+}
+
+/**
+ * Quotes an exact-input swap on `dex` and derives its minimum output.
+ * Throws when the venue gives no usable quote, so callers never trade unbounded.
+ * @param {ethers.ContractRunner} runner - Provider (or signer) used for the read-only calls.
+ * @param {object} dex - Entry from DEX_CONFIGS.
+ * @param {object} params
+ * @param {string[]} params.path - Token addresses from input to output.
+ * @param {bigint} params.amountIn - Exact input amount.
+ * @param {Array<{from: string, to: string, stable: boolean, factory: string}>} [params.routes] - Solidly routes; defaults to volatile hops on dex.factory.
+ * @param {number} [params.slippageBps] - Defaults to MAX_SLIPPAGE_BPS.
+ * @returns {Promise<{dex: string, amountIn: bigint, amountOut: bigint, amountOutMinimum: bigint, slippageBps: number}>}
+ */
+async function quoteSwap(runner, dex, { path, amountIn, routes, slippageBps = getMaxSlippageBps() }) {
+  let amountOut;
+  try {
+    switch (dex.TYPE) {
+      case 'concentrated-liquidity':
+        amountOut = await quoteConcentrated(runner, dex, path, amountIn);
+        break;
+      case 'uniswap-v2':
+      case 'uniswap-v2-fork':
+        amountOut = await quoteV2(runner, dex, path, amountIn);
+        break;
+      case 'solidly-fork':
+        amountOut = await quoteSolidly(runner, dex, path, amountIn, routes);
+        break;
+      default:
+        throw new Error(`unsupported DEX type ${dex.TYPE}`);
+    }
+  } catch (error) {
+    throw new Error(`No quote available on ${dex.NAME}: ${error.shortMessage || error.message}`);
+  }
+
+  if (!amountOut || amountOut === 0n) {
+    throw new Error(`No quote available on ${dex.NAME}: quoted output is zero`);
+  }
+
+  return {
+    dex: dex.NAME,
+    amountIn,
+    amountOut,
+    amountOutMinimum: applySlippage(amountOut, slippageBps),
+    slippageBps
+  };
+}
+
+module.exports = {
+  DEFAULT_MAX_SLIPPAGE_BPS,
+  getMaxSlippageBps,
+  applySlippage,
+  feeTierFor,
+  encodeV3Path,
+  solidlyRoutes,
+  quoteSwap
+};
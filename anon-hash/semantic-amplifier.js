@@ -4,18 +4,40 @@
 const { ethers } = require('ethers');
 const fs = require('fs');
 const path = require('path');
+const { FlashbotsBundleProvider } = require('@flashbots/ethers-provider-bundle');
 require('dotenv').config();
-const jamStore = require('./jam-store');
+const { getJamStore } = require('./jam-store');
+const { createJamVerifier } = require('./jam-signing');
 const { bridgeToBSV } = require('./bsv-echo');
+const { isDryRun, sendOrSimulate } = require('./dry-run');
+const { quoteSwap, getMaxSlippageBps } = require('./quotes');
+const { buildSwapCall } = require('./swap-builder');
+const { createPoolResolver } = require('./aerodrome-pools');
+const { getNonceManager } = require('./nonce-manager');
+const { getSpendGuard } = require('./spend-guard');
+const { loadSigner } = require('./signers');
+const { createSnapshot } = require('./state-snapshot');
 
 // Import DEX configurations with recursive cascade support
-const { DEX_CONFIGS, TOKENS, selectOptimalDEX, getRecursiveDEXCascade, ROUTE_HINTS, getAerodromePool } = require('./dex-config');
+const { DEX_CONFIGS, TOKENS, TOKEN_DECIMALS, selectOptimalDEX, getRecursiveDEXCascade, ROUTE_HINTS } = require('./dex-config');
+
+// Consensus window timing and phi-scaled bait sizing (shared clock)
+const {
+  getMinDistanceToConsensusWindow,
+  getConsensusMultiplier,
+  isConsensusTime,
+  calculateTradeAmount,
+  describeWindows
+} = require('./timing');
 
 // Dynamic DEX cascade based on market conditions
 let DEX_CASCADE = [];
 const WETH = TOKENS.WETH;
 const USDC = TOKENS.USDC;
 
+// Formats a token amount for the logs in that token's own decimals (ETH legs trade as WETH)
+const formatToken = (amount, symbol) => ethers.formatUnits(amount, TOKEN_DECIMALS[symbol === 'ETH' ? 'WETH' : symbol] ?? 18);
+
 // Current active router (dynamically selected)
 let ACTIVE_ROUTER = null;
 let ACTIVE_DEX_NAME = null;
@@ -40,51 +62,10 @@ let isAmplifying = false;
 const MAX_GAS_PRICE = ethers.parseUnits(process.env.MAX_GAS_GWEI || '0.02', 'gwei'); // Increased for Base
 const MIN_PROFIT_RATIO = parseInt(process.env.MIN_PROFIT_RATIO) || 10;
 
-// Historical gas prices for statistical analysis
-let recentGasPrices = [];
+// Historical gas prices for statistical analysis, kept across restarts (state-snapshot.js)
 const MAX_HISTORY = 50; // Keep last 50 gas price readings
-
-// PHI-ALIGNED: Golden ratio amplification for recursive signal visibility
-const PHI = 1.618033988749895; // Full precision golden ratio
-
-// Global consensus clock times for amplified activity (UTC)
-const CONSENSUS_TIMES = [
-  { hour: 13, minute: 21 }, // 13:21 UTC - Fibonacci time
-  { hour: 21, minute: 1 },  // 21:01 UTC - Mirror of 01:21
-  { hour: 3, minute: 33 },  // 03:33 UTC - Trinity alignment
-  { hour: 8, minute: 1 },   // 08:01 UTC - New cycle
-  { hour: 20, minute: 8 }   // 20:08 UTC - Evening alignment
-];
-
-// Enhanced consensus window detection with phi-based scaling
-function getMinDistanceToConsensusWindow() {
-  const now = new Date();
-  const currentHour = now.getUTCHours();
-  const currentMinute = now.getUTCMinutes();
-  const currentMinutes = currentHour * 60 + currentMinute;
-
-  return CONSENSUS_TIMES.reduce((minDist, time) => {
-    const windowMinutes = time.hour * 60 + time.minute;
-    const distance = Math.min(
-      Math.abs(currentMinutes - windowMinutes),
-      Math.abs(currentMinutes - windowMinutes + 1440), // Next day
-      Math.abs(currentMinutes - windowMinutes - 1440)  // Previous day
-    );
-    return Math.min(minDist, distance);
-  }, Infinity);
-}
-
-function getConsensusMultiplier() {
-  const minDistance = getMinDistanceToConsensusWindow();
-  if (minDistance <= 2) return 2.618; // φ + 1 for perfect alignment
-  if (minDistance <= 5) return 1.618; // φ for near alignment
-  if (minDistance <= 10) return 1.382; // φ-1 for approaching
-  return 1;
-}
-
-function isConsensusTime() {
-  return getMinDistanceToConsensusWindow() <= 2;
-}
+const amplifierSnapshot = createSnapshot('amplifier');
+let recentGasPrices = ((amplifierSnapshot.restore() || {}).recentGasPrices || []).slice(-MAX_HISTORY);
 
 // Semantic legibility check - validates that the signal will be interpretable by MEV bots
 function isSemanticallyLegible(step, tradeAmount, swapPath) {
@@ -136,59 +117,6 @@ function isSemanticallyLegible(step, tradeAmount, swapPath) {
   return true;
 }
 
-function calculateTradeAmount(signalConfidence = 0.9, gasPrice = null, gasCostEth = 0) {
-  if (!gasPrice || gasPrice <= 0) {
-    console.log('[SKIP] Invalid gas price');
-    return ethers.parseEther('0');
-  }
-  // Base trade amount as per documentation (phi/1000)
-  let baseAmount = ethers.parseEther("0.000001618"); // φ/1000000 - adjusted trade amount for ultra-low cost
-  
-  // Get consensus window multiplier (2.618x during perfect alignment)
-  const consensusMultiplier = getConsensusMultiplier();
-  
-  // Scale by phi powers based on gas conditions (recursive golden spiral)
-  if (gasPrice) {
-    const gasPriceGwei = parseFloat(ethers.formatUnits(gasPrice, 'gwei'));
-    
-    // Phi-based gas price tier scaling - REDUCE when gas is high
-    if (gasPriceGwei > 75) {
-      // Extreme gas - reduce to minimum
-      baseAmount = ethers.parseEther((0.000001618 / Math.pow(PHI, 2)).toFixed(8));
-    } else if (gasPriceGwei > 50) {
-      // High gas - reduce by phi
-      baseAmount = ethers.parseEther((0.000001618 / PHI).toFixed(8));
-    } else if (gasPriceGwei > 25) {
-      // Medium gas - keep base amount
-      baseAmount = ethers.parseEther("0.000001618");
-    }
-    
-    // Apply consensus time multiplier (2.618x during perfect alignment)
-    baseAmount = ethers.parseEther(
-      (parseFloat(ethers.formatEther(baseAmount)) * consensusMultiplier).toFixed(8)
-    );
-    
-    // High confidence boost using 12th Fibonacci number (1.44x)
-    if (signalConfidence > 0.95) {
-      baseAmount = baseAmount * 144n / 100n; // 1.44x confidence multiplier
-    }
-  }
-  
-  // PHILOSOPHICAL ALIGNMENT: Log gas cost ratio but DO NOT block semantic signals
-  // The amplifier emits signals for MEV bot reflexivity, not local profitability
-  const gasCostRatio = gasCostEth / parseFloat(ethers.formatEther(baseAmount));
-  if (gasCostRatio > 0.1) {
-    console.log(`[SEMANTIC] High gas cost ratio ${(gasCostRatio * 100).toFixed(2)}% - emitting signal anyway for MEV reflexivity`);
-  }
-  
-  // Log consensus amplification
-  if (consensusMultiplier > 1) {
-    console.log(`CONSENSUS CLOCK ALIGNMENT: ${new Date().toISOString()} - Amplifying by ${consensusMultiplier}x`);
-  }
-  
-  return baseAmount;
-}
-
 // Statistical analysis for adaptive rarity detection
 function updateGasHistory(gasPrice) {
   const gasPriceGwei = parseFloat(ethers.formatUnits(gasPrice, 'gwei'));
@@ -197,6 +125,7 @@ function updateGasHistory(gasPrice) {
   if (recentGasPrices.length > MAX_HISTORY) {
     recentGasPrices.shift(); // Remove oldest
   }
+  amplifierSnapshot.save({ recentGasPrices });
 }
 
 function calculateStatisticalRarity(currentGasPrice) {
@@ -215,12 +144,19 @@ function calculateStatisticalRarity(currentGasPrice) {
   
   return 0.6; // Normal conditions
 }
+
+// Shared JAM store, written by the engine
+const jamStore = getJamStore();
+
 // Setup provider - use the first working RPC
-const rpcUrl = 'https://base.publicnode.com'; // Use known working RPC
+const rpcUrl = process.env.RPC_URL || 'https://base.publicnode.com'; // Use known working RPC
 const provider = new ethers.JsonRpcProvider(rpcUrl);
 console.log('Using RPC:', rpcUrl);
-const wallet = new ethers.Wallet(process.env.PRIVATE_KEY, provider);
-const mirrorWallet = new ethers.Wallet(process.env.MIRROR_PRIVATE_KEY, provider);
+// Keys from the configured signer (SIGNER_MODE); every signature is checked against
+// spend-limits.json and the circuit breaker
+const spendGuard = getSpendGuard();
+const wallet = spendGuard.guard(loadSigner('main', provider), 'main');
+const mirrorWallet = spendGuard.guard(loadSigner('mirror', provider), 'mirror');
 
 // Contract interfaces
 const DMAP_ADDRESS = process.env.DMAP_ADDRESS;
@@ -237,9 +173,12 @@ if (!VAULT_ADDRESS) {
   process.exit(1);
 }
 
+// Only JAMs signed by the engine's wallet for this vault and chain are acted on
+const loadTrustedJam = createJamVerifier({ store: jamStore, provider, vaultAddress: VAULT_ADDRESS, emitter: YOUR_EMITTER });
+
 const dmap = new ethers.Contract(
   DMAP_ADDRESS,
-  ["event SignalRegistered(bytes32 indexed hash)"],
+  ["event SignalRegistered(bytes32 indexed hash, address indexed owner, uint256 categoryId, string description)"],
   provider
 );
 
@@ -253,26 +192,6 @@ const vault = new ethers.Contract(
   wallet
 );
 
-// Router ABIs for different DEX types
-const routerABIs = {
-  'concentrated-liquidity': [
-    "function exactInputSingle(tuple(address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96) params) external payable returns (uint256 amountOut)",
-    "function exactInput(tuple(bytes path, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum) params) external payable returns (uint256 amountOut)"
-  ],
-  'uniswap-v2': [
-    "function swapExactETHForTokens(uint amountOutMin, address[] calldata path, address to, uint deadline) external payable returns (uint[] memory amounts)",
-    "function swapExactETHForTokensSupportingFeeOnTransferTokens(uint amountOutMin, address[] calldata path, address to, uint deadline) external payable"
-  ],
-  'uniswap-v2-fork': [
-    "function swapExactETHForTokens(uint amountOutMin, address[] calldata path, address to, uint deadline) external payable returns (uint[] memory amounts)",
-    "function swapExactETHForTokensSupportingFeeOnTransferTokens(uint amountOutMin, address[] calldata path, address to, uint deadline) external payable"
-  ],
-  'solidly-fork': [
-    // Aerodrome uses routes instead of simple paths
-    "function swapExactETHForTokens(uint amountOutMin, (address from, address to, bool stable)[] calldata routes, address to, uint deadline) external payable returns (uint[] memory amounts)"
-  ]
-};
-
 // Initialize with Uniswap V3 as default
 ACTIVE_ROUTER = DEX_CONFIGS.UNISWAP_V3.ROUTER;
 ACTIVE_DEX_NAME = DEX_CONFIGS.UNISWAP_V3.NAME;
@@ -286,7 +205,7 @@ if (!ACTIVE_ROUTER) {
 
 // Initialize router with default Uniswap V3 config
 const routerAbi = [
-  'function exactInputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96) params) external payable returns (uint256)',
+  'function exactInputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96) params) external payable returns (uint256)',
   'function swapExactETHForTokens(uint amountOutMin, address[] calldata path, address to, uint deadline) external payable returns (uint[] memory amounts)'
 ];
 
@@ -304,24 +223,37 @@ if (!routerAbi || !Array.isArray(routerAbi) || routerAbi.length === 0) {
 
 let router = new ethers.Contract(ACTIVE_ROUTER, routerAbi, wallet);
 
-// Initialize nonce manager
-let currentNonce = null;
-async function getNextNonce() {
-  // Correctly lock and manage the nonce
-  const nonce = await provider.getTransactionCount(wallet.address, "pending");
-  if (currentNonce === null || nonce > currentNonce) {
-    currentNonce = nonce;
-  } else {
-    currentNonce++;
+// Aerodrome pools come from the factory (stable vs volatile, deeper wins), cached on disk
+const aerodromePools = createPoolResolver({ runner: provider });
+const solidlyRoutesFor = (dex, tokenPath) => (dex.TYPE === 'solidly-fork' ? aerodromePools.resolveRoutes(tokenPath) : undefined);
+
+// Persistent nonce managers, shared with the engine (wallet) and the mirror (mirrorWallet)
+const nonces = getNonceManager(wallet);
+const mirrorNonces = getNonceManager(mirrorWallet);
+const NONCE_CHECK_INTERVAL = parseInt(process.env.NONCE_CHECK_INTERVAL) || 60000;
+const NONCE_STUCK_AFTER_MS = parseInt(process.env.NONCE_STUCK_AFTER_MS) || 180000;
+
+async function reconcileNonces() {
+  for (const manager of [nonces, mirrorNonces]) {
+    const { latest, pending } = await manager.sync();
+    console.log(`[NONCE] ${manager.address}: chain nonce ${latest}, pending ${pending}`);
   }
-  return currentNonce;
 }
+reconcileNonces().catch(error => console.error('[NONCE] Startup reconciliation failed:', error.message));
+
+// Re-send our own transactions that sit in the mempool too long, with bumped fees
+setInterval(() => {
+  nonces.replaceStuck({ olderThanMs: NONCE_STUCK_AFTER_MS })
+    .catch(error => console.error('[NONCE] Stuck transaction check failed:', error.message));
+}, NONCE_CHECK_INTERVAL);
 
 console.log('Semantic Amplifier Started');
+if (isDryRun()) console.log('[DRY-RUN] Dry-run mode: bait swaps are simulated, never broadcast.');
 console.log(`Watching signals from: ${YOUR_EMITTER}`);
 console.log(`Primary DEX: ${ACTIVE_DEX_NAME} (${ACTIVE_ROUTER})`);
 console.log(`Fallback DEX: ${DEX_CONFIGS.ROCKETSWAP.NAME} (${DEX_CONFIGS.ROCKETSWAP.ROUTER})`);
-console.log(`Consensus amplification times (UTC): 13:21, 21:01, 03:33, 08:01, 20:08`);
+console.log(`Consensus amplification windows: ${describeWindows().join(', ')}`);
+console.log(`Max slippage: ${getMaxSlippageBps()} bps from on-chain quotes (swaps without a quote are refused)`);
 
 // Debug log for DEX configurations
 console.log('Active DEX Configuration:', {
@@ -334,7 +266,7 @@ console.log('Active DEX Configuration:', {
 async function checkRecentSignals() {
   try {
     const currentBlock = await provider.getBlockNumber();
-    const fromBlock = currentBlock - 1000; // Check last ~33 minutes on Base
+    const fromBlock = Math.max(0, currentBlock - 1000); // Check last ~33 minutes on Base
     console.log(`Checking for recent signals from block ${fromBlock} to ${currentBlock}...`);
     
     const filter = dmap.filters.SignalRegistered();
@@ -456,8 +388,6 @@ async function handleSignal(hash, event) {
   const MAX_RETRIES = 3;
   const BACKOFF_STRATEGY = [1000, 5000, 30000]; // Exponential backoff
 
-  for (let attempt = 0; attempt < MAX_RETRIES; attempt++) {
-    try {
   if (isAmplifying) {
     console.log(`[SKIP] Amplifier is busy. Signal ${hash.slice(0, 10)}... will be ignored.`);
     return;
@@ -465,13 +395,19 @@ async function handleSignal(hash, event) {
 
   isAmplifying = true; // Set lock
   console.log(`[LOCK] Amplifier engaged for signal ${hash.slice(0, 10)}...`);
-
   try {
+  for (let attempt = 0; attempt < MAX_RETRIES; attempt++) {
+    try {
+  const halted = await spendGuard.checkBreaker();
+  if (halted) {
+    console.log(`[BREAKER] Circuit breaker open (${halted.reason}). Signal ${hash.slice(0, 10)}... ignored until \`node manage.js resume\`.`);
+    return;
+  }
+
     // First, get the transaction that emitted this signal
     const tx = await event.getTransaction();
     if (!tx) {
       console.log(`[ERROR] Could not retrieve transaction for signal ${hash.slice(0, 10)}...`);
-      isAmplifying = false;
       return;
     }
     
@@ -480,7 +416,6 @@ async function handleSignal(hash, event) {
     
     // Only react to YOUR signals (either direct or through vault)
     if (tx.from.toLowerCase() !== YOUR_EMITTER.toLowerCase()) {
-        isAmplifying = false; // Release lock
         return;
     }
     
@@ -493,12 +428,10 @@ async function handleSignal(hash, event) {
       try {
         const decoded = vaultInterface.parseTransaction({ data: tx.data });
         if (!decoded || !decoded.name.includes('Signal')) {
-            isAmplifying = false; // Release lock
             return;
         }
       } catch (e) {
         // Not a signal emission
-        isAmplifying = false; // Release lock
         return;
       }
     }
@@ -520,8 +453,14 @@ async function handleSignal(hash, event) {
       
       console.log(`Base L2 gas price: ${gasPriceGwei.toFixed(4)} gwei`);
 
-      const jamData = jamStore.retrieve(hash);
-      if (!jamData || !jamData.meta || !jamData.meta.audit_pass) {
+      let jamData;
+      try {
+        jamData = await loadTrustedJam(hash);
+      } catch (error) {
+        console.log(`[ABORT] JAM ${hash.slice(0, 10)}... rejected: ${error.message}`);
+        return;
+      }
+      if (!jamData || !jamData.meta.audit_pass) {
         console.log(`[ABORT] JAM ${hash.slice(0, 10)}... failed audit or is missing verification. Signal is untrusted.`);
         return;
       }
@@ -538,7 +477,7 @@ async function handleSignal(hash, event) {
       const amountIn = calculateTradeAmount(0.9, gasPrice);
       const tradeSizeForCascade = ethers.formatEther(amountIn);
       DEX_CASCADE = getRecursiveDEXCascade(gasPriceGwei, tradeSizeForCascade, jamData.cascadeDepth || 1);
-      console.log(`[ALIGNMENT] DEX Cascade selected: ${DEX_CASCADE.map(d => d.name).join(' -> ')}`);
+      console.log(`[ALIGNMENT] DEX Cascade selected: ${DEX_CASCADE.map(d => d.NAME).join(' -> ')}`);
       console.log(`[ALIGNMENT] Consensus window active: ${isConsensusTime()}`);
 
       const deadline = Math.floor(Date.now() / 1000) + 300;
@@ -576,6 +515,8 @@ async function handleSignal(hash, event) {
 
       // Initialize key variables before the loop
       let swapTx;
+      let baitQuote;
+      let baitCall;
       const estimatedGas = 85000n; // Base L2 optimized gas estimate
       const optimizedGasPrice = gasPrice; // Use current gas price for Base L2
       const estimatedCost = estimatedGas * optimizedGasPrice;
@@ -594,8 +535,6 @@ async function handleSignal(hash, event) {
       }
 
       // Enhanced cost tracking
-      const estimatedGasCost = estimatedGas * optimizedGasPrice;
-      const costInEth = parseFloat(ethers.formatEther(estimatedGasCost));
       const tradeAmountInEth = parseFloat(ethers.formatEther(finalTradeAmount));
 
       // Precise profit calculation accounting for gas
@@ -610,165 +549,215 @@ async function handleSignal(hash, event) {
       for (const dex of DEX_CASCADE) {
         try {
           console.log(`[ATTEMPT] Trying to swap on ${dex.NAME} (${dex.TYPE})...`);
-          const currentRouter = new ethers.Contract(dex.ROUTER, routerABIs[dex.TYPE], wallet);
+          // No quote, no trade: quoteSwap throws and the cascade moves to the next DEX
+          const routes = await solidlyRoutesFor(dex, swapPath);
+          baitQuote = await quoteSwap(provider, dex, { path: swapPath, routes, amountIn: finalTradeAmount });
+          console.log(`[QUOTE] ${dex.NAME}: ${ethers.formatEther(finalTradeAmount)} ${myStep.from} -> ${formatToken(baitQuote.amountOut, myStep.to)} ${myStep.to} (min ${formatToken(baitQuote.amountOutMinimum, myStep.to)} at ${baitQuote.slippageBps} bps)`);
+          baitCall = buildSwapCall(dex, {
+            path: swapPath,
+            routes,
+            amountIn: finalTradeAmount,
+            amountOutMinimum: baitQuote.amountOutMinimum,
+            recipient: wallet.address,
+            deadline
+          });
+          console.log(`[BUILD] ${dex.NAME}: ${baitCall.method} -> ${baitCall.to}`);
+
           const txOptions = {
-            value: finalTradeAmount,
             gasLimit: 300000,
-            gasPrice: optimizedGasPrice,
-            nonce: await getNextNonce()
+            gasPrice: optimizedGasPrice
           };
 
-      const { FlashbotsBundleProvider } = require('@flashbots/ethers-bundle');
-
       // --- ALIGNMENT: HYBRID EXECUTION ---
       // 1. PUBLIC BAIT (Amplifier)
       console.log(`[BAIT] Sending public transaction to mempool...`);
-      const publicTx = await wallet.sendTransaction({
-        to: dex.ROUTER,
-        data: encodedData, // from the V2 fork logic
+      const publicTx = await sendOrSimulate(wallet, {
+        to: baitCall.to,
+        data: baitCall.data,
+        value: baitCall.value,
         ...txOptions
-      });
+      }, { label: `BAIT ${dex.NAME}`, iface: baitCall.iface, nonces });
+
+      if (publicTx.dryRun) {
+        // A simulated revert moves on to the next DEX in the cascade, as a live failure would
+        if (!publicTx.success) throw new Error(`Simulated bait reverted: ${publicTx.revertReason}`);
+        console.log(`[DRY-RUN] Private capture on ${dex.NAME} depends on the bait landing; not simulated.`);
+        swapTx = publicTx;
+        ACTIVE_DEX_NAME = dex.NAME;
+        ACTIVE_DEX_TYPE = dex.TYPE;
+        break;
+      }
       console.log(`[BAIT] Public TX sent: ${publicTx.hash}`);
 
       // Wait for the bait to be included in a block, attracting MEV bots
       const receipt = await publicTx.wait();
+      await nonces.confirm(publicTx.nonce);
       console.log(`[BAIT] Public TX landed in block ${receipt.blockNumber}`);
 
       // 2. PRIVATE CAPTURE (Mirror)
-      const mirrorStep = proverb.find(step => step.actor === 'MIRROR');
-      if (!mirrorStep) throw new Error('Mirror step not found for private capture.');
+      // The bait has landed either way: a capture that has nothing to sell or fails does not
+      // fail the DEX (which would place a second bait), and the relay to the mirror still runs
+      const privateCapture = async () => {
+        const mirrorStep = proverb.find(step => step.actor === 'MIRROR');
+        if (!mirrorStep) throw new Error('Mirror step not found for private capture.');
 
-      const tokenContract = new ethers.Contract(toToken, ["function balanceOf(address) view returns (uint256)", "function getAmountsOut(uint256, address[]) view returns (uint256[])"], provider);
-      const tokenBalance = await tokenContract.balanceOf(mirrorWallet.address);
+        const tokenContract = new ethers.Contract(toToken, ["function balanceOf(address) view returns (uint256)", "function getAmountsOut(uint256, address[]) view returns (uint256[])"], provider);
+        const tokenBalance = await tokenContract.balanceOf(mirrorWallet.address);
 
-      if (tokenBalance === 0n) {
-        console.log('[CAPTURE] No token balance found for mirror wallet. Nothing to capture.');
-        return;
-      }
+        if (tokenBalance === 0n) {
+          console.log('[CAPTURE] No token balance found for mirror wallet. Nothing to capture.');
+          return;
+        }
 
-      console.log(`[CAPTURE] Mirror wallet holds ${ethers.formatUnits(tokenBalance, 18)} of ${mirrorStep.from}. Preparing private capture.`);
+        console.log(`[CAPTURE] Mirror wallet holds ${formatToken(tokenBalance, mirrorStep.from)} of ${mirrorStep.from}. Preparing private capture.`);
 
-      // AMPLIFICATION: DYNAMIC BRIBE MECHANISM
-      // To create a bribe, we must first estimate the profit of the capture transaction.
-      const mirrorRouterForEstimation = new ethers.Contract(dex.ROUTER, routerABIs[dex.TYPE], provider);
-      let estimatedEthOut = 0n;
-      try {
-        // Estimate how much ETH we'll get back from the swap
-        const amountsOut = await mirrorRouterForEstimation.getAmountsOut(tokenBalance, [toToken, fromToken]);
-        estimatedEthOut = amountsOut[amountsOut.length - 1];
-      } catch (e) {
-        console.warn(`[BRIBE-WARN] Could not estimate profit for ${dex.NAME}. Will send without bribe. Error: ${e.message}`);
-      }
+        // AMPLIFICATION: DYNAMIC BRIBE MECHANISM
+        // The capture quote bounds the swap's slippage and sizes the bribe; without one we do not capture.
+        const capturePath = [toToken, fromToken];
+        const captureRoutes = await solidlyRoutesFor(dex, capturePath);
+        const captureQuote = await quoteSwap(provider, dex, { path: capturePath, routes: captureRoutes, amountIn: tokenBalance });
+        const estimatedEthOut = captureQuote.amountOut;
+        console.log(`[QUOTE] Capture on ${dex.NAME}: ${ethers.formatEther(estimatedEthOut)} ETH (min ${ethers.formatEther(captureQuote.amountOutMinimum)} at ${captureQuote.slippageBps} bps)`);
 
-      const captureGasPrice = receipt.effectiveGasPrice * 2n; // Use aggressive gas for capture
-      const estimatedGasCost = (200000n * captureGasPrice); // Rough gas estimate for capture swap
-      const estimatedProfit = estimatedEthOut > estimatedGasCost ? estimatedEthOut - estimatedGasCost : 0n;
+        const captureGasPrice = receipt.effectiveGasPrice * 2n; // Use aggressive gas for capture
+        const estimatedGasCost = (200000n * captureGasPrice); // Rough gas estimate for capture swap
+        const estimatedProfit = estimatedEthOut > estimatedGasCost ? estimatedEthOut - estimatedGasCost : 0n;
       
-      const BRIBE_PERCENTAGE = 80n; // Use 80% of our profit for the bribe to be competitive
-      const bribeAmount = (estimatedProfit * BRIBE_PERCENTAGE) / 100n;
+        const BRIBE_PERCENTAGE = 80n; // Use 80% of our profit for the bribe to be competitive
+        const bribeAmount = (estimatedProfit * BRIBE_PERCENTAGE) / 100n;
 
-      if (bribeAmount > 0) {
-        console.log(`[BRIBE] Estimated profit: ${ethers.formatEther(estimatedProfit)} ETH. Paying builder bribe: ${ethers.formatEther(bribeAmount)} ETH.`);
-      }
-      // END AMPLIFICATION
+        if (bribeAmount > 0) {
+          console.log(`[BRIBE] Estimated profit: ${ethers.formatEther(estimatedProfit)} ETH. Paying builder bribe: ${ethers.formatEther(bribeAmount)} ETH.`);
+        }
+        // END AMPLIFICATION
+
+        // Build the private capture transaction
+        const captureCall = buildSwapCall(dex, {
+            path: capturePath,
+            routes: captureRoutes,
+            amountIn: tokenBalance,
+            amountOutMinimum: captureQuote.amountOutMinimum,
+            recipient: wallet.address,
+            deadline
+        });
+        const mirrorTx = { to: captureCall.to, data: captureCall.data, value: captureCall.value };
+
+        const flashbotsProvider = await FlashbotsBundleProvider.create(provider, mirrorWallet, 'https://relay.flashbots.net');
+        const targetBlock = receipt.blockNumber + 1;
+        const block = await provider.getBlock(targetBlock - 1);
+      
+        // Bundle transactions only reach the chain if the bundle is included, so their
+        // nonces are released again when it is not
+        const bundleNonces = [[mirrorNonces, await mirrorNonces.reserve('CAPTURE')]];
+        const releaseBundleNonces = () => Promise.all(bundleNonces.map(([manager, nonce]) => manager.release(nonce)));
+
+        let privateTxResult;
+        try {
+          const bundle = [
+            { transaction: {...mirrorTx, gasLimit: 300000, gasPrice: captureGasPrice, chainId: (await provider.getNetwork()).chainId, nonce: bundleNonces[0][1]}, signer: mirrorWallet }
+          ];
+
+          if (bribeAmount > 0n) {
+              const bribeNonce = await nonces.reserve('BRIBE'); // The amplifier's main nonce sequence
+              bundleNonces.push([nonces, bribeNonce]);
+              bundle.push({
+                  transaction: {
+                      to: block.miner, // Pay the block builder directly
+                      value: bribeAmount,
+                      gasLimit: 21000,
+                      gasPrice: captureGasPrice,
+                      chainId: (await provider.getNetwork()).chainId,
+                      nonce: bribeNonce
+                  },
+                  signer: wallet 
+              });
+          }
 
-      // Build the private capture transaction
-      const mirrorRouter = new ethers.Contract(dex.ROUTER, routerABIs[dex.TYPE], mirrorWallet);
-      const mirrorTx = await mirrorRouter.populateTransaction.swapExactTokensForETH(
-          tokenBalance, 0, [toToken, fromToken], wallet.address, deadline
-      );
+          const signedBundle = await flashbotsProvider.signBundle(bundle);
 
-      const flashbotsProvider = await FlashbotsBundleProvider.create(provider, mirrorWallet, 'https://relay.flashbots.net');
-      const targetBlock = receipt.blockNumber + 1;
-      const block = await provider.getBlock(targetBlock - 1);
-      
-      const bundle = [
-        { transaction: {...mirrorTx, gasLimit: 300000, gasPrice: captureGasPrice, chainId: (await provider.getNetwork()).chainId, nonce: await provider.getTransactionCount(mirrorWallet.address, "pending")}, signer: mirrorWallet }
-      ];
-
-      if (bribeAmount > 0n) {
-          bundle.push({
-              transaction: {
-                  to: block.miner, // Pay the block builder directly
-                  value: bribeAmount,
-                  gasLimit: 21000,
-                  gasPrice: captureGasPrice,
-                  chainId: (await provider.getNetwork()).chainId,
-                  nonce: await getNextNonce() // Use the amplifier's main nonce
-              },
-              signer: wallet 
-          });
-      }
-      
-      const signedBundle = await flashbotsProvider.signBundle(bundle);
+          console.log(`[CAPTURE] Submitting private bundle for block ${targetBlock}...`);
+          const bundleResponse = await flashbotsProvider.sendRawBundle(signedBundle, targetBlock);
 
-      console.log(`[CAPTURE] Submitting private bundle for block ${targetBlock}...`);
-      const bundleResponse = await flashbotsProvider.sendRawBundle(signedBundle, targetBlock);
+          if ('error' in bundleResponse) {
+            throw new Error(`Private capture failed: ${bundleResponse.error.message}`);
+          }
 
-      if ('error' in bundleResponse) {
-        throw new Error(`Private capture failed: ${bundleResponse.error.message}`);
-      }
+          privateTxResult = await bundleResponse.wait();
+        } catch (bundleError) {
+          await releaseBundleNonces();
+          throw bundleError;
+        }
 
-      const privateTxResult = await bundleResponse.wait();
-      if(privateTxResult === 0) {
-        console.log(`[CAPTURE] Private transaction included in block ${targetBlock}`);
+        if(privateTxResult === 0) {
+          console.log(`[CAPTURE] Private transaction included in block ${targetBlock}`);
+          await Promise.all(bundleNonces.map(([manager, nonce]) => manager.confirm(nonce)));
         
-        // VERIFICATION: Get final balance and log profit
-        const finalVaultBalance = await provider.getBalance(wallet.address);
-        const profit = finalVaultBalance - initialVaultBalance;
+          // VERIFICATION: Get final balance and log profit
+          const finalVaultBalance = await provider.getBalance(wallet.address);
+          const profit = finalVaultBalance - initialVaultBalance;
         
-        // Detailed Profit Logging
-        const profitInEth = ethers.formatEther(profit);
-        const profitRatio = parseFloat(profitInEth) / costInEth;
-
-        console.log(`[VERIFICATION] Final vault balance: ${ethers.formatEther(finalVaultBalance)} ETH`);
-        console.log(`[VERIFICATION] Net Profit/Loss: ${profitInEth} ETH`);
-        console.log(`[VERIFICATION] Profit Ratio: ${profitRatio.toFixed(4)}x`);
-
-        // Log to a file for the monitor
-        const profitLogPath = path.join(__dirname, 'logs', 'profit-monitor.log');
-        const logEntry = {
-            timestamp: new Date().toISOString(),
-            signalHash: hash,
-            baitTx: publicTx.hash,
-            tradeAmount: tradeAmountInEth,
-            gasCost: costInEth,
-            profit: profitInEth,
-            profitRatio: profitRatio,
-            dex: dex.NAME,
-            success: true
-        };
-        fs.appendFileSync(profitLogPath, JSON.stringify(logEntry) + '\n');
+          // Detailed Profit Logging
+          const profitInEth = ethers.formatEther(profit);
+          const profitRatio = parseFloat(profitInEth) / costInEth;
+
+          console.log(`[VERIFICATION] Final vault balance: ${ethers.formatEther(finalVaultBalance)} ETH`);
+          console.log(`[VERIFICATION] Net Profit/Loss: ${profitInEth} ETH`);
+          console.log(`[VERIFICATION] Profit Ratio: ${profitRatio.toFixed(4)}x`);
+
+          // Log to a file for the monitor
+          const profitLogPath = path.join(__dirname, 'logs', 'profit-monitor.log');
+          const logEntry = {
+              timestamp: new Date().toISOString(),
+              signalHash: hash,
+              pattern_type: meta.pattern_type || null, // Outlives the JAM once it is archived
+              baitTx: publicTx.hash,
+              tradeAmount: tradeAmountInEth,
+              gasCost: costInEth,
+              profit: profitInEth,
+              profitRatio: profitRatio,
+              dex: dex.NAME,
+              success: true
+          };
+          fs.appendFileSync(profitLogPath, JSON.stringify(logEntry) + '\n');
 
-      } else {
-        console.log(`[CAPTURE] Private transaction reverted or was not included. Search for bundle on https://etherscan.io/txs?block=${targetBlock}&p=1`);
+        } else {
+          console.log(`[CAPTURE] Private transaction reverted or was not included. Search for bundle on https://etherscan.io/txs?block=${targetBlock}&p=1`);
+          await releaseBundleNonces();
         
-        // VERIFICATION: Log failure case
-        const finalVaultBalance = await provider.getBalance(wallet.address);
-        const profit = finalVaultBalance - initialVaultBalance;
-        const profitInEth = ethers.formatEther(profit);
-        const profitRatio = parseFloat(profitInEth) / costInEth;
-
-        const profitLogPath = path.join(__dirname, 'logs', 'profit-monitor.log');
-        const logEntry = {
-            timestamp: new Date().toISOString(),
-            signalHash: hash,
-            baitTx: publicTx.hash,
-            tradeAmount: tradeAmountInEth,
-            gasCost: costInEth,
-            profit: profitInEth,
-            profitRatio: profitRatio,
-            dex: dex.NAME,
-            success: false,
-            reason: 'Capture reverted or not included'
-        };
-        fs.appendFileSync(profitLogPath, JSON.stringify(logEntry) + '\n');
+          // VERIFICATION: Log failure case
+          const finalVaultBalance = await provider.getBalance(wallet.address);
+          const profit = finalVaultBalance - initialVaultBalance;
+          const profitInEth = ethers.formatEther(profit);
+          const profitRatio = parseFloat(profitInEth) / costInEth;
+
+          const profitLogPath = path.join(__dirname, 'logs', 'profit-monitor.log');
+          const logEntry = {
+              timestamp: new Date().toISOString(),
+              signalHash: hash,
+              pattern_type: meta.pattern_type || null, // Outlives the JAM once it is archived
+              baitTx: publicTx.hash,
+              tradeAmount: tradeAmountInEth,
+              gasCost: costInEth,
+              profit: profitInEth,
+              profitRatio: profitRatio,
+              dex: dex.NAME,
+              success: false,
+              reason: 'Capture reverted or not included'
+          };
+          fs.appendFileSync(profitLogPath, JSON.stringify(logEntry) + '\n');
+        }
+      };
+      try {
+        await privateCapture();
+      } catch (captureError) {
+        console.error(`[CAPTURE] Private capture failed: ${captureError.message}`);
       }
 
       swapTx = publicTx; // Set for logging purposes
 
           console.log(`[SUCCESS] Swap sent via ${dex.NAME}.`);
           ACTIVE_DEX_NAME = dex.NAME; // Set active DEX name on success
+          ACTIVE_DEX_TYPE = dex.TYPE;
           break; // Exit loop on success
         } catch (dexError) {
           console.error(`[FAIL] Swap on ${dex.NAME} failed. Reason: ${dexError.reason || dexError.message}`);
@@ -783,7 +772,7 @@ async function handleSignal(hash, event) {
       }
 
 // Validate transaction before proceeding
-      if (!swapTx || !swapTx.hash) {
+      if (!swapTx || (!swapTx.hash && !swapTx.dryRun)) {
         throw new Error('Invalid transaction - missing hash');
       }
 
@@ -798,15 +787,8 @@ async function handleSignal(hash, event) {
         return tokenEntry ? tokenEntry[0] : addr.slice(0, 10) + '...';
       }).join(' -> ')}`);
       
-      // Initial swap data encoding (will be overwritten in cascade loop)
-      // This is just for the MEV tags
-      const iface = new ethers.Interface(routerABIs['uniswap-v2']);
-      const swapData = iface.encodeFunctionData("swapExactETHForTokens", [
-          0, // Accept any amount of tokens
-          swapPath,
-          wallet.address, // Use main wallet address
-          deadline
-      ]);
+      // The MEV tags are appended to the calldata the bait was actually sent with
+      const swapData = baitCall.data;
 
 // ENHANCED MEV TRACE VISIBILITY
 // Core signal identity with precise timing info
@@ -883,9 +865,15 @@ const taggedData = swapData +
       // The amplifier always performs the first step which is a swap
       
       console.log(`Estimated cost: ${costInEth.toFixed(6)} ETH (~$${(costInEth * 3000).toFixed(4)})`);
+
+      if (swapTx.dryRun) {
+        // The transfer to the mirror and any recursive signal need the bait's output and receipt
+        console.log(`[DRY-RUN] Signal ${hash.slice(0, 10)} -> bait on ${ACTIVE_DEX_NAME} would succeed (gas ~${swapTx.gasEstimate}, cost ~${swapTx.costEth} ETH); nothing was broadcast.`);
+        return;
+      }
       console.log(`Signal code: ipfs://__IPFS_MANIFEST_HASH__`);
       
-      console.log(`SEMANTIC SIGNAL: Emitting legible pattern (estimated cost ratio ${actualProfitRatio.toFixed(2)}:1)`);
+      console.log(`SEMANTIC SIGNAL: Emitting legible pattern (estimated profit ratio ${profitRatio.toFixed(2)}x)`);
       console.log(`This is a sovereignty signal, not a profit trade - MEV bots will evaluate profitability`);
 
       if (!swapTx) {
@@ -915,7 +903,7 @@ const taggedData = swapData +
       console.log(`Actual cost: ${actualCostEth.toFixed(6)} ETH (~$${(actualCostEth * 3000).toFixed(4)})`);
       
       // ALIGNED: Check profitability metrics
-      actualProfitRatio = parseFloat(ethers.formatEther(finalTradeAmount)) / actualCostEth;
+      const actualProfitRatio = parseFloat(ethers.formatEther(finalTradeAmount)) / actualCostEth;
       console.log(`PROFIT RATIO: ${actualProfitRatio.toFixed(2)}:1`);
 
       // --- INTER-BOT ALIGNMENT ---
@@ -955,13 +943,14 @@ const taggedData = swapData +
           
           try {
               const feeData = await provider.getFeeData();
-              const transferTx = await tokenContract.transfer(mirrorWallet.address, tokenBalance, {
+              const transferTx = await nonces.withNonce('TRANSFER', nonce => tokenContract.transfer(mirrorWallet.address, tokenBalance, {
                   gasPrice: feeData.gasPrice,
                   gasLimit: 80000, // Increased gas limit for safety
-                  nonce: await getNextNonce()
-              });
+                  nonce
+              }));
               const receipt = await transferTx.wait();
-              console.log(`[ALIGNMENT] Transfer complete. Tx: ${receipt.transactionHash}`);
+              await nonces.confirm(transferTx.nonce);
+              console.log(`[ALIGNMENT] Transfer complete. Tx: ${receipt.hash}`);
           } catch (transferError) {
               console.error(`[ALIGNMENT-ERROR] Failed to transfer ${myStep.to} to mirror wallet:`, transferError.message);
           }
@@ -1007,23 +996,24 @@ const taggedData = swapData +
       // Bridge to BSV with retries
       try {
         await withRetries(async () => {
-          if (!jamData.recursiveTopology) {
-            jamData.recursiveTopology = { eth: 1, bsv: 0 };
+          // Echo counts live in the JAM's annotations; its hashed recursiveTopology stays as emitted
+          if (!jamData.annotations?.recursiveTopology) {
+            jamData.annotations = { ...jamData.annotations, recursiveTopology: { ...(jamData.recursiveTopology || { eth: 1, bsv: 0 }) } };
           }
           await bridgeToBSV({
             hash: hash,
             proverb: proverb,
             cascadeDepth: recursiveDepth,
-            consensus_window: getMinDistanceToConsensusWindow() <= 2 ? 'ACTIVE' : 'WAIT',
+            consensus_window: isConsensusTime() ? 'ACTIVE' : 'WAIT',
             resonance: recursiveDepth * getConsensusMultiplier(),
-            recursiveTopology: jamData.recursiveTopology
+            recursiveTopology: jamData.annotations.recursiveTopology
           }, {
             hash: swapTx.hash,
             profit: actualProfitRatio
           });
           console.log(`[BSV] Echo successful for ${hash.slice(0, 10)}.`);
-          jamData.recursiveTopology.bsv = (jamData.recursiveTopology.bsv || 0) + 1;
-          jamStore.update(hash, { recursiveTopology: jamData.recursiveTopology });
+          jamData.annotations.recursiveTopology.bsv = (jamData.annotations.recursiveTopology.bsv || 0) + 1;
+          jamStore.annotate(hash, { recursiveTopology: jamData.annotations.recursiveTopology });
         }, 'BSV-Bridge');
       } catch (e) {
           // Error is already logged by withRetries
@@ -1094,7 +1084,7 @@ const taggedData = swapData +
         
         // Emit recursive signal if resonance is sufficient
         if (ENABLE_RECURSIVE_SIGNALS && (recursiveDepth >= 2 || (amplificationValue > actualCostEth * 15 && getConsensusMultiplier() > 1))) {
-          const recursiveTx = await vault.emitRecursiveSignal(ampHash, hash);
+          const recursiveTx = await nonces.withNonce('RECURSIVE', nonce => vault.emitRecursiveSignal(ampHash, hash, { nonce }));
           console.log(`RECURSIVE SIGNAL EMITTED: ${recursiveTx.hash}`);
           console.log(`Cascade value increased for original signal: ${hash.slice(0, 10)}`);
           console.log(`Phi-resonance depth: ${recursiveDepth}`);
@@ -1123,8 +1113,11 @@ const taggedData = swapData +
       }
     }
   }
-  isAmplifying = false; // Release lock
-  console.log(`[LOCK] Amplifier disengaged for signal ${hash.slice(0, 10)}...`);
+  } finally {
+    // Every path out (rejected JAMs, aborts, dry runs, failed retries) frees the next signal
+    isAmplifying = false;
+    console.log(`[LOCK] Amplifier disengaged for signal ${hash.slice(0, 10)}...`);
+  }
 }
 
 
@@ -0,0 +1,135 @@
+// signer-daemon.js
+// Local remote signer for SIGNER_MODE=remote. Unlocks the keystores once at startup
+// and signs for the engine, amplifier and mirror over a Unix socket that only this
+// user can open, so the trading processes never hold a key.
+//
+// The daemon is also where the spend limits are enforced in remote mode: every
+// transaction is checked against spend-limits.json and the circuit breaker
+// (spend-guard.js) before it is signed, so nothing that can reach the socket signs
+// past them. Typed data granting token allowances (Permit) is refused, since the
+// guard cannot count it; other messages and typed data are signed as asked.
+//
+// Protocol: one JSON line per connection, {method, address, params}, answered with
+// {result} or {error}. Methods: signTransaction {unsigned} (unsigned serialized tx),
+// signMessage {data} (hex bytes), signTypedData {domain, types, value}.
+//
+// Run it before the other services (PM2 does when SIGNER_MODE=remote):
+//   KEYSTORE_PASSWORD_FILE=/path/to/password node signer-daemon.js
+
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const { ethers } = require('ethers');
+require('dotenv').config();
+const { DEFAULT_SOCKET, WALLETS, keystorePath, readPassword, unlockKeystore } = require('./signers');
+const { getSpendGuard } = require('./spend-guard');
+
+const MAX_REQUEST_BYTES = 1024 * 1024;
+
+// EIP-2612 and Permit2 allowances are signed off-chain and spent without a transaction
+const isPermit = types => Object.keys(types || {}).some(type => /^Permit/.test(type));
+
+async function handle(wallets, { method, address, params = {} }, { guard, names }) {
+  const wallet = address && wallets.get(address.toLowerCase());
+  if (!wallet) throw new Error(`No key for ${address}`);
+
+  switch (method) {
+    case 'signTransaction': {
+      const tx = ethers.Transaction.from(params.unsigned);
+      if (tx.isSigned()) throw new Error('Expected an unsigned transaction');
+      await guard.authorize(wallet.address, names[wallet.address.toLowerCase()] || wallet.address, tx);
+      return wallet.signTransaction(tx);
+    }
+    case 'signMessage':
+      return wallet.signMessage(ethers.getBytes(params.data));
+    case 'signTypedData':
+      if (isPermit(params.types)) throw new Error('Refusing to sign a token permit; approvals go through signTransaction and the spend limits');
+      return wallet.signTypedData(params.domain, params.types, params.value);
+    default:
+      throw new Error(`Unknown method ${method}`);
+  }
+}
+
+/**
+ * Serves signing requests for `wallets` on `socketPath`.
+ * @param {ethers.Wallet[]} wallets - Unlocked wallets, not connected to a provider.
+ * @param {string} [socketPath]
+ * @param {object} [options]
+ * @param {object} [options.guard] - Spend guard every transaction must pass; defaults to getSpendGuard().
+ * @param {Object<string, string>} [options.names] - Wallet name in spend-limits.json by lowercase address.
+ * @returns {Promise<net.Server>} Listening server.
+ */
+function createSignerServer(wallets, socketPath = process.env.SIGNER_SOCKET || DEFAULT_SOCKET, { guard = getSpendGuard(), names = {} } = {}) {
+  const byAddress = new Map(wallets.map(wallet => [wallet.address.toLowerCase(), wallet]));
+
+  const server = net.createServer(socket => {
+    let buffer = '';
+    socket.setEncoding('utf8');
+    socket.on('error', () => {}); // Client went away
+    socket.on('data', async chunk => {
+      buffer += chunk;
+      if (buffer.length > MAX_REQUEST_BYTES) return socket.destroy();
+      if (!buffer.includes('\n')) return;
+      socket.removeAllListeners('data');
+
+      let response;
+      let request = {};
+      try {
+        request = JSON.parse(buffer.slice(0, buffer.indexOf('\n')));
+        response = { result: await handle(byAddress, request, { guard, names }) };
+        console.log(`[SIGNER] ${request.method} for ${request.address}`);
+      } catch (error) {
+        response = { error: error.shortMessage || error.message };
+        console.warn(`[SIGNER] Refused ${request.method || 'request'} for ${request.address || 'unknown'}: ${response.error}`);
+      }
+      socket.end(JSON.stringify(response) + '\n');
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    fs.mkdirSync(path.dirname(socketPath), { recursive: true });
+    // A socket file left by a previous run would make listen fail with EADDRINUSE
+    fs.rmSync(socketPath, { force: true });
+    server.once('error', reject);
+    server.listen(socketPath, () => {
+      fs.chmodSync(socketPath, 0o600);
+      server.off('error', reject);
+      resolve(server);
+    });
+  });
+}
+
+async function main() {
+  const password = readPassword();
+  const wallets = [];
+  const names = {};
+  for (const name of Object.keys(WALLETS)) {
+    const file = keystorePath(name);
+    if (!fs.existsSync(file)) continue;
+    const wallet = unlockKeystore(file, password);
+    wallets.push(wallet);
+    names[wallet.address.toLowerCase()] = name;
+  }
+  if (wallets.length === 0) {
+    throw new Error(`No keystores found; create them with \`node manage.js keystore import <name>\``);
+  }
+
+  const socketPath = process.env.SIGNER_SOCKET || DEFAULT_SOCKET;
+  const server = await createSignerServer(wallets, socketPath, { names });
+  console.log(`[SIGNER] Signing for ${wallets.map(wallet => wallet.address).join(', ')} on ${socketPath}`);
+
+  const shutdown = () => server.close(() => process.exit(0));
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(`[SIGNER] ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  createSignerServer
+};
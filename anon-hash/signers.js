@@ -0,0 +1,223 @@
+// signers.js
+// Where the wallets' keys come from. Every process asks for its signer by wallet name
+// ('main' signs signals and bait swaps, 'mirror' signs the mirror's trades and the
+// private capture) and gets an ethers signer back; SIGNER_MODE picks the backend:
+//
+//   keystore - encrypted JSON keystores in KEYSTORE_DIR (main.json, mirror.json),
+//              unlocked at startup with the password in KEYSTORE_PASSWORD_FILE.
+//              Default when NODE_ENV=production.
+//   remote   - keys stay in signer-daemon.js; transactions and messages are signed
+//              over the Unix socket SIGNER_SOCKET. The processes only know the
+//              addresses (WALLET_ADDRESS, MIRROR_WALLET_ADDRESS).
+//   env      - raw keys from PRIVATE_KEY / MIRROR_PRIVATE_KEY, for development.
+//
+// Keystores are created from the .env keys with `node manage.js keystore import <name>`.
+
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const { ethers } = require('ethers');
+
+const DEFAULT_KEYSTORE_DIR = path.join(__dirname, 'keystore');
+const DEFAULT_SOCKET = path.join(__dirname, 'logs', 'cache', 'signer.sock');
+const REMOTE_TIMEOUT_MS = 10000;
+const MODES = ['keystore', 'remote', 'env'];
+
+// Per wallet name: the env-mode key, the address remote mode signs for, and the
+// wallet whose key is used when the env key is missing
+const WALLETS = {
+  main: { keyEnv: 'PRIVATE_KEY', addressEnv: 'WALLET_ADDRESS' },
+  mirror: { keyEnv: 'MIRROR_PRIVATE_KEY', addressEnv: 'MIRROR_WALLET_ADDRESS', fallback: 'main' }
+};
+
+function walletSpec(name) {
+  const spec = WALLETS[name];
+  if (!spec) throw new Error(`Unknown wallet "${name}" (expected ${Object.keys(WALLETS).join(' or ')})`);
+  return spec;
+}
+
+/**
+ * Signer mode from SIGNER_MODE; keystore in production, env otherwise.
+ */
+function getSignerMode(env = process.env) {
+  const mode = env.SIGNER_MODE || (env.NODE_ENV === 'production' ? 'keystore' : 'env');
+  if (!MODES.includes(mode)) throw new Error(`Invalid SIGNER_MODE: ${mode} (expected ${MODES.join(', ')})`);
+  return mode;
+}
+
+function keystorePath(name, keystoreDir = process.env.KEYSTORE_DIR || DEFAULT_KEYSTORE_DIR) {
+  walletSpec(name);
+  return path.join(keystoreDir, `${name}.json`);
+}
+
+/**
+ * Reads the keystore password from a file; trailing newlines are not part of it.
+ */
+function readPassword(passwordFile = process.env.KEYSTORE_PASSWORD_FILE) {
+  if (!passwordFile) throw new Error('KEYSTORE_PASSWORD_FILE is not set');
+  try {
+    return fs.readFileSync(passwordFile, 'utf8').replace(/\r?\n$/, '');
+  } catch (error) {
+    throw new Error(`Cannot read keystore password from ${passwordFile}: ${error.message}`);
+  }
+}
+
+/**
+ * Decrypts a keystore synchronously (processes build their contracts at load time).
+ * @returns {ethers.Wallet} Not connected to a provider.
+ */
+function unlockKeystore(file, password) {
+  let json;
+  try {
+    json = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    throw new Error(`Cannot read keystore ${file}: ${error.message}`);
+  }
+  try {
+    return ethers.Wallet.fromEncryptedJsonSync(json, password);
+  } catch (error) {
+    throw new Error(`Cannot unlock keystore ${file}: ${error.shortMessage || error.message}`);
+  }
+}
+
+/**
+ * Encrypts `privateKey` into `<keystoreDir>/<name>.json`, readable by the owner only.
+ * @returns {string} The wallet address.
+ */
+function writeKeystore(name, privateKey, password, { keystoreDir = process.env.KEYSTORE_DIR || DEFAULT_KEYSTORE_DIR, overwrite = false } = {}) {
+  const file = keystorePath(name, keystoreDir);
+  if (!overwrite && fs.existsSync(file)) throw new Error(`Keystore ${file} already exists`);
+  const wallet = new ethers.Wallet(privateKey);
+  fs.mkdirSync(keystoreDir, { recursive: true, mode: 0o700 });
+  fs.writeFileSync(file, wallet.encryptSync(password), { mode: 0o600 });
+  return wallet.address;
+}
+
+// JSON-safe copies of typed-data values (uint fields may be bigints)
+const toJson = value => JSON.parse(JSON.stringify(value, (key, v) => (typeof v === 'bigint' ? v.toString() : v)));
+
+/**
+ * Signer backed by signer-daemon.js. The address is configured up front, so it is
+ * available synchronously like a Wallet's; the daemon refuses to sign for any
+ * address it does not hold.
+ */
+class RemoteSigner extends ethers.AbstractSigner {
+  constructor(address, socketPath = DEFAULT_SOCKET, provider = null) {
+    super(provider);
+    this.address = ethers.getAddress(address);
+    this.socketPath = socketPath;
+  }
+
+  getAddress() {
+    return Promise.resolve(this.address);
+  }
+
+  connect(provider) {
+    return new RemoteSigner(this.address, this.socketPath, provider);
+  }
+
+  // One request per connection: a JSON line out, a JSON line back
+  request(method, params) {
+    return new Promise((resolve, reject) => {
+      const socket = net.createConnection(this.socketPath);
+      let buffer = '';
+      const fail = error => {
+        socket.destroy();
+        reject(error);
+      };
+      socket.setTimeout(REMOTE_TIMEOUT_MS, () => fail(new Error(`Remote signer at ${this.socketPath} timed out on ${method}`)));
+      socket.on('error', error => fail(new Error(`Remote signer at ${this.socketPath} unavailable: ${error.message}`)));
+      socket.on('data', chunk => {
+        buffer += chunk;
+        if (!buffer.includes('\n')) return;
+        socket.end();
+        const response = JSON.parse(buffer.slice(0, buffer.indexOf('\n')));
+        if (response.error) reject(new Error(`Remote signer refused ${method}: ${response.error}`));
+        else resolve(response.result);
+      });
+      socket.write(JSON.stringify({ method, address: this.address, params }) + '\n');
+    });
+  }
+
+  async signTransaction(tx) {
+    // Requests from sendTransaction arrive populated; bare ones (bundle signing) need the provider
+    const populated = tx instanceof ethers.Transaction ? tx : await this.populateTransaction(tx);
+    const unsigned = ethers.Transaction.from(populated instanceof ethers.Transaction ? populated : { ...populated, from: undefined });
+    const signed = ethers.Transaction.from(await this.request('signTransaction', { unsigned: unsigned.unsignedSerialized }));
+    if (signed.from !== this.address || signed.unsignedHash !== unsigned.unsignedHash) {
+      throw new Error(`Remote signer returned a transaction that does not match the request for ${this.address}`);
+    }
+    return signed.serialized;
+  }
+
+  signMessage(message) {
+    const data = typeof message === 'string' ? ethers.hexlify(ethers.toUtf8Bytes(message)) : ethers.hexlify(message);
+    return this.request('signMessage', { data });
+  }
+
+  async signTypedData(domain, types, value) {
+    // Resolve ENS names locally, as Wallet does, so the daemon never needs a provider
+    const populated = await ethers.TypedDataEncoder.resolveNames(domain, types, value, name => this.provider.resolveName(name));
+    return this.request('signTypedData', toJson({ domain: populated.domain, types, value: populated.value }));
+  }
+}
+
+// Unlocked keystores by file, so provider switches do not decrypt (scrypt) again
+const unlocked = new Map();
+
+function keystoreWallet(name, options) {
+  const file = keystorePath(name, options.keystoreDir);
+  if (!unlocked.has(file)) {
+    const wallet = unlockKeystore(file, options.password ?? readPassword(options.passwordFile));
+    console.log(`[SIGNER] Unlocked ${name} keystore for ${wallet.address}`);
+    unlocked.set(file, wallet);
+  }
+  return unlocked.get(file);
+}
+
+function envWallet(name) {
+  const spec = walletSpec(name);
+  const key = process.env[spec.keyEnv] || (spec.fallback && process.env[walletSpec(spec.fallback).keyEnv]);
+  if (!key) throw new Error(`${spec.keyEnv} is not set (SIGNER_MODE=env)`);
+  if (process.env.NODE_ENV === 'production') {
+    console.warn(`[SIGNER] ${name} signs with a raw key from the environment; use SIGNER_MODE=keystore or remote in production`);
+  }
+  return new ethers.Wallet(key);
+}
+
+/**
+ * Signer for a wallet, connected to `provider`.
+ * @param {'main'|'mirror'} name
+ * @param {ethers.Provider} provider
+ * @param {object} [options]
+ * @param {string} [options.mode] - Defaults to getSignerMode().
+ * @param {string} [options.keystoreDir] - Defaults to KEYSTORE_DIR or ./keystore.
+ * @param {string} [options.passwordFile] - Defaults to KEYSTORE_PASSWORD_FILE.
+ * @param {string} [options.password] - Instead of a password file.
+ * @param {string} [options.socketPath] - Defaults to SIGNER_SOCKET or logs/cache/signer.sock.
+ * @param {string} [options.address] - Remote mode; defaults to the wallet's address env var.
+ * @returns {ethers.Signer}
+ */
+function loadSigner(name, provider, options = {}) {
+  const spec = walletSpec(name);
+  const mode = options.mode || getSignerMode();
+  if (mode === 'remote') {
+    const address = options.address || process.env[spec.addressEnv];
+    if (!address) throw new Error(`${spec.addressEnv} is required with SIGNER_MODE=remote`);
+    return new RemoteSigner(address, options.socketPath || process.env.SIGNER_SOCKET || DEFAULT_SOCKET, provider);
+  }
+  return (mode === 'keystore' ? keystoreWallet(name, options) : envWallet(name)).connect(provider);
+}
+
+module.exports = {
+  DEFAULT_KEYSTORE_DIR,
+  DEFAULT_SOCKET,
+  WALLETS,
+  RemoteSigner,
+  getSignerMode,
+  keystorePath,
+  readPassword,
+  unlockKeystore,
+  writeKeystore,
+  loadSigner
+};
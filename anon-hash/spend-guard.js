@@ -0,0 +1,484 @@
+// spend-guard.js
+// Spend limits and a circuit breaker, enforced at the one place every transaction
+// passes through: signing. guardSigner() wraps a wallet so that signTransaction first
+// checks the transaction's value and worst-case gas cost (gasLimit x maxFeePerGas or
+// gasPrice) against the per-transaction, per-hour and per-day limits in
+// spend-limits.json. Spend is recorded in a ledger per address under logs/cache/spend/,
+// shared by every process signing for that wallet. It is recorded when signed, so a
+// bundle transaction that never lands still counts against the limits until its nonce
+// is signed again: a transaction with the nonce of a ledger entry (a fee bump from
+// nonce-manager.js replaceStuck) replaces that entry instead of adding to it. In remote
+// signer mode the daemon runs the same check instead (signer-daemon.js).
+//
+// Token movements count against the `tokens` limits, in whole tokens by symbol:
+// approve, transfer and transferFrom (from the wallet) on a token in TOKENS, Aave
+// deposit/supply of one, and cToken mint / sDAI deposit, counted in the underlying.
+// Each call counts on its own, so an approval and the deposit that uses it both count.
+// Approvals and transfers on contracts that are not known tokens are refused, since
+// their amounts cannot be counted.
+//
+// The circuit breaker reads logs/profit-monitor.log. After maxConsecutiveLosses losing
+// entries in a row, or a drawdown of maxDrawdown ETH from the running P/L peak, it trips:
+// the state is persisted next to the ledgers and every guarded signer refuses to sign
+// until `node manage.js resume` clears it. Entries logged before the last resume do not
+// count again.
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { createLockedState } = require('./locked-state');
+const { TOKENS, TOKEN_DECIMALS } = require('./dex-config');
+const { RemoteSigner } = require('./signers');
+
+const DEFAULT_LIMITS_FILE = path.join(__dirname, 'spend-limits.json');
+const DEFAULT_STATE_DIR = path.join(__dirname, 'logs', 'cache', 'spend');
+const DEFAULT_PROFIT_LOG = path.join(__dirname, 'logs', 'profit-monitor.log');
+const LIMITS_VERSION = 1;
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+// Rolling window per limit; perTx only looks at the transaction being signed
+const WINDOWS = { perTx: 0, perHour: HOUR, perDay: DAY };
+const KINDS = ['value', 'gas'];
+
+// Calls that move a wallet's ERC-20 balance or let a contract move it
+const tokenCalls = new ethers.Interface([
+  'function approve(address spender, uint256 amount)',
+  'function transfer(address to, uint256 amount)',
+  'function transferFrom(address from, address to, uint256 amount)',
+  'function deposit(address asset, uint256 amount, address onBehalfOf, uint16 referralCode)', // Aave V2 pool
+  'function supply(address asset, uint256 amount, address onBehalfOf, uint16 referralCode)', // Aave V3 pool
+  'function mint(uint256 amount)', // Compound cToken
+  'function deposit(uint256 assets, address receiver)' // ERC-4626 vault
+]);
+// Deposits into these are paid in another token
+const UNDERLYING = { cUSDC: 'USDC', cDAI: 'DAI', cUSDbC: 'USDbC', sDAI: 'DAI' };
+
+function parseEth(value, where) {
+  try {
+    const amount = ethers.parseEther(String(value));
+    if (amount < 0n) throw new Error('negative');
+    return amount;
+  } catch (error) {
+    throw new Error(`Invalid spend limit ${where}: ${JSON.stringify(value)} (expected an ETH amount such as "0.01")`);
+  }
+}
+
+// { USDC: 25000000n, ... } in base units
+function compileTokenLimits(raw, where) {
+  if (!raw || typeof raw !== 'object') throw new Error(`Spend limits ${where} must map token symbols to amounts`);
+  const limits = {};
+  for (const [symbol, value] of Object.entries(raw)) {
+    if (!(symbol in TOKEN_DECIMALS)) {
+      throw new Error(`Unknown token "${symbol}" in ${where} (expected one of ${Object.keys(TOKEN_DECIMALS).join(', ')})`);
+    }
+    if (value === null) {
+      limits[symbol] = null;
+      continue;
+    }
+    try {
+      limits[symbol] = ethers.parseUnits(String(value), TOKEN_DECIMALS[symbol]);
+      if (limits[symbol] < 0n) throw new Error('negative');
+    } catch (error) {
+      throw new Error(`Invalid spend limit ${where}.${symbol}: ${JSON.stringify(value)} (expected a token amount such as "25")`);
+    }
+  }
+  return limits;
+}
+
+// { perTx: { value, gas, tokens }, ... } with only the fields the file sets; null means unlimited
+function compileWalletLimits(raw, name) {
+  if (!raw || typeof raw !== 'object') throw new Error(`Spend limits for "${name}" must be an object`);
+  const limits = {};
+  for (const [window, fields] of Object.entries(raw)) {
+    if (!(window in WINDOWS)) throw new Error(`Unknown spend limit window "${window}" for "${name}" (expected ${Object.keys(WINDOWS).join(', ')})`);
+    limits[window] = {};
+    for (const [kind, value] of Object.entries(fields || {})) {
+      if (kind === 'tokens') {
+        limits[window].tokens = compileTokenLimits(value, `${name}.${window}.tokens`);
+        continue;
+      }
+      if (!KINDS.includes(kind)) throw new Error(`Unknown spend limit "${kind}" in ${name}.${window} (expected value, gas or tokens)`);
+      limits[window][kind] = value === null ? null : parseEth(value, `${name}.${window}.${kind}`);
+    }
+  }
+  return limits;
+}
+
+/**
+ * Validates a spend limits document and converts ETH amounts to wei.
+ * @param {object} raw - Parsed spend-limits.json.
+ * @param {string} [source]
+ */
+function compileSpendLimits(raw, source = 'inline') {
+  if (!raw || raw.version !== LIMITS_VERSION) {
+    throw new Error(`Unsupported spend limits version ${raw && raw.version} in ${source} (expected ${LIMITS_VERSION})`);
+  }
+  const wallets = {};
+  for (const [name, limits] of Object.entries(raw.wallets || {})) {
+    // Addresses are matched case-insensitively
+    wallets[ethers.isAddress(name) ? name.toLowerCase() : name] = compileWalletLimits(limits, name);
+  }
+  if (!wallets.default) throw new Error(`Spend limits in ${source} need a "default" wallet entry`);
+
+  const breaker = raw.circuitBreaker || {};
+  const maxConsecutiveLosses = breaker.maxConsecutiveLosses ?? null;
+  if (maxConsecutiveLosses !== null && !(Number.isInteger(maxConsecutiveLosses) && maxConsecutiveLosses > 0)) {
+    throw new Error(`Invalid circuitBreaker.maxConsecutiveLosses: ${maxConsecutiveLosses} (expected a positive integer)`);
+  }
+  const maxDrawdown = breaker.maxDrawdown == null ? null : parseEth(breaker.maxDrawdown, 'circuitBreaker.maxDrawdown');
+
+  return { source, wallets, circuitBreaker: { maxConsecutiveLosses, maxDrawdown } };
+}
+
+/**
+ * Reads and compiles the spend limits file.
+ * @param {string} [file] - Defaults to SPEND_LIMITS_FILE or spend-limits.json.
+ */
+function loadSpendLimits(file = process.env.SPEND_LIMITS_FILE || DEFAULT_LIMITS_FILE) {
+  const resolved = path.resolve(file);
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read spend limits from ${resolved}: ${error.message}`);
+  }
+  return compileSpendLimits(raw, resolved);
+}
+
+// Defaults, overridden field by field by the wallet's name, then by its address
+function limitsFor(config, address, name) {
+  const layers = [config.wallets.default, config.wallets[name], config.wallets[address.toLowerCase()]].filter(Boolean);
+  const limits = {};
+  for (const window of Object.keys(WINDOWS)) {
+    limits[window] = Object.assign({}, ...layers.map(layer => layer[window] || {}));
+    limits[window].tokens = Object.assign({}, ...layers.map(layer => (layer[window] || {}).tokens || {}));
+  }
+  return limits;
+}
+
+// Upper bound on what the transaction can burn in gas
+function gasCost(tx) {
+  const fee = tx.maxFeePerGas ?? tx.gasPrice ?? 0n;
+  return BigInt(tx.gasLimit ?? 0n) * BigInt(fee);
+}
+
+/**
+ * Walks profit-monitor entries logged after `since` and returns why the breaker should
+ * trip, or null. An entry loses when its profit is negative or it is marked success: false.
+ * @param {object[]} entries - Parsed profit-monitor.log lines, oldest first.
+ * @param {object} options
+ * @param {number} options.since - Epoch ms; older entries are ignored.
+ * @param {number|null} options.maxConsecutiveLosses
+ * @param {bigint|null} options.maxDrawdown - In wei.
+ */
+function evaluateProfitLog(entries, { since = 0, maxConsecutiveLosses = null, maxDrawdown = null }) {
+  let streak = 0;
+  let pnl = 0n;
+  let peak = 0n;
+  for (const entry of entries) {
+    if (!(Date.parse(entry.timestamp) > since)) continue;
+    let profit;
+    try {
+      profit = ethers.parseEther(String(entry.profit));
+    } catch (error) {
+      continue; // Not an amount; the monitor skips these too
+    }
+
+    streak = entry.success === false || profit < 0n ? streak + 1 : 0;
+    pnl += profit;
+    if (pnl > peak) peak = pnl;
+
+    if (maxConsecutiveLosses !== null && streak >= maxConsecutiveLosses) {
+      return `${streak} consecutive losing entries (last: signal ${entry.signalHash || 'unknown'} at ${entry.timestamp})`;
+    }
+    if (maxDrawdown !== null && peak - pnl >= maxDrawdown) {
+      return `drawdown of ${ethers.formatEther(peak - pnl)} ETH from peak (limit ${ethers.formatEther(maxDrawdown)} ETH)`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Entries of a profit log (JSONL), skipping corrupt lines.
+ * @param {string} [file]
+ * @returns {object[]} [] when the log does not exist yet.
+ */
+function readProfitLog(file = DEFAULT_PROFIT_LOG) {
+  let data;
+  try {
+    data = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+  const entries = [];
+  for (const line of data.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch (error) {
+      // Ignore corrupt lines
+    }
+  }
+  return entries;
+}
+
+const refusal = (code, message) => Object.assign(new Error(message), { code });
+
+function symbolOf(address) {
+  const entry = Object.entries(TOKENS).find(([, token]) => token.toLowerCase() === String(address).toLowerCase());
+  return entry ? entry[0] : null;
+}
+
+/**
+ * Token amounts `tx` lets leave the wallet at `from`, by symbol in base units.
+ * Throws (code UNKNOWN_TOKEN) for a token call whose token is not in TOKENS.
+ * @param {object} tx - Transaction request (to, data).
+ * @param {string} from - The signing wallet.
+ * @returns {Object<string, bigint>}
+ */
+function tokenSpend(tx, from) {
+  if (!tx.to || !tx.data || tx.data.length < 10) return {};
+  const call = tokenCalls.parseTransaction({ data: tx.data });
+  if (!call) return {};
+
+  const target = symbolOf(tx.to);
+  let symbol = target;
+  switch (call.signature) {
+    case 'approve(address,uint256)':
+    case 'transfer(address,uint256)':
+      break;
+    case 'transferFrom(address,address,uint256)':
+      // Moving someone else's allowance is not this wallet's spend
+      if (call.args.from.toLowerCase() !== from.toLowerCase()) return {};
+      break;
+    case 'deposit(address,uint256,address,uint16)':
+    case 'supply(address,uint256,address,uint16)':
+      symbol = symbolOf(call.args.asset);
+      break;
+    default:
+      // mint(uint256) and deposit(uint256,address) elsewhere are not token deposits
+      if (!UNDERLYING[target]) return {};
+      symbol = UNDERLYING[target];
+  }
+  if (!symbol) {
+    throw refusal('UNKNOWN_TOKEN', `[LIMIT] ${call.name} on ${tx.to} moves a token that is not in TOKENS; refusing to sign an amount that cannot be counted`);
+  }
+  return { [symbol]: call.args[call.fragment.inputs.findIndex(input => /amount|assets/.test(input.name))] };
+}
+
+/**
+ * Signer wrapper that asks the guard before every signature over a transaction.
+ * Messages and typed data are passed through unchecked.
+ */
+class GuardedSigner extends ethers.AbstractSigner {
+  constructor(signer, guard, name) {
+    super(signer.provider);
+    this.signer = signer;
+    this.guard = guard;
+    this.name = name;
+    this.address = signer.address;
+  }
+
+  getAddress() {
+    return this.signer.getAddress();
+  }
+
+  connect(provider) {
+    return new GuardedSigner(this.signer.connect(provider), this.guard, this.name);
+  }
+
+  async signTransaction(tx) {
+    // Bundle signers may hand over bare requests; the limits need the final gas and fees
+    const request = tx.gasLimit == null || (tx.gasPrice == null && tx.maxFeePerGas == null)
+      ? await this.populateTransaction(tx)
+      : tx;
+    await this.guard.authorize(this.address, this.name, request);
+    return this.signer.signTransaction(request);
+  }
+
+  signMessage(message) {
+    return this.signer.signMessage(message);
+  }
+
+  signTypedData(domain, types, value) {
+    return this.signer.signTypedData(domain, types, value);
+  }
+}
+
+/**
+ * Creates a spend guard. Most callers want guardSigner(), which shares one guard per process.
+ * @param {object} [options]
+ * @param {object} [options.config] - Result of loadSpendLimits()/compileSpendLimits(); defaults to the limits file.
+ * @param {string} [options.stateDir] - Ledgers and breaker state; defaults to SPEND_STATE_DIR or logs/cache/spend.
+ * @param {string} [options.profitLog] - Defaults to logs/profit-monitor.log.
+ * @param {() => number} [options.now=Date.now]
+ */
+function createSpendGuard({
+  config = loadSpendLimits(),
+  stateDir = process.env.SPEND_STATE_DIR || DEFAULT_STATE_DIR,
+  profitLog = DEFAULT_PROFIT_LOG,
+  now = Date.now
+} = {}) {
+  const ledgers = new Map();
+  const breaker = createLockedState(path.join(stateDir, 'circuit-breaker.json'), () => ({ tripped: false, resumedAt: 0 }), { tag: 'BREAKER' });
+
+  function ledgerFor(address) {
+    const key = address.toLowerCase();
+    if (!ledgers.has(key)) {
+      ledgers.set(key, createLockedState(path.join(stateDir, `${key}.json`), () => ({ address: key, entries: [] }), { tag: 'SPEND' }));
+    }
+    return ledgers.get(key);
+  }
+
+  // Spend per window from ledger entries, in wei
+  function totalsAt(entries, at) {
+    const totals = {};
+    for (const [window, span] of Object.entries(WINDOWS)) {
+      totals[window] = { value: 0n, gas: 0n, tokens: {} };
+      if (!span) continue;
+      for (const entry of entries) {
+        if (at - entry.at >= span) continue;
+        totals[window].value += BigInt(entry.value);
+        totals[window].gas += BigInt(entry.gas);
+        for (const [symbol, amount] of Object.entries(entry.tokens || {})) {
+          totals[window].tokens[symbol] = (totals[window].tokens[symbol] || 0n) + BigInt(amount);
+        }
+      }
+    }
+    return totals;
+  }
+
+  /**
+   * Current breaker state when it is open, null when closed. Trips the breaker first
+   * if the profit log crossed a threshold since the last resume.
+   * @returns {Promise<{tripped: true, reason: string, trippedAt: string}|null>}
+   */
+  async function checkBreaker() {
+    const current = breaker.read();
+    if (current.tripped) return current;
+    const reason = evaluateProfitLog(readProfitLog(profitLog), { since: current.resumedAt || 0, ...config.circuitBreaker });
+    if (!reason) return null;
+
+    return breaker.update(state => {
+      if (!state.tripped) {
+        Object.assign(state, { tripped: true, reason, trippedAt: new Date(now()).toISOString() });
+        console.error(`[BREAKER] Circuit breaker tripped: ${reason}. Run \`node manage.js resume\` to clear it.`);
+      }
+      return state;
+    });
+  }
+
+  /**
+   * Closes the breaker. Profit entries logged until now no longer count.
+   * @returns {Promise<object>} The state before resuming.
+   */
+  function resume() {
+    return breaker.update(state => {
+      const previous = { ...state };
+      Object.assign(state, { tripped: false, reason: null, trippedAt: null, resumedAt: now() });
+      return previous;
+    });
+  }
+
+  /**
+   * Throws unless `tx` fits every limit for the wallet, then records its spend.
+   * Errors carry code CIRCUIT_OPEN or SPEND_LIMIT.
+   * @param {string} address
+   * @param {string} name - Wallet name in spend-limits.json, e.g. 'main' or 'mirror'.
+   * @param {object} tx - Populated transaction (value, gasLimit, gasPrice or maxFeePerGas).
+   */
+  async function authorize(address, name, tx) {
+    const halted = await checkBreaker();
+    if (halted) {
+      throw refusal('CIRCUIT_OPEN', `[BREAKER] Circuit breaker is open (${halted.reason}); refusing to sign. Run \`node manage.js resume\` to clear it.`);
+    }
+
+    const limits = limitsFor(config, address, name);
+    const spend = { value: BigInt(tx.value ?? 0n), gas: gasCost(tx), tokens: tokenSpend(tx, address) };
+    await ledgerFor(address).update(state => {
+      const at = now();
+      state.entries = state.entries.filter(entry => at - entry.at < DAY);
+      // Only one transaction per nonce can land, so a replacement (a fee bump, or a nonce
+      // reused after a bundle missed) takes the place of the entry it replaces
+      const nonce = tx.nonce ?? null;
+      const replaced = nonce === null ? -1 : state.entries.findIndex(entry => entry.nonce === Number(nonce));
+      const totals = totalsAt(state.entries.filter((entry, index) => index !== replaced), at);
+
+      for (const window of Object.keys(WINDOWS)) {
+        for (const kind of KINDS) {
+          const limit = limits[window][kind];
+          if (limit === undefined || limit === null) continue;
+          const total = totals[window][kind] + spend[kind];
+          if (total > limit) {
+            throw refusal('SPEND_LIMIT', `[LIMIT] ${name} (${address}) ${window} ${kind} limit exceeded: ${ethers.formatEther(total)} ETH > ${ethers.formatEther(limit)} ETH; refusing to sign`);
+          }
+        }
+        for (const [symbol, amount] of Object.entries(spend.tokens)) {
+          const limit = limits[window].tokens[symbol];
+          if (limit === undefined || limit === null) continue;
+          const total = (totals[window].tokens[symbol] || 0n) + amount;
+          if (total > limit) {
+            const decimals = TOKEN_DECIMALS[symbol];
+            throw refusal('SPEND_LIMIT', `[LIMIT] ${name} (${address}) ${window} ${symbol} limit exceeded: ${ethers.formatUnits(total, decimals)} > ${ethers.formatUnits(limit, decimals)} ${symbol}; refusing to sign`);
+          }
+        }
+      }
+      const entry = { at, name, to: tx.to || null, nonce: nonce === null ? null : Number(nonce), value: spend.value.toString(), gas: spend.gas.toString() };
+      if (Object.keys(spend.tokens).length > 0) {
+        entry.tokens = Object.fromEntries(Object.entries(spend.tokens).map(([symbol, amount]) => [symbol, amount.toString()]));
+      }
+      if (replaced === -1) state.entries.push(entry);
+      else state.entries[replaced] = entry;
+    });
+  }
+
+  /**
+   * Spend recorded for `address` in the hour and day windows, in wei (tokens in base units).
+   */
+  function usage(address) {
+    const { perHour, perDay } = totalsAt(ledgerFor(address).read().entries, now());
+    return { perHour, perDay };
+  }
+
+  function guard(signer, name) {
+    // signer-daemon.js checks and records remote signatures; doing it here too would count them twice
+    if (signer instanceof RemoteSigner) return signer;
+    return new GuardedSigner(signer, api, name);
+  }
+
+  const api = { config, checkBreaker, resume, authorize, usage, guard, breakerState: () => breaker.read() };
+  return api;
+}
+
+let sharedGuard = null;
+
+function getSpendGuard() {
+  if (!sharedGuard) sharedGuard = createSpendGuard();
+  return sharedGuard;
+}
+
+/**
+ * Wraps `signer` with the process-wide spend guard.
+ * @param {ethers.Signer} signer
+ * @param {string} name - Wallet name in spend-limits.json.
+ */
+function guardSigner(signer, name) {
+  return getSpendGuard().guard(signer, name);
+}
+
+module.exports = {
+  DEFAULT_LIMITS_FILE,
+  DEFAULT_PROFIT_LOG,
+  DEFAULT_STATE_DIR,
+  GuardedSigner,
+  compileSpendLimits,
+  loadSpendLimits,
+  evaluateProfitLog,
+  readProfitLog,
+  tokenSpend,
+  createSpendGuard,
+  getSpendGuard,
+  guardSigner
+};
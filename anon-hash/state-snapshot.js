@@ -0,0 +1,56 @@
+// state-snapshot.js
+// Durable snapshots of a process's in-memory state, so that PM2 restarts
+// (max_memory_restart, crashes) do not reset what it has learned. The engine keeps its
+// metrics, pattern success rates, missed-emission vector and last emitted hash here;
+// the amplifier its gas price history. Each snapshot is one JSON file under
+// logs/cache/state/ (STATE_DIR), {version, savedAt, state}, replaced atomically on save
+// (locked-state.js) and read back on boot. Each snapshot has a single writer, so saves
+// take no lock. A snapshot written under another version is ignored, not migrated.
+
+const fs = require('fs');
+const path = require('path');
+const { createLockedState } = require('./locked-state');
+
+const DEFAULT_STATE_DIR = path.join(__dirname, 'logs', 'cache', 'state');
+
+/**
+ * @param {string} name - File name without extension, e.g. 'engine'.
+ * @param {object} [options]
+ * @param {string} [options.dir] - Defaults to STATE_DIR or logs/cache/state.
+ * @param {number} [options.version=1] - Bump when the state's shape changes incompatibly.
+ * @returns {{file: string, restore: () => object|null, save: (state: object) => boolean}}
+ */
+function createSnapshot(name, { dir = process.env.STATE_DIR || DEFAULT_STATE_DIR, version = 1 } = {}) {
+  const file = path.join(dir, `${name}.json`);
+  const stored = createLockedState(file, () => null, { tag: 'STATE' });
+
+  // Saved state, or null when there is none (or it cannot be used)
+  function restore() {
+    const snapshot = stored.read();
+    if (!snapshot) return null;
+    if (snapshot.version !== version || !snapshot.state || typeof snapshot.state !== 'object') {
+      console.warn(`[STATE] Ignoring ${file}: snapshot version ${snapshot.version}, expected ${version}`);
+      return null;
+    }
+    return snapshot.state;
+  }
+
+  // A failed save is logged, not thrown: losing a snapshot must not stop the process
+  function save(state) {
+    try {
+      fs.mkdirSync(dir, { recursive: true });
+      stored.write({ version, savedAt: new Date().toISOString(), state });
+      return true;
+    } catch (error) {
+      console.warn(`[STATE] Could not save ${file}: ${error.message}`);
+      return false;
+    }
+  }
+
+  return { file, restore, save };
+}
+
+module.exports = {
+  DEFAULT_STATE_DIR,
+  createSnapshot
+};
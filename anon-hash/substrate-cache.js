@@ -0,0 +1,213 @@
+// substrate-cache.js
+// Cache of substrate analyses (substrate.js), keyed by the hash of the code that was
+// analyzed: the target's own code, or its implementation's for proxies. A separate
+// address map records which code each target had when it was analyzed, so a lookup
+// costs one eth_getCode: when the code at the address hashes differently (redeployed
+// with CREATE2, self-destructed) the entry no longer applies. Contracts sharing code
+// share one analysis; the per-address fields (address, bytecode_proof, proxy chain) are
+// kept with the address.
+//
+// Entries expire after SUBSTRATE_CACHE_TTL_MS (default ~97 min, 3600 * phi seconds).
+// Beyond SUBSTRATE_CACHE_MAX_ENTRIES analyses or SUBSTRATE_CACHE_MAX_BYTES, the least
+// recently used are evicted. The file (SUBSTRATE_CACHE_FILE, default
+// substrate-cache.json) is written only when an analysis is stored, asynchronously,
+// through a temp file renamed into place. It is re-read when another process
+// (`node manage.js cache clear`) has changed it.
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CACHE_FILE = path.join(__dirname, 'substrate-cache.json');
+const DEFAULT_TTL_MS = Math.floor(3600 * 1.618033988749895) * 1000; // Phi-aligned validity
+const DEFAULT_MAX_ENTRIES = 500;
+const DEFAULT_MAX_BYTES = 5 * 1024 * 1024;
+const VERSION = 2;
+
+// Fields that describe the address rather than the analyzed code
+const ADDRESS_FIELDS = ['address', 'bytecode_proof', 'substrate_hash', 'proxy', 'implementation_proof'];
+
+const emptyCache = () => ({ version: VERSION, analyses: {}, addresses: {} });
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.file] - Defaults to SUBSTRATE_CACHE_FILE or substrate-cache.json.
+ * @param {number} [options.ttlMs] - Defaults to SUBSTRATE_CACHE_TTL_MS.
+ * @param {number} [options.maxEntries] - Defaults to SUBSTRATE_CACHE_MAX_ENTRIES or 500.
+ * @param {number} [options.maxBytes] - Defaults to SUBSTRATE_CACHE_MAX_BYTES or 5 MiB.
+ * @returns {{file: string, get: Function, set: Function, clear: Function, stats: Function, flush: Function}}
+ */
+function createSubstrateCache({
+  file = process.env.SUBSTRATE_CACHE_FILE || DEFAULT_CACHE_FILE,
+  ttlMs = parseInt(process.env.SUBSTRATE_CACHE_TTL_MS) || DEFAULT_TTL_MS,
+  maxEntries = parseInt(process.env.SUBSTRATE_CACHE_MAX_ENTRIES) || DEFAULT_MAX_ENTRIES,
+  maxBytes = parseInt(process.env.SUBSTRATE_CACHE_MAX_BYTES) || DEFAULT_MAX_BYTES
+} = {}) {
+  let cache = emptyCache();
+  let loadedMtime = null; // mtime of the file as last read or written
+  let writing = Promise.resolve();
+
+  const mtimeOf = () => {
+    try {
+      return fs.statSync(file).mtimeMs;
+    } catch (error) {
+      return null;
+    }
+  };
+
+  // (Re)reads the file when it changed since this process last saw it
+  function refresh() {
+    const mtime = mtimeOf();
+    if (mtime === loadedMtime) return;
+    loadedMtime = mtime;
+    cache = emptyCache();
+    if (mtime === null) return;
+    try {
+      const stored = JSON.parse(fs.readFileSync(file, 'utf8'));
+      if (stored.version === VERSION) {
+        cache = { version: VERSION, analyses: stored.analyses || {}, addresses: stored.addresses || {} };
+      } else {
+        console.warn(`[Substrate-Cache] Ignoring ${file}: cache version ${stored.version}, expected ${VERSION}`);
+      }
+    } catch (error) {
+      console.warn(`[Substrate-Cache] Ignoring unreadable cache ${file}: ${error.message}`);
+    }
+  }
+
+  // Drops expired analyses, then the least recently used beyond the limits, and the
+  // addresses left pointing at nothing
+  function prune(now) {
+    const keys = Object.keys(cache.analyses).filter(key => {
+      if (now - cache.analyses[key].storedAt < ttlMs) return true;
+      delete cache.analyses[key];
+      return false;
+    });
+    keys.sort((a, b) => cache.analyses[b].lastUsedAt - cache.analyses[a].lastUsedAt);
+    let bytes = keys.reduce((sum, key) => sum + JSON.stringify(cache.analyses[key]).length, 0);
+    while (keys.length > maxEntries || (keys.length > 0 && bytes > maxBytes)) {
+      const key = keys.pop();
+      bytes -= JSON.stringify(cache.analyses[key]).length;
+      delete cache.analyses[key];
+    }
+    Object.keys(cache.addresses).forEach(address => {
+      if (!cache.analyses[cache.addresses[address].analysisKey]) delete cache.addresses[address];
+    });
+  }
+
+  // Atomic write: a reader sees the old file or the new one, never a partial one
+  function save() {
+    const snapshot = JSON.stringify(cache);
+    writing = writing.then(async () => {
+      const tmp = `${file}.${process.pid}.tmp`;
+      try {
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.writeFile(tmp, snapshot);
+        await fs.promises.rename(tmp, file);
+        loadedMtime = mtimeOf();
+      } catch (error) {
+        console.error('[Substrate-Cache] Failed to save cache:', error.message);
+        await fs.promises.rm(tmp, { force: true });
+      }
+    });
+    return writing;
+  }
+
+  /**
+   * The cached analysis of `address`, provided its code still hashes to `codeHash`.
+   * @param {string} address
+   * @param {string} codeHash - keccak256 of the code now at the address.
+   * @param {number} [now]
+   * @returns {object|null}
+   */
+  function get(address, codeHash, now = Date.now()) {
+    refresh();
+    const known = cache.addresses[address.toLowerCase()];
+    if (!known || known.codeHash !== codeHash) return null;
+    const entry = cache.analyses[known.analysisKey];
+    if (!entry || now - entry.storedAt >= ttlMs) return null;
+    entry.lastUsedAt = now; // Persisted with the next save
+    return { ...entry.analysis, ...known.fields };
+  }
+
+  /**
+   * Stores an analysis from analyzeContract and saves the file.
+   * @param {object} analysis - Needs address and bytecode_proof.
+   * @param {number} [now]
+   * @returns {Promise<void>} Resolves once the file is written.
+   */
+  function set(analysis, now = Date.now()) {
+    refresh();
+    const analysisKey = analysis.implementation_proof || analysis.bytecode_proof;
+    const fields = {};
+    const shared = { ...analysis };
+    ADDRESS_FIELDS.forEach(field => {
+      if (field in shared) fields[field] = shared[field];
+      delete shared[field];
+    });
+    cache.analyses[analysisKey] = { analysis: shared, storedAt: now, lastUsedAt: now };
+    cache.addresses[analysis.address.toLowerCase()] = { codeHash: analysis.bytecode_proof, analysisKey, fields, checkedAt: now };
+    prune(now);
+    return save();
+  }
+
+  /**
+   * Empties the cache, in this process and on disk.
+   * @returns {Promise<number>} The number of analyses dropped.
+   */
+  async function clear() {
+    refresh();
+    const dropped = Object.keys(cache.analyses).length;
+    cache = emptyCache();
+    await save();
+    return dropped;
+  }
+
+  /**
+   * @param {number} [now]
+   * @returns {{file: string, analyses: number, addresses: number, expired: number, bytes: number, oldest: number|null, newest: number|null, limits: object}}
+   */
+  function stats(now = Date.now()) {
+    refresh();
+    const entries = Object.values(cache.analyses);
+    const stored = entries.map(entry => entry.storedAt);
+    let bytes = 0;
+    try {
+      bytes = fs.statSync(file).size;
+    } catch (error) {
+      // Nothing written yet
+    }
+    return {
+      file,
+      analyses: entries.length,
+      addresses: Object.keys(cache.addresses).length,
+      expired: entries.filter(entry => now - entry.storedAt >= ttlMs).length,
+      bytes,
+      oldest: stored.length ? Math.min(...stored) : null,
+      newest: stored.length ? Math.max(...stored) : null,
+      limits: { ttlMs, maxEntries, maxBytes }
+    };
+  }
+
+  /**
+   * Waits for the writes started so far.
+   * @returns {Promise<void>}
+   */
+  function flush() {
+    return writing;
+  }
+
+  return { file, get, set, clear, stats, flush };
+}
+
+let substrateCache = null;
+
+// Shared cache for the substrate oracle, created on first use
+function getSubstrateCache() {
+  if (!substrateCache) substrateCache = createSubstrateCache();
+  return substrateCache;
+}
+
+module.exports = {
+  DEFAULT_CACHE_FILE,
+  createSubstrateCache,
+  getSubstrateCache
+};
@@ -1,33 +1,347 @@
 // substrate.js
 // Amplified Bytecode Substrate Analyzer
-// Includes caching, resilience, and configurable logging.
+// Includes caching, resilience, configurable logging, an opcode-level scanner
+// (disassemble / scanBytecode), the function selectors behind bait_hooks, and a
+// pipeline of analyzers whose findings are merged into one risk model.
 
 const { ethers } = require("ethers");
-const fs = require("fs");
 const path = require("path");
+const { spawn } = require("child_process");
 const fetch = require("node-fetch");
+const { getSignatureDb } = require("./function-signatures");
+const { getSubstrateCache } = require("./substrate-cache");
 
 // --- Configuration ---
 const DECOMPILER_URL = process.env.DECOMPILER_API_URL || "https://api.evmdecompiler.com/decompile";
 const DECOMPILER_API_KEY = process.env.DECOMPILER_API_KEY; // Optional API Key
-const CACHE_PATH = path.join(__dirname, 'substrate-cache.json');
+const DECOMPILER_CMD = process.env.DECOMPILER_CMD; // Optional local decompiler, e.g. "my-decompiler --json"
 
-// --- Cache Management ---
-let substrateCache = {};
-try {
-    if (fs.existsSync(CACHE_PATH)) {
-        substrateCache = JSON.parse(fs.readFileSync(CACHE_PATH, 'utf8'));
+// --- Bytecode Disassembly ---
+// Opcodes are read the way the EVM reads them: PUSH1..PUSH32 immediates are data, so a
+// 0xff inside a pushed constant is not a SELFDESTRUCT. Solidity and Vyper append a CBOR
+// metadata trailer (its length in the last two bytes) that is never executed and is
+// split off first. Code after a halting opcode is unreachable until the next JUMPDEST;
+// it usually holds data, so findings there are reported but not scored.
+
+const OPCODES = {
+    0x00: 'STOP', 0x01: 'ADD', 0x02: 'MUL', 0x03: 'SUB', 0x04: 'DIV', 0x05: 'SDIV', 0x06: 'MOD', 0x07: 'SMOD',
+    0x08: 'ADDMOD', 0x09: 'MULMOD', 0x0a: 'EXP', 0x0b: 'SIGNEXTEND',
+    0x10: 'LT', 0x11: 'GT', 0x12: 'SLT', 0x13: 'SGT', 0x14: 'EQ', 0x15: 'ISZERO', 0x16: 'AND', 0x17: 'OR',
+    0x18: 'XOR', 0x19: 'NOT', 0x1a: 'BYTE', 0x1b: 'SHL', 0x1c: 'SHR', 0x1d: 'SAR',
+    0x20: 'KECCAK256',
+    0x30: 'ADDRESS', 0x31: 'BALANCE', 0x32: 'ORIGIN', 0x33: 'CALLER', 0x34: 'CALLVALUE', 0x35: 'CALLDATALOAD',
+    0x36: 'CALLDATASIZE', 0x37: 'CALLDATACOPY', 0x38: 'CODESIZE', 0x39: 'CODECOPY', 0x3a: 'GASPRICE',
+    0x3b: 'EXTCODESIZE', 0x3c: 'EXTCODECOPY', 0x3d: 'RETURNDATASIZE', 0x3e: 'RETURNDATACOPY', 0x3f: 'EXTCODEHASH',
+    0x40: 'BLOCKHASH', 0x41: 'COINBASE', 0x42: 'TIMESTAMP', 0x43: 'NUMBER', 0x44: 'PREVRANDAO', 0x45: 'GASLIMIT',
+    0x46: 'CHAINID', 0x47: 'SELFBALANCE', 0x48: 'BASEFEE', 0x49: 'BLOBHASH', 0x4a: 'BLOBBASEFEE',
+    0x50: 'POP', 0x51: 'MLOAD', 0x52: 'MSTORE', 0x53: 'MSTORE8', 0x54: 'SLOAD', 0x55: 'SSTORE', 0x56: 'JUMP',
+    0x57: 'JUMPI', 0x58: 'PC', 0x59: 'MSIZE', 0x5a: 'GAS', 0x5b: 'JUMPDEST', 0x5c: 'TLOAD', 0x5d: 'TSTORE',
+    0x5e: 'MCOPY', 0x5f: 'PUSH0',
+    0xa0: 'LOG0', 0xa1: 'LOG1', 0xa2: 'LOG2', 0xa3: 'LOG3', 0xa4: 'LOG4',
+    0xf0: 'CREATE', 0xf1: 'CALL', 0xf2: 'CALLCODE', 0xf3: 'RETURN', 0xf4: 'DELEGATECALL', 0xf5: 'CREATE2',
+    0xfa: 'STATICCALL', 0xfd: 'REVERT', 0xfe: 'INVALID', 0xff: 'SELFDESTRUCT'
+};
+for (let i = 1; i <= 32; i++) OPCODES[0x5f + i] = `PUSH${i}`;
+for (let i = 1; i <= 16; i++) {
+    OPCODES[0x7f + i] = `DUP${i}`;
+    OPCODES[0x8f + i] = `SWAP${i}`;
+}
+
+// Opcodes after which execution never falls through to the next instruction
+const HALTING = new Set(['STOP', 'RETURN', 'REVERT', 'INVALID', 'SELFDESTRUCT', 'JUMP']);
+
+// Finding severities, least to most severe, and the phi-aligned weight each adds to
+// risk.score (once per finding id)
+const PHI_INVERSE = 0.618033988749895;
+const SEVERITY_WEIGHTS = {
+    info: 0,
+    low: 0.1,
+    medium: PHI_INVERSE * PHI_INVERSE,
+    high: PHI_INVERSE,
+    critical: 1
+};
+const SEVERITIES = Object.keys(SEVERITY_WEIGHTS);
+
+// Opcodes reported as findings, with their severity in reachable code
+const RISKY_OPCODES = {
+    SELFDESTRUCT: 'critical',
+    CREATE2: 'high',
+    DELEGATECALL: 'medium',
+    CALLCODE: 'medium',
+    CREATE: 'info'
+};
+
+// Minimal CBOR reader for the metadata map: text keys, byte/text/boolean values
+function decodeMetadataMap(bytes) {
+    let pos = 0;
+    const readLength = info => {
+        if (info < 24) return info;
+        if (info === 24) return bytes[pos++];
+        if (info === 25) return (bytes[pos++] << 8) | bytes[pos++];
+        throw new Error('unsupported CBOR length');
+    };
+    const readItem = () => {
+        if (pos >= bytes.length) throw new Error('truncated CBOR');
+        const head = bytes[pos++];
+        const major = head >> 5;
+        if (head === 0xf4 || head === 0xf5) return head === 0xf5;
+        if (major !== 2 && major !== 3) throw new Error(`unsupported CBOR item 0x${head.toString(16)}`);
+        const length = readLength(head & 0x1f);
+        if (pos + length > bytes.length) throw new Error('truncated CBOR');
+        const value = bytes.subarray(pos, pos += length);
+        return major === 3 ? Buffer.from(value).toString('utf8') : ethers.hexlify(value);
+    };
+
+    const head = bytes[pos++];
+    if (head >> 5 !== 5) throw new Error('metadata is not a CBOR map');
+    const entries = {};
+    for (let i = readLength(head & 0x1f); i > 0; i--) {
+        const key = readItem();
+        if (typeof key !== 'string') throw new Error('metadata key is not text');
+        entries[key] = readItem();
+    }
+    if (pos !== bytes.length) throw new Error('trailing bytes after CBOR map');
+    // Solidity stores its version as three bytes
+    if (typeof entries.solc === 'string' && entries.solc.length === 8) {
+        entries.solc = Array.from(ethers.getBytes(entries.solc)).join('.');
     }
-} catch (e) {
-    console.warn("[Substrate] Could not load cache:", e.message);
+    return entries;
 }
 
-function saveCache() {
+/**
+ * Separates the compiler's CBOR metadata trailer from the runtime code.
+ * @param {string|Uint8Array} bytecode
+ * @returns {{code: Uint8Array, metadata: object|null}} metadata is {length, entries} with
+ *   the trailer's size in bytes (length suffix included), or null when there is none.
+ */
+function splitMetadata(bytecode) {
+    const bytes = ethers.getBytes(bytecode);
+    if (bytes.length < 2) return { code: bytes, metadata: null };
+    const length = (bytes[bytes.length - 2] << 8) | bytes[bytes.length - 1];
+    const start = bytes.length - 2 - length;
+    if (length === 0 || start < 0) return { code: bytes, metadata: null };
     try {
-        fs.writeFileSync(CACHE_PATH, JSON.stringify(substrateCache, null, 2));
+        const entries = decodeMetadataMap(bytes.subarray(start, bytes.length - 2));
+        return { code: bytes.subarray(0, start), metadata: { length: length + 2, entries } };
     } catch (e) {
-        console.error("[Substrate] Failed to save cache:", e.message);
+        // The last two bytes were code, not a length
+        return { code: bytes, metadata: null };
+    }
+}
+
+/**
+ * Walks the runtime code one instruction at a time.
+ * @param {string|Uint8Array} code - Runtime code without the metadata trailer.
+ * @returns {{offset: number, opcode: number, name: string, push?: string, truncated?: boolean, reachable: boolean}[]}
+ *   Unassigned bytes are named UNKNOWN_0x..; a PUSH cut off by the end of the code is truncated.
+ */
+function disassemble(code) {
+    const bytes = ethers.getBytes(code);
+    const instructions = [];
+    let reachable = true;
+    for (let offset = 0; offset < bytes.length;) {
+        const opcode = bytes[offset];
+        const name = OPCODES[opcode] || `UNKNOWN_0x${opcode.toString(16).padStart(2, '0')}`;
+        if (name === 'JUMPDEST') reachable = true;
+        const instruction = { offset, opcode, name, reachable };
+        const pushSize = opcode >= 0x60 && opcode <= 0x7f ? opcode - 0x5f : 0;
+        if (pushSize > 0) {
+            instruction.push = ethers.hexlify(bytes.subarray(offset + 1, offset + 1 + pushSize));
+            if (offset + 1 + pushSize > bytes.length) instruction.truncated = true;
+        }
+        instructions.push(instruction);
+        if (HALTING.has(name) || name.startsWith('UNKNOWN_')) reachable = false;
+        offset += 1 + pushSize;
+    }
+    return instructions;
+}
+
+/**
+ * Opcode-level scan of deployed bytecode.
+ * @param {string|Uint8Array} bytecode
+ * @returns {{code_size: number, metadata: object|null, instructions: number, findings: {opcode: string, offset: number, reachable: boolean}[], score: number}}
+ *   score sums the severity weights of the RISKY_OPCODES found in reachable code.
+ */
+function scanBytecode(bytecode) {
+    const { code, metadata } = splitMetadata(bytecode);
+    const instructions = disassemble(code);
+    const findings = instructions
+        .filter(instruction => instruction.name in RISKY_OPCODES)
+        .map(({ name, offset, reachable }) => ({ opcode: name, offset, reachable }));
+    const scored = new Set(findings.filter(finding => finding.reachable).map(finding => finding.opcode));
+    const score = [...scored].reduce((sum, opcode) => sum + SEVERITY_WEIGHTS[RISKY_OPCODES[opcode]], 0);
+    return { code_size: code.length, metadata, instructions: instructions.length, findings, score };
+}
+
+// --- Function Selectors ---
+// The Solidity dispatcher compares the call's selector with each function's:
+// [DUP1] PUSH4 <selector> [DUPn] EQ PUSH <dest> JUMPI; the optimizer turns the last
+// comparison into SUB, jumping away on a mismatch. Selectors starting with a zero byte
+// are pushed with PUSH3. Selectors are resolved offline (function-signatures.js)
+// and the bait hooks are the swap, liquidity, deposit and transfer entry points among them.
+
+const BAIT_HOOK_GROUPS = [
+    /^swap/i,
+    /^exact(Input|Output)/,
+    /^(add|remove)Liquidity/,
+    /^(deposit|supply|mint|redeem|withdraw)$/,
+    /^(transfer|transferFrom|approve)$/
+];
+
+/**
+ * 4-byte selectors the dispatcher routes, in code order.
+ * @param {string|Uint8Array} bytecode
+ * @returns {string[]}
+ */
+function extractSelectors(bytecode) {
+    const instructions = disassemble(splitMetadata(bytecode).code);
+    const selectors = [];
+    instructions.forEach((instruction, i) => {
+        if (!instruction.reachable || (instruction.name !== 'PUSH4' && instruction.name !== 'PUSH3') || instruction.truncated) return;
+        let next = i + 1;
+        if (instructions[next] && instructions[next].name.startsWith('DUP')) next++;
+        const [compare, dest, jumpi] = instructions.slice(next, next + 3);
+        if (!compare || (compare.name !== 'EQ' && compare.name !== 'SUB') || !dest || !dest.name.startsWith('PUSH') || !jumpi || jumpi.name !== 'JUMPI') return;
+        const selector = ethers.zeroPadValue(instruction.push, 4);
+        if (selector !== '0xffffffff' && !selectors.includes(selector)) selectors.push(selector);
+    });
+    return selectors;
+}
+
+/**
+ * @param {string[]} selectors
+ * @param {{lookup: (selector: string) => string|null}} [db] - Defaults to the shared database.
+ * @returns {{selector: string, signature: string|null}[]}
+ */
+function resolveSelectors(selectors, db = getSignatureDb()) {
+    return selectors.map(selector => ({ selector, signature: db.lookup(selector) }));
+}
+
+/**
+ * Bait hooks among the functions a contract implements, most relevant first.
+ * @param {{signature: string|null}[]} functions
+ * @returns {string[]} Function names; empty when none is a known entry point.
+ */
+function deriveBaitHooks(functions) {
+    const names = [...new Set(functions.filter(fn => fn.signature).map(fn => fn.signature.split('(')[0]))];
+    return BAIT_HOOK_GROUPS.flatMap(group => names.filter(name => group.test(name)))
+        .filter((name, i, hooks) => hooks.indexOf(name) === i);
+}
+
+// Opcode facts reported with every analysis, whichever analyzers ran
+function opcodeRisk(scan, bytecodeSize) {
+    const found = opcode => scan.findings.some(finding => finding.opcode === opcode && finding.reachable);
+    return {
+        has_create2: found('CREATE2'),
+        has_delegatecall: found('DELEGATECALL'),
+        has_selfdestruct: found('SELFDESTRUCT'),
+        bytecode_size: bytecodeSize,
+        code_size: scan.code_size,
+        metadata: scan.metadata
+    };
+}
+
+// --- Proxy Resolution ---
+// A target that delegates its logic is judged by the code it delegates to. Recognized
+// proxies: EIP-1167 minimal proxies (implementation embedded in the code), EIP-1967
+// (implementation, beacon and admin slots; UUPS when the implementation exposes
+// proxiableUUID()), EIP-1822 and the legacy OpenZeppelin (ZeppelinOS) slots. Proxies of
+// proxies are followed up to MAX_PROXY_DEPTH hops.
+
+const PROXY_SLOTS = {
+    implementation: '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc', // eip1967.proxy.implementation - 1
+    beacon: '0xa3f0ad74e5423aebfd80d3ef4346578335a9a72aeaee59ff6cb3582b35133d50', // eip1967.proxy.beacon - 1
+    admin: '0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103', // eip1967.proxy.admin - 1
+    proxiable: '0xc5f16f0fcc639fa48a6947836d9850f504798523bf8c9a3a87d5876cf622bcf7', // keccak256("PROXIABLE"), EIP-1822
+    legacyImplementation: '0x7050c9e0f4ca769c69bd3a8ef740bc37934f8e2c036e5a723fd8ee048ed3f8c3', // org.zeppelinos.proxy.implementation
+    legacyAdmin: '0x10d6a54a4754c8869d6886b5f5d7fbfa5b4522237ea5c60d11bc4e7a1ff9390b' // org.zeppelinos.proxy.admin
+};
+const MINIMAL_PROXY = /^0x363d3d373d3d3d363d73([0-9a-f]{40})5af43d82803e903d91602b57fd5bf3$/i;
+const IMPLEMENTATION_SELECTOR = '0x5c60da1b'; // implementation(), asked of beacons
+const PROXIABLE_UUID_SELECTOR = '0x52d1902d'; // proxiableUUID(), exposed by UUPS implementations
+const MAX_PROXY_DEPTH = 4;
+
+// Address held in the low 20 bytes of a storage word, or null for an empty slot
+function slotAddress(word) {
+    return BigInt(word) === 0n ? null : ethers.getAddress(ethers.dataSlice(ethers.zeroPadValue(word, 32), 12));
+}
+
+/**
+ * Reads the storage-based proxy slots of a contract.
+ * @param {string} address
+ * @param {ethers.Provider} provider
+ * @returns {Promise<{kind: string, implementation: string, beacon?: string, admin: string|null}|null>}
+ */
+async function readProxyStorage(address, provider) {
+    const words = await Promise.all(Object.values(PROXY_SLOTS).map(slot => provider.getStorage(address, slot)));
+    const slots = Object.fromEntries(Object.keys(PROXY_SLOTS).map((name, i) => [name, slotAddress(words[i])]));
+
+    if (slots.implementation) return { kind: 'eip1967', implementation: slots.implementation, admin: slots.admin };
+    if (slots.beacon) {
+        let implementation;
+        try {
+            [implementation] = ethers.AbiCoder.defaultAbiCoder().decode(['address'], await provider.call({ to: slots.beacon, data: IMPLEMENTATION_SELECTOR }));
+        } catch (err) {
+            throw new Error(`Beacon ${slots.beacon} did not return an implementation: ${err.message}`);
+        }
+        return { kind: 'eip1967-beacon', implementation: ethers.getAddress(implementation), beacon: slots.beacon, admin: slots.admin };
+    }
+    if (slots.proxiable) return { kind: 'eip1822', implementation: slots.proxiable, admin: null };
+    if (slots.legacyImplementation) return { kind: 'openzeppelin-legacy', implementation: slots.legacyImplementation, admin: slots.legacyAdmin };
+    return null;
+}
+
+/**
+ * Follows a proxy to the code that runs behind it.
+ * @param {string} address
+ * @param {string} bytecode - The code deployed at `address`.
+ * @param {ethers.Provider} provider
+ * @returns {Promise<{proxy: {kind: string, implementation: string, admin: string|null, chain: object[]}, bytecode: string}|null>}
+ *   null when `address` is not a recognized proxy; chain holds one {address, kind,
+ *   implementation, beacon?, admin} hop per proxy. Throws when an implementation has no
+ *   code or the chain is deeper than MAX_PROXY_DEPTH.
+ */
+async function resolveProxy(address, bytecode, provider) {
+    const chain = [];
+    let current = ethers.getAddress(address);
+    let code = bytecode;
+    for (;;) {
+        const minimal = code.match(MINIMAL_PROXY);
+        const hop = minimal
+            ? { kind: 'eip1167', implementation: ethers.getAddress(`0x${minimal[1]}`), admin: null }
+            : await readProxyStorage(current, provider);
+        if (!hop) break;
+        if (chain.length === MAX_PROXY_DEPTH) throw new Error(`Proxy chain from ${address} is deeper than ${MAX_PROXY_DEPTH}`);
+
+        const implementationCode = await provider.getCode(hop.implementation);
+        if (!implementationCode || implementationCode === '0x') throw new Error(`Implementation ${hop.implementation} has no bytecode`);
+        if (hop.kind === 'eip1967' && extractSelectors(implementationCode).includes(PROXIABLE_UUID_SELECTOR)) {
+            hop.kind = 'uups';
+        }
+        chain.push({ address: current, ...hop });
+        current = hop.implementation;
+        code = implementationCode;
     }
+    if (chain.length === 0) return null;
+    return {
+        proxy: {
+            kind: chain[0].kind,
+            implementation: current,
+            admin: chain.find(hop => hop.admin)?.admin || null,
+            chain
+        },
+        bytecode: code
+    };
+}
+
+// True when any upgradeable hop of a cached proxy chain now points elsewhere
+async function implementationChanged(proxy, provider) {
+    for (const hop of proxy.chain) {
+        if (hop.kind === 'eip1167') continue; // Embedded in the code, cannot change
+        const current = await readProxyStorage(hop.address, provider);
+        if (!current || current.implementation !== hop.implementation) return true;
+    }
+    return false;
 }
 
 // --- Core Functions ---
@@ -45,62 +359,303 @@ async function fetchBytecode(address, provider) {
     }
 }
 
-async function decompileBytecode(bytecode) {
-    const headers = { "Content-Type": "application/json" };
-    if (DECOMPILER_API_KEY) {
-        headers["Authorization"] = `Bearer ${DECOMPILER_API_KEY}`;
+// --- Analyzers ---
+// analyzeContract runs every analyzer over the code behind the target (the
+// implementation, for proxies) and merges their findings. An analyzer is
+// {name, analyze(context)}: context is {address, bytecode, scan, functions, proxy} and
+// analyze resolves to {findings, source_estimate?, bait_hooks?}. A finding is
+// {id, severity, message, offset?} with a severity from SEVERITIES. Built-ins:
+// heuristic (the opcode scan), http (DECOMPILER_API_URL) and cli (DECOMPILER_CMD, fed
+// the bytecode on stdin, printing the same JSON as the HTTP API). SUBSTRATE_ANALYZERS
+// lists the analyzers to run by name, or by path for a plugin module exporting an
+// analyzer. An analyzer that fails is recorded and skipped.
+
+// Decompiler risk flags and their severity; other flags a decompiler raises are medium
+const DECOMPILER_FLAGS = {
+    reentrancy: 'critical',
+    hidden_fees: 'critical',
+    rug_pull: 'critical',
+    unlimited_mint: 'critical'
+};
+
+const invalidAnalyzer = message => Object.assign(new Error(message), { code: 'INVALID_ANALYZER' });
+
+// Decompiler output ({source, risk, bait_hooks}, from the HTTP API or the CLI) as a result
+function decompilerResult(data) {
+    const findings = Object.entries(data.risk || {})
+        .filter(([, raised]) => raised)
+        .map(([flag, detail]) => ({
+            id: flag,
+            severity: DECOMPILER_FLAGS[flag] || 'medium',
+            message: typeof detail === 'string' ? `${flag}: ${detail}` : `Decompiler flagged ${flag}`
+        }));
+    return { findings, source_estimate: data.source || "", bait_hooks: data.bait_hooks || [] };
+}
+
+/**
+ * Findings from the opcode scan; code too small to hold a contract is critical.
+ * @param {object} [options]
+ * @param {number} [options.minCodeSize=100] - Bytes.
+ */
+function createHeuristicAnalyzer({ minCodeSize = 100 } = {}) {
+    return {
+        name: 'heuristic',
+        async analyze({ bytecode, scan }) {
+            const findings = scan.findings.map(({ opcode, offset, reachable }) => ({
+                id: opcode,
+                severity: reachable ? RISKY_OPCODES[opcode] : 'info',
+                message: `Contract contains ${reachable ? '' : 'unreachable '}${opcode} opcode at offset ${offset}`,
+                offset
+            }));
+            const size = ethers.dataLength(bytecode);
+            if (size < minCodeSize) {
+                findings.push({ id: 'tiny-code', severity: 'critical', message: `Contract too small (${size} bytes) - likely a proxy` });
+            }
+            return { findings };
+        }
+    };
+}
+
+/**
+ * Remote decompiler taking {bytecode} and answering {source, risk, bait_hooks}.
+ * @param {object} [options]
+ * @param {string} [options.url] - Defaults to DECOMPILER_API_URL.
+ * @param {string} [options.apiKey] - Defaults to DECOMPILER_API_KEY.
+ * @param {number} [options.timeoutMs=15000]
+ */
+function createHttpDecompiler({ url = DECOMPILER_URL, apiKey = DECOMPILER_API_KEY, timeoutMs = 15000 } = {}) {
+    return {
+        name: 'http',
+        async analyze({ bytecode }) {
+            const headers = { "Content-Type": "application/json" };
+            if (apiKey) {
+                headers["Authorization"] = `Bearer ${apiKey}`;
+            }
+            const res = await fetch(url, {
+                method: "POST",
+                headers,
+                body: JSON.stringify({ bytecode }),
+                timeout: timeoutMs
+            });
+            if (!res.ok) {
+                throw new Error(`API error: ${res.status} ${res.statusText}`);
+            }
+            return decompilerResult(await res.json());
+        }
+    };
+}
+
+/**
+ * Local decompiler run as a subprocess: the bytecode goes to its stdin and it prints
+ * {source, risk, bait_hooks} as JSON, like the HTTP API.
+ * @param {object} [options]
+ * @param {string} [options.command] - Program and arguments; defaults to DECOMPILER_CMD.
+ * @param {number} [options.timeoutMs=60000] - The process is killed after this.
+ */
+function createCliDecompiler({ command = DECOMPILER_CMD, timeoutMs = 60000 } = {}) {
+    if (!command) throw invalidAnalyzer('The cli analyzer needs DECOMPILER_CMD');
+    const [program, ...args] = command.trim().split(/\s+/);
+    return {
+        name: 'cli',
+        analyze: ({ bytecode }) => new Promise((resolve, reject) => {
+            const child = spawn(program, args, { stdio: ['pipe', 'pipe', 'pipe'] });
+            let stdout = '';
+            let stderr = '';
+            const timer = setTimeout(() => {
+                child.kill('SIGKILL');
+                reject(new Error(`${program} timed out after ${timeoutMs}ms`));
+            }, timeoutMs);
+            child.stdout.on('data', chunk => { stdout += chunk; });
+            child.stderr.on('data', chunk => { stderr += chunk; });
+            child.on('error', err => {
+                clearTimeout(timer);
+                reject(new Error(`${program} could not run: ${err.message}`));
+            });
+            child.on('close', code => {
+                clearTimeout(timer);
+                if (code !== 0) return reject(new Error(`${program} exited with code ${code}: ${stderr.trim().split('\n')[0]}`));
+                try {
+                    resolve(decompilerResult(JSON.parse(stdout)));
+                } catch (err) {
+                    reject(new Error(`${program} printed invalid JSON: ${err.message}`));
+                }
+            });
+            child.stdin.on('error', () => {}); // The tool may exit without reading its input
+            child.stdin.end(bytecode);
+        })
+    };
+}
+
+const BUILTIN_ANALYZERS = {
+    heuristic: createHeuristicAnalyzer,
+    http: createHttpDecompiler,
+    cli: createCliDecompiler
+};
+
+/**
+ * Analyzers named in SUBSTRATE_ANALYZERS (comma-separated built-in names or plugin
+ * module paths). By default the heuristic scanner, plus the HTTP decompiler when
+ * DECOMPILER_API_URL is a real endpoint and the CLI decompiler when DECOMPILER_CMD is set.
+ * @param {string} [spec]
+ * @returns {{name: string, analyze: Function}[]}
+ */
+function loadAnalyzers(spec = process.env.SUBSTRATE_ANALYZERS) {
+    const names = spec
+        ? spec.split(',').map(name => name.trim()).filter(Boolean)
+        : ['heuristic', ...(DECOMPILER_URL && !DECOMPILER_URL.includes('example.com') ? ['http'] : []), ...(DECOMPILER_CMD ? ['cli'] : [])];
+    return names.map(name => {
+        if (BUILTIN_ANALYZERS[name]) return BUILTIN_ANALYZERS[name]();
+        if (!/[\\/]|\.js$/.test(name)) {
+            throw invalidAnalyzer(`Unknown analyzer ${name}: expected ${Object.keys(BUILTIN_ANALYZERS).join(', ')} or a module path`);
+        }
+        const plugin = require(path.resolve(name));
+        if (!plugin || typeof plugin.name !== 'string' || typeof plugin.analyze !== 'function') {
+            throw invalidAnalyzer(`${name} does not export an analyzer ({name, analyze(context)})`);
+        }
+        return plugin;
+    });
+}
+
+/**
+ * When an analysis fails its audit: SUBSTRATE_FAIL_SEVERITY (default critical) is the
+ * least severe finding that fails it on its own, SUBSTRATE_MAX_RISK_SCORE (default 0.8)
+ * the risk score at which the findings together fail it. An analysis also fails when
+ * no analyzer ran successfully, or when one named in SUBSTRATE_REQUIRED_ANALYZERS
+ * (comma-separated, default none) failed.
+ * @returns {{failSeverity: string, maxScore: number, required: string[]}}
+ */
+function loadRiskThresholds({
+    failSeverity = process.env.SUBSTRATE_FAIL_SEVERITY || 'critical',
+    maxScore = process.env.SUBSTRATE_MAX_RISK_SCORE !== undefined ? Number(process.env.SUBSTRATE_MAX_RISK_SCORE) : 0.8,
+    required = (process.env.SUBSTRATE_REQUIRED_ANALYZERS || '').split(',').map(name => name.trim()).filter(Boolean)
+} = {}) {
+    if (!SEVERITIES.includes(failSeverity)) {
+        throw invalidAnalyzer(`SUBSTRATE_FAIL_SEVERITY must be one of ${SEVERITIES.join(', ')}, got ${failSeverity}`);
     }
+    if (!Number.isFinite(maxScore) || maxScore <= 0) {
+        throw invalidAnalyzer(`SUBSTRATE_MAX_RISK_SCORE must be a positive number, got ${maxScore}`);
+    }
+    return { failSeverity, maxScore, required };
+}
 
-    try {
-        const res = await fetch(DECOMPILER_URL, {
-            method: "POST",
-            headers,
-            body: JSON.stringify({ bytecode }),
-            timeout: 15000 // 15-second timeout for the API call
-        });
-
-        if (!res.ok) {
-            throw new Error(`API error: ${res.status} ${res.statusText}`);
+/**
+ * Runs the analyzers side by side; failures are logged and reported, not thrown.
+ * @returns {Promise<{results: object[], runs: {name: string, findings?: number, error?: string}[]}>}
+ */
+async function runAnalyzers(analyzers, context) {
+    const settled = await Promise.allSettled(analyzers.map(analyzer => analyzer.analyze(context)));
+    const results = [];
+    const runs = settled.map((outcome, i) => {
+        const { name } = analyzers[i];
+        const findings = outcome.status === 'fulfilled' ? (outcome.value?.findings || []).map(finding => ({ analyzer: name, ...finding })) : [];
+        const invalid = findings.find(finding => !SEVERITIES.includes(finding.severity));
+        const error = outcome.status === 'rejected'
+            ? outcome.reason.message
+            : invalid && `reported severity ${invalid.severity} for ${invalid.id}, expected one of ${SEVERITIES.join(', ')}`;
+        if (error) {
+            console.error(`[Substrate] Analyzer ${name} failed:`, error);
+            return { name, error };
         }
-        const data = await res.json();
+        results.push({ ...outcome.value, findings });
+        return { name, findings: findings.length };
+    });
+    return { results, runs };
+}
 
-        return {
-            source_estimate: data.source || "",
-            risk: data.risk || {},
-            bait_hooks: data.bait_hooks || [],
-            substrate_hash: ethers.keccak256(ethers.toUtf8Bytes(data.source || "")),
-        };
-    } catch (err) {
-        console.error("[Substrate] Decompilation API failed:", err.message);
-        return null; // Graceful failure
+/**
+ * Why an analysis cannot be trusted whatever its findings say: no analyzer succeeded,
+ * or a required one failed. Null when the runs are good enough to assess.
+ * @param {{name: string, error?: string}[]} runs - From runAnalyzers().
+ * @param {string[]} [required] - Analyzer names that must succeed.
+ * @returns {string|null}
+ */
+function analyzerFailure(runs, required = []) {
+    const failed = runs.filter(run => run.error);
+    if (failed.length === runs.length) {
+        return `No analyzer succeeded${failed.length ? ` (${failed.map(run => `${run.name}: ${run.error}`).join('; ')})` : ''}`;
     }
+    const missing = failed.filter(run => required.includes(run.name));
+    return missing.length ? `Required analyzer failed (${missing.map(run => `${run.name}: ${run.error}`).join('; ')})` : null;
 }
 
 /**
- * Analyzes a contract, using cache first.
+ * Merges findings into one risk model and decides the audit.
+ * @param {object[]} findings
+ * @param {{failSeverity: string, maxScore: number}} thresholds
+ * @returns {{score: number, severity: string, findings: object[], audit_pass: boolean, reason?: string}}
+ *   score sums each finding id's highest severity weight; severity is the highest found.
+ */
+function assessRisk(findings, { failSeverity, maxScore }) {
+    const rank = severity => SEVERITIES.indexOf(severity);
+    const worst = new Map();
+    findings.forEach(finding => {
+        if (rank(finding.severity) > rank(worst.get(finding.id) || 'info')) worst.set(finding.id, finding.severity);
+    });
+    const score = [...worst.values()].reduce((sum, severity) => sum + SEVERITY_WEIGHTS[severity], 0);
+    const severity = findings.reduce((max, finding) => (rank(finding.severity) > rank(max) ? finding.severity : max), 'info');
+    const sorted = [...findings].sort((a, b) => rank(b.severity) - rank(a.severity));
+
+    const failing = sorted.filter(finding => rank(finding.severity) >= rank(failSeverity));
+    if (failing.length > 0) {
+        return { score, severity, findings: sorted, audit_pass: false, reason: failing.map(f => `${f.severity}: ${f.message}`).join('; ') };
+    }
+    if (score >= maxScore) {
+        const scored = sorted.filter(finding => finding.severity !== 'info').map(f => `${f.id}${f.offset !== undefined ? `@${f.offset}` : ''}`);
+        return { score, severity, findings: sorted, audit_pass: false, reason: `Risk score ${score.toFixed(3)} >= ${maxScore} (${scored.join(', ')})` };
+    }
+    return { score, severity, findings: sorted, audit_pass: true };
+}
+
+/**
+ * Analyzes a contract, using cache first. The cache is keyed by code hash, so a hit
+ * still costs one eth_getCode: a contract redeployed with other code is re-analyzed.
  * @param {string} address - The contract address to analyze.
  * @param {ethers.providers.Provider} provider - The ethers provider.
+ * @param {object} [options]
+ * @param {object[]} [options.analyzers] - Defaults to loadAnalyzers().
+ * @param {object} [options.thresholds] - Defaults to loadRiskThresholds().
+ * @param {object} [options.cache] - Defaults to getSubstrateCache().
  * @returns {Promise<object>} A structured analysis object.
  */
-async function analyzeContract(address, provider) {
-    const PHI = 1.618033988749895;  // Golden ratio for resonance alignment
-    
-    // 1. Check cache with phi-aligned validity
-    if (substrateCache[address] && substrateCache[address].bytecode_proof) {
-        const cacheAge = (Date.now() - (substrateCache[address].timestamp || 0)) / 1000;
-        const validityWindow = Math.floor(3600 * PHI); // ~5800 seconds cache validity
-        
-        if (cacheAge < validityWindow) {
-            console.log(`[Substrate-Cache] PHI-VALID HIT for ${address}`)
-            return substrateCache[address];
-        }
-    }
-
-    console.log(`[Substrate-Cache] MISS for ${address}. Performing phi-aligned analysis...`)
+async function analyzeContract(address, provider, { analyzers = loadAnalyzers(), thresholds = loadRiskThresholds(), cache = getSubstrateCache() } = {}) {
     const bytecode = await fetchBytecode(address, provider);
     if (!bytecode) return { audit_pass: false, reason: "No bytecode" };
 
+    // 1. Check cache for the code now at the address
+    const cached = cache.get(address, ethers.keccak256(bytecode));
+    if (cached && cached.proxy && await implementationChanged(cached.proxy, provider)) {
+        console.log(`[Substrate-Cache] Proxy ${address} was upgraded; re-analyzing`);
+    } else if (cached) {
+        console.log(`[Substrate-Cache] PHI-VALID HIT for ${address}`)
+        return cached;
+    }
+
+    console.log(`[Substrate-Cache] MISS for ${address}. Performing phi-aligned analysis...`)
     const bytecode_proof = ethers.keccak256(bytecode);
+    let code = bytecode;
+    let scan = scanBytecode(bytecode);
+
+    // Proxies are analyzed by their implementation; the proxy's own DELEGATECALL is expected
+    let proxyFields = {};
+    if (scan.findings.some(finding => finding.opcode === 'DELEGATECALL' && finding.reachable)) {
+        let resolved;
+        try {
+            resolved = await resolveProxy(address, bytecode, provider);
+        } catch (err) {
+            return { address, bytecode_proof, audit_pass: false, reason: `Proxy resolution failed: ${err.message}` };
+        }
+        if (resolved) {
+            code = resolved.bytecode;
+            scan = scanBytecode(code);
+            proxyFields = { proxy: resolved.proxy, implementation_proof: ethers.keccak256(code) };
+            console.log(`[Substrate] ${address} is a ${resolved.proxy.kind} proxy; analyzing implementation ${resolved.proxy.implementation}`);
+        }
+    }
+    const bytecodeSize = code.length / 2 - 1; // Remove 0x and divide by 2
+
+    // Functions the target really implements, and the bait hooks among them
+    const functions = resolveSelectors(extractSelectors(code));
+    const baitHooks = deriveBaitHooks(functions);
     
     // Check for known safe contracts first
     // Known safe contracts on Base
@@ -119,133 +674,77 @@ async function analyzeContract(address, provider) {
             audit_pass: true,
             source_estimate: "Known safe contract",
             risk: {},
-            bait_hooks: ['swap', 'swapExactETHForTokens', 'swapExactTokensForTokens'], 
-            substrate_hash: bytecode_proof
-        };
-        
-        // Cache and return
-        substrateCache[address] = analysisResult;
-        substrateCache[bytecode_proof] = analysisResult;
-        saveCache();
-        return analysisResult;
-    }
-
-    // 2. If no decompiler API is configured, use heuristic analysis
-    if (!DECOMPILER_URL || DECOMPILER_URL.includes('example.com')) {
-        console.log(`[Substrate] No decompiler API configured. Using heuristic analysis.`);
-        // Basic heuristic analysis - check bytecode size and patterns
-        const bytecodeSize = bytecode.length / 2 - 1; // Remove 0x and divide by 2
-        const hasCreate2 = bytecode.includes('f5'); // CREATE2 opcode
-        const hasDelegateCall = bytecode.includes('f4'); // DELEGATECALL opcode
-        const hasSelfdestruct = bytecode.includes('ff'); // SELFDESTRUCT opcode
-        
-        const analysisResult = {
-            address,
-            bytecode_proof,
-            audit_pass: true, // Default to pass for known contracts like USDC
-            source_estimate: "Heuristic analysis (no decompiler available)",
-            risk: {
-                has_create2: hasCreate2,
-                has_delegatecall: hasDelegateCall,
-                has_selfdestruct: hasSelfdestruct,
-                bytecode_size: bytecodeSize
-            },
-            bait_hooks: ['swap', 'swapExactETHForTokens', 'swapExactTokensForTokens'], // Common DEX hooks
-            substrate_hash: bytecode_proof
+            bait_hooks: baitHooks,
+            functions,
+            substrate_hash: bytecode_proof,
+            timestamp: Date.now()
         };
         
-        // Known safe contracts on Base
-        const KNOWN_SAFE_CONTRACTS = [
-            '0x833589fcd6edb6e08f4c7c32d4f71b54bda02913', // USDC on Base
-            '0x4200000000000000000000000000000000000006', // WETH on Base
-            '0x50c5725949a6f0c72e6c4a641f24049a917db0cb', // DAI on Base
-        ];
-        
-        if (KNOWN_SAFE_CONTRACTS.includes(address.toLowerCase())) {
-            analysisResult.audit_pass = true;
-            analysisResult.source_estimate = "Known safe contract";
-        } else if (bytecodeSize < 100) {
-            analysisResult.audit_pass = false;
-            analysisResult.reason = "Contract too small - likely a proxy";
-        } else if (hasSelfdestruct) {
-            analysisResult.audit_pass = false;
-            analysisResult.reason = "Contract contains SELFDESTRUCT opcode";
-        }
-        
-        // Cache and return
-        substrateCache[address] = analysisResult;
-        substrateCache[bytecode_proof] = analysisResult;
-        saveCache();
+        // Not cached: the verdict belongs to the address, and the cache shares analyses
+        // between every address running the same code
         return analysisResult;
     }
 
-    // Attempt decompilation with phi-aligned retry logic
-    let decomp = null;
-    if (DECOMPILER_URL && !DECOMPILER_URL.includes('example.com')) {
-        decomp = await decompileBytecode(bytecode);
-    }
+    // 2. Run the analyzers and merge their findings into one risk model
+    console.log(`[Substrate] Running analyzers: ${analyzers.map(analyzer => analyzer.name).join(', ')}`);
+    const context = { address, bytecode: code, scan, functions, proxy: proxyFields.proxy || null };
+    const { results, runs } = await runAnalyzers(analyzers, context);
+    const assessment = assessRisk(results.flatMap(result => result.findings), thresholds);
+    // A decompiler outage must not read as a clean bill of health
+    const failure = analyzerFailure(runs, thresholds.required);
+    if (failure) Object.assign(assessment, { audit_pass: false, reason: assessment.reason ? `${failure}; ${assessment.reason}` : failure });
+    const decompiled = results.find(result => result.source_estimate);
+    // A decompiler's hooks only when the dispatcher offers none
+    const decompiledHooks = results.find(result => result.bait_hooks && result.bait_hooks.length > 0);
 
-    // Phi-harmonized heuristic analysis
-    const bytecodeSize = bytecode.length / 2 - 1;
-    const hasCreate2 = bytecode.includes('f5');
-    const hasDelegateCall = bytecode.includes('f4');
-    const hasSelfdestruct = bytecode.includes('ff');
-    
-    // Calculate phi-aligned risk score
-    const PHI_INVERSE = 0.618033988749895;
-    const riskScore = (hasCreate2 ? PHI_INVERSE : 0) +
-                     (hasDelegateCall ? PHI_INVERSE * PHI_INVERSE : 0) +
-                     (hasSelfdestruct ? 1 : 0);
-    
     const analysisResult = {
         address,
         bytecode_proof,
-        audit_pass: riskScore < 0.8,
-        source_estimate: decomp ? decomp.source_estimate : "Phi-aligned heuristic analysis",
+        audit_pass: assessment.audit_pass,
+        source_estimate: decompiled ? decompiled.source_estimate : "Heuristic analysis (no decompiler available)",
         risk: {
-            score: riskScore,
-            has_create2: hasCreate2,
-            has_delegatecall: hasDelegateCall,
-            has_selfdestruct: hasSelfdestruct,
-            bytecode_size: bytecodeSize
+            score: assessment.score,
+            severity: assessment.severity,
+            findings: assessment.findings,
+            ...opcodeRisk(scan, bytecodeSize)
         },
-        bait_hooks: decomp?.bait_hooks || ['swap', 'swapExactETHForTokens', 'swapExactTokensForTokens'],
+        analyzers: runs,
+        bait_hooks: baitHooks.length > 0 || !decompiledHooks ? baitHooks : decompiledHooks.bait_hooks,
+        functions,
         substrate_hash: bytecode_proof,
         timestamp: Date.now(),
         phi_alignment: {
-            risk_resonance: riskScore.toFixed(3),
+            risk_resonance: assessment.score.toFixed(3),
             size_factor: (bytecodeSize / 1000 * PHI_INVERSE).toFixed(3)
-        }
+        },
+        ...proxyFields
     };
+    if (!assessment.audit_pass) analysisResult.reason = assessment.reason;
     
-    if (bytecodeSize < 100) {
-        analysisResult.audit_pass = false;
-        analysisResult.reason = "Contract too small - likely a proxy";
-    }
-    
-    // Cache with phi-aligned metadata
-    substrateCache[address] = analysisResult;
-    substrateCache[bytecode_proof] = analysisResult;
-    saveCache();
-    return analysisResult;
-
-    const criticalRisks = ["reentrancy", "hidden_fees", "rug_pull", "unlimited_mint"];
-    const hasCriticalRisk = criticalRisks.some(flag => decomp.risk[flag]);
-
-    const analysisResult = {
-        address,
-        bytecode_proof,
-        audit_pass: !hasCriticalRisk,
-        ...decomp
-    };
-
-    // 4. Update cache and log the result
-    substrateCache[address] = analysisResult;
-    substrateCache[bytecode_proof] = analysisResult; // Also cache by proof
-    saveCache(); // Asynchronous save
-
+    // Cache with phi-aligned metadata; the file is written in the background. Runs with
+    // a failed analyzer are retried next time instead
+    if (runs.every(run => !run.error)) cache.set(analysisResult);
     return analysisResult;
 }
 
-module.exports = { analyzeContract };
+module.exports = {
+    analyzeContract,
+    splitMetadata,
+    disassemble,
+    scanBytecode,
+    resolveProxy,
+    implementationChanged,
+    extractSelectors,
+    resolveSelectors,
+    deriveBaitHooks,
+    SEVERITIES,
+    createHeuristicAnalyzer,
+    createHttpDecompiler,
+    createCliDecompiler,
+    loadAnalyzers,
+    loadRiskThresholds,
+    runAnalyzers,
+    analyzerFailure,
+    assessRisk
+};
 
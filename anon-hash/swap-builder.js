@@ -0,0 +1,138 @@
+// swap-builder.js
+// Per-DEX-type calldata for exact-input swaps. The amplifier cascade walks routers
+// of different types (Uniswap V3, V2 forks, Aerodrome), and each one takes a
+// different call: exactInputSingle / exactInput with a packed path, V2 address
+// paths, or solidly route structs.
+//
+// Concentrated-liquidity routers are SwapRouter02 (IV3SwapRouter), whose swap structs
+// carry no deadline; the swap is wrapped in multicall(deadline, [swap]) instead.
+//
+// A path that starts at WETH is paid in ETH (msg.value) unless the caller holds WETH
+// itself (payWithEth: false), in which case it is an ordinary token input the router
+// pulls with transferFrom. On V2 and solidly routers a path that ends at WETH pays
+// out ETH. V3 routers pay out WETH.
+
+const { ethers } = require('ethers');
+const { TOKENS } = require('./dex-config');
+const { feeTierFor, encodeV3Path, solidlyRoutes } = require('./quotes');
+
+// Router ABIs for different DEX types
+const ROUTER_ABIS = {
+  'concentrated-liquidity': [
+    "function exactInputSingle(tuple(address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96) params) external payable returns (uint256 amountOut)",
+    "function exactInput(tuple(bytes path, address recipient, uint256 amountIn, uint256 amountOutMinimum) params) external payable returns (uint256 amountOut)",
+    "function multicall(uint256 deadline, bytes[] data) external payable returns (bytes[] results)"
+  ],
+  'uniswap-v2': [
+    "function swapExactETHForTokens(uint amountOutMin, address[] calldata path, address to, uint deadline) external payable returns (uint[] memory amounts)",
+    "function swapExactETHForTokensSupportingFeeOnTransferTokens(uint amountOutMin, address[] calldata path, address to, uint deadline) external payable",
+    "function swapExactTokensForETH(uint amountIn, uint amountOutMin, address[] calldata path, address to, uint deadline) external returns (uint[] memory amounts)",
+    "function swapExactTokensForTokens(uint amountIn, uint amountOutMin, address[] calldata path, address to, uint deadline) external returns (uint[] memory amounts)"
+  ],
+  'solidly-fork': [
+    // Aerodrome uses routes instead of simple paths
+    "function swapExactETHForTokens(uint amountOutMin, tuple(address from, address to, bool stable, address factory)[] routes, address to, uint deadline) external payable returns (uint[] memory amounts)",
+    "function swapExactTokensForETH(uint amountIn, uint amountOutMin, tuple(address from, address to, bool stable, address factory)[] routes, address to, uint deadline) external returns (uint[] memory amounts)",
+    "function swapExactTokensForTokens(uint amountIn, uint amountOutMin, tuple(address from, address to, bool stable, address factory)[] routes, address to, uint deadline) external returns (uint[] memory amounts)"
+  ]
+};
+ROUTER_ABIS['uniswap-v2-fork'] = ROUTER_ABIS['uniswap-v2'];
+
+const interfaces = {};
+function routerInterface(type) {
+  if (!ROUTER_ABIS[type]) throw new Error(`No swap calldata builder for DEX type ${type}`);
+  if (!interfaces[type]) interfaces[type] = new ethers.Interface(ROUTER_ABIS[type]);
+  return interfaces[type];
+}
+
+const isWeth = address => address.toLowerCase() === TOKENS.WETH.toLowerCase();
+
+function buildConcentrated(iface, dex, { path, amountIn, amountOutMinimum, recipient, deadline }) {
+  let method, swap;
+  if (path.length === 2) {
+    method = 'exactInputSingle';
+    swap = iface.encodeFunctionData(method, [{
+      tokenIn: path[0],
+      tokenOut: path[1],
+      fee: feeTierFor(dex, path[0], path[1]),
+      recipient,
+      amountIn,
+      amountOutMinimum,
+      sqrtPriceLimitX96: 0
+    }]);
+  } else {
+    method = 'exactInput';
+    swap = iface.encodeFunctionData(method, [{
+      path: encodeV3Path(dex, path),
+      recipient,
+      amountIn,
+      amountOutMinimum
+    }]);
+  }
+  return { method, data: iface.encodeFunctionData('multicall', [deadline, [swap]]) };
+}
+
+// V2 and solidly routers share method names; only the path argument differs
+function buildPathSwap(iface, hops, { path, amountIn, amountOutMinimum, recipient, deadline }, payWithEth) {
+  if (payWithEth) {
+    return {
+      method: 'swapExactETHForTokens',
+      data: iface.encodeFunctionData('swapExactETHForTokens', [amountOutMinimum, hops, recipient, deadline])
+    };
+  }
+  const method = isWeth(path[path.length - 1]) ? 'swapExactTokensForETH' : 'swapExactTokensForTokens';
+  return {
+    method,
+    data: iface.encodeFunctionData(method, [amountIn, amountOutMinimum, hops, recipient, deadline])
+  };
+}
+
+/**
+ * Builds the transaction fields for an exact-input swap on `dex`.
+ * @param {object} dex - Entry from DEX_CONFIGS.
+ * @param {object} params
+ * @param {string[]} params.path - Token addresses from input to output (at least two).
+ * @param {bigint} params.amountIn - Exact input amount.
+ * @param {bigint} params.amountOutMinimum - Minimum output, normally from quoteSwap.
+ * @param {string} params.recipient - Receiver of the output.
+ * @param {number} params.deadline - Unix timestamp after which the router reverts.
+ * @param {Array<{from: string, to: string, stable: boolean, factory: string}>} [params.routes] - Solidly routes; defaults to volatile hops on dex.factory.
+ * @param {boolean} [params.payWithEth=true] - Pay a WETH input in ETH; false spends the caller's (approved) WETH.
+ * @returns {{to: string, data: string, value: bigint, method: string, iface: ethers.Interface}} `method`
+ *   names the swap; on concentrated-liquidity routers `data` is the multicall wrapping it.
+ */
+function buildSwapCall(dex, params) {
+  const { path, amountIn, amountOutMinimum } = params;
+  if (!Array.isArray(path) || path.length < 2) throw new Error(`Swap path needs at least two tokens, got ${path && path.length}`);
+  if (amountOutMinimum === undefined || amountOutMinimum === null) {
+    throw new Error(`Refusing to build a swap on ${dex.NAME} without amountOutMinimum`);
+  }
+
+  const iface = routerInterface(dex.TYPE);
+  const payWithEth = params.payWithEth !== false && isWeth(path[0]);
+  let call;
+  switch (dex.TYPE) {
+    case 'concentrated-liquidity':
+      call = buildConcentrated(iface, dex, params);
+      break;
+    case 'solidly-fork':
+      call = buildPathSwap(iface, params.routes || solidlyRoutes(dex, path), params, payWithEth);
+      break;
+    default:
+      call = buildPathSwap(iface, path, params, payWithEth);
+  }
+
+  return {
+    to: dex.SWAP_ROUTER || dex.ROUTER,
+    data: call.data,
+    value: payWithEth ? BigInt(amountIn) : 0n,
+    method: call.method,
+    iface
+  };
+}
+
+module.exports = {
+  ROUTER_ABIS,
+  routerInterface,
+  buildSwapCall
+};
@@ -0,0 +1,160 @@
+// target-registry.js
+// Contracts the engine analyzes, kept in logs/cache/targets.json (TARGETS_FILE) and
+// edited with `node manage.js targets add|remove|list` while the engine runs. Each
+// cycle the engine takes the next target after the one it analyzed last, skipping
+// targets whose latest audits failed: a failure benches a target for
+// TARGET_FAIL_COOLDOWN_MS (default 1h), doubled for every further consecutive failure
+// up to a day. Every analyzeContract result is appended to the target's audit history.
+//
+// The engine and manage.js both write the file, so every change re-reads it under a
+// lock (locked-state.js); targets added or removed show up on the next cycle.
+
+const path = require('path');
+const { ethers } = require('ethers');
+const { createLockedState } = require('./locked-state');
+
+const DEFAULT_TARGETS_FILE = path.join(__dirname, 'logs', 'cache', 'targets.json');
+const DEFAULT_FAIL_COOLDOWN_MS = 3600000; // 1 hour
+const MAX_FAIL_COOLDOWN_MS = 86400000; // 1 day
+const AUDIT_HISTORY = 50; // Audits kept per target
+
+const invalidTarget = message => Object.assign(new Error(message), { code: 'INVALID_TARGET' });
+
+function toAddress(address) {
+  try {
+    return ethers.getAddress(String(address).toLowerCase());
+  } catch (error) {
+    throw invalidTarget(`Not a contract address: ${address}`);
+  }
+}
+
+// Failures at the end of a target's audit history
+function consecutiveFailures(target) {
+  let count = 0;
+  for (let i = target.audits.length - 1; i >= 0 && !target.audits[i].audit_pass; i--) count++;
+  return count;
+}
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.file] - Defaults to TARGETS_FILE or logs/cache/targets.json.
+ * @param {number} [options.failCooldownMs] - Defaults to TARGET_FAIL_COOLDOWN_MS or 1 hour.
+ * @returns {{file: string, list: () => object[], add: Function, remove: Function, recordAudit: Function, cooldownUntil: Function, next: Function}}
+ */
+function createTargetRegistry({
+  file = process.env.TARGETS_FILE || DEFAULT_TARGETS_FILE,
+  failCooldownMs = parseInt(process.env.TARGET_FAIL_COOLDOWN_MS) || DEFAULT_FAIL_COOLDOWN_MS
+} = {}) {
+  const stored = createLockedState(file, () => ({ targets: [] }), { tag: 'TARGETS' });
+
+  // Re-reads the file under the lock, applies `fn` and writes the result
+  function change(fn) {
+    return stored.withLockSync(() => {
+      const state = stored.read();
+      const result = fn(state);
+      stored.write(state);
+      return result;
+    });
+  }
+
+  const find = (state, address) => state.targets.find(target => target.address === address);
+
+  /**
+   * Registered targets, in the order they were added.
+   * @returns {{address: string, label: string|null, addedAt: string, audits: object[]}[]}
+   */
+  function list() {
+    return stored.read().targets;
+  }
+
+  /**
+   * Registers a target; returns false when it was already registered.
+   * @param {string} address
+   * @param {object} [options]
+   * @param {string} [options.label]
+   * @returns {boolean}
+   */
+  function add(address, { label = null } = {}) {
+    const checksummed = toAddress(address);
+    return change(state => {
+      if (find(state, checksummed)) return false;
+      state.targets.push({ address: checksummed, label, addedAt: new Date().toISOString(), audits: [] });
+      return true;
+    });
+  }
+
+  /**
+   * Drops a target and its audit history; returns false when it was not registered.
+   * @param {string} address
+   * @returns {boolean}
+   */
+  function remove(address) {
+    const checksummed = toAddress(address);
+    return change(state => {
+      const before = state.targets.length;
+      state.targets = state.targets.filter(target => target.address !== checksummed);
+      return state.targets.length < before;
+    });
+  }
+
+  /**
+   * Appends an analyzeContract result (or a failed analysis, as {audit_pass: false,
+   * reason}) to a target's history. Targets removed in the meantime are not re-added.
+   * @param {string} address
+   * @param {object} analysis
+   * @param {number} [at] - Milliseconds; defaults to now.
+   * @returns {object|null} The audit entry, or null when the target is gone.
+   */
+  function recordAudit(address, analysis, at = Date.now()) {
+    const checksummed = toAddress(address);
+    const audit = {
+      at: new Date(at).toISOString(),
+      audit_pass: analysis.audit_pass === true,
+      reason: analysis.reason || null,
+      bytecode_proof: analysis.bytecode_proof || null
+    };
+    return change(state => {
+      const target = find(state, checksummed);
+      if (!target) return null;
+      target.audits = [...target.audits, audit].slice(-AUDIT_HISTORY);
+      return audit;
+    });
+  }
+
+  /**
+   * When a target may be analyzed again, or 0 when it is not benched.
+   * @param {object} target - An entry from list().
+   * @returns {number} Milliseconds.
+   */
+  function cooldownUntil(target) {
+    const failures = consecutiveFailures(target);
+    if (failures === 0) return 0;
+    const cooldown = Math.min(MAX_FAIL_COOLDOWN_MS, failCooldownMs * 2 ** (failures - 1));
+    return Date.parse(target.audits[target.audits.length - 1].at) + cooldown;
+  }
+
+  /**
+   * The target to analyze next: the first one after `after` in registration order
+   * (wrapping around) that is not benched.
+   * @param {object} [options]
+   * @param {string|null} [options.after] - Address analyzed last.
+   * @param {number} [options.now]
+   * @returns {object|null} null when every target is benched or none is registered.
+   */
+  function next({ after = null, now = Date.now() } = {}) {
+    const targets = list();
+    const start = after ? targets.findIndex(target => target.address === toAddress(after)) + 1 : 0;
+    for (let i = 0; i < targets.length; i++) {
+      const target = targets[(start + i) % targets.length];
+      if (cooldownUntil(target) <= now) return target;
+    }
+    return null;
+  }
+
+  return { file, list, add, remove, recordAudit, cooldownUntil, next };
+}
+
+module.exports = {
+  DEFAULT_TARGETS_FILE,
+  createTargetRegistry
+};
@@ -0,0 +1,88 @@
+// test/aerodrome-pools.test.js
+// Aerodrome pool discovery against a mock factory, with the disk cache in a temp dir.
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const hre = require('hardhat');
+const { TOKENS } = require('../dex-config');
+const { createPoolResolver } = require('../aerodrome-pools');
+
+const { WETH, USDC, DAI } = TOKENS;
+
+describe('aerodrome-pools', function () {
+    let factory, stablePool, volatilePool, dex, tmpDir, cacheFile, time, originalLog;
+
+    before(async function () {
+        factory = await (await hre.ethers.getContractFactory('MockAerodromeFactory')).deploy();
+        const poolFactory = await hre.ethers.getContractFactory('MockAerodromePool');
+        stablePool = await poolFactory.deploy();
+        volatilePool = await poolFactory.deploy();
+        await Promise.all([factory.waitForDeployment(), stablePool.waitForDeployment(), volatilePool.waitForDeployment()]);
+        await (await factory.setPool(WETH, USDC, true, await stablePool.getAddress())).wait();
+        await (await factory.setPool(WETH, USDC, false, await volatilePool.getAddress())).wait();
+        await (await factory.setPool(USDC, DAI, true, await stablePool.getAddress())).wait();
+        dex = { NAME: 'Aerodrome', TYPE: 'solidly-fork', factory: await factory.getAddress() };
+    });
+
+    beforeEach(async function () {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aerodrome-pools-'));
+        cacheFile = path.join(tmpDir, 'nested', 'pools.json');
+        time = 1000000;
+        await (await stablePool.setReserves(500n, 500n)).wait();
+        await (await volatilePool.setReserves(100n, 100n)).wait();
+        originalLog = console.log;
+        console.log = () => {};
+    });
+
+    afterEach(function () {
+        console.log = originalLog;
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    const resolver = (runner = hre.ethers.provider) => createPoolResolver({ runner, dex, cacheFile, ttlMs: 60000, now: () => time });
+
+    it('picks the deeper of the stable and volatile pools', async function () {
+        const pools = resolver();
+        const resolved = await pools.resolvePool(USDC, WETH);
+        assert.strictEqual(resolved.pool, await stablePool.getAddress());
+        assert.strictEqual(resolved.stable, true);
+
+        await (await volatilePool.setReserves(1000n, 1000n)).wait();
+        time += 60000;
+        assert.strictEqual((await pools.resolvePool(WETH, USDC)).stable, false);
+    });
+
+    it('serves cached pools from disk until the TTL expires', async function () {
+        await resolver().resolvePool(WETH, USDC);
+        assert.ok(fs.existsSync(cacheFile));
+
+        // A fresh resolver with no provider can only answer from the cache file
+        const offline = resolver(null);
+        assert.strictEqual((await offline.resolvePool(WETH, USDC)).stable, true);
+
+        await (await volatilePool.setReserves(1000n, 1000n)).wait();
+        time += 59999;
+        assert.strictEqual((await resolver().resolvePool(WETH, USDC)).stable, true);
+        time += 1;
+        assert.strictEqual((await resolver().resolvePool(WETH, USDC)).stable, false);
+    });
+
+    it('builds route structs per hop and refuses paths without a pool', async function () {
+        const pools = resolver();
+        const routes = await pools.resolveRoutes([WETH, USDC, DAI]);
+        assert.deepStrictEqual(routes, [
+            { from: WETH, to: USDC, stable: true, factory: dex.factory },
+            { from: USDC, to: DAI, stable: true, factory: dex.factory }
+        ]);
+
+        assert.strictEqual(await pools.resolvePool(WETH, DAI), null);
+        await assert.rejects(pools.resolveRoutes([WETH, DAI]), /No Aerodrome pool for/);
+        // Misses are cached too
+        assert.strictEqual(await resolver(null).resolvePool(DAI, WETH), null);
+
+        pools.clear();
+        assert.ok(!fs.existsSync(cacheFile));
+    });
+});
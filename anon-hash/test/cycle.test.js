@@ -0,0 +1,151 @@
+// test/cycle.test.js
+// End-to-end proverb cycle against a local Hardhat node:
+// engine emits a JAM -> amplifier places the public bait -> mirror executes step 2.
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const { TOKENS } = require('../dex-config');
+const { ROOT, getAccount, startNode, deployFixtures, startService } = require('./helpers/local-chain');
+
+const EMIT_TIMEOUT = 120000;
+const AMPLIFY_TIMEOUT = 180000;
+const MIRROR_TIMEOUT = 300000; // mirror may hold for its phi-scaled wait (max ~2.6 min)
+
+const vaultInterface = new ethers.Interface([
+    'function emitSignal(bytes32)',
+    'function emitRecursiveSignal(bytes32,bytes32)'
+]);
+const swapEvent = new ethers.Interface([
+    'event Swap(address indexed sender, address indexed tokenIn, address indexed tokenOut, uint256 amountIn, uint256 amountOut)'
+]);
+
+describe('emit -> amplify -> mirror cycle (local chain)', function () {
+    this.timeout(EMIT_TIMEOUT + AMPLIFY_TIMEOUT + MIRROR_TIMEOUT + 120000);
+
+    let node, provider, fixtures, emitter, mirrorWallet;
+    let engine, amplifier, mirror;
+    let signalHash, baitTxHash, spendDir;
+
+    before(async function () {
+        node = await startNode();
+        provider = node.provider;
+        fixtures = await deployFixtures(provider);
+
+        emitter = getAccount(1, provider);
+        mirrorWallet = getAccount(2, provider);
+
+        // Fresh spend ledgers, breaker state, engine state, target registry and JAM store,
+        // independent of logs/cache and jams/
+        spendDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cycle-spend-'));
+        // The engine emits every few seconds; with one pattern every signal relays the same token
+        const patternsDir = path.join(spendDir, 'patterns');
+        fs.mkdirSync(patternsDir);
+        fs.copyFileSync(path.join(ROOT, 'patterns', 'CLASSIC_ARBITRAGE.yaml'), path.join(patternsDir, 'CLASSIC_ARBITRAGE.yaml'));
+
+        const env = {
+            RPC_URL: node.url,
+            PRIVATE_KEY: emitter.privateKey,
+            MIRROR_PRIVATE_KEY: mirrorWallet.privateKey,
+            WALLET_ADDRESS: emitter.address,
+            // The engine emits through the vault, the executors watch DMAP: one mock is both
+            VAULT_ADDRESS: await fixtures.signals.getAddress(),
+            DMAP_ADDRESS: await fixtures.signals.getAddress(),
+            // USDC is on the oracle's known-safe list, so the audit is deterministic
+            TARGET_CONTRACT_ADDRESS: TOKENS.USDC,
+            // example.com routes substrate.js to its local heuristic analysis
+            DECOMPILER_API_URL: 'https://decompiler.example.com',
+            DECOMPILER_API_KEY: '',
+            DETECT_INTERVAL: '5000',
+            MAX_GAS_GWEI: '1000',
+            ENABLE_BSV_ECHO: 'false',
+            BSV_PRIVATE_KEY: '',
+            ENABLE_RECURSIVE_SIGNALS: 'false',
+            SPEND_STATE_DIR: spendDir,
+            STATE_DIR: path.join(spendDir, 'state'),
+            TARGETS_FILE: path.join(spendDir, 'targets.json'),
+            SUBSTRATE_CACHE_FILE: path.join(spendDir, 'substrate-cache.json'),
+            JAM_STORE_DIR: path.join(spendDir, 'jams'),
+            LATEST_JAM_FILE: path.join(spendDir, 'latest-jam.json'),
+            PATTERNS_DIR: patternsDir
+        };
+
+        engine = startService('index.js', env);
+        amplifier = startService('semantic-amplifier.js', env);
+        mirror = startService('mirror.js', env);
+    });
+
+    after(async function () {
+        for (const service of [engine, amplifier, mirror, node]) {
+            if (service) await service.stop();
+        }
+        if (spendDir) fs.rmSync(spendDir, { recursive: true, force: true });
+    });
+
+    it('engine audits the target, stores the JAM and emits its signal', async function () {
+        const [, txHash] = await engine.waitFor(/\[SUCCESS\] Signal emitted\. Tx: (0x[0-9a-fA-F]{64})/, EMIT_TIMEOUT);
+
+        const tx = await provider.getTransaction(txHash);
+        const receipt = await provider.getTransactionReceipt(txHash);
+        assert.strictEqual(receipt.status, 1, 'emit transaction reverted');
+        assert.strictEqual(tx.from, emitter.address);
+        assert.strictEqual(tx.to, await fixtures.signals.getAddress());
+
+        const call = vaultInterface.parseTransaction({ data: tx.data });
+        signalHash = call.args[0];
+
+        const jamPath = path.join(spendDir, 'jams', `${signalHash}.json`);
+        assert.ok(fs.existsSync(jamPath), `JAM ${signalHash} was not stored`);
+        const jam = JSON.parse(fs.readFileSync(jamPath, 'utf8'));
+        assert.strictEqual(jam.meta.audit_pass, true);
+        assert.strictEqual(jam.meta.target_contract.toLowerCase(), TOKENS.USDC.toLowerCase());
+        assert.ok(jam.proverb.some(step => step.actor === 'AMPLIFIER'));
+        assert.ok(jam.proverb.some(step => step.actor === 'MIRROR'));
+    });
+
+    it('amplifier places the public bait swap on a router', async function () {
+        assert.ok(signalHash, 'no signal was emitted');
+        const emitterBalanceBefore = await provider.getBalance(emitter.address);
+
+        const [, txHash] = await amplifier.waitFor(/\[BAIT\] Public TX sent: (0x[0-9a-fA-F]{64})/, AMPLIFY_TIMEOUT);
+        baitTxHash = txHash;
+
+        const tx = await provider.getTransaction(txHash);
+        const receipt = await provider.getTransactionReceipt(txHash) || await tx.wait();
+        assert.strictEqual(receipt.status, 1, 'bait transaction reverted');
+        assert.strictEqual(tx.from, emitter.address);
+
+        const routerAddresses = (await Promise.all(fixtures.routers.map(r => r.getAddress()))).map(ethers.getAddress);
+        assert.ok(routerAddresses.includes(tx.to), `bait sent to ${tx.to}, not a known router`);
+
+        const swaps = receipt.logs
+            .filter(log => log.address === tx.to)
+            .map(log => swapEvent.parseLog(log))
+            .filter(Boolean);
+        assert.strictEqual(swaps.length, 1, 'router did not record a swap');
+        assert.ok(swaps[0].args.amountOut > 0n);
+        assert.ok(await provider.getBalance(emitter.address) < emitterBalanceBefore + tx.value);
+    });
+
+    it('mirror executes the second proverb step with the relayed tokens', async function () {
+        assert.ok(baitTxHash, 'no bait was placed');
+
+        const jam = JSON.parse(fs.readFileSync(path.join(spendDir, 'jams', `${signalHash}.json`), 'utf8'));
+        const mirrorStep = jam.proverb.find(step => step.actor === 'MIRROR');
+        const fromToken = fixtures.tokens[mirrorStep.from === 'ETH' ? 'WETH' : mirrorStep.from];
+
+        await amplifier.waitFor(/\[ALIGNMENT\] Transfer complete/, AMPLIFY_TIMEOUT);
+        const relayed = await fromToken.balanceOf(mirrorWallet.address);
+        assert.ok(relayed > 0n, `mirror wallet holds no ${mirrorStep.from} to work with`);
+
+        await mirror.waitFor(/\[PROVERB COMPLETE\]/, MIRROR_TIMEOUT);
+        const [, txHash] = mirror.output.match(/\[SUCCESS\] .*Tx: (0x[0-9a-fA-F]{64})/) || [];
+        assert.ok(txHash, 'mirror did not report a transaction');
+
+        const receipt = await provider.getTransactionReceipt(txHash);
+        assert.strictEqual(receipt.status, 1, 'mirror transaction reverted');
+        assert.ok(await fromToken.balanceOf(mirrorWallet.address) < relayed, `mirror did not spend its ${mirrorStep.from}`);
+    });
+});
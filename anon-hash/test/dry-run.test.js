@@ -0,0 +1,100 @@
+// test/dry-run.test.js
+// DRY_RUN simulation helpers against the in-process Hardhat network.
+
+const assert = require('assert');
+const hre = require('hardhat');
+const { ethers } = require('ethers');
+const { sendOrSimulate, invokeOrSimulate, simulateTransaction } = require('../dry-run');
+
+const WETH = '0x4200000000000000000000000000000000000006';
+
+describe('dry-run', function () {
+    let signer, router, token, originalDryRun, originalLog, logs;
+
+    before(async function () {
+        [signer] = await hre.ethers.getSigners();
+        router = await (await hre.ethers.getContractFactory('MockRouter')).deploy();
+        token = await (await hre.ethers.getContractFactory('MockERC20')).deploy();
+        await Promise.all([router.waitForDeployment(), token.waitForDeployment()]);
+    });
+
+    beforeEach(function () {
+        originalDryRun = process.env.DRY_RUN;
+        originalLog = console.log;
+        logs = [];
+        console.log = (...args) => logs.push(args.join(' '));
+    });
+
+    afterEach(function () {
+        console.log = originalLog;
+        if (originalDryRun === undefined) delete process.env.DRY_RUN;
+        else process.env.DRY_RUN = originalDryRun;
+    });
+
+    const baitRequest = async () => {
+        const deadline = (await hre.ethers.provider.getBlock('latest')).timestamp + 300;
+        return {
+            to: await router.getAddress(),
+            data: router.interface.encodeFunctionData('swapExactETHForTokens', [0, [WETH, await token.getAddress()], signer.address, deadline]),
+            value: ethers.parseEther('0.001'),
+            nonce: await signer.getNonce()
+        };
+    };
+
+    it('simulates instead of sending when DRY_RUN is set', async function () {
+        process.env.DRY_RUN = 'true';
+        const nonceBefore = await signer.getNonce();
+        const blockBefore = await hre.ethers.provider.getBlockNumber();
+
+        const result = await sendOrSimulate(signer, await baitRequest(), { label: 'BAIT', iface: router.interface });
+
+        assert.strictEqual(result.dryRun, true);
+        assert.strictEqual(result.success, true);
+        assert.strictEqual(result.hash, null);
+        assert.ok(result.gasEstimate > 21000n);
+        assert.strictEqual(result.decodedResult, `[${ethers.parseEther('0.001')}, ${ethers.parseEther('2')}]`);
+        assert.strictEqual(await signer.getNonce(), nonceBefore);
+        assert.strictEqual(await hre.ethers.provider.getBlockNumber(), blockBefore);
+        assert.strictEqual(await token.balanceOf(signer.address), 0n);
+        assert.ok(logs.some(line => line.includes('[DRY-RUN] BAIT: calldata swapExactETHForTokens(0, [')));
+    });
+
+    it('reports reverts without throwing', async function () {
+        process.env.DRY_RUN = 'true';
+        const request = await baitRequest();
+        request.data = router.interface.encodeFunctionData('swapExactETHForTokens', [
+            ethers.MaxUint256, [WETH, await token.getAddress()], signer.address, 0
+        ]);
+
+        const result = await simulateTransaction(signer, request, { label: 'BAIT', iface: router.interface });
+
+        assert.strictEqual(result.success, false);
+        assert.match(result.revertReason, /Expired/);
+        assert.ok(logs.some(line => line.includes('would REVERT')));
+    });
+
+    it('simulates contract method calls through the contract interface', async function () {
+        process.env.DRY_RUN = 'true';
+        const spender = await router.getAddress();
+        const result = await invokeOrSimulate(token.connect(signer), 'approve', [spender, 5n], {}, { label: 'APPROVE' });
+
+        assert.strictEqual(result.dryRun, true);
+        assert.strictEqual(result.decodedResult, 'true');
+        assert.strictEqual(await token.allowance(signer.address, spender), 0n);
+        assert.ok(logs.some(line => line.includes(`approve(${spender}, 5)`)));
+    });
+
+    it('broadcasts normally when DRY_RUN is not set', async function () {
+        delete process.env.DRY_RUN;
+        const tx = await sendOrSimulate(signer, await baitRequest());
+        const receipt = await tx.wait();
+
+        assert.strictEqual(tx.dryRun, undefined);
+        assert.strictEqual(receipt.status, 1);
+        assert.strictEqual(await token.balanceOf(signer.address), ethers.parseEther('2'));
+
+        const approval = await invokeOrSimulate(token.connect(signer), 'approve', [await router.getAddress(), 5n]);
+        await approval.wait();
+        assert.strictEqual(await token.allowance(signer.address, await router.getAddress()), 5n);
+    });
+});
@@ -0,0 +1,48 @@
+// test/function-signatures.test.js
+// Offline selector -> signature database, bundled and from compiled artifacts.
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { selectorOf, loadSignatureDb, getSignatureDb } = require('../function-signatures');
+
+describe('function-signatures', function () {
+    let tmpDir;
+
+    beforeEach(function () {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'signatures-'));
+    });
+
+    afterEach(function () {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('resolves bundled signatures without artifacts', function () {
+        const db = loadSignatureDb({ artifactsDir: null });
+        assert.strictEqual(selectorOf('transfer(address,uint256)'), '0xa9059cbb');
+        assert.strictEqual(db.lookup('0xA9059CBB'), 'transfer(address,uint256)');
+        assert.strictEqual(db.lookup('0x38ed1739'), 'swapExactTokensForTokens(uint256,uint256,address[],address,uint256)');
+        assert.strictEqual(db.lookup(selectorOf('emitSignal(bytes32)')), null);
+    });
+
+    it('adds the ABIs of compiled artifacts', function () {
+        const artifact = {
+            abi: [
+                { type: 'function', name: 'emitSignal', inputs: [{ type: 'bytes32', name: 'hash' }], outputs: [], stateMutability: 'nonpayable' },
+                { type: 'event', name: 'Signal', inputs: [], anonymous: false }
+            ]
+        };
+        fs.mkdirSync(path.join(tmpDir, 'Vault.sol'));
+        fs.writeFileSync(path.join(tmpDir, 'Vault.sol', 'Vault.json'), JSON.stringify(artifact));
+        fs.writeFileSync(path.join(tmpDir, 'Vault.sol', 'Vault.dbg.json'), '{}');
+
+        const bundled = loadSignatureDb({ artifactsDir: null });
+        const db = loadSignatureDb({ artifactsDir: tmpDir });
+        assert.strictEqual(db.size, bundled.size + 1);
+        assert.strictEqual(db.lookup(selectorOf('emitSignal(bytes32)')), 'emitSignal(bytes32)');
+
+        // The repo's own contracts, compiled by the test run
+        assert.strictEqual(getSignatureDb().lookup(selectorOf('harvestYield(bytes32[])')), 'harvestYield(bytes32[])');
+    });
+});
@@ -0,0 +1,180 @@
+// test/helpers/local-chain.js
+// Local chain harness: boots a Hardhat node, installs mock DEX/token code at the
+// Base addresses from dex-config.js and runs the PM2 services as child processes.
+
+const { spawn } = require('child_process');
+const path = require('path');
+const { ethers } = require('ethers');
+const hre = require('hardhat');
+const { DEX_CONFIGS, TOKENS, TOKEN_DECIMALS } = require('../../dex-config');
+
+const ROOT = path.join(__dirname, '..', '..');
+const HARDHAT_MNEMONIC = 'test test test test test test test test test test test junk';
+const NODE_START_TIMEOUT = 60000;
+
+// Tokens and routers the processes touch during one proverb cycle
+const MOCK_TOKENS = ['WETH', 'USDC', 'DAI', 'aUSDC'];
+const MOCK_ROUTERS = [DEX_CONFIGS.UNISWAP_V3.ROUTER, DEX_CONFIGS.ROCKETSWAP.ROUTER];
+const MOCK_QUOTERS = [DEX_CONFIGS.UNISWAP_V3.quoter];
+const ROUTER_ETH_FLOAT = ethers.parseEther('1000');
+
+// Deterministic accounts from the default Hardhat mnemonic
+function getAccount(index, provider) {
+    const mnemonic = ethers.Mnemonic.fromPhrase(HARDHAT_MNEMONIC);
+    return ethers.HDNodeWallet.fromMnemonic(mnemonic, `m/44'/60'/0'/0/${index}`).connect(provider);
+}
+
+/**
+ * Wraps a child process and keeps its combined output so tests can wait on log lines.
+ */
+class ServiceProcess {
+    constructor(name, child) {
+        this.name = name;
+        this.child = child;
+        this.output = '';
+        this.exitCode = null;
+        this.waiters = [];
+
+        const onData = chunk => {
+            this.output += chunk.toString();
+            this.flushWaiters();
+        };
+        child.stdout.on('data', onData);
+        child.stderr.on('data', onData);
+        child.on('exit', code => {
+            this.exitCode = code;
+            this.flushWaiters();
+        });
+    }
+
+    flushWaiters() {
+        this.waiters = this.waiters.filter(waiter => {
+            const match = this.output.match(waiter.pattern);
+            if (match) {
+                clearTimeout(waiter.timer);
+                waiter.resolve(match);
+                return false;
+            }
+            if (this.exitCode !== null) {
+                clearTimeout(waiter.timer);
+                waiter.reject(new Error(`[${this.name}] exited with code ${this.exitCode} before ${waiter.pattern}\n${this.tail()}`));
+                return false;
+            }
+            return true;
+        });
+    }
+
+    // Resolve with the first match of `pattern` in the output, or reject on timeout/exit
+    waitFor(pattern, timeoutMs = 60000) {
+        return new Promise((resolve, reject) => {
+            const waiter = { pattern, resolve, reject };
+            waiter.timer = setTimeout(() => {
+                this.waiters = this.waiters.filter(w => w !== waiter);
+                reject(new Error(`[${this.name}] timed out after ${timeoutMs}ms waiting for ${pattern}\n${this.tail()}`));
+            }, timeoutMs);
+            this.waiters.push(waiter);
+            this.flushWaiters();
+        });
+    }
+
+    tail(lines = 40) {
+        return this.output.split('\n').slice(-lines).join('\n');
+    }
+
+    async stop() {
+        if (this.exitCode !== null) return;
+        await new Promise(resolve => {
+            this.child.once('exit', resolve);
+            this.child.kill('SIGTERM');
+        });
+    }
+}
+
+/**
+ * Starts `hardhat node` on the given port and resolves once the JSON-RPC server is up.
+ */
+async function startNode(port = 8546) {
+    const hardhatCli = require.resolve('hardhat/internal/cli/cli');
+    const child = spawn(process.execPath, [hardhatCli, 'node', '--port', String(port)], {
+        cwd: ROOT,
+        env: { ...process.env }
+    });
+    const node = new ServiceProcess('hardhat-node', child);
+    await node.waitFor(/Started HTTP and WebSocket JSON-RPC server/, NODE_START_TIMEOUT);
+
+    node.url = `http://127.0.0.1:${port}`;
+    // Automine makes every call stale immediately; ethers' 250ms cache would hand out reused nonces
+    node.provider = new ethers.JsonRpcProvider(node.url, undefined, { cacheTimeout: -1 });
+    return node;
+}
+
+// Copy runtime code (immutables included) from a deployed contract onto a fixed address
+async function installCode(provider, deployedAddress, targetAddress) {
+    const code = await provider.getCode(deployedAddress);
+    await provider.send('hardhat_setCode', [targetAddress, code]);
+}
+
+async function deployArtifact(name, signer, args = []) {
+    const artifact = await hre.artifacts.readArtifact(name);
+    const factory = new ethers.ContractFactory(artifact.abi, artifact.bytecode, signer);
+    const contract = await factory.deploy(...args);
+    await contract.waitForDeployment();
+    return new ethers.Contract(await contract.getAddress(), artifact.abi, signer);
+}
+
+/**
+ * Deploys the MockSignalEmitter that serves as both vault and DMAP, and replaces
+ * the Base tokens and routers the services use with MockERC20 / MockRouter code.
+ */
+async function deployFixtures(provider) {
+    const deployer = getAccount(0, provider);
+
+    const signals = await deployArtifact('MockSignalEmitter', deployer);
+
+    const tokenTemplate = await deployArtifact('MockERC20', deployer);
+    const routerTemplate = await deployArtifact('MockRouter', deployer);
+    const tokenArtifact = await hre.artifacts.readArtifact('MockERC20');
+    const routerArtifact = await hre.artifacts.readArtifact('MockRouter');
+
+    const tokens = {};
+    for (const symbol of MOCK_TOKENS) {
+        await installCode(provider, await tokenTemplate.getAddress(), TOKENS[symbol]);
+        tokens[symbol] = new ethers.Contract(TOKENS[symbol], tokenArtifact.abi, deployer);
+        // Real decimals, so amounts mean the same to the spend limits as on Base
+        await (await tokens[symbol].setDecimals(TOKEN_DECIMALS[symbol])).wait();
+    }
+
+    const routers = [];
+    for (const address of MOCK_ROUTERS) {
+        await installCode(provider, await routerTemplate.getAddress(), address);
+        await provider.send('hardhat_setBalance', [address, ethers.toBeHex(ROUTER_ETH_FLOAT)]);
+        routers.push(new ethers.Contract(address, routerArtifact.abi, deployer));
+    }
+    // MockRouter also answers the QuoterV2 calls the amplifier makes before each swap
+    for (const address of MOCK_QUOTERS) {
+        await installCode(provider, await routerTemplate.getAddress(), address);
+    }
+
+    return { deployer, signals, tokens, routers };
+}
+
+/**
+ * Spawns one of the service scripts (index.js, semantic-amplifier.js, mirror.js)
+ * with its environment pointed at the local node.
+ */
+function startService(script, env) {
+    const child = spawn(process.execPath, [script], {
+        cwd: ROOT,
+        env: { ...process.env, NODE_ENV: 'test', ...env }
+    });
+    return new ServiceProcess(path.basename(script, '.js'), child);
+}
+
+module.exports = {
+    ROOT,
+    getAccount,
+    startNode,
+    deployFixtures,
+    startService,
+    ServiceProcess
+};
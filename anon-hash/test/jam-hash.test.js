@@ -0,0 +1,97 @@
+// test/jam-hash.test.js
+// Canonical JAM encoding (RFC 8785), hashing and verification against emission calldata.
+
+const assert = require('assert');
+const { ethers } = require('ethers');
+const { VAULT_INTERFACE, canonicalize, hashJam, legacyHashJam, parseEmitCall, verifyJam } = require('../jam-hash');
+
+const VAULT = '0x' + 'a'.repeat(40);
+const PARENT = ethers.id('parent');
+
+const emission = () => ({
+    kind: 'emission',
+    schemaVersion: 2,
+    proverb: [{ from: 'WETH', to: 'USDC', action: 'SWAP', actor: 'AMPLIFIER', hook: 'swap' }],
+    meta: { timestamp: 1753108865, parentJam: PARENT, pattern_type: 'CLASSIC_ARBITRAGE', timing_quality: 1, audit_pass: true },
+    recursiveTopology: { eth: 1, bsv: 0 },
+    cascadeDepth: 2,
+    resonance: 0.1 + 0.2
+});
+
+const emitTx = (method, args, to = VAULT) => ({ to, data: VAULT_INTERFACE.encodeFunctionData(method, args) });
+
+describe('jam-hash', function () {
+    it('encodes JSON canonically', function () {
+        // Examples from RFC 8785 section 3.2.2
+        assert.strictEqual(canonicalize({ numbers: [333333333.33333329, 1E30, 4.50, 2e-3, 0.000000000000000000000000001] }),
+            '{"numbers":[333333333.3333333,1e+30,4.5,0.002,1e-27]}');
+        assert.strictEqual(canonicalize({ '€': 'Euro Sign', '\r': 'Carriage Return', '1': 'One', '😀': 'Emoji', '\u0080': 'Control', 'ö': 'Latin' }),
+            '{"\\r":"Carriage Return","1":"One","\u0080":"Control","ö":"Latin","€":"Euro Sign","😀":"Emoji"}');
+
+        assert.strictEqual(canonicalize({ b: [1, undefined, -0], a: { d: null, c: undefined }, e: new Date(0) }),
+            '{"a":{"d":null},"b":[1,null,0],"e":"1970-01-01T00:00:00.000Z"}');
+        assert.throws(() => canonicalize({ x: NaN }), /non-finite number NaN/);
+        assert.throws(() => canonicalize({ x: 1n }), /Cannot canonicalize BigInt/);
+    });
+
+    it('hashes the same JAM the same way whatever its key order', function () {
+        const jam = emission();
+        const reordered = Object.fromEntries(Object.entries(jam).reverse());
+        reordered.meta = Object.fromEntries(Object.entries(jam.meta).reverse());
+        assert.notStrictEqual(JSON.stringify(reordered), JSON.stringify(jam));
+        assert.strictEqual(hashJam(reordered), hashJam(jam));
+        assert.strictEqual(hashJam(jam), ethers.keccak256(ethers.toUtf8Bytes(canonicalize(jam))));
+
+        // Annotations are added after emission and do not change the hash
+        assert.strictEqual(hashJam({ ...jam, annotations: { emitTx: ethers.id('tx') } }), hashJam(jam));
+        assert.notStrictEqual(hashJam({ ...jam, cascadeDepth: 3 }), hashJam(jam));
+    });
+
+    it('ignores the signal hash a copycat JAM records about itself', function () {
+        const copycat = {
+            kind: 'copycat',
+            schemaVersion: 1,
+            context: { parent: PARENT, timestamp: 1 },
+            pattern: { type: 'recursive-belief' },
+            belief: { resonance: 1, signalHash: '' }
+        };
+        const hash = hashJam(copycat);
+        copycat.belief.signalHash = hash;
+        assert.strictEqual(hashJam(copycat), hash);
+        assert.strictEqual(verifyJam(hash, copycat, emitTx('emitRecursiveSignal', [hash, PARENT])).valid, true);
+    });
+
+    it('verifies a JAM against the calldata that emitted it', function () {
+        const jam = emission();
+        const hash = hashJam(jam);
+
+        assert.deepStrictEqual(verifyJam(hash, jam), { valid: true, encoding: 'canonical', problems: [], call: null });
+        const good = verifyJam(hash.toUpperCase().replace('0X', '0x'), jam, emitTx('emitRecursiveSignal', [hash, PARENT]), { vaultAddress: VAULT });
+        assert.strictEqual(good.valid, true);
+        assert.deepStrictEqual(good.call, { method: 'emitRecursiveSignal', hash, parent: PARENT });
+
+        const tampered = { ...jam, resonance: 9 };
+        assert.match(verifyJam(hash, tampered).problems[0], new RegExp(`content hashes to ${hashJam(tampered)}, not ${hash}`));
+
+        const wrong = verifyJam(hash, jam, emitTx('emitSignal', [ethers.id('other')], '0x' + 'b'.repeat(40)), { vaultAddress: VAULT });
+        assert.strictEqual(wrong.valid, false);
+        assert.deepStrictEqual(wrong.problems, [
+            `transaction was sent to 0x${'b'.repeat(40)}, not the vault ${VAULT}`,
+            `emitSignal emitted ${ethers.id('other')}, not ${hash}`,
+            `emitSignal links parent none, but the JAM declares ${PARENT}`
+        ]);
+        assert.deepStrictEqual(verifyJam(hash, jam, { to: VAULT, data: '0x12345678' }).problems, ['transaction is not an emitSignal or emitRecursiveSignal call']);
+    });
+
+    it('recognises JAMs stored under the pre-canonical hash', function () {
+        const jam = { ...emission(), meta: { ...emission().meta, parentJam: null } };
+        const legacyHash = ethers.keccak256(ethers.toUtf8Bytes(JSON.stringify(jam)));
+        assert.strictEqual(legacyHashJam(jam), legacyHash);
+        assert.notStrictEqual(hashJam(jam), legacyHash);
+
+        const result = verifyJam(legacyHash, jam, emitTx('emitSignal', [legacyHash]));
+        assert.strictEqual(result.valid, true);
+        assert.strictEqual(result.encoding, 'legacy');
+        assert.strictEqual(parseEmitCall(emitTx('emitRecursiveSignal', [legacyHash, ethers.ZeroHash]).data).parent, null);
+    });
+});
@@ -0,0 +1,129 @@
+// test/jam-retention.test.js
+// Retention policy, daily archive bundles and removal from the store.
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const { JAMStore, createJsonBackend, createSqliteBackend } = require('../jam-store');
+const { loadRetentionPolicy, defaultArchiveDir, planRetention, collectGarbage, readArchive } = require('../jam-retention');
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2025-07-20T12:00:00Z');
+
+const hashOf = label => ethers.id(label);
+const jam = (label, daysAgo, parent = null) => ({
+    kind: 'emission',
+    schemaVersion: 2,
+    proverb: [{ actor: 'AMPLIFIER', action: 'SWAP', from: 'WETH', to: 'USDC' }],
+    meta: {
+        label,
+        parentJam: parent && hashOf(parent),
+        target_contract: '0x833589fcd6edb6e08f4c7c32d4f71b54bda02913',
+        audit_pass: true,
+        bait_hooks: ['swap'],
+        pattern_type: 'FLASH_LOAN',
+        timestamp: Math.floor((NOW - daysAgo * DAY) / 1000)
+    },
+    tags: [],
+    recursiveTopology: { eth: 1, bsv: 0 },
+    cascadeDepth: 1,
+    resonance: 1.618
+});
+
+const entry = (label, daysAgo, parent = null) => ({
+    hash: hashOf(label),
+    parentHash: parent && hashOf(parent),
+    timestamp: NOW - daysAgo * DAY
+});
+
+describe('jam-retention', function () {
+    let tmpDir, originalLog;
+
+    beforeEach(function () {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jam-retention-'));
+        originalLog = console.log;
+        console.log = () => {};
+    });
+
+    afterEach(function () {
+        console.log = originalLog;
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('reads the policy from the environment', function () {
+        assert.deepStrictEqual(loadRetentionPolicy({}), { keepCount: 1000, keepDays: 30 });
+        assert.deepStrictEqual(loadRetentionPolicy({ JAM_RETAIN_COUNT: '10', JAM_RETAIN_DAYS: '0.5' }), { keepCount: 10, keepDays: 0.5 });
+        assert.throws(() => loadRetentionPolicy({ JAM_RETAIN_DAYS: '-1' }), error => error.code === 'INVALID_RETENTION' && /JAM_RETAIN_DAYS/.test(error.message));
+    });
+
+    it('keeps the newest JAMs, recent JAMs and the ancestors of both', function () {
+        // Newest first, as JAMStore#find returns them
+        const entries = [
+            entry('recent', 1),
+            entry('second', 5, 'old-parent'),
+            entry('old-parent', 40, 'old-grandparent'),
+            entry('old', 41),
+            entry('old-grandparent', 50),
+            entry('oldest', 60)
+        ];
+
+        const byCount = planRetention(entries, { keepCount: 2, keepDays: 0 }, NOW);
+        assert.deepStrictEqual([...byCount.retained].sort(), ['recent', 'second', 'old-parent', 'old-grandparent'].map(hashOf).sort());
+        assert.deepStrictEqual(byCount.expired.map(e => e.hash), [hashOf('old'), hashOf('oldest')]);
+
+        const byDays = planRetention(entries, { keepCount: 0, keepDays: 3 }, NOW);
+        assert.deepStrictEqual([...byDays.retained], [hashOf('recent')]);
+
+        // The newest JAM is what the executors trade on, so it always stays
+        const none = planRetention([entry('stale', 90), entry('older', 91)], { keepCount: 0, keepDays: 0 }, NOW);
+        assert.deepStrictEqual([...none.retained], [hashOf('stale')]);
+    });
+
+    for (const [name, open] of Object.entries({
+        json: dir => new JAMStore(createJsonBackend({ dir })),
+        sqlite: dir => new JAMStore(createSqliteBackend({ file: path.join(dir, 'jams.sqlite') }))
+    })) {
+        it(`archives expired JAMs into daily bundles (${name} backend)`, function () {
+            const store = open(tmpDir);
+            try {
+                store.store(hashOf('recent'), jam('recent', 1));
+                store.store(hashOf('kept-parent'), jam('kept-parent', 45));
+                store.store(hashOf('child'), jam('child', 2, 'kept-parent'));
+                store.store(hashOf('a'), jam('a', 40));
+                store.store(hashOf('b'), jam('b', 40.1));
+                store.store(hashOf('c'), jam('c', 50));
+                store.annotate(hashOf('a'), { emitTx: ethers.id('tx') });
+
+                const archiveDir = defaultArchiveDir(store);
+                assert.strictEqual(archiveDir, path.join(tmpDir, 'archive'));
+                const policy = { keepCount: 0, keepDays: 30 };
+
+                const plan = collectGarbage(store, { policy, dryRun: true, now: NOW });
+                assert.deepStrictEqual(plan, { retained: 3, archived: 3, bundles: ['2025-06-10.jsonl.gz', '2025-05-31.jsonl.gz'].map(file => path.join(archiveDir, file)) });
+                assert.ok(!fs.existsSync(archiveDir));
+                assert.strictEqual(store.find().length, 6);
+
+                const result = collectGarbage(store, { policy, now: NOW });
+                assert.deepStrictEqual(result, plan);
+                assert.deepStrictEqual(store.find().map(e => e.hash), ['recent', 'child', 'kept-parent'].map(hashOf));
+                assert.strictEqual(store.retrieve(hashOf('a')), null);
+
+                const day = readArchive(path.join(archiveDir, '2025-06-10.jsonl.gz'));
+                assert.deepStrictEqual(day.map(record => record.hash).sort(), [hashOf('a'), hashOf('b')].sort());
+                const archived = day.find(record => record.hash === hashOf('a'));
+                assert.strictEqual(archived.jam.annotations.emitTx, ethers.id('tx'));
+                assert.strictEqual(archived.fields.timestamp, jam('a', 40).meta.timestamp * 1000);
+
+                // A later run for the same day appends to its bundle
+                store.store(hashOf('late'), jam('late', 40.2));
+                collectGarbage(store, { policy, now: NOW });
+                assert.strictEqual(readArchive(path.join(archiveDir, '2025-06-10.jsonl.gz')).length, 3);
+                assert.deepStrictEqual(collectGarbage(store, { policy, now: NOW }), { retained: 3, archived: 0, bundles: [] });
+            } finally {
+                store.close();
+            }
+        });
+    }
+});
@@ -0,0 +1,97 @@
+// test/jam-schema.test.js
+// JAM kinds, schema validation and migration of documents from older versions.
+
+const assert = require('assert');
+const { JAM_KINDS, detectKind, migrateJam, validateJam, assertValidJam, upgradeJam } = require('../jam-schema');
+
+const GENESIS = require('../genesis-jam.json');
+const ZERO_HASH = '0x' + '0'.repeat(64);
+
+// The shape the engine wrote before JAMs were versioned (cf. latest-jam.json)
+const legacyEmission = () => ({
+    proverb: [
+        { from: 'WETH', to: 'USDC', action: 'SWAP', actor: 'AMPLIFIER', hook: 'swap' },
+        { from: 'USDC', to: 'WETH', action: 'SWAP', actor: 'MIRROR', hook: 'swapExactETHForTokens' }
+    ],
+    meta: {
+        timestamp: 1753108865,
+        parentJam: null,
+        target_contract: '0x833589fcd6edb6e08f4c7c32d4f71b54bda02913',
+        bytecode_proof: ZERO_HASH,
+        substrate_hash: ZERO_HASH,
+        audit_pass: true,
+        bait_hooks: ['swap', 'swapExactETHForTokens'],
+        pattern_type: 'CLASSIC_ARBITRAGE',
+        timing_quality: '1.000',
+        phiRelations: ['1.618', '0.618', '1.000']
+    },
+    tags: ['VOICE:CLASSIC_ARBITRAGE'],
+    recursiveTopology: { eth: 1, bsv: 0, vectorClock: { eth: 1, bsv: 0 } },
+    cascadeDepth: 1,
+    resonance: '1.618'
+});
+
+const copycat = () => ({
+    kind: 'copycat',
+    schemaVersion: 1,
+    context: { source: 'phi_aligned_copycat', observer: '0x' + '1'.repeat(40), timestamp: 1753108900, parent: '0x' + '2'.repeat(64) },
+    pattern: { type: 'recursive-belief', copycatCount: 3, uniqueCopycats: 2, depth: 4 },
+    belief: { confidence: 0.9, strength: 0.99, resonance: 6.47, signalHash: '' },
+    meta: { version: '0.3' }
+});
+
+describe('jam-schema', function () {
+    it('recognises each kind, versioned or not', function () {
+        assert.strictEqual(detectKind(legacyEmission()), 'emission');
+        assert.strictEqual(detectKind(GENESIS), 'genesis');
+        const { kind, schemaVersion, ...unversionedGenesis } = GENESIS;
+        assert.strictEqual(detectKind(unversionedGenesis), 'genesis');
+        const { kind: _kind, ...unversionedCopycat } = copycat();
+        assert.strictEqual(detectKind(unversionedCopycat), 'copycat');
+        assert.strictEqual(detectKind({ hello: 'world' }), null);
+        assert.strictEqual(detectKind(null), null);
+    });
+
+    it('upgrades v1 emission JAMs to numeric fields without touching the original', function () {
+        const legacy = legacyEmission();
+        assert.strictEqual(validateJam(legacy).valid, false);
+
+        const upgraded = migrateJam(legacy);
+        assert.strictEqual(upgraded.kind, 'emission');
+        assert.strictEqual(upgraded.schemaVersion, JAM_KINDS.emission.version);
+        assert.strictEqual(upgraded.resonance, 1.618);
+        assert.strictEqual(upgraded.meta.timing_quality, 1);
+        assert.deepStrictEqual(upgraded.meta.phiRelations, [1.618, 0.618, 1]);
+        assert.deepStrictEqual(validateJam(upgraded), { valid: true, kind: 'emission', errors: [] });
+        assert.strictEqual(legacy.resonance, '1.618');
+        assert.strictEqual(legacy.kind, undefined);
+    });
+
+    it('validates the genesis and copycat JAMs', function () {
+        assert.strictEqual(validateJam(GENESIS).valid, true);
+        assert.strictEqual(validateJam(copycat(), 'copycat').valid, true);
+        assert.strictEqual(assertValidJam(copycat()).kind, 'copycat');
+
+        const malformed = { ...copycat(), belief: { ...copycat().belief, signalHash: 'pending' } };
+        assert.throws(() => assertValidJam(malformed), /Invalid copycat JAM: \/belief\/signalHash must match pattern/);
+    });
+
+    it('lists every problem and refuses versions it does not know', function () {
+        const jam = migrateJam(legacyEmission());
+        jam.proverb[1].actor = 'STRANGER';
+        jam.meta.parentJam = '0x1234';
+        delete jam.cascadeDepth;
+        assert.throws(() => assertValidJam(jam, 'emission', 'JAM 0xabc'), error => {
+            assert.strictEqual(error.code, 'INVALID_JAM');
+            assert.match(error.message, /^Invalid emission JAM 0xabc: /);
+            assert.match(error.message, /\/proverb\/1\/actor must be equal to one of the allowed values/);
+            assert.match(error.message, /\/meta\/parentJam must match exactly one schema in oneOf/);
+            assert.match(error.message, /\/ must have required property 'cascadeDepth'/);
+            return true;
+        });
+
+        assert.throws(() => upgradeJam({ ...legacyEmission(), schemaVersion: 3 }), /Unsupported emission JAM schemaVersion 3 \(current is 2\)/);
+        assert.throws(() => upgradeJam({ kind: 'oracle' }), /Unknown JAM kind: oracle/);
+        assert.throws(() => upgradeJam(GENESIS, 'emission'), /expected kind emission, got genesis/);
+    });
+});
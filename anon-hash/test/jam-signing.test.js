@@ -0,0 +1,108 @@
+// test/jam-signing.test.js
+// EIP-712 JAM signatures and the executors' trusted-JAM loader.
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const hre = require('hardhat');
+const { ethers } = require('ethers');
+const { JAMStore, createJsonBackend } = require('../jam-store');
+const { hashJam } = require('../jam-hash');
+const { jamDomain, signJam, recoverJamSigner, createJamVerifier } = require('../jam-signing');
+
+const VAULT = '0x' + 'a'.repeat(40);
+
+const emission = (label = 'a') => ({
+    kind: 'emission',
+    schemaVersion: 2,
+    proverb: [{ from: 'WETH', to: 'USDC', action: 'SWAP', actor: 'AMPLIFIER' }],
+    meta: {
+        label,
+        timestamp: 1753108865,
+        parentJam: null,
+        target_contract: '0x833589fcd6edb6e08f4c7c32d4f71b54bda02913',
+        audit_pass: true,
+        bait_hooks: ['swap'],
+        pattern_type: 'CLASSIC_ARBITRAGE'
+    },
+    tags: [],
+    recursiveTopology: { eth: 1, bsv: 0 },
+    cascadeDepth: 1,
+    resonance: 1.618
+});
+
+describe('jam-signing', function () {
+    const emitter = ethers.Wallet.createRandom();
+    const stranger = ethers.Wallet.createRandom();
+    let tmpDir, store, domain, loadTrustedJam, originalLog;
+
+    beforeEach(async function () {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jam-signing-'));
+        originalLog = console.log;
+        console.log = () => {};
+        store = new JAMStore(createJsonBackend({ dir: tmpDir }));
+        domain = jamDomain((await hre.ethers.provider.getNetwork()).chainId, VAULT);
+        loadTrustedJam = createJamVerifier({ store, provider: hre.ethers.provider, vaultAddress: VAULT, emitter: emitter.address });
+    });
+
+    afterEach(function () {
+        console.log = originalLog;
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    // Signs and stores a JAM the way the engine does
+    const emit = async (jam, signer = emitter, signingDomain = domain) => {
+        const hash = hashJam(jam);
+        store.store(hash, { ...jam, provenance: await signJam(signer, hash, signingDomain) });
+        return hash;
+    };
+
+    it('binds the signature to the chain and the vault', async function () {
+        assert.deepStrictEqual(domain, { name: 'JAM', version: '1', chainId: 31337n, verifyingContract: ethers.getAddress(VAULT) });
+        const hash = await emit(emission());
+        const jam = store.retrieve(hash);
+        assert.strictEqual(jam.provenance.signer, emitter.address);
+        assert.strictEqual(recoverJamSigner(hash, jam, domain), emitter.address);
+        assert.notStrictEqual(recoverJamSigner(hash, jam, jamDomain(8453n, VAULT)), emitter.address);
+        assert.notStrictEqual(recoverJamSigner(hash, jam, jamDomain(31337n, '0x' + 'b'.repeat(40))), emitter.address);
+    });
+
+    it('loads JAMs signed by the emitter', async function () {
+        const hash = await emit(emission());
+        const jam = await loadTrustedJam(hash);
+        assert.strictEqual(jam.meta.label, 'a');
+        assert.strictEqual(await loadTrustedJam(ethers.id('missing')), null);
+    });
+
+    it('refuses unsigned, foreign, altered and misdirected JAMs', async function () {
+        const rejects = (hash, pattern) => assert.rejects(loadTrustedJam(hash), error => error.code === 'UNTRUSTED_JAM' && pattern.test(error.message));
+
+        const unsigned = hashJam(emission('unsigned'));
+        store.store(unsigned, emission('unsigned'));
+        await rejects(unsigned, /is not signed/);
+
+        const foreign = await emit(emission('foreign'), stranger);
+        await rejects(foreign, new RegExp(`is signed by ${stranger.address}, not the emitter ${emitter.address}`));
+
+        // A valid signature copied onto different content
+        const original = await emit(emission('original'));
+        store.update(original, { cascadeDepth: 4 });
+        await rejects(original, /content does not match its hash/);
+
+        const otherVault = await emit(emission('other-vault'), emitter, jamDomain(31337n, '0x' + 'b'.repeat(40)));
+        await rejects(otherVault, /not the emitter/);
+
+        const garbled = await emit(emission('garbled'));
+        store.update(garbled, { provenance: { signer: emitter.address, signature: '0x' + '1'.repeat(130) } });
+        await rejects(garbled, /malformed signature/);
+    });
+
+    it('signs through the signer interface, as the engine does with its guarded wallet', async function () {
+        const [account] = await hre.ethers.getSigners();
+        const hash = hashJam(emission());
+        const provenance = await signJam(account, hash, domain);
+        assert.strictEqual(provenance.signer, account.address);
+        assert.strictEqual(ethers.verifyTypedData(domain, { JAM: [{ name: 'hash', type: 'bytes32' }] }, { hash }, provenance.signature), account.address);
+    });
+});
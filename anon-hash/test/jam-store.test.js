@@ -0,0 +1,205 @@
+// test/jam-store.test.js
+// Both JAM store backends in a temp dir, including writers in separate processes.
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { ethers } = require('ethers');
+const { JAMStore, createJsonBackend, createSqliteBackend } = require('../jam-store');
+
+const hashOf = label => ethers.id(label);
+const jam = (label, { parent = null, pattern = 'FLASH_LOAN', timestamp = 1700000000 } = {}) => ({
+    kind: 'emission',
+    schemaVersion: 2,
+    proverb: [{ actor: 'AMPLIFIER', action: 'SWAP', from: 'WETH', to: 'USDC' }],
+    meta: {
+        label,
+        parentJam: parent,
+        target_contract: '0x833589fcd6edb6e08f4c7c32d4f71b54bda02913',
+        audit_pass: true,
+        bait_hooks: ['swap'],
+        pattern_type: pattern,
+        timestamp
+    },
+    tags: [],
+    recursiveTopology: { eth: 1, bsv: 0 },
+    cascadeDepth: 1,
+    resonance: 1.618
+});
+const GENESIS = require('../genesis-jam.json');
+
+const BACKENDS = {
+    json: dir => createJsonBackend({ dir }),
+    sqlite: dir => createSqliteBackend({ file: path.join(dir, 'jams.sqlite') })
+};
+
+describe('jam-store', function () {
+    let tmpDir, stores, originalLog;
+
+    beforeEach(function () {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jam-store-'));
+        stores = [];
+        originalLog = console.log;
+        console.log = () => {};
+    });
+
+    afterEach(function () {
+        console.log = originalLog;
+        stores.forEach(store => store.close());
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    for (const [name, createBackend] of Object.entries(BACKENDS)) {
+        describe(`${name} backend`, function () {
+            const open = () => {
+                const store = new JAMStore(createBackend(tmpDir));
+                stores.push(store);
+                return store;
+            };
+
+            it('stores, retrieves and merges updates', function () {
+                const store = open();
+                const hash = hashOf('a');
+                assert.strictEqual(store.retrieve(hash), null);
+                store.store(hash, jam('a'));
+                assert.deepStrictEqual(store.retrieve(hash), jam('a'));
+                assert.deepStrictEqual(store.retrieve(hash.toUpperCase().replace('0X', '0x')), jam('a'));
+
+                const updated = store.update(hash, { recursiveTopology: { eth: 1, bsv: 1 } });
+                assert.deepStrictEqual(updated.recursiveTopology, { eth: 1, bsv: 1 });
+                assert.strictEqual(store.retrieve(hash).meta.label, 'a');
+                assert.strictEqual(store.update(hashOf('missing'), { x: 1 }), null);
+
+                store.annotate(hash, { emitTx: hashOf('tx') });
+                const annotated = store.annotate(hash, { recursiveTopology: { eth: 1, bsv: 2 } });
+                assert.deepStrictEqual(annotated.annotations, { emitTx: hashOf('tx'), recursiveTopology: { eth: 1, bsv: 2 } });
+                assert.deepStrictEqual(store.retrieve(hash).recursiveTopology, { eth: 1, bsv: 1 });
+
+                assert.throws(() => store.store('../../etc/passwd', {}), /Invalid JAM hash/);
+                assert.throws(() => store.retrieve('0x1234'), /Invalid JAM hash/);
+            });
+
+            it('refuses malformed JAMs and upgrades old ones on load', function () {
+                const store = open();
+                const broken = { ...jam('broken'), resonance: 'loud' };
+                assert.throws(() => store.store(hashOf('broken'), broken), error => error.code === 'INVALID_JAM' && /\/resonance must be number/.test(error.message));
+                assert.strictEqual(store.retrieve(hashOf('broken')), null);
+
+                // Written by an older engine: no version fields, string resonance
+                const { kind, schemaVersion, ...legacy } = { ...jam('legacy'), resonance: '1.618' };
+                store.backend.put(hashOf('legacy'), legacy, { parentHash: null, patternType: 'FLASH_LOAN', timestamp: 0 });
+                const loaded = store.load(hashOf('legacy'), 'emission');
+                assert.strictEqual(loaded.resonance, 1.618);
+                assert.strictEqual(loaded.schemaVersion, 2);
+                assert.strictEqual(store.retrieve(hashOf('legacy')).resonance, '1.618');
+
+                store.store(hashOf('genesis'), GENESIS);
+                assert.throws(() => store.load(hashOf('genesis'), 'emission'), /expected kind emission, got genesis/);
+                assert.strictEqual(store.load(hashOf('missing')), null);
+            });
+
+            it('returns the newest JAM by timestamp, not by last write', function () {
+                const store = open();
+                assert.strictEqual(store.getLatest(), null);
+                store.store(hashOf('new'), jam('new', { timestamp: 1700000100 }));
+                store.store(hashOf('old'), jam('old', { timestamp: 1700000000 }));
+                store.update(hashOf('old'), { resonance: 2 });
+
+                const latest = store.getLatest();
+                assert.strictEqual(latest.hash, hashOf('new'));
+                assert.strictEqual(latest.data.meta.label, 'new');
+
+                // Without meta.timestamp, the JAM is indexed at the time it was stored
+                store.store(hashOf('genesis'), GENESIS);
+                assert.strictEqual(store.getLatest().hash, hashOf('genesis'));
+            });
+
+            it('finds JAMs by parent, pattern and time range', function () {
+                const store = open();
+                const root = hashOf('root');
+                store.store(root, jam('root', { parent: ethers.ZeroHash, timestamp: 1000 }));
+                store.store(hashOf('c1'), jam('c1', { parent: root, timestamp: 2000 }));
+                store.store(hashOf('c2'), jam('c2', { parent: root, pattern: 'ARBITRAGE', timestamp: 3000 }));
+                store.store(hashOf('g1'), jam('g1', { parent: hashOf('c1'), timestamp: 4000 }));
+
+                assert.deepStrictEqual(store.children(root).map(entry => entry.hash), [hashOf('c2'), hashOf('c1')]);
+                assert.deepStrictEqual(store.find({ parentHash: null }).map(entry => entry.hash), [root]);
+                assert.deepStrictEqual(store.find({ patternType: 'ARBITRAGE' }).map(entry => entry.hash), [hashOf('c2')]);
+                assert.deepStrictEqual(store.find({ since: 2000 * 1000, until: 3000 * 1000 }).map(entry => entry.hash), [hashOf('c2'), hashOf('c1')]);
+                assert.deepStrictEqual(store.find({ limit: 1 }).map(entry => entry.hash), [hashOf('g1')]);
+
+                const [entry] = store.find({ patternType: 'ARBITRAGE' });
+                assert.strictEqual(entry.parentHash, root);
+                assert.strictEqual(entry.timestamp, 3000 * 1000);
+
+                // Updates that change indexed fields are re-indexed
+                store.update(hashOf('c2'), { meta: { ...jam('c2').meta, pattern_type: 'LIQUIDITY', timestamp: 3000 } });
+                assert.deepStrictEqual(store.find({ patternType: 'ARBITRAGE' }), []);
+                assert.deepStrictEqual(open().find({ patternType: 'LIQUIDITY' }).map(e => e.hash), [hashOf('c2')]);
+            });
+
+            it('removes JAMs for every store sharing the backend', function () {
+                const [writer, reader] = [open(), open()];
+                writer.store(hashOf('keep'), jam('keep', { timestamp: 1 }));
+                writer.store(hashOf('drop'), jam('drop', { timestamp: 2 }));
+                assert.strictEqual(reader.getLatest().hash, hashOf('drop'));
+
+                assert.strictEqual(writer.remove(hashOf('drop')), true);
+                assert.strictEqual(writer.remove(hashOf('drop')), false);
+                assert.strictEqual(reader.retrieve(hashOf('drop')), null);
+                assert.deepStrictEqual(reader.find().map(entry => entry.hash), [hashOf('keep')]);
+
+                // Compaction is picked up by stores that have already read the index
+                writer.compact();
+                writer.store(hashOf('after'), jam('after', { timestamp: 3 }));
+                assert.deepStrictEqual(reader.find().map(entry => entry.hash), [hashOf('after'), hashOf('keep')]);
+                if (name === 'json') {
+                    assert.strictEqual(fs.readFileSync(path.join(tmpDir, 'index.jsonl'), 'utf8').trim().split('\n').length, 2);
+                }
+            });
+
+            it('shares one store between processes without losing updates', async function () {
+                this.timeout(60000);
+                const hash = hashOf('counter');
+                open().store(hash, { ...jam('counter'), count: 0 });
+
+                const script = `
+                    const { JAMStore, createJsonBackend, createSqliteBackend } = require(${JSON.stringify(path.join(__dirname, '..', 'jam-store'))});
+                    const path = require('path');
+                    const backend = ${name === 'json' ? 'createJsonBackend({ dir: process.argv[1] })' : "createSqliteBackend({ file: path.join(process.argv[1], 'jams.sqlite') })"};
+                    for (let i = 0; i < 25; i++) backend.modify(process.argv[2], jam => ({ ...jam, count: jam.count + 1 }));
+                    backend.close();
+                `;
+                const run = () => new Promise((resolve, reject) => {
+                    execFile(process.execPath, ['-e', script, tmpDir, hash], (error, stdout, stderr) => (error ? reject(new Error(stderr || error.message)) : resolve()));
+                });
+                await Promise.all([run(), run()]);
+
+                assert.strictEqual(open().retrieve(hash).count, 50);
+            });
+        });
+    }
+
+    it('indexes an existing jams/ directory on first use', function () {
+        const hashes = ['x', 'y'].map(hashOf);
+        fs.writeFileSync(path.join(tmpDir, `${hashes[0]}.json`), JSON.stringify(jam('x', { timestamp: 5 })));
+        fs.writeFileSync(path.join(tmpDir, `${hashes[1]}.json`), JSON.stringify(jam('y', { parent: hashes[0], timestamp: 6 })));
+        fs.writeFileSync(path.join(tmpDir, 'notes.json'), '{}');
+
+        const store = new JAMStore(createJsonBackend({ dir: tmpDir }));
+        assert.strictEqual(store.getLatest().hash, hashes[1]);
+        assert.deepStrictEqual(store.children(hashes[0]).map(entry => entry.hash), [hashes[1]]);
+        assert.ok(fs.existsSync(path.join(tmpDir, 'index.jsonl')));
+
+        // A half-written line from another process is picked up once it is complete
+        const third = hashOf('z');
+        fs.writeFileSync(path.join(tmpDir, `${third}.json`), JSON.stringify(jam('z', { timestamp: 7 })));
+        const line = JSON.stringify({ hash: third, parentHash: null, patternType: 'FLASH_LOAN', timestamp: 7000, storedAt: Date.now() });
+        fs.appendFileSync(path.join(tmpDir, 'index.jsonl'), line.slice(0, 20));
+        assert.strictEqual(store.getLatest().hash, hashes[1]);
+        fs.appendFileSync(path.join(tmpDir, 'index.jsonl'), line.slice(20) + '\n');
+        assert.strictEqual(store.getLatest().hash, third);
+    });
+});
@@ -0,0 +1,191 @@
+// test/lineage.test.js
+// JAM lineage from the store, on-chain emission calls and the profit log.
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const { JAMStore, createJsonBackend } = require('../jam-store');
+const { VAULT_INTERFACE, hashJam } = require('../jam-hash');
+const { fetchSignalEdges, buildLineage, renderLineageTree, lineageToDot, lineageToJson } = require('../lineage');
+
+const VAULT = '0x' + 'a'.repeat(40);
+const DMAP = '0x' + 'd'.repeat(40);
+
+const emission = (label, parentJam = null, extra = {}) => ({
+    kind: 'emission',
+    schemaVersion: 2,
+    proverb: [{ from: 'WETH', to: 'USDC', action: 'SWAP', actor: 'AMPLIFIER' }],
+    meta: {
+        label,
+        timestamp: 1753108865,
+        parentJam,
+        target_contract: '0x833589fcd6edb6e08f4c7c32d4f71b54bda02913',
+        audit_pass: true,
+        bait_hooks: ['swap'],
+        pattern_type: 'CLASSIC_ARBITRAGE'
+    },
+    tags: [],
+    recursiveTopology: { eth: 1, bsv: 0, vectorClock: { [label]: 1 } },
+    cascadeDepth: 1,
+    resonance: 1.618,
+    ...extra
+});
+
+const copycat = parent => ({
+    kind: 'copycat',
+    schemaVersion: 1,
+    context: { source: 'mirror', observer: '0x' + 'c'.repeat(40), timestamp: 1753108900, parent },
+    pattern: { type: 'recursive-belief', copycatCount: 3, uniqueCopycats: 2, depth: 2 },
+    belief: { confidence: 0.5, strength: 0.5, resonance: 2, signalHash: '' },
+    meta: {}
+});
+
+describe('lineage', function () {
+    let tmpDir, store, originalLog;
+
+    beforeEach(function () {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lineage-'));
+        originalLog = console.log;
+        console.log = () => {};
+        store = new JAMStore(createJsonBackend({ dir: tmpDir }));
+    });
+
+    afterEach(function () {
+        console.log = originalLog;
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    const put = jam => {
+        const hash = hashJam(jam);
+        store.store(hash, jam);
+        return hash;
+    };
+
+    it('walks ancestors and descendants through the store', function () {
+        const root = put(emission('root'));
+        const middle = put(emission('middle', root));
+        const sibling = put(emission('sibling', root));
+        const echo = put(copycat(middle));
+        store.annotate(middle, { emitTx: ethers.id('middle-tx') });
+
+        const lineage = buildLineage(middle.toUpperCase().replace('0X', '0x'), {
+            store,
+            profits: [
+                { signalHash: middle, profit: '0.002' },
+                { signalHash: middle, profit: '-0.0005' },
+                { signalHash: middle, profit: 'not a number' },
+                { signalHash: sibling, profit: '1' }
+            ]
+        });
+
+        assert.strictEqual(lineage.root, middle);
+        assert.deepStrictEqual(lineage.ancestors, [root]);
+        assert.deepStrictEqual(lineage.descendants, [echo]);
+        // Siblings of the selected JAM are not part of its lineage
+        assert.ok(!lineage.nodes.some(node => node.hash === sibling));
+        assert.deepStrictEqual(lineage.edges, [
+            { parent: root, child: middle, sources: ['store'] },
+            { parent: middle, child: echo, sources: ['store'] }
+        ]);
+
+        const node = lineage.nodes.find(entry => entry.hash === middle);
+        assert.deepStrictEqual(node, {
+            hash: middle,
+            stored: true,
+            kind: 'emission',
+            pattern: 'CLASSIC_ARBITRAGE',
+            resonance: 1.618,
+            cascadeDepth: 1,
+            vectorClock: { middle: 1 },
+            parent: root,
+            tx: ethers.id('middle-tx'),
+            profit: '0.0015',
+            trades: 2
+        });
+        const echoNode = lineage.nodes.find(entry => entry.hash === echo);
+        assert.strictEqual(echoNode.pattern, 'recursive-belief');
+        assert.strictEqual(echoNode.cascadeDepth, 2);
+        assert.strictEqual(echoNode.profit, null);
+    });
+
+    it('adds parents and children known only from emitRecursiveSignal calls', function () {
+        const root = put(emission('root'));
+        const unstored = ethers.id('unstored-child');
+        const edges = [
+            { hash: root, parent: ethers.id('unstored-parent'), tx: ethers.id('root-tx'), blockNumber: 1 },
+            { hash: unstored, parent: root, tx: ethers.id('child-tx'), blockNumber: 2 }
+        ];
+
+        const lineage = buildLineage(root, { store, edges });
+        assert.deepStrictEqual(lineage.ancestors, [ethers.id('unstored-parent')]);
+        assert.deepStrictEqual(lineage.descendants, [unstored]);
+        assert.ok(lineage.edges.every(edge => edge.sources.join() === 'chain'));
+        assert.strictEqual(lineage.nodes.find(node => node.hash === root).tx, ethers.id('root-tx'));
+        assert.strictEqual(lineage.nodes.find(node => node.hash === unstored).stored, false);
+    });
+
+    it('stops at cycles', function () {
+        const a = ethers.id('a');
+        const b = ethers.id('b');
+        const lineage = buildLineage(a, { store, edges: [{ hash: a, parent: b, tx: a }, { hash: b, parent: a, tx: b }] });
+        assert.deepStrictEqual(lineage.ancestors, [b]);
+        assert.deepStrictEqual(lineage.descendants, [b]);
+        assert.ok(renderLineageTree(lineage).some(line => line.includes('(listed above)')));
+    });
+
+    it('renders a tree, DOT and JSON', function () {
+        const root = put(emission('root'));
+        const middle = put(emission('middle', root, { resonance: 3 }));
+        const left = put(emission('left', middle));
+        const right = put(copycat(middle));
+        const lineage = buildLineage(middle, { store, profits: [{ signalHash: middle, profit: '0.25' }] });
+
+        const tree = renderLineageTree(lineage);
+        assert.strictEqual(tree.length, 4);
+        assert.match(tree[0], new RegExp(`^${root.slice(0, 10)}\\.\\.\\. emission CLASSIC_ARBITRAGE  res 1\\.618  depth 1  tx -  P/L -$`));
+        assert.match(tree[1], new RegExp(`^└─ ${middle.slice(0, 10)}.*res 3\\.000.*P/L \\+0\\.25 ETH \\(1 trade\\)  <== selected$`));
+        assert.deepStrictEqual(tree.slice(2).map(line => line.slice(0, 6)), ['   ├─ ', '   └─ ']);
+        assert.ok(tree.some(line => line.includes(left.slice(0, 10))) && tree.some(line => line.includes(right.slice(0, 10))));
+
+        const dot = lineageToDot(lineage);
+        assert.match(dot, /^digraph lineage \{/);
+        assert.ok(dot.includes(`"${middle}" [label="${middle.slice(0, 10)}...\\nemission CLASSIC_ARBITRAGE\\nres 3.000  depth 1\\ntx -\\nP/L +0.25 ETH (1 trade)", style=bold, color=darkgreen];`));
+        assert.ok(dot.includes(`"${root}" -> "${middle}" [style=dotted];`));
+
+        const json = JSON.parse(lineageToJson(lineage));
+        assert.strictEqual(json.root, middle);
+        assert.strictEqual(json.nodes.length, 4);
+        assert.ok(!Number.isNaN(Date.parse(json.generatedAt)));
+    });
+
+    it('reads emission edges from SignalRegistered events', async function () {
+        const child = ethers.id('child');
+        const parent = ethers.id('parent');
+        const txs = {
+            [ethers.id('tx1')]: { hash: ethers.id('tx1'), to: VAULT, data: VAULT_INTERFACE.encodeFunctionData('emitRecursiveSignal', [child, parent]) },
+            [ethers.id('tx2')]: { hash: ethers.id('tx2'), to: VAULT, data: VAULT_INTERFACE.encodeFunctionData('emitSignal', [parent]) },
+            [ethers.id('tx3')]: { hash: ethers.id('tx3'), to: '0x' + 'b'.repeat(40), data: VAULT_INTERFACE.encodeFunctionData('emitSignal', [ethers.id('elsewhere')]) }
+        };
+        const requests = [];
+        const provider = {
+            async getLogs(filter) {
+                requests.push([filter.fromBlock, filter.toBlock]);
+                assert.strictEqual(filter.address, DMAP);
+                assert.deepStrictEqual(filter.topics, [ethers.id('SignalRegistered(bytes32,address,uint256,string)')]);
+                return filter.fromBlock === 0 ? Object.keys(txs).map((transactionHash, i) => ({ transactionHash, blockNumber: i })) : [];
+            },
+            async getTransaction(hash) {
+                return txs[hash];
+            }
+        };
+
+        const edges = await fetchSignalEdges(provider, { dmapAddress: DMAP, vaultAddress: VAULT, fromBlock: 0, toBlock: 4500 });
+        assert.deepStrictEqual(requests, [[0, 1999], [2000, 3999], [4000, 4500]]);
+        assert.deepStrictEqual(edges, [
+            { hash: child, parent, tx: ethers.id('tx1'), blockNumber: 0 },
+            { hash: parent, parent: null, tx: ethers.id('tx2'), blockNumber: 1 }
+        ]);
+    });
+});
@@ -0,0 +1,75 @@
+// test/locked-state.test.js
+// Lock files shared between processes: owner tokens, stale locks and releases.
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLockedState } = require('../locked-state');
+
+describe('locked-state', function () {
+    let tmpDir, file, lockFile, warnings, originalWarn;
+
+    beforeEach(function () {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'locked-state-'));
+        file = path.join(tmpDir, 'state.json');
+        lockFile = `${file}.lock`;
+        warnings = [];
+        originalWarn = console.warn;
+        console.warn = message => warnings.push(message);
+    });
+
+    afterEach(function () {
+        console.warn = originalWarn;
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    const age = (target, ms) => {
+        const then = new Date(Date.now() - ms);
+        fs.utimesSync(target, then, then);
+    };
+
+    it('holds a token unique to the holder and removes only its own lock', async function () {
+        const state = createLockedState(file, () => ({ count: 0 }));
+        let token;
+        await state.update(current => {
+            token = fs.readFileSync(lockFile, 'utf8');
+            current.count++;
+        });
+        assert.match(token, new RegExp(`^${process.pid}\\.[0-9a-f]{12}$`));
+        assert.ok(!fs.existsSync(lockFile));
+        assert.strictEqual(state.read().count, 1);
+
+        // Broken while held and taken by another process: releasing leaves the new lock alone
+        state.withLockSync(() => fs.writeFileSync(lockFile, 'other.holder'));
+        assert.strictEqual(fs.readFileSync(lockFile, 'utf8'), 'other.holder');
+        assert.match(warnings.join('\n'), /was broken while held/);
+        assert.deepStrictEqual(fs.readdirSync(tmpDir).sort(), ['state.json', 'state.json.lock']);
+    });
+
+    it('breaks a lock left behind by a crashed process', async function () {
+        fs.writeFileSync(lockFile, '999999.deadbeef0000');
+        age(lockFile, 60000);
+
+        const state = createLockedState(file, () => ({ count: 0 }));
+        await state.update(current => { current.count++; });
+        assert.strictEqual(state.read().count, 1);
+        assert.ok(!fs.existsSync(lockFile));
+        assert.match(warnings.join('\n'), /Broke stale lock .* held by 999999\.deadbeef0000/);
+        assert.deepStrictEqual(fs.readdirSync(tmpDir), ['state.json']);
+    });
+
+    it('waits for a live lock instead of breaking it', async function () {
+        fs.writeFileSync(lockFile, 'live.holder');
+        const state = createLockedState(file, () => ({ count: 0 }));
+        const pending = state.update(current => { current.count++; });
+
+        await new Promise(resolve => setTimeout(resolve, 200));
+        assert.strictEqual(fs.readFileSync(lockFile, 'utf8'), 'live.holder');
+        assert.strictEqual(state.read().count, 0);
+
+        fs.rmSync(lockFile);
+        await pending;
+        assert.strictEqual(state.read().count, 1);
+    });
+});
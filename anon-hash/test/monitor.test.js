@@ -0,0 +1,35 @@
+// test/monitor.test.js
+// The monitor loads (it is only run by pm2, so nothing else would notice a syntax
+// error) and starts polling only when run as a script.
+
+const assert = require('assert');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const ROOT = path.join(__dirname, '..');
+
+// Requires monitor.js in a child process; it must exit on its own
+function requireMonitor(env) {
+    const script = "const monitor = require('./monitor'); console.log('exports:' + Object.keys(monitor).join(','));";
+    return spawnSync(process.execPath, ['-e', script], { cwd: ROOT, env: { PATH: process.env.PATH, ...env }, encoding: 'utf8', timeout: 30000 });
+}
+
+describe('monitor', function () {
+    this.timeout(60000);
+
+    it('loads without starting the update loop', function () {
+        const result = requireMonitor({
+            RPC_URL: 'http://127.0.0.1:1',
+            DMAP_ADDRESS: '0x' + '11'.repeat(20),
+            VAULT_ADDRESS: '0x' + '22'.repeat(20)
+        });
+        assert.strictEqual(result.status, 0, result.stderr);
+        assert.match(result.stdout, /exports:update/);
+    });
+
+    it('refuses to start without its RPC and contract addresses', function () {
+        const result = requireMonitor({ RPC_URL: 'http://127.0.0.1:1' });
+        assert.strictEqual(result.status, 1);
+        assert.match(result.stderr, /Missing required environment variables/);
+    });
+});
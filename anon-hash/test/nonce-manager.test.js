@@ -0,0 +1,192 @@
+// test/nonce-manager.test.js
+// Persistent nonce reservations against the in-process Hardhat network.
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const hre = require('hardhat');
+const { createNonceManager, isNonceError } = require('../nonce-manager');
+
+describe('nonce-manager', function () {
+    let signer, recipient, stateDir, originalLog, originalWarn;
+
+    before(async function () {
+        const signers = await hre.ethers.getSigners();
+        signer = signers[7];
+        recipient = signers[8].address;
+    });
+
+    beforeEach(function () {
+        stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nonces-'));
+        originalLog = console.log;
+        originalWarn = console.warn;
+        console.log = () => {};
+        console.warn = () => {};
+    });
+
+    afterEach(async function () {
+        console.log = originalLog;
+        console.warn = originalWarn;
+        await hre.network.provider.send('evm_setAutomine', [true]);
+        fs.rmSync(stateDir, { recursive: true, force: true });
+    });
+
+    const manager = (options = {}) => createNonceManager(signer, { stateDir, service: 'test', ...options });
+    const chainNonce = () => signer.provider.getTransactionCount(signer.address, 'latest');
+
+    it('hands out consecutive nonces from the chain and persists them across instances', async function () {
+        const start = await chainNonce();
+        const first = manager();
+        assert.strictEqual(await first.reserve('A'), start);
+        assert.strictEqual(await first.reserve('B'), start + 1);
+
+        // Another process (same pid here, so its reservations count as live) continues the sequence
+        const second = manager();
+        assert.strictEqual(await second.reserve('C'), start + 2);
+        const state = JSON.parse(fs.readFileSync(first.stateFile, 'utf8'));
+        assert.deepStrictEqual(Object.keys(state.pending).map(Number), [start, start + 1, start + 2]);
+        assert.strictEqual(state.pending[start].label, 'A');
+    });
+
+    it('reuses released nonces before new ones so the sequence has no gaps', async function () {
+        const nonces = manager();
+        const start = await chainNonce();
+        const [a, b, c] = [await nonces.reserve(), await nonces.reserve(), await nonces.reserve()];
+        assert.deepStrictEqual([a, b, c], [start, start + 1, start + 2]);
+
+        await nonces.release(b);
+        assert.strictEqual(await nonces.reserve(), b);
+
+        // Releasing the newest nonces rewinds the counter
+        await nonces.release(c);
+        await nonces.release(b);
+        assert.strictEqual(nonces.snapshot().next, start + 1);
+        assert.deepStrictEqual(nonces.snapshot().free, []);
+    });
+
+    it('records broadcasts and releases the nonce when sending fails', async function () {
+        const nonces = manager();
+        const start = await chainNonce();
+
+        const tx = await nonces.send({ to: recipient, value: 1n }, 'PING');
+        assert.strictEqual(tx.nonce, start);
+        assert.strictEqual(nonces.snapshot().pending[start].status, 'sent');
+        assert.strictEqual(nonces.snapshot().pending[start].hash, tx.hash);
+        await tx.wait();
+        await nonces.confirm(tx.nonce);
+
+        await assert.rejects(nonces.withNonce('BROKEN', async () => {
+            throw new Error('insufficient funds');
+        }), /insufficient funds/);
+        assert.deepStrictEqual(nonces.snapshot().pending, {});
+        assert.strictEqual(await nonces.reserve(), start + 1);
+    });
+
+    it('reconciles against the chain on sync', async function () {
+        const nonces = manager();
+        const start = await chainNonce();
+        await nonces.reserve();
+        await nonces.reserve();
+
+        // A reservation left by a process that no longer exists, and one the chain already used
+        const state = JSON.parse(fs.readFileSync(nonces.stateFile, 'utf8'));
+        state.pending[start + 1].pid = 2 ** 22 + 1;
+        fs.writeFileSync(nonces.stateFile, JSON.stringify(state));
+        await (await signer.sendTransaction({ to: recipient, value: 1n, nonce: start })).wait();
+
+        const { latest } = await manager().sync();
+        assert.strictEqual(latest, start + 1);
+        assert.deepStrictEqual(manager().snapshot().pending, {});
+        assert.strictEqual(await manager().reserve(), start + 1);
+    });
+
+    it('resyncs when the node rejects a nonce', async function () {
+        const nonces = manager();
+        const start = await chainNonce();
+        await nonces.reserve();
+        // Someone else spends the next nonces behind the manager's back
+        await (await signer.sendTransaction({ to: recipient, value: 1n, nonce: start })).wait();
+        await (await signer.sendTransaction({ to: recipient, value: 1n, nonce: start + 1 })).wait();
+
+        await assert.rejects(nonces.send({ to: recipient, value: 1n }, 'LATE'), error => isNonceError(error));
+        assert.strictEqual(await nonces.reserve(), start + 2);
+    });
+
+    it('replaces stuck transactions with bumped fees', async function () {
+        let time = 1000000;
+        const nonces = manager({ now: () => time });
+        await hre.network.provider.send('evm_setAutomine', [false]);
+
+        const tx = await nonces.send({ to: recipient, value: 1n, gasLimit: 21000 }, 'SLOW');
+        assert.deepStrictEqual(await nonces.replaceStuck({ olderThanMs: 60000 }), []);
+
+        time += 60000;
+        const [replacement] = await nonces.replaceStuck({ olderThanMs: 60000, bumpPercent: 25 });
+        assert.strictEqual(replacement.nonce, tx.nonce);
+        assert.strictEqual(replacement.from, tx.hash);
+
+        const replacedTx = await signer.provider.getTransaction(replacement.to);
+        assert.strictEqual(replacedTx.maxFeePerGas, (tx.maxFeePerGas * 125n + 99n) / 100n);
+        assert.strictEqual(nonces.snapshot().pending[tx.nonce].replacements, 1);
+
+        await hre.network.provider.send('evm_mine');
+        assert.strictEqual((await signer.provider.getTransactionReceipt(replacement.to)).status, 1);
+        assert.strictEqual(await signer.provider.getTransactionReceipt(tx.hash), null);
+
+        // Mined entries are pruned on the next pass
+        time += 60000;
+        assert.deepStrictEqual(await nonces.replaceStuck({ olderThanMs: 60000 }), []);
+        assert.deepStrictEqual(nonces.snapshot().pending, {});
+    });
+
+    it('leaves other services\' transactions alone', async function () {
+        let time = 1000000;
+        const engine = manager({ service: 'index', now: () => time });
+        await hre.network.provider.send('evm_setAutomine', [false]);
+        await engine.send({ to: recipient, value: 1n, gasLimit: 21000 }, 'EMIT');
+
+        time += 600000;
+        assert.deepStrictEqual(await manager({ service: 'semantic-amplifier', now: () => time }).replaceStuck({ olderThanMs: 1 }), []);
+        await hre.network.provider.send('evm_mine');
+    });
+
+    it('makes its RPC calls without holding the state lock', async function () {
+        let time = 1000000;
+        const lockFile = path.join(stateDir, `${signer.address.toLowerCase()}.json.lock`);
+        const calls = [];
+        // Every chain call records whether another process would have been kept waiting
+        const watched = (target, method) => (...args) => {
+            calls.push({ method, locked: fs.existsSync(lockFile) });
+            return target[method](...args);
+        };
+        const provider = signer.provider;
+        const watchedSigner = {
+            address: signer.address,
+            provider: {
+                getTransactionCount: watched(provider, 'getTransactionCount'),
+                getNetwork: watched(provider, 'getNetwork'),
+                getFeeData: watched(provider, 'getFeeData')
+            },
+            sendTransaction: watched(signer, 'sendTransaction')
+        };
+        const nonces = createNonceManager(watchedSigner, { stateDir, service: 'test', now: () => time });
+        await hre.network.provider.send('evm_setAutomine', [false]);
+
+        await nonces.sync();
+        await nonces.send({ to: recipient, value: 1n, gasLimit: 21000 }, 'SLOW');
+        time += 60000;
+        assert.strictEqual((await nonces.replaceStuck({ olderThanMs: 60000 })).length, 1);
+        await hre.network.provider.send('evm_mine');
+
+        assert.ok(calls.some(call => call.method === 'sendTransaction'));
+        assert.deepStrictEqual(calls.filter(call => call.locked), []);
+    });
+
+    it('recognises nonce errors from nodes and ethers', function () {
+        assert.ok(isNonceError({ code: 'NONCE_EXPIRED', message: '' }));
+        assert.ok(isNonceError(new Error('replacement transaction underpriced')));
+        assert.ok(isNonceError(new Error('Nonce too low. Expected nonce to be 5')));
+        assert.ok(!isNonceError(new Error('insufficient funds for gas')));
+    });
+});
@@ -0,0 +1,165 @@
+// test/pattern-selector.test.js
+// Proverb pattern selection from profit log outcomes.
+
+const assert = require('assert');
+const { ethers } = require('ethers');
+const { validateJam } = require('../jam-schema');
+const { collectOutcomes, createPatternSelector } = require('../pattern-selector');
+
+const PATTERNS = ['CLASSIC_ARBITRAGE', 'STABLE_ROTATION', 'YIELD_CAPTURE'];
+const signal = (pattern, i) => ethers.id(`${pattern}-${i}`);
+
+// Fake store: every signal hash maps to the pattern it was derived from
+const store = {
+    retrieve: hash => {
+        for (const pattern of PATTERNS) {
+            for (let i = 0; i < 50; i++) if (signal(pattern, i) === hash) return { meta: { pattern_type: pattern } };
+        }
+        return null;
+    }
+};
+
+const entries = (pattern, profits) => profits.map((profit, i) => ({ signalHash: signal(pattern, i), profit }));
+
+// Deterministic pseudo-random numbers
+const seeded = (seed = 42) => () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+};
+
+describe('pattern-selector', function () {
+    it('joins profit log entries to patterns by signal hash', function () {
+        const outcomes = collectOutcomes([
+            ...entries('CLASSIC_ARBITRAGE', ['0.01', '-0.002', '0.0']),
+            { signalHash: ethers.id('unknown'), profit: '1' },
+            { signalHash: signal('STABLE_ROTATION', 0), profit: 'NaN' },
+            { profit: '1' }
+        ], hash => store.retrieve(hash)?.meta.pattern_type);
+        assert.deepStrictEqual([...outcomes], [['CLASSIC_ARBITRAGE', { trials: 3, wins: 1, profit: ethers.parseEther('0.008') }]]);
+    });
+
+    it('uses the pattern recorded in the log and looks up unknown JAMs again later', function () {
+        const stored = new Map();
+        const lookups = [];
+        const lateStore = { retrieve: hash => { lookups.push(hash); return stored.get(hash) || null; } };
+        const late = ethers.id('late');
+        const log = [
+            // Archived JAM: only the log entry knows its pattern
+            { signalHash: ethers.id('archived'), pattern_type: 'YIELD_CAPTURE', profit: '0.01' },
+            { signalHash: late, profit: '0.01' }
+        ];
+        const selector = createPatternSelector({ store: lateStore, strategy: 'ucb1', readOutcomes: () => log });
+
+        assert.deepStrictEqual(selector.select(['YIELD_CAPTURE']).rationale.outcomes, { trials: 1, wins: 1, profit: '0.01' });
+        stored.set(late, { meta: { pattern_type: 'YIELD_CAPTURE' } });
+        assert.deepStrictEqual(selector.select(['YIELD_CAPTURE']).rationale.outcomes, { trials: 2, wins: 2, profit: '0.02' });
+        selector.select(['YIELD_CAPTURE']);
+        assert.deepStrictEqual(lookups, [late, late]);
+    });
+
+    it('tries every pattern first and then favours the profitable one with UCB1', function () {
+        let log = [];
+        const selector = createPatternSelector({ store, strategy: 'ucb1', readOutcomes: () => log });
+
+        const first = selector.select(PATTERNS);
+        assert.strictEqual(first.pattern, 'CLASSIC_ARBITRAGE');
+        assert.deepStrictEqual(first.rationale, {
+            strategy: 'ucb1',
+            reason: 'no outcomes yet',
+            scores: { CLASSIC_ARBITRAGE: null, STABLE_ROTATION: null, YIELD_CAPTURE: null },
+            outcomes: { trials: 0, wins: 0, profit: '0.0' }
+        });
+
+        log = [
+            ...entries('CLASSIC_ARBITRAGE', Array(20).fill('-0.001')),
+            ...entries('STABLE_ROTATION', Array(20).fill('0.002')),
+            ...entries('YIELD_CAPTURE', ['0.001', '-0.001'])
+        ];
+        const next = selector.select(PATTERNS);
+        // Few trials keep YIELD_CAPTURE's bound above STABLE_ROTATION's perfect record
+        assert.strictEqual(next.pattern, 'YIELD_CAPTURE');
+        assert.strictEqual(next.rationale.reason, 'highest upper confidence bound');
+
+        log.push(...entries('YIELD_CAPTURE', Array(40).fill('-0.001')).slice(2));
+        const settled = selector.select(PATTERNS);
+        assert.strictEqual(settled.pattern, 'STABLE_ROTATION');
+        assert.deepStrictEqual(settled.rationale.outcomes, { trials: 20, wins: 20, profit: '0.04' });
+    });
+
+    it('samples mostly the profitable pattern with Thompson sampling', function () {
+        const log = [
+            ...entries('CLASSIC_ARBITRAGE', Array(30).fill('-0.001')),
+            ...entries('STABLE_ROTATION', [...Array(25).fill('0.001'), ...Array(5).fill('-0.001')]),
+            ...entries('YIELD_CAPTURE', Array(30).fill('-0.001'))
+        ];
+        const selector = createPatternSelector({ store, strategy: 'thompson', readOutcomes: () => log, random: seeded() });
+        const picks = Array.from({ length: 50 }, () => selector.select(PATTERNS).pattern);
+        assert.ok(picks.filter(pattern => pattern === 'STABLE_ROTATION').length >= 48);
+        assert.match(selector.select(PATTERNS).rationale.reason, /^highest sample from Beta\(26, 6\)$/);
+    });
+
+    it('explores with probability epsilon', function () {
+        const log = entries('YIELD_CAPTURE', ['0.001']);
+        const values = [0.05, 0.9, 0.5];
+        const selector = createPatternSelector({ store, strategy: 'epsilon-greedy', epsilon: 0.1, readOutcomes: () => log, random: () => values.shift() });
+        const explored = selector.select(PATTERNS);
+        assert.strictEqual(explored.pattern, 'YIELD_CAPTURE');
+        assert.strictEqual(explored.rationale.reason, 'exploring (epsilon 0.1)');
+        const greedy = selector.select(PATTERNS);
+        assert.strictEqual(greedy.pattern, 'YIELD_CAPTURE');
+        assert.strictEqual(greedy.rationale.reason, 'best mean win rate');
+        assert.deepStrictEqual(greedy.rationale.scores, { CLASSIC_ARBITRAGE: 0.5, STABLE_ROTATION: 0.5, YIELD_CAPTURE: 1 });
+    });
+
+    it('keeps the original emission success scoring as the score strategy', function () {
+        const now = 1_000_000;
+        const stats = {
+            CLASSIC_ARBITRAGE: { attempts: 10, successes: 9, lastUsed: now - 1000 },
+            STABLE_ROTATION: { attempts: 10, successes: 7, lastUsed: 0 },
+            YIELD_CAPTURE: { attempts: 2, successes: 1, lastUsed: 0 }
+        };
+        const selector = createPatternSelector({ strategy: 'score', readOutcomes: () => assert.fail('score does not read the profit log') });
+        const { pattern, rationale } = selector.select(PATTERNS, stats, now);
+        // 0.9 - cooldown 0.3 < 0.7 < 0.5 + exploration 0.2 (tie goes to the first)
+        assert.strictEqual(pattern, 'STABLE_ROTATION');
+        assert.deepStrictEqual(rationale.scores, { CLASSIC_ARBITRAGE: 0.6, STABLE_ROTATION: 0.7, YIELD_CAPTURE: 0.7 });
+        assert.deepStrictEqual(rationale.outcomes, { attempts: 10, successes: 7 });
+    });
+
+    it('reports trade outcomes, not emissions, whatever the strategy', function () {
+        const log = [...entries('CLASSIC_ARBITRAGE', ['0.01', '-0.002', '-0.001', '0.003'])];
+        for (const strategy of ['score', 'ucb1']) {
+            const selector = createPatternSelector({ store, strategy, readOutcomes: () => log });
+            const { trials, wins } = selector.outcomes().get('CLASSIC_ARBITRAGE');
+            assert.deepStrictEqual({ trials, wins }, { trials: 4, wins: 2 });
+            assert.strictEqual(selector.outcomes().get('STABLE_ROTATION'), undefined);
+        }
+    });
+
+    it('refuses unknown strategies and fits in the JAM schema', function () {
+        assert.throws(() => createPatternSelector({ strategy: 'greedy' }), error => error.code === 'INVALID_STRATEGY' && /expected thompson, ucb1, epsilon-greedy, score/.test(error.message));
+        assert.throws(() => createPatternSelector({ strategy: 'epsilon-greedy', epsilon: 2 }), /PATTERN_EPSILON must be between 0 and 1/);
+
+        const { rationale } = createPatternSelector({ store, strategy: 'ucb1', readOutcomes: () => [] }).select(PATTERNS);
+        const jam = {
+            kind: 'emission',
+            schemaVersion: 2,
+            proverb: [{ from: 'WETH', to: 'USDC', action: 'SWAP', actor: 'AMPLIFIER' }],
+            meta: {
+                timestamp: 1753108865,
+                parentJam: null,
+                target_contract: '0x833589fcd6edb6e08f4c7c32d4f71b54bda02913',
+                audit_pass: true,
+                bait_hooks: ['swap'],
+                pattern_type: 'CLASSIC_ARBITRAGE',
+                selection: rationale
+            },
+            tags: [],
+            recursiveTopology: { eth: 1, bsv: 0 },
+            cascadeDepth: 1,
+            resonance: 1.618
+        };
+        assert.deepStrictEqual(validateJam(jam).errors, []);
+        assert.strictEqual(validateJam({ ...jam, meta: { ...jam.meta, selection: { strategy: 'greedy', reason: '' } } }).valid, false);
+    });
+});
@@ -0,0 +1,130 @@
+// test/patterns.test.js
+// Pattern files: validation against tokens and executor actions, and hot reloading.
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { checkPattern, loadPatterns, createPatternLibrary } = require('../patterns');
+
+const pattern = (overrides = {}) => ({
+    id: 'TEST_PATTERN',
+    name: 'Test Pattern',
+    baseResonance: 1,
+    steps: [
+        { from: 'WETH', to: 'USDC', action: 'SWAP', actor: 'AMPLIFIER' },
+        { from: 'USDC', to: 'WETH', action: 'SWAP', actor: 'MIRROR' }
+    ],
+    ...overrides
+});
+
+describe('patterns', function () {
+    let tmpDir, originalLog, originalError, errors;
+
+    beforeEach(function () {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'patterns-'));
+        originalLog = console.log;
+        originalError = console.error;
+        errors = [];
+        console.log = () => {};
+        console.error = message => errors.push(message);
+    });
+
+    afterEach(function () {
+        console.log = originalLog;
+        console.error = originalError;
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    // Writes a pattern file with a distinct mtime, so a rewrite is always noticed
+    let tick = 0;
+    const write = (name, content) => {
+        const file = path.join(tmpDir, name);
+        fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+        const time = new Date(Date.now() + ++tick * 1000);
+        fs.utimesSync(file, time, time);
+    };
+
+    it('ships the original four patterns, plus disabled deposit patterns', function () {
+        const { patterns, problems } = loadPatterns(path.join(__dirname, '..', 'patterns'));
+        assert.deepStrictEqual(problems, []);
+        const enabled = Object.fromEntries(patterns.filter(p => p.enabled).map(p => [p.id, p.baseResonance]));
+        assert.deepStrictEqual(enabled, {
+            CLASSIC_ARBITRAGE: 1.618033988749895,
+            LIQUIDITY_PROBE: 1,
+            STABLE_ROTATION: 0.618033988749895,
+            YIELD_CAPTURE: 2.618033988749895
+        });
+        assert.deepStrictEqual(patterns.filter(p => !p.enabled).map(p => p.steps[1].action), ['DEPOSIT_COMPOUND', 'DEPOSIT_SAVINGS']);
+    });
+
+    it('checks tokens, actions and actors', function () {
+        assert.deepStrictEqual(checkPattern(pattern()), []);
+        assert.deepStrictEqual(checkPattern(pattern({ id: 'lower', extra: 1 })), [
+            '/ must NOT have additional properties',
+            '/id must match pattern "^[A-Z][A-Z0-9_]*$"'
+        ]);
+        assert.deepStrictEqual(checkPattern(pattern({
+            steps: [
+                { from: 'WETH', to: 'PEPE', action: 'DEPOSIT', actor: 'AMPLIFIER' },
+                { from: 'USDC', to: 'cbETH', action: 'DEPOSIT_COMPOUND', actor: 'MIRROR' },
+                { from: 'USDC', to: 'sDAI', action: 'DEPOSIT_SAVINGS', actor: 'MIRROR' }
+            ]
+        })), [
+            '/steps/0/to unknown token PEPE',
+            '/steps/0 AMPLIFIER cannot DEPOSIT (supports SWAP)',
+            '/steps/1 DEPOSIT_COMPOUND USDC -> cbETH is not supported (expected a Compound cToken)',
+            '/steps/2 DEPOSIT_SAVINGS USDC -> sDAI is not supported (expected DAI -> sDAI)',
+            '/steps has 2 MIRROR steps, expected exactly 1'
+        ]);
+        assert.deepStrictEqual(checkPattern(pattern(), { WETH: '0x1' }), ['/steps/0/to unknown token USDC', '/steps/1/from unknown token USDC']);
+    });
+
+    it('reads YAML and JSON files and reports every bad one', function () {
+        write('a.yaml', [
+            'id: YAML_PATTERN',
+            'name: From YAML',
+            'baseResonance: 1.5 # comments are fine',
+            'steps:',
+            '  - { from: WETH, to: DAI, action: SWAP, actor: AMPLIFIER }',
+            '  - { from: DAI, to: sDAI, action: DEPOSIT_SAVINGS, actor: MIRROR }'
+        ].join('\n'));
+        write('b.json', pattern({ enabled: false }));
+        write('c.yml', 'id: [unclosed');
+        write('d.json', pattern());
+        write('notes.txt', 'ignored');
+
+        const { patterns, problems } = loadPatterns(tmpDir);
+        assert.deepStrictEqual(patterns.map(p => [p.id, p.file, p.enabled]), [['YAML_PATTERN', 'a.yaml', true], ['TEST_PATTERN', 'b.json', false]]);
+        assert.strictEqual(problems.length, 2);
+        assert.match(problems[0], /^c\.yml: /);
+        assert.strictEqual(problems[1], 'd.json: id TEST_PATTERN is already used by b.json');
+
+        fs.rmSync(path.join(tmpDir, 'a.yaml'));
+        fs.rmSync(path.join(tmpDir, 'c.yml'));
+        fs.rmSync(path.join(tmpDir, 'd.json'));
+        assert.deepStrictEqual(loadPatterns(tmpDir).problems, [`No enabled patterns in ${tmpDir}`]);
+        assert.match(loadPatterns(path.join(tmpDir, 'missing')).problems[0], /^Cannot read patterns from/);
+    });
+
+    it('reloads changed files and keeps the previous patterns when a change is invalid', function () {
+        write('a.json', pattern());
+        const library = createPatternLibrary({ dir: tmpDir });
+        assert.deepStrictEqual(Object.keys(library.current()), ['TEST_PATTERN']);
+
+        write('b.json', pattern({ id: 'SECOND' }));
+        assert.deepStrictEqual(Object.keys(library.current()), ['TEST_PATTERN', 'SECOND']);
+
+        write('b.json', pattern({ id: 'SECOND', baseResonance: -1 }));
+        assert.deepStrictEqual(Object.keys(library.current()), ['TEST_PATTERN', 'SECOND']);
+        library.current();
+        assert.strictEqual(errors.length, 1, 'an invalid change is reported once');
+        assert.match(errors[0], /Keeping the previous patterns; .* b\.json: \/baseResonance must be > 0/);
+
+        write('b.json', pattern({ id: 'SECOND', enabled: false }));
+        assert.deepStrictEqual(Object.keys(library.current()), ['TEST_PATTERN']);
+
+        fs.writeFileSync(path.join(tmpDir, 'a.json'), '{');
+        assert.throws(() => createPatternLibrary({ dir: tmpDir }), error => error.code === 'INVALID_PATTERN' && /a\.json/.test(error.message));
+    });
+});
@@ -0,0 +1,100 @@
+// test/quotes.test.js
+// On-chain quotes and slippage bounds against the mock routers on the in-process Hardhat network.
+
+const assert = require('assert');
+const hre = require('hardhat');
+const { ethers } = require('ethers');
+const { DEX_CONFIGS, TOKENS } = require('../dex-config');
+const { quoteSwap, applySlippage, getMaxSlippageBps, feeTierFor, encodeV3Path } = require('../quotes');
+
+const WETH = TOKENS.WETH;
+
+describe('quotes', function () {
+    let router, solidlyRouter, token, originalSlippage;
+    const dexOfType = (TYPE, ROUTER) => ({ NAME: `Mock ${TYPE}`, TYPE, ROUTER, quoter: ROUTER, factory: ROUTER, FEE_TIERS: { default: 3000 } });
+
+    before(async function () {
+        router = await (await hre.ethers.getContractFactory('MockRouter')).deploy();
+        solidlyRouter = await (await hre.ethers.getContractFactory('MockSolidlyRouter')).deploy();
+        token = await (await hre.ethers.getContractFactory('MockERC20')).deploy();
+        await Promise.all([router.waitForDeployment(), solidlyRouter.waitForDeployment(), token.waitForDeployment()]);
+    });
+
+    beforeEach(function () {
+        originalSlippage = process.env.MAX_SLIPPAGE_BPS;
+        delete process.env.MAX_SLIPPAGE_BPS;
+    });
+
+    afterEach(function () {
+        if (originalSlippage === undefined) delete process.env.MAX_SLIPPAGE_BPS;
+        else process.env.MAX_SLIPPAGE_BPS = originalSlippage;
+    });
+
+    it('quotes every DEX type through its own venue', async function () {
+        const path = [WETH, await token.getAddress()];
+        const amountIn = ethers.parseEther('0.001');
+        const venues = {
+            'uniswap-v2-fork': await router.getAddress(),
+            'concentrated-liquidity': await router.getAddress(),
+            'solidly-fork': await solidlyRouter.getAddress()
+        };
+
+        for (const [type, address] of Object.entries(venues)) {
+            const quote = await quoteSwap(hre.ethers.provider, dexOfType(type, address), { path, amountIn });
+            assert.strictEqual(quote.amountOut, ethers.parseEther('2'), type);
+            assert.strictEqual(quote.amountOutMinimum, ethers.parseEther('1.99'), type);
+            assert.strictEqual(quote.slippageBps, 50, type);
+        }
+    });
+
+    it('quotes multi-hop V3 swaps through a packed path', async function () {
+        const dex = dexOfType('concentrated-liquidity', await router.getAddress());
+        const path = [WETH, await token.getAddress(), WETH];
+        assert.strictEqual(ethers.dataLength(encodeV3Path(dex, path)), 20 + 23 * 2);
+
+        const quote = await quoteSwap(hre.ethers.provider, dex, { path, amountIn: ethers.parseEther('1') });
+        assert.strictEqual(quote.amountOut, ethers.parseEther('1'));
+    });
+
+    it('applies MAX_SLIPPAGE_BPS and rejects invalid values', async function () {
+        process.env.MAX_SLIPPAGE_BPS = '300';
+        assert.strictEqual(getMaxSlippageBps(), 300);
+        const quote = await quoteSwap(hre.ethers.provider, dexOfType('uniswap-v2-fork', await router.getAddress()), {
+            path: [WETH, await token.getAddress()],
+            amountIn: ethers.parseEther('0.001')
+        });
+        assert.strictEqual(quote.amountOutMinimum, ethers.parseEther('1.94'));
+        assert.strictEqual(applySlippage(999n, 1), 998n);
+
+        for (const value of ['-1', '10000', '0.5', 'abc']) {
+            process.env.MAX_SLIPPAGE_BPS = value;
+            assert.throws(() => getMaxSlippageBps(), /Invalid MAX_SLIPPAGE_BPS/, value);
+        }
+    });
+
+    it('refuses to trade without a usable quote', async function () {
+        const path = [WETH, await token.getAddress()];
+        const noRouter = dexOfType('uniswap-v2-fork', ethers.Wallet.createRandom().address);
+        await assert.rejects(
+            quoteSwap(hre.ethers.provider, noRouter, { path, amountIn: 1000n }),
+            /No quote available on Mock uniswap-v2-fork/
+        );
+
+        const dex = dexOfType('uniswap-v2-fork', await router.getAddress());
+        await assert.rejects(
+            quoteSwap(hre.ethers.provider, dex, { path: [path[1], WETH], amountIn: 1000n }),
+            /quoted output is zero/
+        );
+        await assert.rejects(
+            quoteSwap(hre.ethers.provider, { ...dex, TYPE: 'orderbook' }, { path, amountIn: 1000n }),
+            /unsupported DEX type orderbook/
+        );
+    });
+
+    it('looks up V3 fee tiers by token pair in either order', function () {
+        const uniswap = DEX_CONFIGS.UNISWAP_V3;
+        assert.strictEqual(feeTierFor(uniswap, TOKENS.WETH, TOKENS.USDC), 500);
+        assert.strictEqual(feeTierFor(uniswap, TOKENS.USDC, TOKENS.WETH), 500);
+        assert.strictEqual(feeTierFor(uniswap, TOKENS.USDC, TOKENS.DAI), 3000);
+    });
+});
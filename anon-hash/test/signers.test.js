@@ -0,0 +1,168 @@
+// test/signers.test.js
+// Signer backends: env keys, encrypted keystores and the Unix-socket remote signer.
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const hre = require('hardhat');
+const { ethers } = require('ethers');
+const { RemoteSigner, getSignerMode, loadSigner, unlockKeystore, writeKeystore } = require('../signers');
+const { createSignerServer } = require('../signer-daemon');
+const { compileSpendLimits, createSpendGuard } = require('../spend-guard');
+const { TOKENS } = require('../dex-config');
+
+describe('signers', function () {
+    let tmpDir, savedEnv, originalLog, originalWarn;
+    const main = ethers.Wallet.createRandom();
+    const mirror = ethers.Wallet.createRandom();
+
+    beforeEach(function () {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'signers-'));
+        savedEnv = { ...process.env };
+        originalLog = console.log;
+        originalWarn = console.warn;
+        console.log = () => {};
+        console.warn = () => {};
+    });
+
+    afterEach(function () {
+        process.env = savedEnv;
+        console.log = originalLog;
+        console.warn = originalWarn;
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    // Cheap scrypt parameters; real keystores use ethers' defaults
+    const writeTestKeystore = (name, wallet, password) => {
+        const json = ethers.encryptKeystoreJsonSync({ address: wallet.address, privateKey: wallet.privateKey }, password, { scrypt: { N: 1024 } });
+        fs.writeFileSync(path.join(tmpDir, `${name}.json`), json);
+    };
+
+    it('defaults to keystores in production and raw keys elsewhere', function () {
+        assert.strictEqual(getSignerMode({ NODE_ENV: 'production' }), 'keystore');
+        assert.strictEqual(getSignerMode({ NODE_ENV: 'test' }), 'env');
+        assert.strictEqual(getSignerMode({ NODE_ENV: 'production', SIGNER_MODE: 'remote' }), 'remote');
+        assert.throws(() => getSignerMode({ SIGNER_MODE: 'hsm' }), /Invalid SIGNER_MODE: hsm/);
+    });
+
+    it('loads env keys, with the mirror falling back to the main key', function () {
+        process.env.PRIVATE_KEY = main.privateKey;
+        delete process.env.MIRROR_PRIVATE_KEY;
+        assert.strictEqual(loadSigner('main', hre.ethers.provider, { mode: 'env' }).address, main.address);
+        assert.strictEqual(loadSigner('mirror', null, { mode: 'env' }).address, main.address);
+
+        process.env.MIRROR_PRIVATE_KEY = mirror.privateKey;
+        assert.strictEqual(loadSigner('mirror', null, { mode: 'env' }).address, mirror.address);
+        delete process.env.PRIVATE_KEY;
+        assert.throws(() => loadSigner('main', null, { mode: 'env' }), /PRIVATE_KEY is not set/);
+        assert.throws(() => loadSigner('vault', null, { mode: 'env' }), /Unknown wallet "vault"/);
+    });
+
+    it('unlocks keystores with the password file', function () {
+        const passwordFile = path.join(tmpDir, 'password');
+        fs.writeFileSync(passwordFile, 'correct horse\n');
+        writeTestKeystore('main', main, 'correct horse');
+
+        const signer = loadSigner('main', hre.ethers.provider, { mode: 'keystore', keystoreDir: tmpDir, passwordFile });
+        assert.strictEqual(signer.address, main.address);
+        assert.strictEqual(signer.provider, hre.ethers.provider);
+
+        assert.throws(() => unlockKeystore(path.join(tmpDir, 'main.json'), 'wrong'), /Cannot unlock keystore/);
+        assert.throws(() => loadSigner('mirror', null, { mode: 'keystore', keystoreDir: tmpDir, passwordFile }), /Cannot read keystore .*mirror.json/);
+        assert.throws(() => loadSigner('mirror', null, { mode: 'keystore', keystoreDir: tmpDir, passwordFile: path.join(tmpDir, 'nope') }), /Cannot read keystore password/);
+    });
+
+    it('writes owner-only keystores and refuses to overwrite them', function () {
+        this.timeout(60000); // Default scrypt cost
+        const address = writeKeystore('mirror', mirror.privateKey, 'pw', { keystoreDir: tmpDir });
+        assert.strictEqual(address, mirror.address);
+        const file = path.join(tmpDir, 'mirror.json');
+        assert.strictEqual(fs.statSync(file).mode & 0o777, 0o600);
+        assert.strictEqual(unlockKeystore(file, 'pw').address, mirror.address);
+        assert.throws(() => writeKeystore('mirror', mirror.privateKey, 'pw', { keystoreDir: tmpDir }), /already exists/);
+    });
+
+    describe('remote signer', function () {
+        let server, socketPath, guard;
+
+        beforeEach(async function () {
+            socketPath = path.join(tmpDir, 'signer.sock');
+            const config = compileSpendLimits({
+                version: 1,
+                wallets: { default: { perTx: { value: '0.01', tokens: { USDC: '25' } } }, mirror: { perTx: { value: '0.002' } } }
+            });
+            guard = createSpendGuard({ config, stateDir: path.join(tmpDir, 'spend'), profitLog: path.join(tmpDir, 'profit.log') });
+            server = await createSignerServer([main, mirror], socketPath, { guard, names: { [mirror.address.toLowerCase()]: 'mirror' } });
+        });
+
+        afterEach(function (done) {
+            server.close(() => done());
+        });
+
+        it('signs transactions that the node accepts', async function () {
+            assert.strictEqual(fs.statSync(socketPath).mode & 0o777, 0o600);
+            await hre.ethers.provider.send('hardhat_setBalance', [mirror.address, ethers.toBeHex(ethers.parseEther('1'))]);
+            const signer = new RemoteSigner(mirror.address, socketPath).connect(hre.ethers.provider);
+
+            const tx = await signer.sendTransaction({ to: main.address, value: 1234n });
+            const receipt = await tx.wait();
+            assert.strictEqual(receipt.from, mirror.address);
+            assert.strictEqual(await hre.ethers.provider.getBalance(main.address), 1234n);
+        });
+
+        it('enforces the spend limits for every caller on the socket', async function () {
+            await hre.ethers.provider.send('hardhat_setBalance', [mirror.address, ethers.toBeHex(ethers.parseEther('1'))]);
+            const signer = new RemoteSigner(mirror.address, socketPath).connect(hre.ethers.provider);
+            assert.strictEqual(createSpendGuard({ config: guard.config, stateDir: tmpDir }).guard(signer, 'mirror'), signer);
+            const sent = await hre.ethers.provider.getTransactionCount(mirror.address);
+
+            await (await signer.sendTransaction({ to: main.address, value: ethers.parseEther('0.001') })).wait();
+            assert.strictEqual(guard.usage(mirror.address).perHour.value, ethers.parseEther('0.001'));
+            await assert.rejects(signer.sendTransaction({ to: main.address, value: ethers.parseEther('0.005') }),
+                /Remote signer refused signTransaction: \[LIMIT\] mirror .* perTx value limit exceeded/);
+
+            const erc20 = new ethers.Interface(['function approve(address, uint256)']);
+            await assert.rejects(signer.sendTransaction({ to: TOKENS.USDC, data: erc20.encodeFunctionData('approve', [main.address, ethers.MaxUint256]), gasLimit: 60000 }),
+                /perTx USDC limit exceeded/);
+
+            fs.writeFileSync(path.join(tmpDir, 'spend', 'circuit-breaker.json'), JSON.stringify({ tripped: true, reason: 'test' }));
+            await assert.rejects(signer.sendTransaction({ to: main.address, value: 1n }), /Circuit breaker is open/);
+            assert.strictEqual(await hre.ethers.provider.getTransactionCount(mirror.address), sent + 1);
+        });
+
+        it('refuses to sign token permits', async function () {
+            const signer = new RemoteSigner(main.address, socketPath);
+            const domain = { name: 'USD Coin', version: '2', chainId: 31337n, verifyingContract: TOKENS.USDC };
+            const types = { Permit: [{ name: 'owner', type: 'address' }, { name: 'spender', type: 'address' }, { name: 'value', type: 'uint256' }, { name: 'nonce', type: 'uint256' }, { name: 'deadline', type: 'uint256' }] };
+            const value = { owner: main.address, spender: mirror.address, value: ethers.MaxUint256, nonce: 0n, deadline: 0n };
+            await assert.rejects(signer.signTypedData(domain, types, value), /Refusing to sign a token permit/);
+        });
+
+        it('signs messages and typed data like the wallet itself', async function () {
+            const signer = new RemoteSigner(main.address, socketPath);
+            assert.strictEqual(await signer.signMessage('hello'), await main.signMessage('hello'));
+
+            const domain = { name: 'Test', version: '1', chainId: 31337n, verifyingContract: mirror.address };
+            const types = { Jam: [{ name: 'hash', type: 'bytes32' }, { name: 'depth', type: 'uint256' }] };
+            const value = { hash: ethers.ZeroHash, depth: 3n };
+            const signature = await signer.signTypedData(domain, types, value);
+            assert.strictEqual(ethers.verifyTypedData(domain, types, value, signature), main.address);
+        });
+
+        it('refuses addresses it holds no key for and reports a missing daemon', async function () {
+            const stranger = new RemoteSigner(ethers.Wallet.createRandom().address, socketPath);
+            await assert.rejects(stranger.signMessage('hi'), /Remote signer refused signMessage: No key for/);
+
+            const nobody = new RemoteSigner(main.address, path.join(tmpDir, 'missing.sock'));
+            await assert.rejects(nobody.signMessage('hi'), /Remote signer at .* unavailable/);
+
+            process.env.WALLET_ADDRESS = main.address;
+            const loaded = loadSigner('main', hre.ethers.provider, { mode: 'remote', socketPath });
+            assert.ok(loaded instanceof RemoteSigner);
+            assert.strictEqual(loaded.address, main.address);
+            delete process.env.MIRROR_WALLET_ADDRESS;
+            assert.throws(() => loadSigner('mirror', null, { mode: 'remote' }), /MIRROR_WALLET_ADDRESS is required/);
+        });
+    });
+});
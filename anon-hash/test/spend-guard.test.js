@@ -0,0 +1,226 @@
+// test/spend-guard.test.js
+// Spend limits and the circuit breaker, with ledgers and the profit log in a temp dir.
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const hre = require('hardhat');
+const { ethers } = require('ethers');
+const { compileSpendLimits, createSpendGuard, evaluateProfitLog, tokenSpend } = require('../spend-guard');
+const { TOKENS } = require('../dex-config');
+
+const HOUR = 60 * 60 * 1000;
+const ALICE = '0x00000000000000000000000000000000000a11ce';
+const BOB = '0x0000000000000000000000000000000000000b0b';
+
+describe('spend-guard', function () {
+    let tmpDir, profitLog, time, originalError;
+
+    const config = (overrides = {}) => compileSpendLimits({
+        version: 1,
+        wallets: {
+            default: {
+                perTx: { value: '0.01', gas: '0.001' },
+                perHour: { value: '0.02', gas: '0.00005' },
+                perDay: { value: '0.05' }
+            },
+            mirror: { perTx: { value: '0.002' } },
+            [ALICE]: { perDay: { value: null } }
+        },
+        circuitBreaker: { maxConsecutiveLosses: 3, maxDrawdown: '0.04' },
+        ...overrides
+    });
+    const guard = (options = {}) => createSpendGuard({ config: config(), stateDir: tmpDir, profitLog, now: () => time, ...options });
+    const tx = (value, gasPrice = 1000000000n) => ({ to: BOB, value: ethers.parseEther(value), gasLimit: 21000n, gasPrice });
+    const logProfit = (profit, offsetMs, success = true) => fs.appendFileSync(profitLog, JSON.stringify({
+        timestamp: new Date(time + offsetMs).toISOString(), signalHash: `0x${offsetMs}`, profit, success
+    }) + '\n');
+
+    beforeEach(function () {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'spend-guard-'));
+        profitLog = path.join(tmpDir, 'profit-monitor.log');
+        time = Date.parse('2026-01-01T00:00:00Z');
+        originalError = console.error;
+        console.error = () => {};
+    });
+
+    afterEach(function () {
+        console.error = originalError;
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('validates the limits file', function () {
+        assert.throws(() => config({ version: 2 }), /Unsupported spend limits version 2/);
+        assert.throws(() => config({ wallets: { mirror: {} } }), /need a "default" wallet entry/);
+        assert.throws(() => config({ wallets: { default: { perWeek: {} } } }), /Unknown spend limit window "perWeek"/);
+        assert.throws(() => config({ wallets: { default: { perTx: { value: 'lots' } } } }), /Invalid spend limit default.perTx.value/);
+        assert.throws(() => config({ circuitBreaker: { maxConsecutiveLosses: 0 } }), /maxConsecutiveLosses/);
+        assert.throws(() => config({ wallets: { default: { perTx: { tokens: { SHIB: '1' } } } } }), /Unknown token "SHIB" in default.perTx.tokens/);
+        assert.throws(() => config({ wallets: { default: { perTx: { tokens: { USDC: 'lots' } } } } }), /Invalid spend limit default.perTx.tokens.USDC/);
+
+        const compiled = config();
+        assert.strictEqual(compiled.wallets.default.perTx.value, ethers.parseEther('0.01'));
+        assert.strictEqual(compiled.circuitBreaker.maxDrawdown, ethers.parseEther('0.04'));
+    });
+
+    it('enforces per-transaction limits with wallet and address overrides', async function () {
+        const spend = guard();
+        await assert.rejects(spend.authorize(BOB, 'main', tx('0.011')), error => error.code === 'SPEND_LIMIT' && /perTx value limit exceeded/.test(error.message));
+        await assert.rejects(spend.authorize(BOB, 'main', tx('0.001', 100000000000000n)), /perTx gas limit exceeded: 2.1 ETH/);
+        await assert.rejects(spend.authorize(BOB, 'mirror', tx('0.003')), /mirror .* perTx value limit exceeded/);
+        await spend.authorize(BOB, 'main', tx('0.003'));
+
+        // Refused transactions leave no trace in the ledger
+        assert.strictEqual(spend.usage(BOB).perHour.value, ethers.parseEther('0.003'));
+        assert.strictEqual(spend.usage(BOB).perHour.gas, 21000n * 1000000000n);
+    });
+
+    it('sums spend over rolling hour and day windows shared by all guards', async function () {
+        await guard().authorize(BOB, 'main', tx('0.01'));
+        await guard().authorize(BOB, 'main', tx('0.01', 1n));
+        // Another process signing for the same address sees the same ledger
+        await assert.rejects(guard().authorize(BOB, 'main', tx('0.001', 1n)), /perHour value limit exceeded: 0.021 ETH > 0.02 ETH/);
+        await assert.rejects(guard().authorize(BOB, 'main', tx('0', 2000000000n)), /perHour gas limit exceeded/);
+
+        time += HOUR;
+        await guard().authorize(BOB, 'main', tx('0.01'));
+        await guard().authorize(BOB, 'main', tx('0.01', 1n));
+        time += HOUR;
+        await guard().authorize(BOB, 'main', tx('0.01', 1n));
+        await assert.rejects(guard().authorize(BOB, 'main', tx('0.001', 1n)), /perDay value limit exceeded: 0.051 ETH > 0.05 ETH/);
+        // null lifts a limit for one address
+        for (let hour = 0; hour < 3; hour++) {
+            await guard().authorize(ALICE, 'main', tx('0.01'));
+            await guard().authorize(ALICE, 'main', tx('0.01', 1n));
+            time += HOUR;
+        }
+
+        time += 21 * HOUR;
+        assert.strictEqual(guard().usage(BOB).perDay.value, 0n);
+        await guard().authorize(BOB, 'main', tx('0.01'));
+    });
+
+    it('counts a replacement for the same nonce once, with its higher gas', async function () {
+        const spend = guard();
+        const pending = { ...tx('0.008'), nonce: 7 };
+        await spend.authorize(BOB, 'main', pending);
+        await spend.authorize(BOB, 'main', { ...pending, gasPrice: 2000000000n }); // Fee bump
+        await spend.authorize(BOB, 'main', { ...pending, gasPrice: 2000000000n }); // And again
+        assert.strictEqual(spend.usage(BOB).perHour.value, ethers.parseEther('0.008'));
+        assert.strictEqual(spend.usage(BOB).perHour.gas, 21000n * 2000000000n);
+
+        // A new nonce still adds to the window
+        await spend.authorize(BOB, 'main', { ...tx('0.008', 1n), nonce: 8 });
+        await assert.rejects(spend.authorize(BOB, 'main', { ...tx('0.008', 1n), nonce: 9 }), /perHour value limit exceeded: 0.024 ETH > 0.02 ETH/);
+        assert.strictEqual(spend.usage(BOB).perHour.value, ethers.parseEther('0.016'));
+    });
+
+    it('decodes the token amounts a transaction lets leave the wallet', function () {
+        const calls = new ethers.Interface([
+            'function approve(address, uint256)',
+            'function transferFrom(address, address, uint256)',
+            'function supply(address, uint256, address, uint16)',
+            'function mint(uint256)',
+            'function deposit(uint256, address)'
+        ]);
+        const call = (to, method, args) => ({ to, data: calls.encodeFunctionData(method, args) });
+
+        assert.deepStrictEqual(tokenSpend(call(TOKENS.USDC, 'approve', [BOB, 5n]), BOB), { USDC: 5n });
+        assert.deepStrictEqual(tokenSpend(call(TOKENS.USDC, 'transferFrom', [BOB, ALICE, 6n]), BOB), { USDC: 6n });
+        assert.deepStrictEqual(tokenSpend(call(TOKENS.USDC, 'transferFrom', [ALICE, BOB, 6n]), BOB), {});
+        assert.deepStrictEqual(tokenSpend(call(ALICE, 'supply', [TOKENS.DAI, 7n, BOB, 0]), BOB), { DAI: 7n });
+        // Deposits into cTokens and sDAI are paid in the underlying
+        assert.deepStrictEqual(tokenSpend(call(TOKENS.cUSDC, 'mint', [8n]), BOB), { USDC: 8n });
+        assert.deepStrictEqual(tokenSpend(call(TOKENS.sDAI, 'deposit', [9n, BOB]), BOB), { DAI: 9n });
+        assert.deepStrictEqual(tokenSpend(call(ALICE, 'mint', [1n]), BOB), {});
+        assert.deepStrictEqual(tokenSpend(tx('0.001'), BOB), {});
+
+        assert.throws(() => tokenSpend(call(ALICE, 'approve', [BOB, 1n]), BOB), error => error.code === 'UNKNOWN_TOKEN');
+        assert.throws(() => tokenSpend(call(ALICE, 'supply', [BOB, 1n, BOB, 0]), BOB), /not in TOKENS/);
+    });
+
+    it('counts token approvals, transfers and deposits against the token limits', async function () {
+        const limits = config({
+            wallets: {
+                default: { perTx: { tokens: { USDC: '25' } }, perHour: { tokens: { USDC: '40', DAI: '1' } } },
+                mirror: { perHour: { tokens: { DAI: null } } }
+            }
+        });
+        const spend = guard({ config: limits });
+        const erc20 = new ethers.Interface(['function approve(address, uint256)', 'function transfer(address, uint256)']);
+        const tokenTx = (token, method, amount) => ({ ...tx('0'), to: TOKENS[token], data: erc20.encodeFunctionData(method, [ALICE, amount]) });
+
+        await assert.rejects(spend.authorize(BOB, 'main', tokenTx('USDC', 'approve', ethers.MaxUint256)), /perTx USDC limit exceeded/);
+        await spend.authorize(BOB, 'main', tokenTx('USDC', 'approve', 20000000n));
+        await assert.rejects(spend.authorize(BOB, 'main', tokenTx('USDC', 'transfer', 21000000n)), error =>
+            error.code === 'SPEND_LIMIT' && /perHour USDC limit exceeded: 41.0 > 40.0 USDC/.test(error.message));
+        await spend.authorize(BOB, 'main', tokenTx('USDC', 'transfer', 20000000n));
+        assert.strictEqual(spend.usage(BOB).perHour.tokens.USDC, 40000000n);
+
+        // Tokens without a limit, or lifted for the wallet, are counted but not capped
+        await spend.authorize(BOB, 'main', tokenTx('AERO', 'transfer', ethers.parseEther('1000')));
+        await assert.rejects(spend.authorize(BOB, 'main', tokenTx('DAI', 'transfer', ethers.parseEther('2'))), /perHour DAI limit exceeded/);
+        await spend.authorize(BOB, 'mirror', tokenTx('DAI', 'transfer', ethers.parseEther('2')));
+        await assert.rejects(spend.authorize(BOB, 'main', { ...tokenTx('USDC', 'approve', 1n), to: ALICE }), error => error.code === 'UNKNOWN_TOKEN');
+
+        time += HOUR;
+        await spend.authorize(BOB, 'main', tokenTx('USDC', 'approve', 25000000n));
+    });
+
+    it('trips after consecutive losses, refuses to sign until resumed', async function () {
+        const spend = guard();
+        logProfit('-0.001', -4000);
+        logProfit('0.0', -3000, false);
+        assert.strictEqual(await spend.checkBreaker(), null);
+        logProfit('-0.001', -2000);
+
+        const state = await spend.checkBreaker();
+        assert.match(state.reason, /3 consecutive losing entries/);
+        await assert.rejects(guard().authorize(BOB, 'main', tx('0')), error => error.code === 'CIRCUIT_OPEN');
+        // Still open when a winning entry follows; only resume clears it
+        logProfit('0.01', -1000);
+        assert.ok(await guard().checkBreaker());
+
+        const previous = await spend.resume();
+        assert.strictEqual(previous.tripped, true);
+        assert.strictEqual(await spend.checkBreaker(), null);
+        await spend.authorize(BOB, 'main', tx('0'));
+
+        // Losses from before the resume are not counted again
+        logProfit('-0.001', 1000);
+        logProfit('-0.001', 2000);
+        assert.strictEqual(await spend.checkBreaker(), null);
+    });
+
+    it('trips on drawdown from the running peak', function () {
+        const entries = [
+            { timestamp: '2026-01-01T00:00:01Z', profit: '0.03', success: true },
+            { timestamp: '2026-01-01T00:00:02Z', profit: 'garbage', success: true },
+            { timestamp: '2026-01-01T00:00:03Z', profit: '-0.02', success: true },
+            { timestamp: '2026-01-01T00:00:04Z', profit: '0.005', success: true },
+            { timestamp: '2026-01-01T00:00:05Z', profit: '-0.025', success: true }
+        ];
+        const options = { maxConsecutiveLosses: null, maxDrawdown: ethers.parseEther('0.04') };
+        assert.strictEqual(evaluateProfitLog(entries.slice(0, 4), options), null);
+        assert.match(evaluateProfitLog(entries, options), /drawdown of 0.04 ETH from peak/);
+        assert.strictEqual(evaluateProfitLog(entries, { ...options, since: Date.parse('2026-01-01T00:00:03Z') }), null);
+    });
+
+    it('guards a signer at signing time', async function () {
+        const signer = ethers.Wallet.createRandom().connect(hre.ethers.provider);
+        await hre.ethers.provider.send('hardhat_setBalance', [signer.address, ethers.toBeHex(ethers.parseEther('1'))]);
+        const limits = compileSpendLimits({ version: 1, wallets: { default: {}, mirror: { perTx: { value: '0.002' } } } });
+        const wallet = guard({ config: limits }).guard(signer, 'mirror');
+        assert.strictEqual(wallet.address, signer.address);
+
+        const sent = await wallet.sendTransaction({ to: BOB, value: ethers.parseEther('0.001') });
+        await sent.wait();
+        const usage = guard({ config: limits }).usage(signer.address);
+        assert.strictEqual(usage.perHour.value, ethers.parseEther('0.001'));
+        assert.ok(usage.perHour.gas > 0n);
+
+        await assert.rejects(wallet.sendTransaction({ to: BOB, value: ethers.parseEther('0.005') }), /mirror .* perTx value limit exceeded/);
+        assert.strictEqual(await hre.ethers.provider.getTransactionCount(signer.address), 1);
+    });
+});
@@ -0,0 +1,59 @@
+// test/state-snapshot.test.js
+// Durable process state snapshots in a temp dir.
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSnapshot } = require('../state-snapshot');
+
+describe('state-snapshot', function () {
+    let tmpDir, originalWarn, warnings;
+
+    beforeEach(function () {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'state-snapshot-'));
+        originalWarn = console.warn;
+        warnings = [];
+        console.warn = message => warnings.push(message);
+    });
+
+    afterEach(function () {
+        console.warn = originalWarn;
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('restores the last saved state', function () {
+        const dir = path.join(tmpDir, 'state');
+        const snapshot = createSnapshot('engine', { dir });
+        assert.strictEqual(snapshot.restore(), null);
+
+        const state = { lastHash: '0x' + '1'.repeat(64), metrics: { patternSuccess: { A: { attempts: 3, successes: 2 } } } };
+        assert.strictEqual(snapshot.save(state), true);
+        state.lastHash = null;
+        assert.strictEqual(snapshot.save({ ...state, lastEmissionTime: 5 }), true);
+
+        // A fresh process reading the same file
+        assert.deepStrictEqual(createSnapshot('engine', { dir }).restore(), { ...state, lastEmissionTime: 5 });
+        const saved = JSON.parse(fs.readFileSync(path.join(dir, 'engine.json'), 'utf8'));
+        assert.strictEqual(saved.version, 1);
+        assert.ok(!Number.isNaN(Date.parse(saved.savedAt)));
+        assert.deepStrictEqual(fs.readdirSync(dir), ['engine.json']);
+    });
+
+    it('ignores snapshots from another version and unreadable files', function () {
+        createSnapshot('engine', { dir: tmpDir }).save({ count: 1 });
+        assert.strictEqual(createSnapshot('engine', { dir: tmpDir, version: 2 }).restore(), null);
+        assert.match(warnings[0], /snapshot version 1, expected 2/);
+
+        fs.writeFileSync(path.join(tmpDir, 'torn.json'), '{"version": 1, "sta');
+        assert.strictEqual(createSnapshot('torn', { dir: tmpDir }).restore(), null);
+        assert.match(warnings[1], /Ignoring unreadable state/);
+    });
+
+    it('reports a failed save instead of throwing', function () {
+        const notADir = path.join(tmpDir, 'file');
+        fs.writeFileSync(notADir, '');
+        assert.strictEqual(createSnapshot('engine', { dir: notADir }).save({ count: 1 }), false);
+        assert.match(warnings[0], /Could not save/);
+    });
+});
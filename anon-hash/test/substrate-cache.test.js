@@ -0,0 +1,136 @@
+// test/substrate-cache.test.js
+// Code-hash keyed substrate cache: invalidation, sharing, limits and atomic writes.
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const { createSubstrateCache } = require('../substrate-cache');
+const { analyzeContract, createHeuristicAnalyzer } = require('../substrate');
+
+const address = n => ethers.getAddress(`0x${n.toString(16).padStart(40, '0')}`);
+const hash = code => ethers.keccak256(code);
+const HOUR = 3600000;
+
+// What analyzeContract returns, minus the parts the cache does not look at
+const analysis = (at, code, extra = {}) => ({
+    address: at,
+    bytecode_proof: hash(code),
+    substrate_hash: hash(code),
+    audit_pass: true,
+    risk: { score: 0 },
+    functions: [],
+    ...extra
+});
+
+describe('substrate-cache', function () {
+    let tmpDir, file, originalLog, originalWarn, originalError;
+
+    beforeEach(function () {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'substrate-cache-'));
+        file = path.join(tmpDir, 'substrate-cache.json');
+        originalLog = console.log;
+        originalWarn = console.warn;
+        originalError = console.error;
+        console.log = console.warn = console.error = () => {};
+    });
+
+    afterEach(function () {
+        console.log = originalLog;
+        console.warn = originalWarn;
+        console.error = originalError;
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('serves an analysis only while the address still has the same code', async function () {
+        const cache = createSubstrateCache({ file, ttlMs: HOUR });
+        const now = Date.parse('2026-01-01T00:00:00Z');
+        await cache.set(analysis(address(1), '0x6001'), now);
+
+        assert.strictEqual(cache.get(address(1), hash('0x6001'), now + 1000).address, address(1));
+        assert.strictEqual(cache.get(address(1).toLowerCase(), hash('0x6001'), now).audit_pass, true);
+        assert.strictEqual(cache.get(address(1), hash('0x6002'), now), null); // Redeployed
+        assert.strictEqual(cache.get(address(2), hash('0x6001'), now), null); // Never checked
+        assert.strictEqual(cache.get(address(1), hash('0x6001'), now + HOUR), null); // Expired
+
+        // Written atomically, with no temp file left behind
+        assert.deepStrictEqual(fs.readdirSync(tmpDir), ['substrate-cache.json']);
+        const stored = JSON.parse(fs.readFileSync(file, 'utf8'));
+        assert.deepStrictEqual(Object.keys(stored.analyses), [hash('0x6001')]);
+        assert.strictEqual(stored.addresses[address(1).toLowerCase()].codeHash, hash('0x6001'));
+    });
+
+    it('shares analyses between addresses with the same code and keeps per-address fields apart', async function () {
+        const cache = createSubstrateCache({ file });
+        const proxyCode = '0x363d3d37f4';
+        await cache.set(analysis(address(1), '0x6001'));
+        await cache.set(analysis(address(2), '0x6001', { audit_pass: false, reason: 'risky' }));
+        await cache.set(analysis(address(3), proxyCode, { proxy: { kind: 'minimal', implementation: address(9) }, implementation_proof: hash('0x6003') }));
+        await cache.set(analysis(address(4), proxyCode, { proxy: { kind: 'minimal', implementation: address(8) }, implementation_proof: hash('0x6004') }));
+
+        // A newer analysis of the same code replaces the shared one
+        assert.strictEqual(cache.get(address(1), hash('0x6001')).reason, 'risky');
+        assert.strictEqual(cache.get(address(1), hash('0x6001')).address, address(1));
+        // Identical proxies in front of different implementations are analyzed apart
+        assert.strictEqual(cache.get(address(3), hash(proxyCode)).proxy.implementation, address(9));
+        assert.strictEqual(cache.get(address(4), hash(proxyCode)).implementation_proof, hash('0x6004'));
+        assert.deepStrictEqual(cache.stats(), { ...cache.stats(), analyses: 3, addresses: 4 });
+    });
+
+    it('evicts the least recently used analyses beyond the entry and size limits', async function () {
+        const cache = createSubstrateCache({ file, maxEntries: 2 });
+        const now = Date.parse('2026-01-01T00:00:00Z');
+        await cache.set(analysis(address(1), '0x6001'), now);
+        await cache.set(analysis(address(2), '0x6002'), now + 1);
+        cache.get(address(1), hash('0x6001'), now + 2);
+        await cache.set(analysis(address(3), '0x6003'), now + 3);
+        assert.notStrictEqual(cache.get(address(1), hash('0x6001'), now + 4), null);
+        assert.strictEqual(cache.get(address(2), hash('0x6002'), now + 4), null);
+        assert.strictEqual(cache.stats(now + 4).addresses, 2);
+
+        const small = createSubstrateCache({ file: path.join(tmpDir, 'small.json'), maxBytes: 600 });
+        const big = { source_estimate: 'x'.repeat(300) };
+        await small.set(analysis(address(1), '0x6001', big), now);
+        await small.set(analysis(address(2), '0x6002', big), now + 1);
+        assert.strictEqual(small.get(address(1), hash('0x6001'), now + 2), null);
+        assert.strictEqual(small.get(address(2), hash('0x6002'), now + 2).source_estimate, big.source_estimate);
+    });
+
+    it('picks up a clear from another process and ignores old cache files', async function () {
+        const engine = createSubstrateCache({ file });
+        await engine.set(analysis(address(1), '0x6001'));
+        assert.strictEqual(engine.stats().analyses, 1);
+
+        // manage.js cache clear
+        await new Promise(resolve => setTimeout(resolve, 20)); // A distinct mtime
+        assert.strictEqual(await createSubstrateCache({ file }).clear(), 1);
+        assert.strictEqual(engine.get(address(1), hash('0x6001')), null);
+
+        // The flat address / bytecode_proof map written before the cache was versioned
+        fs.writeFileSync(file, JSON.stringify({ [address(1)]: analysis(address(1), '0x6001') }));
+        assert.strictEqual(createSubstrateCache({ file }).stats().analyses, 0);
+    });
+
+    it('backs analyzeContract, re-analyzing when the code at an address changes', async function () {
+        const cache = createSubstrateCache({ file });
+        const target = address(0xc0de);
+        const codes = { [target]: '0x6080604052' + '00'.repeat(200) };
+        let analyses = 0;
+        const counting = { name: 'counting', analyze: async () => { analyses++; return { findings: [] }; } };
+        const options = { analyzers: [createHeuristicAnalyzer(), counting], cache };
+        const provider = { getCode: async at => codes[at] || '0x' };
+
+        const first = await analyzeContract(target, provider, options);
+        const again = await analyzeContract(target, provider, options);
+        assert.strictEqual(analyses, 1);
+        assert.strictEqual(again.bytecode_proof, first.bytecode_proof);
+        assert.strictEqual(again.timestamp, first.timestamp);
+
+        codes[target] = '0x6080604053' + '00'.repeat(200);
+        const redeployed = await analyzeContract(target, provider, options);
+        assert.strictEqual(analyses, 2);
+        assert.strictEqual(redeployed.bytecode_proof, hash(codes[target]));
+        await cache.flush();
+    });
+});
@@ -0,0 +1,305 @@
+// test/substrate.test.js
+// Opcode-level bytecode scanning, proxy resolution, selector extraction and the
+// analyzer pipeline in the substrate oracle.
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const {
+    splitMetadata, disassemble, scanBytecode, resolveProxy, implementationChanged,
+    extractSelectors, resolveSelectors, deriveBaitHooks,
+    createHeuristicAnalyzer, createCliDecompiler, loadAnalyzers, loadRiskThresholds, runAnalyzers, analyzerFailure, assessRisk,
+    analyzeContract
+} = require('../substrate');
+const { createSubstrateCache } = require('../substrate-cache');
+
+const artifact = (name, file = name) => require(`../artifacts/contracts/${file}.sol/${name}.json`);
+const deployed = (name, file) => artifact(name, file).deployedBytecode;
+
+const IMPLEMENTATION_SLOT = '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc';
+const BEACON_SLOT = '0xa3f0ad74e5423aebfd80d3ef4346578335a9a72aeaee59ff6cb3582b35133d50';
+const ADMIN_SLOT = '0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103';
+const LEGACY_IMPLEMENTATION_SLOT = '0x7050c9e0f4ca769c69bd3a8ef740bc37934f8e2c036e5a723fd8ee048ed3f8c3';
+
+const address = n => ethers.getAddress(`0x${n.toString(16).padStart(40, '0')}`);
+const word = value => ethers.zeroPadValue(value, 32);
+const minimalProxy = implementation => `0x363d3d373d3d3d363d73${implementation.slice(2).toLowerCase()}5af43d82803e903d91602b57fd5bf3`;
+// Stands in for any storage-based proxy: CALLDATASIZE, ..., DELEGATECALL
+const STORAGE_PROXY = '0x3660006000375a' + 'f4' + '00';
+
+// Chain state: code and storage by address; beacons answer implementation()
+function fakeProvider(codes, storage = {}, beacons = {}) {
+    return {
+        getCode: async at => codes[at] || '0x',
+        getStorage: async (at, slot) => (storage[at] && storage[at][slot]) || ethers.ZeroHash,
+        call: async ({ to }) => {
+            if (!beacons[to]) throw new Error('execution reverted');
+            return word(beacons[to]);
+        }
+    };
+}
+
+describe('substrate', function () {
+    it('skips PUSH immediates', function () {
+        // PUSH32 0xff..ff, PUSH2 0xf4f5, STOP
+        const bytecode = '0x7f' + 'ff'.repeat(32) + '61f4f5' + '00';
+        assert.deepStrictEqual(disassemble(bytecode).map(({ offset, name, push }) => [offset, name, push]), [
+            [0, 'PUSH32', '0x' + 'ff'.repeat(32)],
+            [33, 'PUSH2', '0xf4f5'],
+            [36, 'STOP', undefined]
+        ]);
+        assert.deepStrictEqual(scanBytecode(bytecode).findings, []);
+    });
+
+    it('reports risky opcodes with offsets and scores only reachable code', function () {
+        // PUSH1 0, SELFDESTRUCT | CREATE2 (after a halt: data) | JUMPDEST, DELEGATECALL, STOP
+        const scan = scanBytecode('0x6000ff' + 'f5' + '5bf400');
+        assert.deepStrictEqual(scan.findings, [
+            { opcode: 'SELFDESTRUCT', offset: 2, reachable: true },
+            { opcode: 'CREATE2', offset: 3, reachable: false },
+            { opcode: 'DELEGATECALL', offset: 5, reachable: true }
+        ]);
+        assert.strictEqual(scan.score, 1 + 0.618033988749895 ** 2);
+
+        const [unknown, truncated] = disassemble('0x0c61ff');
+        assert.strictEqual(unknown.name, 'UNKNOWN_0x0c');
+        assert.deepStrictEqual([truncated.name, truncated.push, truncated.truncated, truncated.reachable], ['PUSH2', '0xff', true, false]);
+    });
+
+    it('splits off the compiler metadata trailer', function () {
+        const bytecode = deployed('SignalVault');
+        // The raw hex is full of the bytes a substring search mistook for opcodes
+        assert.ok(bytecode.includes('ff') && bytecode.includes('f4') && bytecode.includes('f5'));
+
+        const { code, metadata } = splitMetadata(bytecode);
+        assert.strictEqual(metadata.entries.solc, '0.8.20');
+        assert.match(metadata.entries.ipfs, /^0x1220[0-9a-f]{64}$/);
+        assert.strictEqual(code.length + metadata.length, bytecode.length / 2 - 1);
+
+        const scan = scanBytecode(bytecode);
+        assert.deepStrictEqual(scan.findings, []);
+        assert.strictEqual(scan.score, 0);
+
+        // Two trailing bytes that are not a CBOR length
+        assert.strictEqual(splitMetadata('0x6001600201').metadata, null);
+    });
+
+    it('finds the CREATE2 in a factory', function () {
+        const scan = scanBytecode(deployed('Create2Factory'));
+        assert.ok(scan.findings.length > 0);
+        assert.ok(scan.findings.every(finding => finding.opcode === 'CREATE2' && finding.reachable));
+        assert.strictEqual(scan.score, 0.618033988749895);
+    });
+
+    it('resolves minimal, EIP-1967, UUPS, beacon and legacy proxies', async function () {
+        const logic = deployed('SignalVault');
+        const [proxy, implementation, admin, beacon] = [1, 2, 3, 4].map(address);
+
+        const minimal = await resolveProxy(proxy, minimalProxy(implementation), fakeProvider({ [implementation]: logic }));
+        assert.deepStrictEqual(minimal.proxy, {
+            kind: 'eip1167',
+            implementation,
+            admin: null,
+            chain: [{ address: proxy, kind: 'eip1167', implementation, admin: null }]
+        });
+        assert.strictEqual(minimal.bytecode, logic);
+
+        const transparent = await resolveProxy(proxy, STORAGE_PROXY, fakeProvider(
+            { [implementation]: logic },
+            { [proxy]: { [IMPLEMENTATION_SLOT]: word(implementation), [ADMIN_SLOT]: word(admin) } }
+        ));
+        assert.deepStrictEqual([transparent.proxy.kind, transparent.proxy.admin], ['eip1967', admin]);
+
+        // proxiableUUID() in the implementation's dispatcher: DUP1 PUSH4 EQ PUSH2 JUMPI
+        const uupsLogic = '0x806352d1902d1461001057' + logic.slice(2);
+        const uups = await resolveProxy(proxy, STORAGE_PROXY, fakeProvider({ [implementation]: uupsLogic }, { [proxy]: { [IMPLEMENTATION_SLOT]: word(implementation) } }));
+        assert.strictEqual(uups.proxy.kind, 'uups');
+
+        const beaconProxy = await resolveProxy(proxy, STORAGE_PROXY, fakeProvider(
+            { [implementation]: logic },
+            { [proxy]: { [BEACON_SLOT]: word(beacon) } },
+            { [beacon]: implementation }
+        ));
+        assert.deepStrictEqual(beaconProxy.proxy.chain, [{ address: proxy, kind: 'eip1967-beacon', implementation, beacon, admin: null }]);
+
+        const legacy = await resolveProxy(proxy, STORAGE_PROXY, fakeProvider({ [implementation]: logic }, { [proxy]: { [LEGACY_IMPLEMENTATION_SLOT]: word(implementation) } }));
+        assert.strictEqual(legacy.proxy.kind, 'openzeppelin-legacy');
+
+        assert.strictEqual(await resolveProxy(proxy, logic, fakeProvider({})), null);
+    });
+
+    it('follows proxy chains and notices upgrades', async function () {
+        const logic = deployed('SignalVault');
+        const [proxy, clone, implementation, upgraded] = [1, 2, 3, 4].map(address);
+        const storage = { [proxy]: { [IMPLEMENTATION_SLOT]: word(clone) } };
+        const provider = fakeProvider({ [clone]: minimalProxy(implementation), [implementation]: logic }, storage);
+
+        const { proxy: resolved } = await resolveProxy(proxy, STORAGE_PROXY, provider);
+        assert.deepStrictEqual(resolved.chain.map(hop => [hop.address, hop.kind, hop.implementation]), [
+            [proxy, 'eip1967', clone],
+            [clone, 'eip1167', implementation]
+        ]);
+        assert.strictEqual(resolved.implementation, implementation);
+        assert.strictEqual(await implementationChanged(resolved, provider), false);
+
+        storage[proxy][IMPLEMENTATION_SLOT] = word(upgraded);
+        assert.strictEqual(await implementationChanged(resolved, provider), true);
+        await assert.rejects(resolveProxy(proxy, STORAGE_PROXY, provider), new RegExp(`Implementation ${upgraded} has no bytecode`));
+
+        // A proxy pointing at itself
+        storage[proxy][IMPLEMENTATION_SLOT] = word(proxy);
+        await assert.rejects(resolveProxy(proxy, STORAGE_PROXY, fakeProvider({ [proxy]: STORAGE_PROXY }, storage)), /deeper than 4/);
+    });
+
+    it('extracts the dispatcher\'s selectors and derives bait hooks from them', function () {
+        for (const [name, file] of [['SignalVault'], ['MockERC20', 'test/MockERC20'], ['MockRouter', 'test/MockRouter']]) {
+            const { abi, deployedBytecode } = artifact(name, file);
+            const expected = new ethers.Interface(abi).fragments.filter(f => f.type === 'function').map(f => f.selector);
+            assert.deepStrictEqual(extractSelectors(deployedBytecode).sort(), expected.sort(), name);
+        }
+
+        // PUSH3 for a selector with a leading zero byte, and a comparison outside a dispatcher
+        assert.deepStrictEqual(extractSelectors('0x8063' + '00fdd58e'.slice(2) + '1461001057' + '62fdd58e' + '14' + '00'), []);
+        assert.deepStrictEqual(extractSelectors('0x8062fdd58e1461001057'), ['0x00fdd58e']);
+
+        const db = { lookup: selector => ({ '0xa9059cbb': 'transfer(address,uint256)', '0x38ed1739': 'swapExactTokensForTokens(uint256,uint256,address[],address,uint256)', '0x8da5cb5b': 'owner()' })[selector] || null };
+        const functions = resolveSelectors(['0xa9059cbb', '0x8da5cb5b', '0x12345678', '0x38ed1739'], db);
+        assert.deepStrictEqual(functions[2], { selector: '0x12345678', signature: null });
+        assert.deepStrictEqual(deriveBaitHooks(functions), ['swapExactTokensForTokens', 'transfer']);
+        assert.deepStrictEqual(deriveBaitHooks(resolveSelectors(['0x8da5cb5b'], db)), []);
+
+        const router = artifact('MockRouter', 'test/MockRouter').deployedBytecode;
+        assert.deepStrictEqual(deriveBaitHooks(resolveSelectors(extractSelectors(router))).slice(0, 2), ['swapExactTokensForETH', 'swapExactTokensForTokens']);
+    });
+
+    describe('analyzers', function () {
+        let tmpDir, originalError;
+
+        beforeEach(function () {
+            tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'analyzers-'));
+            originalError = console.error;
+            console.error = () => {};
+        });
+
+        afterEach(function () {
+            console.error = originalError;
+            fs.rmSync(tmpDir, { recursive: true, force: true });
+        });
+
+        const context = bytecode => ({ bytecode, scan: scanBytecode(bytecode), functions: [], proxy: null });
+
+        it('merges findings by severity and applies the thresholds', async function () {
+            const thresholds = loadRiskThresholds({});
+            assert.deepStrictEqual(thresholds, { failSeverity: 'critical', maxScore: 0.8, required: [] });
+
+            // PUSH1 0, DELEGATECALL, CREATE2, STOP, padded past the minimum size
+            const bytecode = '0x6000f4f500' + '00'.repeat(100);
+            const { results, runs } = await runAnalyzers([
+                createHeuristicAnalyzer(),
+                { name: 'decompiler', analyze: async () => ({ findings: [{ id: 'DELEGATECALL', severity: 'low', message: 'delegates' }] }) },
+                { name: 'broken', analyze: async () => { throw new Error('offline'); } },
+                { name: 'odd', analyze: async () => ({ findings: [{ id: 'x', severity: 'severe', message: '' }] }) }
+            ], context(bytecode));
+            assert.deepStrictEqual(runs, [
+                { name: 'heuristic', findings: 2 },
+                { name: 'decompiler', findings: 1 },
+                { name: 'broken', error: 'offline' },
+                { name: 'odd', error: 'reported severity severe for x, expected one of info, low, medium, high, critical' }
+            ]);
+
+            const findings = results.flatMap(result => result.findings);
+            const risk = assessRisk(findings, thresholds);
+            assert.strictEqual(risk.score, 0.618033988749895 + 0.618033988749895 ** 2);
+            assert.strictEqual(risk.severity, 'high');
+            assert.deepStrictEqual(risk.findings.map(f => [f.analyzer, f.id, f.severity]), [
+                ['heuristic', 'CREATE2', 'high'],
+                ['heuristic', 'DELEGATECALL', 'medium'],
+                ['decompiler', 'DELEGATECALL', 'low']
+            ]);
+            assert.strictEqual(risk.audit_pass, false);
+            assert.strictEqual(risk.reason, 'Risk score 1.000 >= 0.8 (CREATE2@3, DELEGATECALL@2, DELEGATECALL)');
+
+            assert.strictEqual(assessRisk(findings, { failSeverity: 'critical', maxScore: 1.5 }).audit_pass, true);
+            assert.strictEqual(assessRisk(findings, { failSeverity: 'high', maxScore: 1.5 }).reason, 'high: Contract contains CREATE2 opcode at offset 3');
+            assert.throws(() => loadRiskThresholds({ failSeverity: 'severe' }), error => error.code === 'INVALID_ANALYZER');
+            assert.throws(() => loadRiskThresholds({ maxScore: NaN }), /SUBSTRATE_MAX_RISK_SCORE must be a positive number/);
+
+            const [tiny] = (await createHeuristicAnalyzer().analyze(context('0x6000ff'))).findings.filter(f => f.id === 'tiny-code');
+            assert.deepStrictEqual(tiny, { id: 'tiny-code', severity: 'critical', message: 'Contract too small (3 bytes) - likely a proxy' });
+        });
+
+        it('fails the audit, uncached, when no analyzer or a required one succeeds', async function () {
+            assert.strictEqual(analyzerFailure([{ name: 'heuristic', findings: 0 }, { name: 'http', error: 'offline' }]), null);
+            assert.strictEqual(analyzerFailure([{ name: 'heuristic', findings: 0 }, { name: 'http', error: 'offline' }], ['http']), 'Required analyzer failed (http: offline)');
+            assert.strictEqual(analyzerFailure([]), 'No analyzer succeeded');
+            assert.deepStrictEqual(loadRiskThresholds({ required: ['http'] }).required, ['http']);
+
+            const originalLog = console.log;
+            console.log = () => {};
+            try {
+                const target = address(0xc0de);
+                const provider = fakeProvider({ [target]: '0x6080604052' + '00'.repeat(200) });
+                const cache = createSubstrateCache({ file: path.join(tmpDir, 'substrate-cache.json') });
+                const http = { name: 'http', analyze: async () => { throw new Error('decompiler unavailable'); } };
+                const thresholds = loadRiskThresholds({});
+
+                const outage = await analyzeContract(target, provider, { analyzers: [http], thresholds, cache });
+                assert.strictEqual(outage.audit_pass, false);
+                assert.strictEqual(outage.reason, 'No analyzer succeeded (http: decompiler unavailable)');
+
+                const required = await analyzeContract(target, provider, { analyzers: [createHeuristicAnalyzer(), http], thresholds: { ...thresholds, required: ['http'] }, cache });
+                assert.strictEqual(required.audit_pass, false);
+                assert.match(required.reason, /^Required analyzer failed \(http: /);
+
+                const optional = await analyzeContract(target, provider, { analyzers: [createHeuristicAnalyzer(), http], thresholds, cache });
+                assert.strictEqual(optional.audit_pass, true);
+                await cache.flush();
+                assert.strictEqual(cache.stats().analyses, 0);
+            } finally {
+                console.log = originalLog;
+            }
+        });
+
+        it('runs a local decompiler as a subprocess', async function () {
+            const script = path.join(tmpDir, 'decompiler.js');
+            fs.writeFileSync(script, [
+                "let input = '';",
+                "process.stdin.on('data', chunk => { input += chunk; });",
+                "process.stdin.on('end', () => {",
+                "    if (process.argv[2] === '--fail') { console.error('cannot decompile'); process.exit(3); }",
+                "    if (process.argv[2] === '--garbage') return console.log('not json');",
+                "    console.log(JSON.stringify({ source: 'contract X {} // ' + input, risk: { rug_pull: true, hidden_fees: false, owner_can_pause: 'pause()' }, bait_hooks: ['swap'] }));",
+                "});"
+            ].join('\n'));
+
+            const result = await createCliDecompiler({ command: `${process.execPath} ${script}` }).analyze({ bytecode: '0x6000' });
+            assert.deepStrictEqual(result, {
+                findings: [
+                    { id: 'rug_pull', severity: 'critical', message: 'Decompiler flagged rug_pull' },
+                    { id: 'owner_can_pause', severity: 'medium', message: 'owner_can_pause: pause()' }
+                ],
+                source_estimate: 'contract X {} // 0x6000',
+                bait_hooks: ['swap']
+            });
+            assert.strictEqual(assessRisk(result.findings, loadRiskThresholds({})).reason, 'critical: Decompiler flagged rug_pull');
+
+            await assert.rejects(createCliDecompiler({ command: `${process.execPath} ${script} --fail` }).analyze({ bytecode: '0x' }), /exited with code 3: cannot decompile/);
+            await assert.rejects(createCliDecompiler({ command: `${process.execPath} ${script} --garbage` }).analyze({ bytecode: '0x' }), /printed invalid JSON/);
+            await assert.rejects(createCliDecompiler({ command: `${process.execPath} -e setTimeout(()=>{},5000)`, timeoutMs: 100 }).analyze({ bytecode: '0x' }), /timed out after 100ms/);
+            assert.throws(() => createCliDecompiler({ command: '' }), /needs DECOMPILER_CMD/);
+        });
+
+        it('loads built-in analyzers by name and plugins by path', function () {
+            const plugin = path.join(tmpDir, 'plugin.js');
+            fs.writeFileSync(plugin, "module.exports = { name: 'plugin', analyze: async () => ({ findings: [] }) };");
+            fs.writeFileSync(path.join(tmpDir, 'empty.js'), 'module.exports = {};');
+
+            assert.deepStrictEqual(loadAnalyzers(`heuristic, ${plugin}`).map(analyzer => analyzer.name), ['heuristic', 'plugin']);
+            assert.deepStrictEqual(loadAnalyzers('http').map(analyzer => analyzer.name), ['http']);
+            assert.throws(() => loadAnalyzers('mythril'), /Unknown analyzer mythril: expected heuristic, http, cli or a module path/);
+            assert.throws(() => loadAnalyzers(path.join(tmpDir, 'empty.js')), error => error.code === 'INVALID_ANALYZER');
+        });
+    });
+});
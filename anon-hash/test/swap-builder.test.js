@@ -0,0 +1,174 @@
+// test/swap-builder.test.js
+// Per-DEX-type swap calldata, executed against the mock routers on the in-process Hardhat network.
+
+const assert = require('assert');
+const hre = require('hardhat');
+const { ethers } = require('ethers');
+const { DEX_CONFIGS, TOKENS } = require('../dex-config');
+const { buildSwapCall } = require('../swap-builder');
+
+const WETH = TOKENS.WETH;
+
+describe('swap-builder', function () {
+    let signer, router, solidlyRouter, token, otherToken, deadline;
+    const dexOfType = (TYPE, ROUTER) => ({ NAME: `Mock ${TYPE}`, TYPE, ROUTER, factory: ROUTER, FEE_TIERS: { default: 3000 } });
+
+    before(async function () {
+        [signer] = await hre.ethers.getSigners();
+        router = await (await hre.ethers.getContractFactory('MockRouter')).deploy();
+        solidlyRouter = await (await hre.ethers.getContractFactory('MockSolidlyRouter')).deploy();
+        const tokenFactory = await hre.ethers.getContractFactory('MockERC20');
+        token = await tokenFactory.deploy();
+        otherToken = await tokenFactory.deploy();
+        await Promise.all([router.waitForDeployment(), solidlyRouter.waitForDeployment(), token.waitForDeployment(), otherToken.waitForDeployment()]);
+        await hre.ethers.provider.send('hardhat_setBalance', [await router.getAddress(), ethers.toBeHex(ethers.parseEther('100'))]);
+    });
+
+    beforeEach(async function () {
+        deadline = (await hre.ethers.provider.getBlock('latest')).timestamp + 300;
+    });
+
+    const send = async call => (await signer.sendTransaction({ to: call.to, data: call.data, value: call.value })).wait();
+
+    // The swap inside a concentrated-liquidity call, and the deadline around it
+    const unwrap = call => {
+        const [deadline, [swap]] = call.iface.decodeFunctionData('multicall', call.data);
+        return { deadline, selector: ethers.dataSlice(swap, 0, 4), params: call.iface.decodeFunctionData(call.method, swap)[0] };
+    };
+
+    it('builds exactInputSingle with the pair fee tier for concentrated-liquidity routers', async function () {
+        const dex = { ...DEX_CONFIGS.UNISWAP_V3, ROUTER: await router.getAddress(), SWAP_ROUTER: undefined };
+        const call = buildSwapCall(dex, {
+            path: [WETH, TOKENS.USDC],
+            amountIn: 1000n,
+            amountOutMinimum: 1n,
+            recipient: signer.address,
+            deadline
+        });
+
+        assert.strictEqual(call.method, 'exactInputSingle');
+        assert.strictEqual(call.value, 1000n);
+        // SwapRouter02 selectors: multicall(uint256,bytes[]) around IV3SwapRouter.exactInputSingle
+        assert.strictEqual(ethers.dataSlice(call.data, 0, 4), '0x5ae401dc');
+        const { deadline: bound, selector, params } = unwrap(call);
+        assert.strictEqual(selector, '0x04e45aaf');
+        assert.strictEqual(bound, BigInt(deadline));
+        assert.strictEqual(params.fee, 500n);
+        assert.strictEqual(params.amountOutMinimum, 1n);
+        assert.strictEqual(buildSwapCall(DEX_CONFIGS.UNISWAP_V3, { path: [WETH, TOKENS.USDC], amountIn: 1n, amountOutMinimum: 0n, recipient: signer.address, deadline }).to,
+            DEX_CONFIGS.UNISWAP_V3.SWAP_ROUTER);
+
+        const local = buildSwapCall(dexOfType('concentrated-liquidity', await router.getAddress()), {
+            path: [WETH, await token.getAddress()],
+            amountIn: 1000n,
+            amountOutMinimum: 2000000n,
+            recipient: signer.address,
+            deadline
+        });
+        const before = await token.balanceOf(signer.address);
+        await send(local);
+        assert.strictEqual(await token.balanceOf(signer.address) - before, 2000000n);
+
+        const expired = buildSwapCall(dexOfType('concentrated-liquidity', await router.getAddress()), {
+            path: [WETH, await token.getAddress()],
+            amountIn: 1000n,
+            amountOutMinimum: 0n,
+            recipient: signer.address,
+            deadline: deadline - 3600
+        });
+        await assert.rejects(send(expired), /Transaction too old/);
+    });
+
+    it('builds exactInput with a packed path for multi-hop routes', async function () {
+        const call = buildSwapCall(dexOfType('concentrated-liquidity', await router.getAddress()), {
+            path: [WETH, await token.getAddress(), await otherToken.getAddress()],
+            amountIn: 1000n,
+            amountOutMinimum: 2000000n,
+            recipient: signer.address,
+            deadline
+        });
+
+        assert.strictEqual(call.method, 'exactInput');
+        const { selector, params } = unwrap(call);
+        assert.strictEqual(selector, '0xb858183f');
+        assert.strictEqual(ethers.dataLength(params.path), 20 + 23 * 2);
+        assert.strictEqual(ethers.dataSlice(params.path, 20, 23), ethers.toBeHex(3000, 3));
+
+        await send(call);
+        assert.strictEqual(await otherToken.balanceOf(signer.address), 2000000n);
+    });
+
+    it('builds V2 path swaps in both directions for uniswap-v2-fork routers', async function () {
+        const dex = dexOfType('uniswap-v2-fork', await router.getAddress());
+        const buy = buildSwapCall(dex, { path: [WETH, await token.getAddress()], amountIn: 5000n, amountOutMinimum: 0n, recipient: signer.address, deadline });
+        assert.strictEqual(buy.method, 'swapExactETHForTokens');
+        await send(buy);
+
+        await (await token.connect(signer).approve(await router.getAddress(), 4000000n)).wait();
+        const sell = buildSwapCall(dex, { path: [await token.getAddress(), WETH], amountIn: 4000000n, amountOutMinimum: 2000n, recipient: signer.address, deadline });
+        assert.strictEqual(sell.method, 'swapExactTokensForETH');
+        assert.strictEqual(sell.value, 0n);
+        const [, , path] = sell.iface.decodeFunctionData('swapExactTokensForETH', sell.data);
+        assert.deepStrictEqual(Array.from(path), [await token.getAddress(), WETH]);
+        await send(sell);
+    });
+
+    it('builds route structs for solidly-fork routers', async function () {
+        const dex = dexOfType('solidly-fork', await solidlyRouter.getAddress());
+        const routes = [{ from: WETH, to: await token.getAddress(), stable: true, factory: DEX_CONFIGS.AERODROME.factory }];
+        const call = buildSwapCall(dex, { path: [WETH, await token.getAddress()], routes, amountIn: 1000n, amountOutMinimum: 2000000n, recipient: signer.address, deadline });
+
+        assert.strictEqual(call.method, 'swapExactETHForTokens');
+        const [, decodedRoutes] = call.iface.decodeFunctionData('swapExactETHForTokens', call.data);
+        assert.strictEqual(decodedRoutes[0].stable, true);
+        assert.strictEqual(decodedRoutes[0].factory.toLowerCase(), DEX_CONFIGS.AERODROME.factory);
+
+        const before = await token.balanceOf(signer.address);
+        await send(call);
+        assert.strictEqual(await token.balanceOf(signer.address) - before, 2000000n);
+
+        // Without explicit routes every hop is volatile on the DEX's own factory
+        const fallback = buildSwapCall(dex, { path: [WETH, await token.getAddress()], amountIn: 1n, amountOutMinimum: 0n, recipient: signer.address, deadline });
+        const [, defaultRoutes] = fallback.iface.decodeFunctionData('swapExactETHForTokens', fallback.data);
+        assert.strictEqual(defaultRoutes[0].stable, false);
+        assert.strictEqual(defaultRoutes[0].factory, await solidlyRouter.getAddress());
+    });
+
+    it('spends held WETH as a token with payWithEth: false, as the mirror does', async function () {
+        // WETH stands in as a MockERC20 for this test only
+        const weth = token.attach(WETH);
+        await hre.ethers.provider.send('hardhat_setCode', [WETH, await hre.ethers.provider.getCode(await token.getAddress())]);
+        try {
+            await (await weth.mint(signer.address, 3000n)).wait();
+            await (await weth.approve(await router.getAddress(), 3000n)).wait();
+            const params = { amountIn: 1000n, amountOutMinimum: 0n, recipient: signer.address, deadline, payWithEth: false };
+
+            const v2 = buildSwapCall(dexOfType('uniswap-v2-fork', await router.getAddress()), { ...params, path: [WETH, await token.getAddress()] });
+            assert.strictEqual(v2.method, 'swapExactTokensForTokens');
+            assert.strictEqual(v2.value, 0n);
+            const [amountIn] = v2.iface.decodeFunctionData('swapExactTokensForTokens', v2.data);
+            assert.strictEqual(amountIn, 1000n);
+
+            const v3 = buildSwapCall(dexOfType('concentrated-liquidity', await router.getAddress()), { ...params, path: [WETH, await otherToken.getAddress()] });
+            assert.strictEqual(v3.method, 'exactInputSingle');
+            assert.strictEqual(v3.value, 0n);
+
+            const ethBefore = await hre.ethers.provider.getBalance(signer.address);
+            const tokenBefore = await token.balanceOf(signer.address);
+            const receipts = [await send(v2), await send(v3)];
+            const gas = receipts.reduce((total, receipt) => total + receipt.gasUsed * receipt.gasPrice, 0n);
+            assert.strictEqual(await weth.balanceOf(signer.address), 1000n);
+            assert.strictEqual(await token.balanceOf(signer.address) - tokenBefore, 2000000n);
+            assert.strictEqual(await hre.ethers.provider.getBalance(signer.address), ethBefore - gas);
+        } finally {
+            await hre.ethers.provider.send('hardhat_setCode', [WETH, '0x']);
+        }
+    });
+
+    it('refuses unbounded swaps and unknown router types', function () {
+        const params = { path: [WETH, TOKENS.USDC], amountIn: 1n, recipient: signer.address, deadline };
+        assert.throws(() => buildSwapCall(DEX_CONFIGS.ROCKETSWAP, params), /without amountOutMinimum/);
+        assert.throws(() => buildSwapCall({ NAME: 'Book', TYPE: 'orderbook' }, { ...params, amountOutMinimum: 0n }), /No swap calldata builder for DEX type orderbook/);
+        assert.throws(() => buildSwapCall(DEX_CONFIGS.ROCKETSWAP, { ...params, path: [WETH], amountOutMinimum: 0n }), /at least two tokens/);
+    });
+});
@@ -0,0 +1,80 @@
+// test/target-registry.test.js
+// Target rotation, audit history and failure cooldowns.
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createTargetRegistry } = require('../target-registry');
+
+const USDC = '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913';
+const WETH = '0x4200000000000000000000000000000000000006';
+const DAI = '0x50c5725949A6F0c72E6C4a641F24049A917DB0Cb';
+const HOUR = 3600000;
+
+describe('target-registry', function () {
+    let tmpDir, file;
+
+    beforeEach(function () {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'targets-'));
+        file = path.join(tmpDir, 'targets.json');
+    });
+
+    afterEach(function () {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('adds and removes targets by checksummed address', function () {
+        const registry = createTargetRegistry({ file });
+        assert.deepStrictEqual(registry.list(), []);
+        assert.strictEqual(registry.add(USDC.toLowerCase(), { label: 'USDC' }), true);
+        assert.strictEqual(registry.add(USDC), false);
+        assert.throws(() => registry.add('0x12'), error => error.code === 'INVALID_TARGET');
+        assert.deepStrictEqual(registry.list().map(target => [target.address, target.label]), [[USDC, 'USDC']]);
+
+        // Another process (manage.js) sees the change and can undo it
+        const other = createTargetRegistry({ file });
+        assert.strictEqual(other.remove(USDC.toLowerCase()), true);
+        assert.strictEqual(other.remove(USDC), false);
+        assert.deepStrictEqual(registry.list(), []);
+    });
+
+    it('rotates through targets, skipping recently failed ones with a growing cooldown', function () {
+        const registry = createTargetRegistry({ file, failCooldownMs: HOUR });
+        [USDC, WETH, DAI].forEach(address => registry.add(address));
+        const now = Date.parse('2026-01-01T00:00:00Z');
+
+        assert.strictEqual(registry.next({ now }).address, USDC);
+        assert.strictEqual(registry.next({ after: USDC, now }).address, WETH);
+        assert.strictEqual(registry.next({ after: DAI, now }).address, USDC);
+
+        registry.recordAudit(WETH, { audit_pass: false, reason: 'No bytecode' }, now);
+        assert.strictEqual(registry.next({ after: USDC, now }).address, DAI);
+        assert.strictEqual(registry.next({ after: USDC, now: now + HOUR }).address, WETH);
+
+        // Each consecutive failure doubles the cooldown; a pass clears it
+        registry.recordAudit(WETH, { audit_pass: false, reason: 'No bytecode' }, now + HOUR);
+        const weth = () => registry.list().find(target => target.address === WETH);
+        assert.strictEqual(registry.cooldownUntil(weth()), now + 3 * HOUR);
+        registry.recordAudit(WETH, { audit_pass: true, bytecode_proof: '0x' + 'ab'.repeat(32) }, now + 3 * HOUR);
+        assert.strictEqual(registry.cooldownUntil(weth()), 0);
+        assert.deepStrictEqual(weth().audits.map(audit => [audit.audit_pass, audit.reason]), [[false, 'No bytecode'], [false, 'No bytecode'], [true, null]]);
+
+        [USDC, DAI].forEach(address => registry.recordAudit(address, { audit_pass: false, reason: 'risky' }, now));
+        registry.recordAudit(WETH, { audit_pass: false, reason: 'risky' }, now);
+        assert.strictEqual(registry.next({ now: now + HOUR - 1 }), null);
+    });
+
+    it('keeps a bounded audit history and ignores audits of removed targets', function () {
+        const registry = createTargetRegistry({ file });
+        registry.add(USDC);
+        for (let i = 0; i < 60; i++) registry.recordAudit(USDC, { audit_pass: i % 2 === 0 }, i * 1000);
+        const [target] = registry.list();
+        assert.strictEqual(target.audits.length, 50);
+        assert.strictEqual(target.audits[0].at, new Date(10000).toISOString());
+
+        registry.remove(USDC);
+        assert.strictEqual(registry.recordAudit(USDC, { audit_pass: true }), null);
+        assert.deepStrictEqual(registry.list(), []);
+    });
+});
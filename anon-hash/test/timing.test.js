@@ -0,0 +1,188 @@
+// test/timing.test.js
+// Consensus timing against a simulated clock.
+
+const assert = require('assert');
+const { ethers } = require('ethers');
+const path = require('path');
+const { createTiming, createSimulatedClock, compileWindowsConfig, loadWindowsConfig } = require('../timing');
+
+const at = time => Date.parse(`2025-01-01T${time}:00.000Z`);
+
+describe('timing', function () {
+    let clock, timing;
+
+    beforeEach(function () {
+        clock = createSimulatedClock(at('13:21'));
+        timing = createTiming(clock, { random: () => 0 });
+    });
+
+    it('measures the distance to the closest window in both directions', function () {
+        assert.strictEqual(timing.getMinDistanceToConsensusWindow(), 0);
+        clock.set(at('13:16'));
+        assert.strictEqual(timing.getMinDistanceToConsensusWindow(), 5);
+        clock.set(at('13:30'));
+        assert.strictEqual(timing.getMinDistanceToConsensusWindow(), 9);
+        // 23:59 is closer to 21:01 than to 03:33 across midnight
+        clock.set(at('23:59'));
+        assert.strictEqual(timing.getMinDistanceToConsensusWindow(), 178);
+        clock.set(at('02:00'));
+        assert.strictEqual(timing.getMinDistanceToConsensusWindow(), 93);
+    });
+
+    it('scales the multiplier with the window distance', function () {
+        const cases = [['13:21', 2.618033988749895], ['13:23', 2.618033988749895], ['13:26', 1.618033988749895], ['13:31', 1.382], ['13:40', 1]];
+        for (const [time, multiplier] of cases) {
+            clock.set(at(time));
+            assert.strictEqual(timing.getConsensusMultiplier(), multiplier, time);
+        }
+        clock.set(at('13:23'));
+        assert.strictEqual(timing.isConsensusTime(), true);
+        clock.set(at('13:24'));
+        assert.strictEqual(timing.isConsensusTime(), false);
+    });
+
+    it('finds the next window, wrapping past midnight', function () {
+        clock.set(at('21:02'));
+        const next = timing.getNextConsensusWindow();
+        assert.strictEqual(next.label, '03:33');
+        assert.strictEqual(next.minutesUntil, 391);
+        assert.strictEqual(next.at.toISOString(), '2025-01-02T03:33:00.000Z');
+
+        clock.set(at('08:01'));
+        assert.strictEqual(timing.getNextConsensusWindow().label, '13:21');
+        assert.strictEqual(timing.getNextConsensusWindow(true).minutesUntil, 0);
+    });
+
+    it('derives the engine interval from the next window, capped at 30 minutes', function () {
+        clock.set(at('13:11'));
+        assert.strictEqual(timing.calculateOptimalInterval(), 10 * 60000);
+        clock.set(at('14:00'));
+        assert.strictEqual(timing.calculateOptimalInterval(), 1800000);
+
+        const jittered = createTiming(clock, { random: () => 0.5 });
+        clock.set(at('13:11'));
+        assert.strictEqual(jittered.calculateOptimalInterval(), 10 * 60000 + 30000);
+    });
+
+    it('computes the mirror wait time from the distance and confidence', function () {
+        assert.strictEqual(timing.calculateOptimalWaitTime(2, 0), 1000);
+        assert.strictEqual(timing.calculateOptimalWaitTime(2, 0.5), 950);
+        assert.strictEqual(timing.calculateOptimalWaitTime(5, 0), Math.floor(5 * 1.618033988749895 * 1000));
+        assert.strictEqual(timing.calculateOptimalWaitTime(60, 0), Math.floor(2.618 * 60 * 1000));
+    });
+
+    it('sizes the bait trade by the consensus multiplier', function () {
+        const gasPrice = ethers.parseUnits('1', 'gwei');
+        clock.set(at('14:00'));
+        assert.strictEqual(timing.calculateTradeAmount(0.9, gasPrice), ethers.parseEther('0.00000162'));
+        clock.set(at('13:21'));
+        assert.strictEqual(timing.calculateTradeAmount(0.9, gasPrice), ethers.parseEther('0.00000424'));
+        assert.strictEqual(timing.calculateTradeAmount(0.9, null), 0n);
+    });
+
+    it('schedules runs aligned to the windows on the injected clock', async function () {
+        clock.set(at('13:00'));
+        const runs = [];
+        const scheduled = [];
+        const handle = timing.scheduleAligned(async () => {
+            runs.push(new Date(clock.now()).toISOString().slice(11, 16));
+        }, {
+            baseInterval: 15 * 60000,
+            onSchedule: interval => scheduled.push(interval / 60000)
+        });
+
+        await clock.tick(60 * 60000);
+        handle.stop();
+
+        // 13:00 -> 13:15 (base cap) -> 13:21 (window) -> 13:36 -> 13:51
+        assert.deepStrictEqual(runs, ['13:15', '13:21', '13:36', '13:51']);
+        assert.deepStrictEqual(scheduled.slice(0, 3), [15, 6, 15]);
+        assert.strictEqual(clock.pendingTimers(), 0);
+    });
+
+    it('keeps the schedule running when a run fails', async function () {
+        clock.set(at('13:00'));
+        let attempts = 0;
+        const handle = timing.scheduleAligned(async () => {
+            attempts++;
+            throw new Error('boom');
+        }, { baseInterval: 15 * 60000 });
+
+        const originalError = console.error;
+        console.error = () => {};
+        try {
+            await clock.tick(40 * 60000);
+        } finally {
+            console.error = originalError;
+            handle.stop();
+        }
+        assert.strictEqual(attempts, 3);
+    });
+
+    it('loads the shipped window config', function () {
+        const config = loadWindowsConfig(path.join(__dirname, '..', 'consensus-windows.json'));
+        assert.deepStrictEqual(config.windows.map(w => w.time), ['13:21', '21:01', '03:33', '08:01', '20:08']);
+        assert.strictEqual(config.curve, 'phi');
+        assert.strictEqual(config.activeWithin, 2);
+    });
+
+    describe('window config', function () {
+        const base = {
+            version: 1,
+            curve: 'phi',
+            curves: {
+                phi: [{ within: 2, multiplier: 2.618 }, { within: 5, multiplier: 1.618 }],
+                flat: [{ within: 30, multiplier: 1.2 }]
+            }
+        };
+        const timingFor = (windows, start, extra = {}) => {
+            clock = createSimulatedClock(start);
+            return createTiming(clock, { config: compileWindowsConfig({ ...base, ...extra, windows }) });
+        };
+
+        it('skips weekdays a window is not defined for', function () {
+            // 2025-01-03 is a Friday
+            const weekdays = timingFor([{ time: '09:00', days: ['mon'] }], '2025-01-03T09:00:00Z');
+            assert.strictEqual(weekdays.getNextConsensusWindow(true).at.toISOString(), '2025-01-06T09:00:00.000Z');
+            assert.strictEqual(weekdays.getMinDistanceToConsensusWindow(), 3 * 1440); // forward to Monday, not back
+            assert.strictEqual(weekdays.getConsensusMultiplier(), 1);
+        });
+
+        it('places windows in their own timezone across DST changes', function () {
+            const zoned = timingFor([{ time: '09:30', timezone: 'America/New_York', label: 'NY open' }], '2025-03-07T12:00:00Z');
+            const upcoming = zoned.listUpcomingWindows(3);
+            // EST until 2025-03-09, EDT after
+            assert.deepStrictEqual(upcoming.map(w => w.at.toISOString()), [
+                '2025-03-07T14:30:00.000Z',
+                '2025-03-08T14:30:00.000Z',
+                '2025-03-09T13:30:00.000Z'
+            ]);
+            assert.ok(upcoming.every(w => w.localTime === '09:30' && w.name === 'NY open'));
+
+            clock.set('2025-03-07T14:27:00Z');
+            assert.strictEqual(zoned.getMinDistanceToConsensusWindow(), 3);
+            assert.strictEqual(zoned.getConsensusMultiplier(), 1.618);
+        });
+
+        it('applies the default timezone and per-window curves', function () {
+            const mixed = timingFor([
+                { time: '12:00' },
+                { time: '12:20', curve: 'flat', timezone: 'UTC' }
+            ], '2025-06-01T10:00:00Z', { timezone: 'Europe/Berlin' });
+
+            // 12:00 Berlin is 10:00 UTC in summer
+            assert.strictEqual(mixed.getConsensusMultiplier(), 2.618);
+            assert.strictEqual(mixed.isConsensusTime(), true);
+            clock.set('2025-06-01T12:00:00Z');
+            assert.strictEqual(mixed.getConsensusMultiplier(), 1.2);
+            assert.deepStrictEqual(mixed.describeWindows(), ['12:00 Europe/Berlin - 12:00', '12:20 UTC - 12:20 [flat]']);
+        });
+
+        it('rejects configs that break the schema or reference unknown names', function () {
+            assert.throws(() => compileWindowsConfig({ ...base, windows: [{ time: '24:00' }] }), /\/windows\/0\/time must match pattern/);
+            assert.throws(() => compileWindowsConfig({ ...base, windows: [{ time: '12:00', days: ['someday'] }] }), /\/windows\/0\/days\/0/);
+            assert.throws(() => compileWindowsConfig({ ...base, windows: [{ time: '12:00', curve: 'steep' }] }), /unknown curve "steep"/);
+            assert.throws(() => compileWindowsConfig({ ...base, timezone: 'Mars/Olympus', windows: [{ time: '12:00' }] }), /unknown timezone "Mars\/Olympus"/);
+        });
+    });
+});
@@ -0,0 +1,502 @@
+// timing.js
+// Consensus window timing shared by the engine, amplifier, mirror and monitor.
+// Windows and multiplier curves come from consensus-windows.json (override with
+// CONSENSUS_WINDOWS_FILE). Every calculation reads time from an injectable clock
+// so the scheduler and the consensus-scaled sizing can be driven by a simulated
+// clock in tests.
+
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const { ethers } = require('ethers');
+
+// Golden ratio constants for phi-harmonic alignment
+const PHI = 1.618033988749895;
+
+const DEFAULT_WINDOWS_FILE = path.join(__dirname, 'consensus-windows.json');
+const WINDOWS_SCHEMA = require('./consensus-windows.schema.json');
+
+const MINUTE = 60000;
+const DAY = 1440 * MINUTE;
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DEFAULT_ACTIVE_WITHIN = 2;  // Distance that counts as "inside" a window
+const MAX_SCHEDULER_INTERVAL = 1800000; // 30 minutes
+const MAX_LOOKAHEAD_DAYS = 400;
+
+// --- Window Config ---
+
+const validateWindowsSchema = new Ajv({ allErrors: true }).compile(WINDOWS_SCHEMA);
+
+// Cached per timezone; building an Intl formatter is the expensive part
+const formatters = new Map();
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+// Wall-clock fields of a UTC instant in `timeZone`
+function getZonedParts(timestamp, timeZone) {
+  if (timeZone === 'UTC') {
+    const date = new Date(timestamp);
+    return {
+      year: date.getUTCFullYear(),
+      month: date.getUTCMonth() + 1,
+      day: date.getUTCDate(),
+      hour: date.getUTCHours(),
+      minute: date.getUTCMinutes()
+    };
+  }
+  const parts = {};
+  getFormatter(timeZone).formatToParts(new Date(timestamp)).forEach(({ type, value }) => {
+    if (type !== 'literal') parts[type] = parseInt(value, 10);
+  });
+  return parts;
+}
+
+// UTC instant of a local date and time in `timeZone` (DST-aware)
+function zonedTimeToUtc(year, month, day, hour, minute, timeZone) {
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+  if (timeZone === 'UTC') return asUtc;
+
+  const offsetAt = timestamp => {
+    const p = getZonedParts(timestamp, timeZone);
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute) - Math.floor(timestamp / MINUTE) * MINUTE;
+  };
+  const offset = offsetAt(asUtc);
+  const candidate = asUtc - offset;
+  const correctedOffset = offsetAt(candidate);
+  return correctedOffset === offset ? candidate : asUtc - correctedOffset;
+}
+
+/**
+ * Validates a parsed window config and resolves it into the form createTiming uses.
+ * Throws with every problem listed when the config is invalid.
+ * @param {object} config - Parsed consensus-windows.json contents.
+ * @param {string} [source='config'] - Name used in error messages.
+ */
+function compileWindowsConfig(config, source = 'config') {
+  if (!validateWindowsSchema(config)) {
+    const problems = validateWindowsSchema.errors.map(err => `${err.instancePath || '/'} ${err.message}`);
+    throw new Error(`Invalid consensus windows ${source}: ${problems.join('; ')}`);
+  }
+
+  const problems = [];
+  const defaultTimezone = config.timezone || 'UTC';
+  const curves = {};
+  Object.entries(config.curves).forEach(([name, tiers]) => {
+    curves[name] = [...tiers].sort((a, b) => a.within - b.within);
+  });
+
+  const checkTimezone = (timeZone, where) => {
+    try {
+      getFormatter(timeZone);
+    } catch (error) {
+      problems.push(`${where} unknown timezone "${timeZone}"`);
+    }
+  };
+  const checkCurve = (name, where) => {
+    if (!curves[name]) problems.push(`${where} unknown curve "${name}"`);
+  };
+
+  checkTimezone(defaultTimezone, '/timezone');
+  checkCurve(config.curve, '/curve');
+
+  const windows = config.windows.map((window, index) => {
+    const [hour, minute] = window.time.split(':').map(Number);
+    const timezone = window.timezone || defaultTimezone;
+    if (window.timezone) checkTimezone(window.timezone, `/windows/${index}/timezone`);
+    if (window.curve) checkCurve(window.curve, `/windows/${index}/curve`);
+    return {
+      time: window.time,
+      hour,
+      minute,
+      label: window.label || window.time,
+      timezone,
+      days: window.days ? window.days.map(day => WEEKDAYS.indexOf(day)) : null,
+      curveName: window.curve || config.curve
+    };
+  });
+
+  if (problems.length) {
+    throw new Error(`Invalid consensus windows ${source}: ${problems.join('; ')}`);
+  }
+
+  windows.forEach(window => {
+    window.curve = curves[window.curveName];
+  });
+
+  return {
+    source,
+    curve: config.curve,
+    curves,
+    activeWithin: config.activeWithin ?? DEFAULT_ACTIVE_WITHIN,
+    windows
+  };
+}
+
+/**
+ * Reads and compiles a window config file.
+ * @param {string} [file] - Defaults to CONSENSUS_WINDOWS_FILE or ./consensus-windows.json.
+ */
+function loadWindowsConfig(file = process.env.CONSENSUS_WINDOWS_FILE || DEFAULT_WINDOWS_FILE) {
+  const resolved = path.resolve(file);
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read consensus windows from ${resolved}: ${error.message}`);
+  }
+  return compileWindowsConfig(config, resolved);
+}
+
+// Multiplier for a distance (minutes) on a curve; 1 beyond the last tier
+function multiplierFor(curve, distance) {
+  const tier = curve.find(t => distance <= t.within);
+  return tier ? tier.multiplier : 1;
+}
+
+// Occurrence of `window` on a local calendar date, or null when the weekday is excluded
+function occurrenceOn(window, year, month, day) {
+  if (window.days) {
+    const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+    if (!window.days.includes(weekday)) return null;
+  }
+  return zonedTimeToUtc(year, month, day, window.hour, window.minute, window.timezone);
+}
+
+// Occurrences of `window` for local dates dayFrom..dayTo days around `timestamp`
+function occurrencesAround(window, timestamp, dayFrom, dayTo) {
+  const local = getZonedParts(timestamp, window.timezone);
+  const occurrences = [];
+  for (let offset = dayFrom; offset <= dayTo; offset++) {
+    const date = new Date(Date.UTC(local.year, local.month - 1, local.day) + offset * DAY);
+    const at = occurrenceOn(window, date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate());
+    if (at !== null) occurrences.push(at);
+  }
+  return occurrences;
+}
+
+const pad = value => value.toString().padStart(2, '0');
+const formatUtc = timestamp => {
+  const date = new Date(timestamp);
+  return `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}`;
+};
+const formatLocal = (timestamp, timeZone) => {
+  const parts = getZonedParts(timestamp, timeZone);
+  return `${pad(parts.hour)}:${pad(parts.minute)}`;
+};
+
+// Startup banner lines, e.g. "13:21 UTC - Fibonacci time alignment"
+function describeWindows(compiled) {
+  return compiled.windows.map(window => {
+    const days = window.days ? ` (${window.days.map(day => WEEKDAYS[day]).join(',')})` : '';
+    const curve = window.curveName !== compiled.curve ? ` [${window.curveName}]` : '';
+    return `${window.time} ${window.timezone}${days} - ${window.label}${curve}`;
+  });
+}
+
+// --- Clocks ---
+
+// Wall clock used by the PM2 processes
+const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: id => clearTimeout(id)
+};
+
+/**
+ * Manually advanced clock. Timers only fire from tick(), in due order, and each
+ * callback is awaited so rescheduling chains (like the engine scheduler) settle
+ * before the next timer is considered.
+ * @param {number|string|Date} start - Initial time (ms since epoch or anything Date accepts).
+ */
+function createSimulatedClock(start = 0) {
+  let current = typeof start === 'number' ? start : new Date(start).getTime();
+  let timers = [];
+  let nextId = 1;
+
+  return {
+    now: () => current,
+    setTimeout(fn, ms = 0) {
+      const id = nextId++;
+      timers.push({ id, at: current + Math.max(0, ms), fn });
+      return id;
+    },
+    clearTimeout(id) {
+      timers = timers.filter(timer => timer.id !== id);
+    },
+    set(time) {
+      current = typeof time === 'number' ? time : new Date(time).getTime();
+    },
+    async tick(ms) {
+      const target = current + ms;
+      for (;;) {
+        const due = timers
+          .filter(timer => timer.at <= target)
+          .sort((a, b) => a.at - b.at || a.id - b.id)[0];
+        if (!due) break;
+        timers = timers.filter(timer => timer !== due);
+        current = due.at;
+        await due.fn();
+      }
+      current = target;
+    },
+    pendingTimers: () => timers.length
+  };
+}
+
+// --- Timing ---
+
+/**
+ * Builds the consensus timing helpers around a clock source.
+ * @param {object} [clock=systemClock] - Object exposing now(), setTimeout() and clearTimeout().
+ * @param {object} [options]
+ * @param {function} [options.random=Math.random] - Jitter source for calculateOptimalInterval.
+ * @param {object} [options.config] - Result of loadWindowsConfig()/compileWindowsConfig(); defaults to the config file.
+ */
+function createTiming(clock = systemClock, { random = Math.random, config = loadWindowsConfig() } = {}) {
+  const now = () => clock.now();
+  // Windows are whole minutes, so distances are measured from the start of the current minute
+  const currentMinute = () => Math.floor(now() / MINUTE) * MINUTE;
+
+  // Minutes from `timestamp` to each window's closest occurrence, backwards or forwards
+  function getWindowDistances(timestamp = currentMinute()) {
+    return config.windows.map(window => {
+      const range = window.days ? 8 : 1; // Weekday-filtered windows may be a week apart
+      const distance = occurrencesAround(window, timestamp, -range, range)
+        .reduce((min, at) => Math.min(min, Math.abs(at - timestamp) / MINUTE), Infinity);
+      return { window, distance };
+    });
+  }
+
+  function getMinDistanceToConsensusWindow() {
+    return Math.min(...getWindowDistances().map(entry => entry.distance));
+  }
+
+  // Multiplier on the closest window's curve (the stronger one when two are equally close)
+  function getConsensusMultiplier() {
+    const nearest = getWindowDistances().reduce((best, { window, distance }) => {
+      const multiplier = multiplierFor(window.curve, distance);
+      if (!best || distance < best.distance || (distance === best.distance && multiplier > best.multiplier)) {
+        return { distance, multiplier };
+      }
+      return best;
+    }, null);
+    return nearest.multiplier;
+  }
+
+  function isConsensusTime() {
+    return getMinDistanceToConsensusWindow() <= config.activeWithin;
+  }
+
+  /**
+   * Next `count` window occurrences in time order.
+   * @param {number} [count=1]
+   * @param {object} [options]
+   * @param {boolean} [options.inclusive=true] - Count a window starting this minute as upcoming.
+   * @returns {Array<{at: Date, hour: number, minute: number, minutesUntil: number, label: string,
+   *   name: string, timezone: string, localTime: string, curve: string, multiplier: number}>}
+   *   `hour`, `minute` and `label` are UTC; `localTime` is in the window's own timezone.
+   */
+  function listUpcomingWindows(count = 1, { inclusive = true } = {}) {
+    const from = currentMinute();
+    const upcoming = [];
+
+    for (let day = -1; day <= MAX_LOOKAHEAD_DAYS; day++) {
+      config.windows.forEach(window => {
+        occurrencesAround(window, from, day, day).forEach(at => {
+          if (at > from || (inclusive && at === from)) upcoming.push({ window, at });
+        });
+      });
+      upcoming.sort((a, b) => a.at - b.at);
+      // Local dates after `day` cannot start earlier than (day - 1h DST slack) days from now
+      if (upcoming.length >= count && upcoming[count - 1].at <= from + day * DAY - 2 * 60 * MINUTE) break;
+    }
+
+    return upcoming.slice(0, count).map(({ window, at }) => ({
+      at: new Date(at),
+      hour: new Date(at).getUTCHours(),
+      minute: new Date(at).getUTCMinutes(),
+      minutesUntil: (at - from) / MINUTE,
+      label: formatUtc(at),
+      name: window.label,
+      timezone: window.timezone,
+      localTime: formatLocal(at, window.timezone),
+      curve: window.curveName,
+      multiplier: multiplierFor(window.curve, 0)
+    }));
+  }
+
+  /**
+   * Next upcoming window.
+   * @param {boolean} [inclusive=false] - Count a window starting this minute as upcoming.
+   */
+  function getNextConsensusWindow(inclusive = false) {
+    return listUpcomingWindows(1, { inclusive })[0] || null;
+  }
+
+  // Engine: delay until the next window, with up to a minute of jitter so
+  // multiple systems don't fire at exactly the same time. Capped at 30 minutes.
+  function calculateOptimalInterval() {
+    const { minutesUntil } = getNextConsensusWindow();
+    const jitter = Math.floor(random() * 60000);
+    return Math.min(minutesUntil * 60000 + jitter, MAX_SCHEDULER_INTERVAL);
+  }
+
+  // Mirror: phi-scaled delay before executing the second proverb step
+  function calculateOptimalWaitTime(minDistance, signalConfidence) {
+    let baseWait = 0;
+
+    if (minDistance <= 3) {
+      baseWait = 1000; // Almost immediate for perfect alignment
+    } else if (minDistance <= 8) {
+      baseWait = (minDistance * PHI) * 1000; // Phi-scaled short wait
+    } else if (minDistance <= 13) {
+      baseWait = (minDistance * PHI * PHI) * 1000; // Phi-squared medium wait
+    } else {
+      baseWait = Math.min(
+        (minDistance * PHI * PHI * PHI) * 1000, // Phi-cubed long wait
+        2.618 * 60 * 1000 // Max 2.618 minutes
+      );
+    }
+
+    // Adjust by confidence
+    return Math.floor(baseWait * (1 - (signalConfidence * 0.1)));
+  }
+
+  // Amplifier: phi-scaled bait size, amplified inside consensus windows
+  function calculateTradeAmount(signalConfidence = 0.9, gasPrice = null, gasCostEth = 0) {
+    if (!gasPrice || gasPrice <= 0) {
+      console.log('[SKIP] Invalid gas price');
+      return ethers.parseEther('0');
+    }
+    // Base trade amount as per documentation (phi/1000)
+    let baseAmount = ethers.parseEther("0.000001618"); // φ/1000000 - adjusted trade amount for ultra-low cost
+
+    // Get consensus window multiplier (2.618x during perfect alignment)
+    const consensusMultiplier = getConsensusMultiplier();
+
+    // Phi-based gas price tier scaling - REDUCE when gas is high
+    const gasPriceGwei = parseFloat(ethers.formatUnits(gasPrice, 'gwei'));
+    if (gasPriceGwei > 75) {
+      // Extreme gas - reduce to minimum
+      baseAmount = ethers.parseEther((0.000001618 / Math.pow(PHI, 2)).toFixed(8));
+    } else if (gasPriceGwei > 50) {
+      // High gas - reduce by phi
+      baseAmount = ethers.parseEther((0.000001618 / PHI).toFixed(8));
+    }
+
+    // Apply consensus time multiplier (2.618x during perfect alignment)
+    baseAmount = ethers.parseEther(
+      (parseFloat(ethers.formatEther(baseAmount)) * consensusMultiplier).toFixed(8)
+    );
+
+    // High confidence boost using 12th Fibonacci number (1.44x)
+    if (signalConfidence > 0.95) {
+      baseAmount = baseAmount * 144n / 100n; // 1.44x confidence multiplier
+    }
+
+    // PHILOSOPHICAL ALIGNMENT: Log gas cost ratio but DO NOT block semantic signals
+    // The amplifier emits signals for MEV bot reflexivity, not local profitability
+    const gasCostRatio = gasCostEth / parseFloat(ethers.formatEther(baseAmount));
+    if (gasCostRatio > 0.1) {
+      console.log(`[SEMANTIC] High gas cost ratio ${(gasCostRatio * 100).toFixed(2)}% - emitting signal anyway for MEV reflexivity`);
+    }
+
+    // Log consensus amplification
+    if (consensusMultiplier > 1) {
+      console.log(`CONSENSUS CLOCK ALIGNMENT: ${new Date(now()).toISOString()} - Amplifying by ${consensusMultiplier}x`);
+    }
+
+    return baseAmount;
+  }
+
+  /**
+   * Runs `task` on a loop aligned to the consensus windows: each run is scheduled
+   * min(calculateOptimalInterval(), baseInterval) after the previous one settles.
+   * @returns {{stop: function}} Handle to cancel the pending run.
+   */
+  function scheduleAligned(task, { baseInterval, onSchedule } = {}) {
+    let timer = null;
+    let stopped = false;
+
+    function scheduleNext() {
+      if (stopped) return;
+      const interval = Math.min(calculateOptimalInterval(), baseInterval || MAX_SCHEDULER_INTERVAL);
+      if (onSchedule) onSchedule(interval, new Date(now() + interval));
+
+      timer = clock.setTimeout(() => {
+        return Promise.resolve()
+          .then(task)
+          .catch(error => console.error('[SCHEDULER] Scheduled run failed:', error.message))
+          .finally(scheduleNext); // Schedule next run after current one completes
+      }, interval);
+    }
+
+    scheduleNext();
+    return {
+      stop() {
+        stopped = true;
+        if (timer !== null) clock.clearTimeout(timer);
+      }
+    };
+  }
+
+  return {
+    clock,
+    config,
+    now,
+    describeWindows: () => describeWindows(config),
+    getMinDistanceToConsensusWindow,
+    getConsensusMultiplier,
+    isConsensusTime,
+    getNextConsensusWindow,
+    listUpcomingWindows,
+    calculateOptimalInterval,
+    calculateOptimalWaitTime,
+    calculateTradeAmount,
+    scheduleAligned
+  };
+}
+
+// Default instance bound to the wall clock and the config file, created on first use
+let defaultTiming = null;
+const getDefaultTiming = () => defaultTiming || (defaultTiming = createTiming());
+
+const defaultExports = {};
+[
+  'now',
+  'describeWindows',
+  'getMinDistanceToConsensusWindow',
+  'getConsensusMultiplier',
+  'isConsensusTime',
+  'getNextConsensusWindow',
+  'listUpcomingWindows',
+  'calculateOptimalInterval',
+  'calculateOptimalWaitTime',
+  'calculateTradeAmount',
+  'scheduleAligned'
+].forEach(name => {
+  defaultExports[name] = (...args) => getDefaultTiming()[name](...args);
+});
+
+module.exports = {
+  DEFAULT_WINDOWS_FILE,
+  systemClock,
+  createSimulatedClock,
+  createTiming,
+  loadWindowsConfig,
+  compileWindowsConfig,
+  multiplierFor,
+  ...defaultExports
+};